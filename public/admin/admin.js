@@ -5,6 +5,8 @@
 
 const API = {
   login: "/api/admin/login",
+  loginTwoFactor: "/api/admin/login/2fa",
+  twoFactor: "/api/admin/2fa",
   logout: "/api/admin/logout",
   appointments: "/api/appointments",
   feedbacks: "/api/feedbacks",
@@ -12,10 +14,120 @@ const API = {
   clearAppointments: "/api/appointments",
   clearFeedbacks: "/api/feedbacks",
   undoAppointments: "/api/appointments/undo",
-  undoFeedbacks: "/api/feedbacks/undo"
+  undoFeedbacks: "/api/feedbacks/undo",
+  schedule: "/api/admin/schedule",
+  me: "/api/admin/me",
+  bootstrap: "/api/admin/bootstrap",
+  setPassword: "/api/admin/password",
+  users: "/api/admin/users",
+  audit: "/api/admin/audit",
+  trash: "/api/trash",
+  backups: "/api/admin/backups",
+  import: "/api/admin/import",
+  summary: "/api/admin/summary",
+  services: "/api/admin/services",
+  appointmentStatuses: "/api/appointments/statuses",
+  patients: "/api/admin/patients",
+  documents: "/api/admin/appointments",
+  refunds: "/api/admin/refunds",
+  reconciliation: "/api/admin/reconciliation",
+  posts: "/api/admin/posts",
+  media: "/api/admin/media",
+  slots: "/api/slots",
+  jobs: "/api/admin/jobs",
+  stats: "/api/stats",
+  blocked: "/api/admin/blocked",
+  notificationTemplates: "/api/admin/notifications/templates",
+  notificationLog: "/api/admin/notifications/log",
+  publicServices: "/api/services",
+  events: "/api/admin/events"
 };
 
 let appointmentsData = [];
+let feedbackData = [];
+let submissionsData = [];
+let paymentsData = [];
+let currentAdmin = null;
+
+// Current page of each paginated table
+const listPages = { appointments: 1, feedback: 1, submissions: 1, payments: 1 };
+
+// For text that came from the public (form posts) before it goes into innerHTML
+const escapeHtml = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+// ------------------------------
+// SAFE RENDERING
+// ------------------------------
+// Markup that is already safe; html`` inserts it as-is instead of escaping it
+class SafeHtml {
+  constructor(markup) { this.markup = markup; }
+  toString() { return this.markup; }
+}
+const raw = (markup) => new SafeHtml(String(markup ?? ""));
+
+// Tagged template for everything that ends up in innerHTML: every ${value} is escaped unless it is
+// SafeHtml (another html`` or raw()); arrays are rendered item by item; null / undefined / false render nothing
+function html(strings, ...values) {
+  const render = (v) => {
+    if (v instanceof SafeHtml) return v.markup;
+    if (Array.isArray(v)) return v.map(render).join("");
+    if (v === null || v === undefined || v === false) return "";
+    return escapeHtml(v);
+  };
+  return raw(strings.reduce((out, str, i) => out + str + (i < values.length ? render(values[i]) : ""), ""));
+}
+
+// Event wiring without inline JS (the CSP blocks it): on("click", "showHistory", id) renders
+// data-click="showHistory" data-args='["<id>"]', and one document listener calls window.showHistory(id).
+// "$el", "$value", "$checked" and "$event" in the arguments are filled in from the element when it fires.
+const DELEGATED_EVENTS = ["click", "change", "keyup", "submit"];
+function on(event, fn, ...args) {
+  return html` data-${event}="${fn}" data-args="${JSON.stringify(args)}"`;
+}
+
+function dispatchDelegated(e) {
+  const attr = `data-${e.type}`;
+  const el = e.target.closest?.(`[${attr}]`);
+  if (!el) return;
+  const fn = window[el.getAttribute(attr)];
+  if (typeof fn !== "function") return console.error(`No handler named ${el.getAttribute(attr)}`);
+  if (e.type === "submit" || (e.type === "click" && el.tagName === "A")) e.preventDefault();
+  const tokens = { $el: el, $value: el.value, $checked: el.checked, $event: e };
+  const args = JSON.parse(el.dataset.args || "[]").map(a => (typeof a === "string" && a in tokens ? tokens[a] : a));
+  fn(...args);
+}
+DELEGATED_EVENTS.forEach(type => document.addEventListener(type, dispatchDelegated));
+
+// ------------------------------
+// API REQUESTS
+// ------------------------------
+// fetch() with the session cookie and, for anything that changes data, the CSRF token from /api/admin/me.
+// A stale token (e.g. after the session was renewed) is refreshed once and the request retried.
+let csrfToken = null;
+
+async function refreshCsrfToken() {
+  const res = await fetch(API.me, { credentials: "include" });
+  if (res.ok) csrfToken = (await res.json()).csrfToken;
+  return csrfToken;
+}
+
+async function adminFetch(url, options = {}, retried = false) {
+  const method = (options.method || "GET").toUpperCase();
+  const headers = { ...(options.headers || {}) };
+  if (!["GET", "HEAD", "OPTIONS"].includes(method)) {
+    if (!csrfToken) await refreshCsrfToken();
+    headers["X-CSRF-Token"] = csrfToken || "";
+  }
+  const res = await fetch(url, { ...options, headers, credentials: "include" });
+  if (res.status === 403 && !retried) {
+    const body = await res.clone().json().catch(() => ({}));
+    if (body.code === "csrf") {
+      csrfToken = null;
+      return adminFetch(url, options, true);
+    }
+  }
+  return res;
+}
 
 // ------------------------------
 // ADMIN LOGIN
@@ -37,9 +149,11 @@ async function adminLogin(e) {
 
     if (data.success) {
       window.location.href = "admindash.html";
+    } else if (data.twoFactor) {
+      showLoginStep("twoFactor");
     } else {
       const errEl = document.getElementById("errorMsg");
-      if (errEl) errEl.textContent = "Invalid login!";
+      if (errEl) errEl.textContent = data.error || "Invalid login!";
     }
   } catch (err) {
     console.error("Login error:", err);
@@ -48,12 +162,145 @@ async function adminLogin(e) {
   }
 }
 
+// Password form, or the code form for accounts with two-factor authentication
+function showLoginStep(step) {
+  document.getElementById("loginForm").style.display = step === "password" ? "" : "none";
+  document.getElementById("twoFactorForm").style.display = step === "twoFactor" ? "" : "none";
+  document.getElementById("loginTitle").textContent = step === "twoFactor" ? "Two-Step Verification" : "Admin Login";
+  document.getElementById("errorMsg").textContent = "";
+  document.getElementById(step === "twoFactor" ? "twoFactorLoginCode" : "password").focus();
+}
+
+async function submitLoginCode(e) {
+  e.preventDefault();
+  const errEl = document.getElementById("errorMsg");
+  const codeInput = document.getElementById("twoFactorLoginCode");
+  try {
+    const res = await fetch(API.loginTwoFactor, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ code: codeInput.value.trim() }),
+      credentials: "include"
+    });
+    const data = await res.json();
+    codeInput.value = "";
+    if (data.success) {
+      if (data.recoveryCodesLeft !== undefined) {
+        alert(`Recovery code used. ${data.recoveryCodesLeft} left; create new ones under My Account if you are running low.`);
+      }
+      window.location.href = "admindash.html";
+      return;
+    }
+    if (data.restart) showLoginStep("password");
+    errEl.textContent = data.error || "Invalid code";
+  } catch (err) {
+    console.error("Login code error:", err);
+    errEl.textContent = "Login failed (network)";
+  }
+}
+
+// ------------------------------
+// FIRST-RUN SETUP & SET PASSWORD
+// ------------------------------
+async function checkBootstrap() {
+  try {
+    const res = await fetch(API.bootstrap, { credentials: "include" });
+    const data = await res.json();
+    if (!data.needsBootstrap) return;
+    document.getElementById("loginForm").style.display = "none";
+    document.getElementById("bootstrapForm").style.display = "";
+    document.getElementById("loginTitle").textContent = "Welcome";
+  } catch (err) {
+    console.error("bootstrap check error:", err);
+  }
+}
+
+async function bootstrapOwner(e) {
+  e.preventDefault();
+  const errEl = document.getElementById("errorMsg");
+  try {
+    const res = await fetch(API.bootstrap, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        name: document.getElementById("bootstrapName").value.trim(),
+        username: document.getElementById("bootstrapUsername").value.trim(),
+        password: document.getElementById("bootstrapPassword").value
+      }),
+      credentials: "include"
+    });
+    const data = await res.json();
+    if (data.success) {
+      window.location.href = "admindash.html";
+    } else {
+      errEl.textContent = data.error || "Setup failed";
+    }
+  } catch (err) {
+    console.error("bootstrap error:", err);
+    errEl.textContent = "Setup failed (network)";
+  }
+}
+
+async function submitNewPassword(e) {
+  e.preventDefault();
+  const errEl = document.getElementById("errorMsg");
+  const password = document.getElementById("newPassword").value;
+  if (password !== document.getElementById("confirmPassword").value) {
+    errEl.textContent = "Passwords do not match";
+    return;
+  }
+
+  try {
+    const token = new URLSearchParams(window.location.search).get("token");
+    const res = await fetch(API.setPassword, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token, password })
+    });
+    const data = await res.json();
+    if (data.success) {
+      alert(`Password saved. You can now log in as "${data.username}".`);
+      window.location.href = "/admin/admin-login.html";
+    } else {
+      errEl.textContent = data.error || "Could not save password";
+    }
+  } catch (err) {
+    console.error("set password error:", err);
+    errEl.textContent = "Could not save password (network)";
+  }
+}
+
+// ------------------------------
+// CURRENT ADMIN & PERMISSIONS
+// ------------------------------
+function can(permission) {
+  const perms = currentAdmin?.permissions || [];
+  return perms.includes("*") || perms.includes(permission);
+}
+
+// Hide every element tagged data-permission="..." that the signed-in role may not use
+async function loadCurrentAdmin() {
+  const res = await fetch(API.me, { credentials: "include" });
+  if (res.status === 401) {
+    window.location.href = "/admin/admin-login.html";
+    return;
+  }
+  currentAdmin = await res.json();
+  csrfToken = currentAdmin.csrfToken;
+
+  document.querySelectorAll("[data-permission]").forEach(el => {
+    el.style.display = can(el.dataset.permission) ? "" : "none";
+  });
+  const who = document.getElementById("currentAdmin");
+  if (who) who.textContent = `${currentAdmin.name || currentAdmin.username} (${currentAdmin.role})`;
+}
+
 // ------------------------------
 // LOGOUT
 // ------------------------------
 async function logout() {
   try {
-    await fetch(API.logout, { credentials: "include" });
+    await adminFetch(API.logout, { method: "POST" });
   } catch (err) {
     console.error("logout error:", err);
   } finally {
@@ -64,36 +311,124 @@ async function logout() {
 // ------------------------------
 // DASHBOARD
 // ------------------------------
-async function fetchAppointments() {
-  const res = await fetch(API.appointments, { credentials: "include" });
+// Fetch one page from a list endpoint; `params` are the filters / sort (empty values are dropped)
+async function fetchList(url, params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([k, v]) => { if (v !== "" && v !== undefined && v !== null) query.set(k, v); });
+  const res = await adminFetch(`${url}?${query}`);
   if (res.status === 401) {
     window.location.href = "/admin/admin-login.html";
-    return [];
+    return { items: [], total: 0, page: 1, pages: 1 };
+  }
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `Failed to load ${url}`);
+  return data;
+}
+
+function appointmentFilters() {
+  const val = (id) => document.getElementById(id)?.value ?? "";
+  const [sort, order] = (val("sortSelect") || "timestamp:desc").split(":");
+  return {
+    q: val("searchInput").trim(),
+    status: val("statusFilter") === "all" ? "" : val("statusFilter"),
+    bookingType: val("bookingTypeFilter"),
+    from: val("fromDate"),
+    to: val("toDate"),
+    sort,
+    order
+  };
+}
+
+function feedbackFilters() {
+  const val = (id) => document.getElementById(id)?.value ?? "";
+  return {
+    q: val("feedbackSearch").trim(),
+    minRating: val("minRating"),
+    maxRating: val("maxRating"),
+    from: val("feedbackFrom"),
+    to: val("feedbackTo"),
+    status: val("feedbackStatus")
+  };
+}
+
+async function fetchAppointments(page = listPages.appointments) {
+  return fetchList(API.appointments, { ...appointmentFilters(), page, limit: 25 });
+}
+
+async function fetchFeedback(page = listPages.feedback) {
+  return fetchList(API.feedbacks, { ...feedbackFilters(), page, limit: 25 });
+}
+
+// Prev / Next controls under a table; `loader` is called with the new page number
+function renderPager(id, data, loader) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.innerHTML = html`
+    <button class="action-btn" ${data.page <= 1 && "disabled"}>Previous</button>
+    <span>Page ${data.page} of ${data.pages} (${data.total} total)</span>
+    <button class="action-btn" ${data.page >= data.pages && "disabled"}>Next</button>`;
+  const [prev, next] = el.querySelectorAll("button");
+  prev.onclick = () => loader(data.page - 1);
+  next.onclick = () => loader(data.page + 1);
+}
+
+async function loadAppointments(page = listPages.appointments) {
+  try {
+    const data = await fetchAppointments(page);
+    listPages.appointments = data.page;
+    appointmentsData = data.items;
+    renderAppointmentsTable();
+    renderPager("appointmentsPager", data, loadAppointments);
+  } catch (err) {
+    console.error("loadAppointments error:", err);
+  }
+}
+
+async function loadFeedbacks(page = listPages.feedback) {
+  try {
+    const data = await fetchFeedback(page);
+    listPages.feedback = data.page;
+    renderFeedbackTable(data.items);
+    renderPager("feedbackPager", data, loadFeedbacks);
+  } catch (err) {
+    console.error("loadFeedbacks error:", err);
   }
-  return res.json();
 }
 
-async function fetchFeedback() {
-  const res = await fetch(API.feedbacks, { credentials: "include" });
+// Booking type filter options come from the service catalog
+async function loadBookingTypeFilter() {
+  const select = document.getElementById("bookingTypeFilter");
+  if (!select) return;
+  try {
+    const services = await (await fetch(API.publicServices)).json();
+    services.forEach(s => select.add(new Option(s.name, s.name)));
+  } catch (err) {
+    console.error("loadBookingTypeFilter error:", err);
+  }
+}
+
+// Dashboard cards; returns false when the session has expired
+async function loadSummary() {
+  const res = await adminFetch(API.summary);
   if (res.status === 401) {
     window.location.href = "/admin/admin-login.html";
-    return [];
+    return false;
+  }
+  const summary = await res.json();
+
+  document.getElementById("appointmentsCount").textContent = summary.appointments ?? "–";
+  document.getElementById("feedbackCount").textContent = summary.feedback ?? "–";
+  document.getElementById("patientsCount").textContent = summary.patients ?? "–";
+  if (summary.revenue !== undefined) {
+    document.getElementById("revenueCount").textContent = "₹" + summary.revenue;
   }
-  return res.json();
+  return true;
 }
 
 async function renderDashboard() {
   try {
-    appointmentsData = await fetchAppointments();
-    const feedback = await fetchFeedback();
-
-    document.getElementById("appointmentsCount").textContent = appointmentsData.length;
-    document.getElementById("feedbackCount").textContent = feedback.length;
-    document.getElementById("patientsCount").textContent = new Set(appointmentsData.map(a => a.email)).size;
-    document.getElementById("revenueCount").textContent = "₹" + appointmentsData.reduce((s,a) => s + (Number(a.fee) || 0), 0);
-
-    renderAppointmentsTable();
-    renderFeedbackTable(feedback);
+    if (!(await loadSummary())) return;
+    await Promise.all([loadAppointments(), loadFeedbacks()]);
   } catch (err) {
     console.error("renderDashboard error:", err);
   }
@@ -115,6 +450,20 @@ function showSection(id, el) {
 
   if (id === "submissions") loadSubmissions();
   if (id === "feedback") loadFeedbacks();
+  if (id === "services") loadServices();
+  if (id === "schedule") loadSchedule();
+  if (id === "users") loadUsers();
+  if (id === "activity") loadActivity(1);
+  if (id === "trash") loadTrash();
+  if (id === "backups") loadBackups();
+  if (id === "reminders") loadJobs(1);
+  if (id === "blocked") loadBlocked(1);
+  if (id === "analytics") loadStats();
+  if (id === "patients") loadPatients(1);
+  if (id === "blog") loadPosts(1);
+  if (id === "notifications") { loadTemplates(); loadNotificationLog(1); }
+  if (id === "account") loadAccount();
+  if (id === "reconciliation") loadReconciliation();
 }
 
 // ------------------------------
@@ -126,6 +475,8 @@ function renderAppointmentsTable() {
 
   if (!aptTable || !aptHeader) return;
 
+  const selected = selectedIds("appointmentsTable");
+  const canDelete = can("records.delete");
   aptTable.innerHTML = "";
   aptHeader.innerHTML = "";
 
@@ -134,39 +485,124 @@ function renderAppointmentsTable() {
     return;
   }
 
-  const keys = Object.keys(appointmentsData[0]);
-  aptHeader.innerHTML = `<tr>${keys.map(k=>`<th>${k.charAt(0).toUpperCase()+k.slice(1)}</th>`).join('')}<th>Status</th><th>Actions</th></tr>`;
+  appointmentColumns = Object.keys(appointmentsData[0]);
+  aptHeader.innerHTML = html`<tr>${canDelete && html`<th><input type="checkbox"${on("click", "toggleAllRows", "appointmentsTable", "$checked")}></th>`}${appointmentColumns.map(k => html`<th>${k.charAt(0).toUpperCase()+k.slice(1)}</th>`)}<th>Status</th><th>Actions</th></tr>`;
+
+  aptTable.innerHTML = html`${appointmentsData.map(a => appointmentRow(a, selected.includes(a.id)))}`;
+}
+
+// Columns come from the first record of the last full render, so rows patched in later line up with the header
+let appointmentColumns = [];
 
-  aptTable.innerHTML = appointmentsData.map(a => {
-    return `<tr>
-      ${keys.map(k => `<td>${(a[k] ?? "-")}</td>`).join('')}
-      <td><span class="status ${a.status==='done'?'done':'pending'}">${a.status ? a.status.charAt(0).toUpperCase() + a.status.slice(1) : 'Pending'}</span></td>
-      <td><button class="action-btn" onclick="markDone('${a.id}')">Mark Done</button></td>
+function appointmentRow(a, checked = false) {
+  const canDelete = can("records.delete");
+  return html`<tr data-id="${a.id}">
+      ${canDelete && html`<td><input type="checkbox" class="row-select" value="${a.id}" ${checked && "checked"}></td>`}
+      ${appointmentColumns.map(k => html`<td>${a[k] ?? "-"}</td>`)}
+      <td>${statusBadge(a.status)}</td>
+      <td>
+        ${statusButtons(a)}
+        <button class="action-btn"${on("click", "showHistory", a.id)}>History</button>
+        ${a.patient_id && can("patients.view") && html`<button class="action-btn"${on("click", "openPatient", a.patient_id)}>Patient</button>`}
+        ${documentButtons(a)}
+        ${refundButton(a)}
+        ${canDelete && html`<button class="action-btn"${on("click", "deleteRecords", "appointments", [a.id])}>Delete</button>`}
+      </td>
     </tr>`;
-  }).join('');
 }
 
-async function markDone(id) {
+// Date/slot/status changes made by admins or by the patient through their manage link
+async function showHistory(id) {
+  try {
+    const res = await adminFetch(`${API.appointments}/${id}/history`);
+    const history = await res.json();
+    if (!res.ok) return alert(history.error || "Failed to load history");
+    if (!history.length) return alert("No changes recorded for this appointment");
+    alert(history.map(h => {
+      const changes = Object.entries(h.changes || {}).map(([k, v]) => `${k}: ${v.from ?? "-"} → ${v.to ?? "-"}`).join(", ");
+      return `${new Date(h.at).toLocaleString()} — ${h.action} by ${h.by}${changes ? ` (${changes})` : ""}${h.reason ? `\nReason: ${h.reason}` : ""}`;
+    }).join("\n"));
+  } catch (err) {
+    console.error("showHistory error:", err);
+  }
+}
+
+// ------------------------------
+// APPOINTMENT STATUS WORKFLOW
+// ------------------------------
+const STATUS_ACTIONS = {
+  confirmed: "Confirm",
+  "checked-in": "Check In",
+  completed: "Complete",
+  rescheduled: "Reschedule",
+  cancelled: "Cancel",
+  "no-show": "No-show"
+};
+let statusTransitions = {};
+
+async function loadStatusWorkflow() {
+  try {
+    const res = await adminFetch(API.appointmentStatuses);
+    if (res.ok) statusTransitions = (await res.json()).transitions;
+  } catch (err) {
+    console.error("loadStatusWorkflow error:", err);
+  }
+}
+
+// Older records say "done" for a finished visit
+const displayStatus = (status) => status === "done" ? "completed" : (status || "pending");
+
+function statusBadge(status) {
+  const s = displayStatus(status);
+  return html`<span class="status status-${s}">${s.replace("-", " ")}</span>`;
+}
+
+function statusButtons(a) {
+  return (statusTransitions[displayStatus(a.status)] || [])
+    .map(next => html`<button class="action-btn"${on("click", "changeStatus", a.id, next)}>${STATUS_ACTIONS[next]}</button>`);
+}
+
+async function changeStatus(id, status) {
+  const body = { status };
+  if (status === "rescheduled") {
+    const date = prompt("New date (YYYY-MM-DD)");
+    if (!date) return;
+    const free = await fetch(`${API.slots}?date=${encodeURIComponent(date)}`).then(r => r.json());
+    if (!free.slots || !free.slots.length) return alert(free.closed || free.error || "No free slots on that date");
+    const slot = prompt(`New time. Free slots: ${free.slots.join(", ")}`, free.slots[0]);
+    if (!slot) return;
+    Object.assign(body, { date, slot });
+  }
+  if (status === "cancelled" || status === "no-show") {
+    const reason = prompt("Reason (optional)");
+    if (reason === null) return;
+    body.reason = reason;
+  }
+
   try {
-    const res = await fetch(`${API.appointments}/${id}`, {
+    const res = await adminFetch(`${API.appointments}/${id}`, {
       method: "PATCH",
       headers: {'Content-Type': 'application/json'},
-      body: JSON.stringify({status:'done'}),
-      credentials: "include"
+      body: JSON.stringify(body)
     });
     if (res.status === 401) {
       window.location.href = "/admin/admin-login.html";
       return;
     }
     if (!res.ok) {
-      console.error("markDone failed", await res.text());
-      alert("Failed to mark done");
+      const data = await res.json();
+      alert(data.error || "Failed to update status");
       return;
     }
+    // A cancelled online booking is the usual reason to give the money back
+    const booking = appointmentsData.find(a => a.id === id);
+    if (status === "cancelled" && booking && refundButton(booking) && confirm("This booking was paid online. Refund the patient now?")) {
+      await refundAppointment(id, body.reason);
+    }
     await renderDashboard();
   } catch (err) {
-    console.error("markDone error:", err);
-    alert("Network error while marking done");
+    console.error("changeStatus error:", err);
+    alert("Network error while updating status");
   }
 }
 
@@ -179,6 +615,9 @@ function renderFeedbackTable(feedback) {
 
   if (!fbTable || !fbHeader) return;
 
+  feedbackData = feedback || [];
+  const selected = selectedIds("feedbackTable");
+  const canDelete = can("records.delete");
   fbTable.innerHTML = "";
   fbHeader.innerHTML = "";
 
@@ -187,163 +626,1973 @@ function renderFeedbackTable(feedback) {
     return;
   }
 
-  const keys = Object.keys(feedback[0]);
-  fbHeader.innerHTML = `<tr>${keys.map(k => `<th>${k.charAt(0).toUpperCase()+k.slice(1)}</th>`).join('')}</tr>`;
-  fbTable.innerHTML = feedback.map(f=>`<tr>${keys.map(k=>`<td>${(f[k]??'-')}</td>`).join('')}</tr>`).join('');
+  // Moderation fields get their own columns instead of raw objects
+  feedbackColumns = Object.keys(feedback[0]).filter(k => !MODERATION_KEYS.includes(k));
+  const hasActions = canDelete || can("feedback.moderate");
+  fbHeader.innerHTML = html`<tr>${canDelete && html`<th><input type="checkbox"${on("click", "toggleAllRows", "feedbackTable", "$checked")}></th>`}${feedbackColumns.map(k => html`<th>${k.charAt(0).toUpperCase()+k.slice(1)}</th>`)}<th>Status</th><th>Reply</th>${hasActions && html`<th>Actions</th>`}</tr>`;
+  fbTable.innerHTML = html`${feedback.map(f => feedbackRow(f, selected.includes(f.id)))}`;
 }
 
-// ------------------------------
-// FILTER APPOINTMENTS
-// ------------------------------
-function applyFilters() {
-  const search = (document.getElementById("searchInput")?.value ?? "").toLowerCase();
-  const statusFilter = document.getElementById("statusFilter")?.value ?? "all";
-
-  const rows = document.querySelectorAll("#appointmentsTable tr");
-  rows.forEach(row => {
-    const cells = Array.from(row.children);
-    const text = cells.map(c=>c.textContent.toLowerCase()).join(' ');
-    const status = row.querySelector(".status")?.textContent.toLowerCase() || "";
-    row.style.display = (text.includes(search) && (statusFilter==='all'||status===statusFilter)) ? "" : "none";
-  });
+let feedbackColumns = [];
+
+function feedbackRow(f, checked = false) {
+  const canDelete = can("records.delete");
+  const canModerate = can("feedback.moderate");
+  return html`<tr data-id="${f.id}">
+    ${canDelete && html`<td><input type="checkbox" class="row-select" value="${f.id}" ${checked && "checked"}></td>`}
+    ${feedbackColumns.map(k => html`<td>${f[k] ?? "-"}</td>`)}
+    <td>${feedbackBadge(f.status)}</td>
+    <td>${f.reply && f.reply.text ? f.reply.text : "-"}</td>
+    ${(canDelete || canModerate) && html`<td>
+      ${canModerate && moderationButtons(f)}
+      ${canDelete && html`<button class="action-btn"${on("click", "deleteRecords", "feedbacks", [f.id])}>Delete</button>`}
+    </td>`}
+  </tr>`;
 }
 
 // ------------------------------
-// CLEAR & UNDO
+// FEEDBACK MODERATION
 // ------------------------------
-async function clearAppointments() {
-  if(!confirm("Clear all appointments?")) return;
+const MODERATION_KEYS = ["status", "reply", "moderatedBy", "moderatedAt"];
+
+function feedbackBadge(status) {
+  const s = status || "pending";
+  return html`<span class="status feedback-${s}">${s}</span>`;
+}
+
+function moderationButtons(f) {
+  const s = f.status || "pending";
+  return html`
+    ${s !== "approved" && html`<button class="action-btn"${on("click", "moderateFeedback", f.id, "approved")}>Approve</button>`}
+    ${s !== "hidden" && html`<button class="action-btn"${on("click", "moderateFeedback", f.id, "hidden")}>Hide</button>`}
+    <button class="action-btn"${on("click", "replyFeedback", f.id)}>Reply</button>`;
+}
+
+async function feedbackRequest(url, method, body, failMessage) {
   try {
-    const res = await fetch(API.clearAppointments, {method:"DELETE", credentials:"include"});
+    const res = await adminFetch(url, {
+      method,
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(body)
+    });
     if (res.status === 401) {
       window.location.href = "/admin/admin-login.html";
       return;
     }
-    await renderDashboard();
-    alert("Appointments cleared. You can undo from the dashboard.");
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.error || failMessage);
+      return;
+    }
+    await loadFeedbacks();
   } catch (err) {
-    console.error("clearAppointments error:", err);
-    alert("Failed to clear appointments");
+    console.error("feedbackRequest error:", err);
+    alert(failMessage);
   }
 }
 
-async function clearFeedbacks() {
-  if(!confirm("Clear all feedback?")) return;
+function moderateFeedback(id, status) {
+  return feedbackRequest(`${API.feedbacks}/${id}/moderate`, "POST", { status }, "Failed to update feedback");
+}
+
+function replyFeedback(id) {
+  const reply = prompt("Public reply (leave empty to remove)");
+  if (reply === null) return;
+  return feedbackRequest(`${API.feedbacks}/${id}/reply`, "PUT", { reply }, "Failed to save reply");
+}
+
+// ------------------------------
+// ROW SELECTION & DELETE (to trash)
+// ------------------------------
+function selectedIds(tbodyId) {
+  return Array.from(document.querySelectorAll(`#${tbodyId} .row-select:checked`)).map(cb => cb.value);
+}
+
+function toggleAllRows(tbodyId, checked) {
+  document.querySelectorAll(`#${tbodyId} .row-select`).forEach(cb => {
+    if (cb.closest("tr").style.display !== "none") cb.checked = checked;
+  });
+}
+
+async function deleteSelected(collection, tbodyId) {
+  const ids = selectedIds(tbodyId);
+  if (!ids.length) {
+    alert("Select at least one row first");
+    return;
+  }
+  await deleteRecords(collection, ids);
+}
+
+async function deleteRecords(collection, ids) {
+  if (!confirm(ids.length === 1 ? "Move this record to the trash?" : `Move ${ids.length} records to the trash?`)) return;
   try {
-    const res = await fetch(API.clearFeedbacks, {method:"DELETE", credentials:"include"});
+    const res = await adminFetch(`/api/${collection}/delete`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ ids })
+    });
     if (res.status === 401) {
       window.location.href = "/admin/admin-login.html";
       return;
     }
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Delete failed");
+      return;
+    }
     await renderDashboard();
-    alert("Feedback cleared. You can undo from the dashboard.");
   } catch (err) {
-    console.error("clearFeedbacks error:", err);
-    alert("Failed to clear feedback");
+    console.error("deleteRecords error:", err);
+    alert("Network error while deleting");
   }
 }
 
-async function undoAppointments() {
+// ------------------------------
+// TRASH
+// ------------------------------
+async function loadTrash() {
+  const collection = document.getElementById("trashCollection").value;
+  const body = document.getElementById("trashBody");
   try {
-    const res = await fetch(API.undoAppointments, {method:"POST", credentials:"include"});
-    const data = await res.json();
-    alert(data.message || "Undo completed");
-    await renderDashboard();
+    const res = await adminFetch(`${API.trash}/${collection}`);
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    const { retentionDays, items } = await res.json();
+    document.getElementById("trashRetention").textContent = `Items are permanently deleted ${retentionDays} days after being moved here.`;
+
+    if (!items.length) {
+      body.innerHTML = `<tr><td colspan='6' class='empty-row'>Trash is empty</td></tr>`;
+      return;
+    }
+    const canPurge = can("data.clear");
+    body.innerHTML = html`${items.map(r => html`<tr>
+      <td><input type="checkbox" class="row-select" value="${r.id}"></td>
+      <td>${r.name || "-"}</td>
+      <td>${r.phone || r.email || "-"}</td>
+      <td>${collection === "appointments" ? `${r.date || "-"} ${r.slot || ""}` : (r.message || "-")}</td>
+      <td>${new Date(r.deletedAt).toLocaleString()} by ${r.deletedBy || "-"}</td>
+      <td>
+        <button class="action-btn"${on("click", "trashAction", "restore", [r.id])}>Restore</button>
+        ${canPurge && html`<button class="action-btn"${on("click", "trashAction", "purge", [r.id])}>Delete Forever</button>`}
+      </td>
+    </tr>`)}`;
   } catch (err) {
-    console.error("undoAppointments error:", err);
-    alert("Failed to undo");
+    console.error("loadTrash error:", err);
+    body.innerHTML = `<tr><td colspan='6' class='empty-row'>Failed to load trash</td></tr>`;
   }
 }
 
-async function undoFeedbacks() {
+async function trashAction(action, ids) {
+  ids = ids || selectedIds("trashBody");
+  if (!ids.length) {
+    alert("Select at least one row first");
+    return;
+  }
+  if (action === "purge" && !confirm(`Permanently delete ${ids.length} record(s)? This cannot be undone.`)) return;
+
+  const collection = document.getElementById("trashCollection").value;
   try {
-    const res = await fetch(API.undoFeedbacks, {method:"POST", credentials:"include"});
+    const res = await adminFetch(`${API.trash}/${collection}/${action}`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ ids })
+    });
     const data = await res.json();
-    alert(data.message || "Undo completed");
-    await renderDashboard();
+    alert(data.message || data.error || "Done");
+    await loadTrash();
   } catch (err) {
-    console.error("undoFeedbacks error:", err);
-    alert("Failed to undo");
+    console.error("trashAction error:", err);
+    alert("Network error");
   }
 }
 
 // ------------------------------
-// SUBMISSIONS & PAYMENTS
+// BACKUPS
 // ------------------------------
-async function loadSubmissions() {
+async function loadBackups() {
+  const select = document.getElementById("backupCollection");
+  const params = select.value ? `?collection=${encodeURIComponent(select.value)}` : "";
+  const body = document.getElementById("backupsBody");
   try {
-    const [subsRes, payRes] = await Promise.all([
-      fetch(API.appointments, {credentials:"include"}),
-      fetch(API.payments, {credentials:"include"})
-    ]);
-
-    if (subsRes.status === 401 || payRes.status === 401) {
+    const res = await adminFetch(API.backups + params);
+    if (res.status === 401) {
       window.location.href = "/admin/admin-login.html";
       return;
     }
+    const data = await res.json();
 
-    const submissions = await subsRes.json();
-    const payments = await payRes.json();
+    if (select.options.length === 1) data.collections.forEach(c => select.add(new Option(c, c)));
+    document.getElementById("backupPolicy").textContent = data.intervalHours
+      ? `Automatic backup every ${data.intervalHours}h, kept for ${data.retentionDays} days.`
+      : "Automatic backups are off.";
 
-    renderAdminTable("submissions", submissions);
-    renderAdminTable("payments", payments);
-  } catch(err) {
-    console.error(err);
-    const sb = document.getElementById("submissionsBody");
-    const pb = document.getElementById("paymentsBody");
-    if (sb) sb.innerHTML = `<tr><td colspan='5' class='empty-row'>Failed to load submissions</td></tr>`;
-    if (pb) pb.innerHTML = `<tr><td colspan='5' class='empty-row'>Failed to load payments</td></tr>`;
+    if (!data.backups.length) {
+      body.innerHTML = `<tr><td colspan='6' class='empty-row'>No backups yet</td></tr>`;
+      return;
+    }
+    body.innerHTML = html`${data.backups.map(b => html`<tr>
+      <td>${new Date(b.createdAt).toLocaleString()}</td>
+      <td>${b.collectionName}</td>
+      <td>${b.count}</td>
+      <td>${b.trigger}</td>
+      <td>${b.note || "-"}</td>
+      <td>
+        <button class="action-btn"${on("click", "previewBackup", b.id)}>Compare</button>
+        <button class="action-btn"${on("click", "restoreBackup", b.id, "merge")}>Restore (merge)</button>
+        <button class="action-btn"${on("click", "restoreBackup", b.id, "replace")}>Restore (replace)</button>
+        <a class="action-btn" href="${API.backups}/${encodeURIComponent(b.id)}/download">Download</a>
+      </td>
+    </tr>`)}`;
+  } catch (err) {
+    console.error("loadBackups error:", err);
+    body.innerHTML = `<tr><td colspan='6' class='empty-row'>Failed to load backups</td></tr>`;
   }
 }
 
-function renderAdminTable(type, data){
-  const headerEl = document.getElementById(type+"Header");
-  const bodyEl = document.getElementById(type+"Body");
-
-  if(!headerEl || !bodyEl) return;
-
-  if(!data || !data.length){
-    bodyEl.innerHTML=`<tr><td colspan='5' class='empty-row'>No ${type} yet</td></tr>`;
-    return;
+async function createBackup() {
+  const collection = document.getElementById("backupCollection").value || prompt("Which collection? (appointments, feedback, payments)");
+  if (!collection) return;
+  try {
+    const res = await adminFetch(API.backups, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ collection })
+    });
+    const data = await res.json();
+    alert(data.message || data.error || "Done");
+    await loadBackups();
+  } catch (err) {
+    console.error("createBackup error:", err);
+    alert("Network error while creating backup");
+  }
+}
+
+async function previewBackup(id) {
+  const panel = document.getElementById("backupDiff");
+  panel.textContent = "Comparing...";
+  try {
+    const res = await adminFetch(`${API.backups}/${id}/diff`);
+    const data = await res.json();
+    if (!res.ok) {
+      panel.textContent = data.error || "Compare failed";
+      return;
+    }
+    const { summary, samples } = data;
+    const list = (items) => items.length
+      ? html`<ul>${items.map(d => html`<li>${d.name || d.order_id || d.id} ${d.phone && `(${d.phone})`} ${d.date || ""}</li>`)}</ul>`
+      : html`<p>-</p>`;
+    panel.innerHTML = html`
+      <h3>Backup of ${data.collectionName} from ${new Date(data.createdAt).toLocaleString()} vs current data</h3>
+      <p><b>${summary.onlyInBackup}</b> only in backup (merge would restore these) ·
+         <b>${summary.onlyInCurrent}</b> only in current data (replace would remove these) ·
+         <b>${summary.changed}</b> changed since · <b>${summary.same}</b> unchanged</p>
+      <h4>Only in backup</h4>${list(samples.onlyInBackup)}
+      <h4>Only in current data</h4>${list(samples.onlyInCurrent)}
+      <h4>Changed since backup</h4>
+      ${samples.changed.length ? html`<ul>${samples.changed.map(c => html`<li>${c.id}: ${formatChanges(c)}</li>`)}</ul>` : html`<p>-</p>`}`;
+  } catch (err) {
+    console.error("previewBackup error:", err);
+    panel.textContent = "Network error while comparing";
+  }
+}
+
+async function restoreBackup(id, mode) {
+  const warning = mode === "replace"
+    ? "Replace ALL current records with this backup? Current data is backed up first."
+    : "Restore records from this backup that are missing now? Existing records are left as they are.";
+  if (!confirm(warning)) return;
+  try {
+    const res = await adminFetch(`${API.backups}/${id}/restore`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ mode })
+    });
+    const data = await res.json();
+    alert(data.message || data.error || "Done");
+    await loadBackups();
+  } catch (err) {
+    console.error("restoreBackup error:", err);
+    alert("Network error while restoring");
+  }
+}
+
+function chooseBackupFile() {
+  document.getElementById("backupFile").click();
+}
+
+async function uploadBackup(input) {
+  const file = input.files[0];
+  input.value = "";
+  if (!file) return;
+  try {
+    const res = await adminFetch(`${API.backups}/upload?filename=${encodeURIComponent(file.name)}`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/octet-stream'},
+      body: file
+    });
+    const data = await res.json();
+    alert(data.message || data.error || "Done");
+    await loadBackups();
+  } catch (err) {
+    console.error("uploadBackup error:", err);
+    alert("Network error while uploading");
+  }
+}
+
+// ------------------------------
+// LEGACY IMPORT
+// ------------------------------
+// Every change of file or kind runs a dry run; Import then sends the same file for real
+async function sendImport(dryRun) {
+  const file = document.getElementById("importFile").files[0];
+  if (!file) return null;
+  const query = new URLSearchParams({ filename: file.name, dryRun: dryRun ? "1" : "0" });
+  const kind = document.getElementById("importKind").value;
+  if (kind) query.set("kind", kind);
+  const res = await adminFetch(`${API.import}?${query}`, {
+    method: "POST",
+    headers: {'Content-Type': 'application/octet-stream'},
+    body: file
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Import failed");
+  return data;
+}
+
+async function previewImport() {
+  const button = document.getElementById("importRunBtn");
+  button.disabled = true;
+  try {
+    const data = await sendImport(true);
+    if (!data) return;
+    renderImport(data);
+    button.disabled = !data.counts.new;
+  } catch (err) {
+    console.error("previewImport error:", err);
+    document.getElementById("importSummary").textContent = err.message;
+    document.getElementById("importBody").innerHTML = `<tr><td colspan='6' class='empty-row'>Nothing to import</td></tr>`;
+  }
+}
+
+async function runImport() {
+  const button = document.getElementById("importRunBtn");
+  if (!confirm("Import the new rows from this file? Duplicates and rows with problems are skipped.")) return;
+  button.disabled = true;
+  try {
+    const data = await sendImport(false);
+    if (!data) return;
+    renderImport(data);
+    alert(`Imported ${data.counts.imported} ${data.kind} record(s)`);
+  } catch (err) {
+    console.error("runImport error:", err);
+    alert(err.message);
+  }
+}
+
+const IMPORT_RESULTS = { new: "Ready", imported: "Imported", duplicate: "Already there", error: "Problem" };
+
+function renderImport(data) {
+  const { counts } = data;
+  const done = data.dryRun ? `${counts.new} ready to import` : `${counts.imported} imported`;
+  document.getElementById("importSummary").textContent = [
+    `${data.total} ${data.kind} row(s) in this ${data.format.toUpperCase()} file: ${done}, ${counts.duplicate} already in the database, ${counts.error} with problems.`,
+    data.ignoredColumns.length && `Ignored columns: ${data.ignoredColumns.join(", ")}.`,
+    data.truncated && `Only the first ${data.rows.length} rows are listed.`,
+  ].filter(Boolean).join(" ");
+
+  document.getElementById("importBody").innerHTML = data.rows.length
+    ? html`${data.rows.map(r => {
+        const rec = r.record || {};
+        const details = data.kind === "appointments"
+          ? [rec.date, rec.slot, rec.bookingType, rec.status].filter(Boolean).join(" · ")
+          : [rec.rating && "★".repeat(rec.rating), rec.message && rec.message.slice(0, 80)].filter(Boolean).join(" ");
+        const problem = r.status === "duplicate" ? `Same as ${r.duplicateOf}` : (r.errors || []).join("; ");
+        return html`<tr>
+          <td>${r.row}</td>
+          <td>${IMPORT_RESULTS[r.status] || r.status}</td>
+          <td>${rec.name || "-"}</td>
+          <td>${[rec.phone, rec.email].filter(Boolean).join(" / ") || "-"}</td>
+          <td>${details || "-"}</td>
+          <td>${problem || "-"}</td>
+        </tr>`;
+      })}`
+    : `<tr><td colspan='6' class='empty-row'>The file has no rows</td></tr>`;
+}
+
+// ------------------------------
+// FILTER APPOINTMENTS
+// ------------------------------
+// ------------------------------
+// EXPORT (CSV / Excel)
+// ------------------------------
+// Downloads everything matching the table's current filters (not just the visible page)
+function exportList(name, format, filters) {
+  if (!filters) {
+    if (name === "appointments") filters = appointmentFilters();
+    else if (name === "feedbacks") filters = feedbackFilters();
+    else filters = { status: document.getElementById("paymentStatusFilter")?.value ?? "" };
+  }
+  const query = new URLSearchParams({ format });
+  Object.entries(filters).forEach(([k, v]) => { if (v) query.set(k, v); });
+  window.location.href = `/api/${name}/export?${query}`;
+}
+
+// Filters run on the server; typing is debounced so each keystroke doesn't fire a request
+let filterTimer = null;
+function applyFilters() {
+  clearTimeout(filterTimer);
+  filterTimer = setTimeout(() => loadAppointments(1), 300);
+}
+
+function applyFeedbackFilters() {
+  clearTimeout(filterTimer);
+  filterTimer = setTimeout(() => loadFeedbacks(1), 300);
+}
+
+// ------------------------------
+// CLEAR & UNDO
+// ------------------------------
+async function clearAppointments() {
+  if(!confirm("Clear all appointments?")) return;
+  try {
+    const res = await adminFetch(API.clearAppointments, {method:"DELETE"});
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    await renderDashboard();
+    alert("Appointments cleared. You can undo from the dashboard.");
+  } catch (err) {
+    console.error("clearAppointments error:", err);
+    alert("Failed to clear appointments");
+  }
+}
+
+async function clearFeedbacks() {
+  if(!confirm("Clear all feedback?")) return;
+  try {
+    const res = await adminFetch(API.clearFeedbacks, {method:"DELETE"});
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    await renderDashboard();
+    alert("Feedback cleared. You can undo from the dashboard.");
+  } catch (err) {
+    console.error("clearFeedbacks error:", err);
+    alert("Failed to clear feedback");
+  }
+}
+
+async function undoAppointments() {
+  try {
+    const res = await adminFetch(API.undoAppointments, {method:"POST"});
+    const data = await res.json();
+    alert(data.message || "Undo completed");
+    await renderDashboard();
+  } catch (err) {
+    console.error("undoAppointments error:", err);
+    alert("Failed to undo");
+  }
+}
+
+async function undoFeedbacks() {
+  try {
+    const res = await adminFetch(API.undoFeedbacks, {method:"POST"});
+    const data = await res.json();
+    alert(data.message || "Undo completed");
+    await renderDashboard();
+  } catch (err) {
+    console.error("undoFeedbacks error:", err);
+    alert("Failed to undo");
+  }
+}
+
+// ------------------------------
+// SUBMISSIONS & PAYMENTS
+// ------------------------------
+async function loadSubmissions() {
+  try {
+    const paymentStatus = document.getElementById("paymentStatusFilter")?.value ?? "";
+    const [submissions, payments] = await Promise.all([
+      fetchList(API.appointments, { page: listPages.submissions, limit: 25 }),
+      fetchList(API.payments, { page: listPages.payments, limit: 25, status: paymentStatus })
+    ]);
+    listPages.submissions = submissions.page;
+    listPages.payments = payments.page;
+    submissionsData = submissions.items;
+    paymentsData = payments.items;
+
+    renderAdminTable("submissions", submissionsData);
+    renderPaymentsTable(paymentsData);
+    renderPager("submissionsPager", submissions, (page) => { listPages.submissions = page; loadSubmissions(); });
+    renderPager("paymentsPager", payments, (page) => { listPages.payments = page; loadSubmissions(); });
+  } catch(err) {
+    console.error(err);
+    const sb = document.getElementById("submissionsBody");
+    const pb = document.getElementById("paymentsBody");
+    if (sb) sb.innerHTML = `<tr><td colspan='5' class='empty-row'>Failed to load submissions</td></tr>`;
+    if (pb) pb.innerHTML = `<tr><td colspan='5' class='empty-row'>Failed to load payments</td></tr>`;
+  }
+}
+
+function filterPayments() {
+  listPages.payments = 1;
+  loadSubmissions();
+}
+
+const PAYMENT_COLUMNS = ["Date", "Order", "Transaction", "Amount (₹)", "Refunded (₹)", "Status", "Environment"];
+
+function paymentRow(p) {
+  return html`<tr data-id="${p.id}">
+      <td>${p.timestamp || "-"}</td>
+      <td>${p.order_id || "-"}</td>
+      <td>${p.txn_id || "-"}</td>
+      <td>${p.amount || "-"}</td>
+      <td>${p.refunded ? p.refunded.toFixed(2) : "-"}</td>
+      <td><span class="status ${p.status === "success" ? "done" : "pending"}">${p.status || "-"}</span></td>
+      <td>${p.env || "-"}</td>
+    </tr>`;
+}
+
+function renderPaymentsTable(payments) {
+  const header = document.getElementById("paymentsHeader");
+  const body = document.getElementById("paymentsBody");
+  if (!header || !body) return;
+  header.innerHTML = html`${PAYMENT_COLUMNS.map(c => html`<th>${c}</th>`)}`;
+  body.innerHTML = payments.length
+    ? html`${payments.map(paymentRow)}`
+    : `<tr><td colspan='7' class='empty-row'>No payments yet</td></tr>`;
+}
+
+function renderAdminTable(type, data){
+  const headerEl = document.getElementById(type+"Header");
+  const bodyEl = document.getElementById(type+"Body");
+
+  if(!headerEl || !bodyEl) return;
+
+  if(!data || !data.length){
+    bodyEl.innerHTML = html`<tr><td colspan='5' class='empty-row'>No ${type} yet</td></tr>`;
+    return;
+  }
+
+  headerEl.innerHTML = html`<tr>${Object.keys(data[0]).map(k => html`<th>${k}</th>`)}</tr>`;
+  bodyEl.innerHTML = html`${data.map(r => {
+    const statusClass = r.status==='success'?"status done":r.status==='failure'?"status pending":"";
+    return html`<tr class="${statusClass}">${Object.values(r).map(v => html`<td>${v}</td>`)}</tr>`;
+  })}`;
+}
+
+// ------------------------------
+// REFUNDS & RECONCILIATION
+// ------------------------------
+let reconciliation = null;
+
+function refundButton(a) {
+  return can("payments.refund") && a.payment_status === "paid"
+    && html`<button class="action-btn"${on("click", "refundAppointment", a.id)}>Refund</button>`;
+}
+
+// Full or partial: the amount prompt starts at whatever is still refundable
+async function refundAppointment(id, reason = "") {
+  try {
+    const res = await adminFetch(`${API.documents}/${id}/refunds`);
+    const data = await res.json();
+    if (!res.ok) return alert(data.error || "Failed to load refunds");
+    if (!data.paymentId) return alert("This booking has no successful online payment");
+    const earlier = data.refunds.map(r => `${r.timestamp} — ₹${r.amount.toFixed(2)} ${r.status}: ${r.reason}`).join("\n");
+    if (!(data.refundable > 0)) return alert(`Nothing left to refund.\n\n${earlier}`);
+
+    const amount = prompt(`Paid ₹${data.paid.toFixed(2)}, refunded ₹${data.refunded.toFixed(2)}${data.pending ? `, ₹${data.pending.toFixed(2)} in progress` : ""}.${earlier ? `\n\n${earlier}\n` : ""}\nAmount to refund (₹)`, data.refundable.toFixed(2));
+    if (amount === null) return;
+    reason = prompt("Reason for the refund", reason || "");
+    if (reason === null) return;
+
+    const post = await adminFetch(`${API.documents}/${id}/refund`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({amount: amount.trim(), reason})
+    });
+    const result = await post.json();
+    alert(result.message || result.error || "Failed to request the refund");
+  } catch (err) {
+    console.error("refundAppointment error:", err);
+    alert("Network error while requesting the refund");
+  }
+}
+
+async function checkRefund(id) {
+  try {
+    const res = await adminFetch(`${API.refunds}/${id}/check`, {method: "POST"});
+    const data = await res.json();
+    if (!res.ok) return alert(data.error || "Failed to check the refund");
+    alert(`Refund is ${data.status}${data.refund.gateway_message ? `: ${data.refund.gateway_message}` : ""}`);
+    loadReconciliation();
+  } catch (err) {
+    console.error("checkRefund error:", err);
+  }
+}
+
+async function loadReconciliation() {
+  const body = document.getElementById("reconciliationBody");
+  try {
+    const res = await adminFetch(API.reconciliation);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    reconciliation = data;
+    const kind = document.getElementById("reconciliationKind");
+    const chosen = kind.value;
+    kind.innerHTML = html`<option value="">All issues</option>${Object.entries(data.kinds).map(([k, label]) =>
+      html`<option value="${k}">${label} (${data.counts[k]})</option>`)}`;
+    kind.value = chosen;
+    document.getElementById("reconciliationSummary").textContent = data.issues.length
+      ? `${data.issues.length} issue(s). Pending payments and refunds are flagged after ${data.stuckAfterHours} hours; at most ${data.limit} of each kind are listed.`
+      : "Everything adds up.";
+    renderReconciliation();
+  } catch (err) {
+    console.error("loadReconciliation error:", err);
+    body.innerHTML = `<tr><td colspan='8' class='empty-row'>Failed to load reconciliation</td></tr>`;
+  }
+}
+
+function renderReconciliation() {
+  if (!reconciliation) return;
+  const kind = document.getElementById("reconciliationKind").value;
+  const issues = reconciliation.issues.filter(i => !kind || i.kind === kind);
+  document.getElementById("reconciliationBody").innerHTML = issues.length
+    ? html`${issues.map(i => {
+        const a = i.appointment;
+        const paid = i.refund ? `${i.refund.amount.toFixed(2)} refund` : i.payment ? i.payment.amount : "-";
+        return html`<tr>
+          <td>${i.label}</td>
+          <td>${i.order_id || "-"}</td>
+          <td>${a ? `${a.name || "-"} — ${a.date || ""} ${a.slot || ""}${a.deleted ? " (in trash)" : ""}` : "-"}</td>
+          <td>${a ? a.fee ?? "-" : "-"}</td>
+          <td>${paid}</td>
+          <td>${[a && a.payment_status && `booking ${a.payment_status}`, i.payment && `payment ${i.payment.status}`].filter(Boolean).join(" · ") || "-"}</td>
+          <td>${i.since}</td>
+          <td>
+            ${i.refund && can("payments.refund") && html`<button class="action-btn"${on("click", "checkRefund", i.refund.id)}>Check Status</button>`}
+            ${a && html`<button class="action-btn"${on("click", "showHistory", a.id)}>History</button>`}
+          </td>
+        </tr>`;
+      })}`
+    : `<tr><td colspan='8' class='empty-row'>No issues</td></tr>`;
+}
+
+// ------------------------------
+// ANALYTICS
+// ------------------------------
+const charts = {};
+const CHART_COLORS = ["#f8b665", "#e63946", "#2d6a4f", "#3b82f6", "#8b5cf6", "#14b8a6", "#facc15", "#6b7280"];
+
+// Create the chart the first time, then just swap its data
+function drawChart(id, type, labels, datasets, options = {}) {
+  if (!window.Chart) return;
+  if (charts[id]) {
+    charts[id].data.labels = labels;
+    charts[id].data.datasets = datasets;
+    charts[id].update();
+    return;
+  }
+  charts[id] = new Chart(document.getElementById(id), { type, data: { labels, datasets }, options });
+}
+
+async function loadStats() {
+  const from = document.getElementById("statsFrom");
+  const to = document.getElementById("statsTo");
+  try {
+    const stats = await fetchList(API.stats, { from: from.value, to: to.value, interval: document.getElementById("statsInterval").value });
+    // The server picks the default range; show it in the pickers
+    from.value = stats.from;
+    to.value = stats.to;
+
+    if (stats.revenue) {
+      document.getElementById("statsRevenue").textContent = "₹" + stats.revenue.total;
+      drawChart("revenueChart", "bar", stats.revenue.series.map(r => r.period),
+        [{ label: "Revenue (₹)", data: stats.revenue.series.map(r => r.amount), backgroundColor: CHART_COLORS[0] }]);
+    }
+    if (stats.bookings) {
+      const b = stats.bookings;
+      document.getElementById("statsBookings").textContent = b.total;
+      document.getElementById("statsNoShow").textContent = b.noShowRate === null ? "–" : `${b.noShowRate}%`;
+      drawChart("bookingsChart", "line", b.series.map(r => r.period),
+        [{ label: "Bookings", data: b.series.map(r => r.count), borderColor: CHART_COLORS[1], tension: 0.2 }]);
+      drawChart("serviceChart", "doughnut", b.byService.map(r => r.service),
+        [{ data: b.byService.map(r => r.count), backgroundColor: CHART_COLORS }]);
+      const statuses = b.byStatus.filter(r => r.count);
+      drawChart("statusChart", "bar", statuses.map(r => r.status),
+        [{ label: "Bookings", data: statuses.map(r => r.count), backgroundColor: CHART_COLORS[3] }]);
+    }
+    if (stats.patients) {
+      document.getElementById("statsPatients").textContent = `${stats.patients.new} / ${stats.patients.returning}`;
+    }
+    if (stats.ratings) {
+      document.getElementById("statsRating").textContent = stats.ratings.average === null ? "–" : `${stats.ratings.average} ★`;
+      drawChart("ratingChart", "line", stats.ratings.series.map(r => r.period),
+        [{ label: "Average rating", data: stats.ratings.series.map(r => r.average), borderColor: CHART_COLORS[2], tension: 0.2 }],
+        { scales: { y: { min: 1, max: 5 } } });
+    }
+  } catch (err) {
+    console.error("loadStats error:", err);
+    alert(err.message || "Failed to load statistics");
+  }
+}
+
+// ------------------------------
+// SERVICES
+// ------------------------------
+let servicesData = [];
+
+async function loadServices() {
+  try {
+    const res = await adminFetch(API.services);
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    const { categories, services } = await res.json();
+    servicesData = services;
+
+    const categorySelect = document.getElementById("serviceCategory");
+    if (!categorySelect.options.length) {
+      categories.forEach(c => categorySelect.add(new Option(c, c)));
+    }
+
+    const body = document.getElementById("servicesBody");
+    if (!services.length) {
+      body.innerHTML = `<tr><td colspan='7' class='empty-row'>No services yet</td></tr>`;
+      return;
+    }
+    body.innerHTML = html`${services.map(svc => html`<tr>
+      <td>${svc.name}</td>
+      <td>${svc.category}</td>
+      <td>${svc.fee}</td>
+      <td>${svc.duration}</td>
+      <td>${svc.description || "-"}</td>
+      <td><span class="status ${svc.active ? 'done' : 'pending'}">${svc.active ? 'Active' : 'Inactive'}</span></td>
+      <td>
+        <button class="action-btn"${on("click", "editService", svc.id)}>Edit</button>
+        ${svc.active && html`<button class="action-btn"${on("click", "deactivateService", svc.id)}>Deactivate</button>`}
+      </td>
+    </tr>`)}`;
+  } catch (err) {
+    console.error("loadServices error:", err);
+    document.getElementById("servicesBody").innerHTML = `<tr><td colspan='7' class='empty-row'>Failed to load services</td></tr>`;
+  }
+}
+
+function editService(id) {
+  const svc = servicesData.find(s => s.id === id);
+  if (!svc) return;
+  document.getElementById("serviceId").value = svc.id;
+  document.getElementById("serviceName").value = svc.name;
+  document.getElementById("serviceCategory").value = svc.category;
+  document.getElementById("serviceFee").value = svc.fee;
+  document.getElementById("serviceDuration").value = svc.duration;
+  document.getElementById("serviceDescription").value = svc.description || "";
+  document.getElementById("serviceActive").checked = svc.active;
+  document.getElementById("serviceSubmitBtn").textContent = "Save Service";
+}
+
+function resetServiceForm() {
+  document.getElementById("serviceForm").reset();
+  document.getElementById("serviceId").value = "";
+  document.getElementById("serviceSubmitBtn").textContent = "Add Service";
+}
+
+async function saveService(e) {
+  e.preventDefault();
+  const id = document.getElementById("serviceId").value;
+  const payload = {
+    name: document.getElementById("serviceName").value.trim(),
+    category: document.getElementById("serviceCategory").value,
+    fee: Number(document.getElementById("serviceFee").value),
+    duration: Number(document.getElementById("serviceDuration").value),
+    description: document.getElementById("serviceDescription").value.trim(),
+    active: document.getElementById("serviceActive").checked
+  };
+
+  try {
+    const res = await adminFetch(id ? `${API.services}/${id}` : API.services, {
+      method: id ? "PUT" : "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(payload)
+    });
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Failed to save service");
+      return;
+    }
+    resetServiceForm();
+    await loadServices();
+  } catch (err) {
+    console.error("saveService error:", err);
+    alert("Network error while saving service");
+  }
+}
+
+async function deactivateService(id) {
+  if (!confirm("Deactivate this service? It will no longer be bookable.")) return;
+  try {
+    const res = await adminFetch(`${API.services}/${id}`, {method:"DELETE"});
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    await loadServices();
+  } catch (err) {
+    console.error("deactivateService error:", err);
+    alert("Failed to deactivate service");
+  }
+}
+
+// ------------------------------
+// USERS (owner only)
+// ------------------------------
+async function loadUsers() {
+  try {
+    const res = await adminFetch(API.users);
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    const { roles, users } = await res.json();
+
+    const roleSelect = document.getElementById("inviteRole");
+    if (!roleSelect.options.length) roles.forEach(r => roleSelect.add(new Option(r, r)));
+
+    const roleOptions = (selected) => roles.map(r => html`<option value="${r}" ${r === selected && "selected"}>${r}</option>`);
+    document.getElementById("usersBody").innerHTML = html`${users.map(u => {
+      const state = !u.active ? "Disabled" : u.hasPassword ? "Active" : u.invitePending ? "Invited" : "No password";
+      return html`<tr>
+        <td>${u.username}</td>
+        <td>${u.name || "-"}</td>
+        <td><select${on("change", "changeUserRole", u.id, "$value")}>${roleOptions(u.role)}</select></td>
+        <td><span class="status ${u.active && u.hasPassword ? 'done' : 'pending'}">${state}</span>${u.twoFactor && " · 2FA"}</td>
+        <td>${u.lastLoginAt ? new Date(u.lastLoginAt).toLocaleString() : "-"}</td>
+        <td>
+          <button class="action-btn"${on("click", "updateUser", u.id, {active: !u.active})}>${u.active ? "Disable" : "Enable"}</button>
+          <button class="action-btn"${on("click", "resetUser", u.id)}>Reset Password</button>
+        </td>
+      </tr>`;
+    })}`;
+  } catch (err) {
+    console.error("loadUsers error:", err);
+    document.getElementById("usersBody").innerHTML = `<tr><td colspan='6' class='empty-row'>Failed to load users</td></tr>`;
+  }
+}
+
+function showInviteLink(message, link) {
+  document.getElementById("inviteLink").textContent = `${message} ${window.location.origin}${link}`;
+}
+
+async function inviteUser(e) {
+  e.preventDefault();
+  try {
+    const res = await adminFetch(API.users, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({
+        username: document.getElementById("inviteUsername").value.trim(),
+        name: document.getElementById("inviteName").value.trim(),
+        email: document.getElementById("inviteEmail").value.trim(),
+        role: document.getElementById("inviteRole").value
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Failed to invite user");
+      return;
+    }
+    document.getElementById("inviteForm").reset();
+    showInviteLink(`Send this link to ${data.data.username} to set their password:`, data.link);
+    await loadUsers();
+  } catch (err) {
+    console.error("inviteUser error:", err);
+    alert("Network error while inviting user");
+  }
+}
+
+async function updateUser(id, changes) {
+  try {
+    const res = await adminFetch(`${API.users}/${id}`, {
+      method: "PATCH",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(changes)
+    });
+    const data = await res.json();
+    if (!res.ok) alert(data.error || "Failed to update user");
+    await loadUsers();
+  } catch (err) {
+    console.error("updateUser error:", err);
+    alert("Network error while updating user");
+  }
+}
+
+function changeUserRole(id, role) {
+  return updateUser(id, {role});
+}
+
+async function resetUser(id) {
+  if (!confirm("Reset this user's password? Their current password will stop working.")) return;
+  try {
+    const res = await adminFetch(`${API.users}/${id}/reset`, {method:"POST"});
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Failed to reset password");
+      return;
+    }
+    showInviteLink("Send this password reset link to the user:", data.link);
+    await loadUsers();
+  } catch (err) {
+    console.error("resetUser error:", err);
+    alert("Network error while resetting password");
+  }
+}
+
+// ------------------------------
+// MY ACCOUNT (two-factor authentication)
+// ------------------------------
+async function loadAccount() {
+  await loadCurrentAdmin();
+  const enabled = Boolean(currentAdmin?.twoFactor);
+  document.getElementById("twoFactorStatus").textContent = enabled
+    ? `Two-factor authentication is on. ${currentAdmin.recoveryCodesLeft} recovery code(s) left.`
+    : "Two-factor authentication is off: signing in only needs your password.";
+  document.getElementById("twoFactorOff").style.display = enabled ? "none" : "";
+  document.getElementById("twoFactorOn").style.display = enabled ? "" : "none";
+  document.getElementById("twoFactorSetup").style.display = "none";
+  document.getElementById("twoFactorPassword").value = "";
+}
+
+// POST to one of the /api/admin/2fa endpoints; returns the response data, or null after telling the user why not
+async function twoFactorRequest(path, body = {}) {
+  try {
+    const res = await adminFetch(`${API.twoFactor}/${path}`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (res.ok) return data;
+    alert(data.error || "Something went wrong");
+  } catch (err) {
+    console.error("twoFactorRequest error:", err);
+    alert("Network error");
+  }
+  return null;
+}
+
+function showRecoveryCodes(codes) {
+  document.getElementById("recoveryCodes").textContent = codes.join("\n");
+  document.getElementById("recoveryCodesBlock").style.display = codes.length ? "" : "none";
+}
+
+async function startTwoFactorSetup() {
+  const data = await twoFactorRequest("setup");
+  if (!data) return;
+  document.getElementById("twoFactorQr").src = data.qr;
+  document.getElementById("twoFactorSecret").textContent = data.secret.match(/.{1,4}/g).join(" ");
+  document.getElementById("twoFactorSetup").style.display = "";
+  document.getElementById("twoFactorCode").focus();
+}
+
+async function enableTwoFactor(e) {
+  e.preventDefault();
+  const data = await twoFactorRequest("enable", {code: document.getElementById("twoFactorCode").value.trim()});
+  if (!data) return;
+  document.getElementById("twoFactorCode").value = "";
+  showRecoveryCodes(data.recoveryCodes);
+  await loadAccount();
+}
+
+async function disableTwoFactor() {
+  if (!confirm("Turn off two-factor authentication? Signing in will only need your password.")) return;
+  const data = await twoFactorRequest("disable", {password: document.getElementById("twoFactorPassword").value});
+  if (!data) return;
+  showRecoveryCodes([]);
+  await loadAccount();
+}
+
+async function newRecoveryCodes() {
+  if (!confirm("Create new recovery codes? The old ones stop working.")) return;
+  const data = await twoFactorRequest("recovery-codes", {password: document.getElementById("twoFactorPassword").value});
+  if (!data) return;
+  showRecoveryCodes(data.recoveryCodes);
+  await loadAccount();
+}
+
+// ------------------------------
+// ACTIVITY (audit log)
+// ------------------------------
+const ACTIVITY_PAGE_SIZE = 50;
+let activityPage = 1;
+
+function formatChanges(entry) {
+  if (entry.changes && Object.keys(entry.changes).length) {
+    return raw(Object.entries(entry.changes)
+      .map(([field, c]) => escapeHtml(`${field}: ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`))
+      .join("<br>"));
+  }
+  if (entry.meta) return Object.entries(entry.meta).map(([k, v]) => `${k}: ${v}`).join(", ");
+  return "-";
+}
+
+function changeActivityPage(delta) {
+  return loadActivity(activityPage + delta);
+}
+
+async function loadActivity(page) {
+  if (page < 1) return;
+  const params = new URLSearchParams({ page, limit: ACTIVITY_PAGE_SIZE });
+  const filters = {
+    actor: document.getElementById("auditActor").value.trim(),
+    action: document.getElementById("auditAction").value,
+    collection: document.getElementById("auditCollection").value,
+    from: document.getElementById("auditFrom").value,
+    to: document.getElementById("auditTo").value
+  };
+  Object.entries(filters).forEach(([k, v]) => { if (v) params.set(k, v); });
+
+  try {
+    const res = await adminFetch(`${API.audit}?${params}`);
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    const data = await res.json();
+    activityPage = data.page;
+
+    const actionSelect = document.getElementById("auditAction");
+    const selected = actionSelect.value;
+    actionSelect.innerHTML = html`<option value="">All actions</option>${data.actions.map(a => html`<option value="${a}">${a}</option>`)}`;
+    actionSelect.value = selected;
+
+    const body = document.getElementById("activityBody");
+    body.innerHTML = data.entries.length
+      ? html`${data.entries.map(e => html`<tr>
+          <td>${e.timestamp}</td>
+          <td>${e.actor?.username || "-"}${e.actor?.role && ` (${e.actor.role})`}</td>
+          <td>${e.action}</td>
+          <td>${e.collectionName || "-"}${e.targetId && ` #${e.targetId}`}</td>
+          <td>${formatChanges(e)}</td>
+          <td>${e.ip || "-"}</td>
+        </tr>`)}`
+      : `<tr><td colspan='6' class='empty-row'>No activity found</td></tr>`;
+
+    const pages = Math.max(1, Math.ceil(data.total / data.limit));
+    document.getElementById("activityPageInfo").textContent = `Page ${data.page} of ${pages} (${data.total} entries)`;
+    document.getElementById("activityPrev").disabled = data.page <= 1;
+    document.getElementById("activityNext").disabled = data.page >= pages;
+  } catch (err) {
+    console.error("loadActivity error:", err);
+    document.getElementById("activityBody").innerHTML = `<tr><td colspan='6' class='empty-row'>Failed to load activity</td></tr>`;
+  }
+}
+
+// ------------------------------
+// PATIENTS (profiles, duplicates, detail)
+// ------------------------------
+let currentPatient = null;
+
+async function loadPatients(page = 1) {
+  if (page < 1) return;
+  const body = document.getElementById("patientsBody");
+  try {
+    const data = await fetchList(API.patients, {page, q: document.getElementById("patientSearch").value.trim(), sort: "name", order: "asc"});
+    body.innerHTML = data.items.length
+      ? html`${data.items.map(p => html`<tr>
+          <td>${p.name || "-"}</td>
+          <td>${p.phones.join(", ") || "-"}</td>
+          <td>${p.emails.join(", ") || "-"}</td>
+          <td>${new Date(p.timestamp).toLocaleDateString()}</td>
+          <td><button class="action-btn"${on("click", "openPatient", p.id)}>Open</button></td>
+        </tr>`)}`
+      : `<tr><td colspan='5' class='empty-row'>No patients found</td></tr>`;
+    renderPager("patientsPager", data, loadPatients);
+  } catch (err) {
+    console.error("loadPatients error:", err);
+    body.innerHTML = `<tr><td colspan='5' class='empty-row'>Failed to load patients</td></tr>`;
+  }
+}
+
+// Same-name groups, each with a merge form: pick the profile to keep, tick the duplicates.
+// Roles without patients.manage just see the groups.
+async function loadDuplicatePatients() {
+  const box = document.getElementById("duplicatePatients");
+  try {
+    const res = await adminFetch(`${API.patients}/duplicates`);
+    const groups = await res.json();
+    if (!groups.length) {
+      box.innerHTML = "<p>No likely duplicates found.</p>";
+      return;
+    }
+    const canMerge = can("patients.manage");
+    box.innerHTML = html`${groups.map((g, i) => html`<div class="card" style="margin-bottom:10px;text-align:left;">
+        <strong>${g.name}</strong>
+        ${g.patients.map((p, j) => html`<div>
+          ${canMerge && html`<label><input type="radio" name="keep${i}" value="${p.id}" ${j === 0 && "checked"}> keep</label>
+          <label><input type="checkbox" class="merge${i}" value="${p.id}" ${j !== 0 && "checked"}> merge</label>`}
+          ${p.phones.join(", ") || "-"} · ${p.emails.join(", ") || "-"} · since ${new Date(p.timestamp).toLocaleDateString()}
+          <button class="action-btn"${on("click", "openPatient", p.id)}>Open</button>
+        </div>`)}
+        ${canMerge && html`<button class="action-btn"${on("click", "mergeGroup", i)}>Merge</button>`}
+      </div>`)}`;
+  } catch (err) {
+    console.error("loadDuplicatePatients error:", err);
+  }
+}
+
+async function mergeGroup(i) {
+  const targetId = document.querySelector(`input[name="keep${i}"]:checked`)?.value;
+  const sourceIds = Array.from(document.querySelectorAll(`.merge${i}:checked`)).map(c => c.value).filter(id => id !== targetId);
+  if (!targetId || !sourceIds.length) return alert("Choose a profile to keep and at least one to merge");
+  if (!confirm(`Merge ${sourceIds.length} profile(s)? Visits, feedback and notes move to the kept profile.`)) return;
+  try {
+    const res = await adminFetch(`${API.patients}/merge`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({targetId, sourceIds})
+    });
+    const data = await res.json();
+    alert(data.message || data.error);
+    loadDuplicatePatients();
+    loadPatients(1);
+  } catch (err) {
+    console.error("mergeGroup error:", err);
+  }
+}
+
+async function openPatient(id) {
+  try {
+    const res = await adminFetch(`${API.patients}/${id}`);
+    const data = await res.json();
+    if (!res.ok) return alert(data.error || "Failed to load patient");
+    currentPatient = data.patient;
+    showSection("patientDetail");
+    document.querySelector(".header h1").textContent = "Patient";
+
+    const p = data.patient;
+    document.getElementById("patientName").textContent = p.name || "Patient";
+    document.getElementById("patientContacts").textContent = `Phone: ${p.phones.join(", ") || "-"} · Email: ${p.emails.join(", ") || "-"}`;
+
+    const notesByVisit = {};
+    (p.notes || []).forEach(n => { if (n.appointmentId) (notesByVisit[n.appointmentId] ||= []).push(n); });
+    document.getElementById("patientVisits").innerHTML = data.appointments.length
+      ? html`${data.appointments.map(a => html`<tr>
+          <td>${a.date || "-"}</td>
+          <td>${a.slot || "-"}</td>
+          <td>${a.bookingType || "-"}</td>
+          <td>${a.fee ?? "-"}</td>
+          <td>${statusBadge(a.status)}</td>
+          <td>${a.payment_status || "at clinic"}</td>
+          <td>${(notesByVisit[a.id] || []).length} ${documentButtons(a)}</td>
+        </tr>`)}`
+      : `<tr><td colspan='7' class='empty-row'>No visits</td></tr>`;
+
+    document.getElementById("patientNotesBlock").style.display = data.canSeeNotes ? "" : "none";
+    if (data.canSeeNotes) {
+      document.getElementById("noteAppointment").innerHTML = html`<option value="">General note</option>${
+        data.appointments.map(a => html`<option value="${a.id}">${a.date} ${a.slot || ""} — ${a.bookingType || "Visit"}</option>`)}`;
+      const visitLabel = Object.fromEntries(data.appointments.map(a => [a.id, `${a.date} ${a.slot || ""}`]));
+      const notes = document.getElementById("patientNotes");
+      notes.innerHTML = "";
+      p.notes.slice().reverse().forEach(n => {
+        const li = document.createElement("li");
+        li.textContent = `${new Date(n.at).toLocaleString()} — ${n.by}${n.appointmentId ? ` (visit ${visitLabel[n.appointmentId] || n.appointmentId})` : ""}: ${n.text}`;
+        notes.appendChild(li);
+      });
+    }
+
+    document.getElementById("patientPayments").innerHTML = data.payments.length
+      ? html`${data.payments.map(r => html`<tr>
+          <td>${r.timestamp}</td>
+          <td>${r.order_id || "-"}</td>
+          <td>${r.txn_id || "-"}</td>
+          <td>${r.amount || "-"}</td>
+          <td><span class="status ${r.status==='success'?'done':'pending'}">${r.status}</span></td>
+        </tr>`)}`
+      : `<tr><td colspan='5' class='empty-row'>No payments</td></tr>`;
+
+    document.getElementById("patientFeedback").innerHTML = data.feedback.length
+      ? html`${data.feedback.map(f => html`<tr><td>${f.timestamp}</td><td>${f.rating ?? "-"}</td><td>${f.message || "-"}</td></tr>`)}`
+      : `<tr><td colspan='3' class='empty-row'>No feedback</td></tr>`;
+  } catch (err) {
+    console.error("openPatient error:", err);
+  }
+}
+
+async function editPatient() {
+  if (!currentPatient) return;
+  const name = prompt("Name", currentPatient.name || "");
+  if (name === null) return;
+  const phones = prompt("Phone numbers (comma separated)", currentPatient.phones.join(", "));
+  if (phones === null) return;
+  const emails = prompt("Emails (comma separated)", currentPatient.emails.join(", "));
+  if (emails === null) return;
+  const split = (v) => v.split(",").map(x => x.trim()).filter(Boolean);
+  try {
+    const res = await adminFetch(`${API.patients}/${currentPatient.id}`, {
+      method: "PATCH",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({name, phones: split(phones), emails: split(emails)})
+    });
+    const data = await res.json();
+    if (!res.ok) return alert(data.error || "Failed to update patient");
+    openPatient(currentPatient.id);
+  } catch (err) {
+    console.error("editPatient error:", err);
+  }
+}
+
+async function addPatientNote(e) {
+  e.preventDefault();
+  try {
+    const res = await adminFetch(`${API.patients}/${currentPatient.id}/notes`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({text: document.getElementById("noteText").value, appointmentId: document.getElementById("noteAppointment").value})
+    });
+    const data = await res.json();
+    if (!res.ok) return alert(data.error || "Failed to save note");
+    document.getElementById("noteText").value = "";
+    openPatient(currentPatient.id);
+  } catch (err) {
+    console.error("addPatientNote error:", err);
+  }
+}
+
+// ------------------------------
+// RECEIPTS & PRESCRIPTIONS (PDF)
+// ------------------------------
+let prescriptionAppointmentId = null;
+
+// Paid online, or a completed visit paid at the clinic
+const isReceiptable = (a) => a.payment_status === "paid" || (!a.payment_status && displayStatus(a.status) === "completed");
+
+function documentButtons(a) {
+  const receipt = can("payments.view") && isReceiptable(a);
+  return html`
+    ${receipt && html`<a class="action-btn" href="${API.documents}/${encodeURIComponent(a.id)}/receipt.pdf" target="_blank">Receipt</a>`}
+    ${receipt && a.email && html`<button class="action-btn"${on("click", "sendDocument", a.id, "receipt")}>Email Receipt</button>`}
+    ${can("prescriptions.manage") && html`<button class="action-btn"${on("click", "openPrescription", a.id)}>Prescription</button>`}`;
+}
+
+// Remove buttons in editable tables (medicines, breaks, holidays)
+function removeRow(button) {
+  button.closest("tr").remove();
+}
+
+function addMedicineRow(m = {}) {
+  const row = document.createElement("tr");
+  row.innerHTML = html`${["name", "dosage", "frequency", "duration", "instructions"]
+    .map(f => html`<td><input type="text" class="${f}"></td>`)}<td><button type="button" class="action-btn"${on("click", "removeRow", "$el")}>Remove</button></td>`;
+  ["name", "dosage", "frequency", "duration", "instructions"].forEach(f => { row.querySelector(`.${f}`).value = m[f] || ""; });
+  document.getElementById("medicinesBody").appendChild(row);
+}
+
+async function openPrescription(id) {
+  try {
+    const res = await adminFetch(`${API.documents}/${id}/prescription`);
+    const data = await res.json();
+    if (!res.ok) return alert(data.error || "Failed to load prescription");
+    prescriptionAppointmentId = id;
+    showSection("prescription");
+
+    const a = data.appointment;
+    const rx = data.prescription || {medicines: []};
+    document.getElementById("prescriptionTitle").textContent = `Prescription — ${a.name || "Patient"}, ${a.date || ""} ${a.slot || ""}`;
+    document.getElementById("medicinesBody").innerHTML = "";
+    rx.medicines.forEach(addMedicineRow);
+    if (!rx.medicines.length) addMedicineRow();
+    document.getElementById("rxDiet").value = rx.diet || "";
+    document.getElementById("rxLifestyle").value = rx.lifestyle || "";
+    document.getElementById("rxFollowUp").value = rx.followUp || "";
+  } catch (err) {
+    console.error("openPrescription error:", err);
+  }
+}
+
+async function savePrescription(e) {
+  if (e) e.preventDefault();
+  const medicines = Array.from(document.querySelectorAll("#medicinesBody tr")).map(r => ({
+    name: r.querySelector(".name").value.trim(),
+    dosage: r.querySelector(".dosage").value.trim(),
+    frequency: r.querySelector(".frequency").value.trim(),
+    duration: r.querySelector(".duration").value.trim(),
+    instructions: r.querySelector(".instructions").value.trim()
+  })).filter(m => m.name);
+  try {
+    const res = await adminFetch(`${API.documents}/${prescriptionAppointmentId}/prescription`, {
+      method: "PUT",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({
+        medicines,
+        diet: document.getElementById("rxDiet").value,
+        lifestyle: document.getElementById("rxLifestyle").value,
+        followUp: document.getElementById("rxFollowUp").value
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Failed to save prescription");
+      return false;
+    }
+    if (e) alert(data.message);
+    return true;
+  } catch (err) {
+    console.error("savePrescription error:", err);
+    return false;
+  }
+}
+
+// Save first so the PDF matches what's on screen
+async function downloadPrescription() {
+  if (await savePrescription()) window.open(`${API.documents}/${prescriptionAppointmentId}/prescription.pdf`, "_blank");
+}
+
+function sendPrescription() {
+  return sendDocument(prescriptionAppointmentId, "prescription");
+}
+
+async function sendDocument(id, documentType) {
+  if (documentType === "prescription" && !(await savePrescription())) return;
+  try {
+    const res = await adminFetch(`${API.documents}/${id}/send-document`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({document: documentType})
+    });
+    const data = await res.json();
+    alert(data.message || data.error);
+  } catch (err) {
+    console.error("sendDocument error:", err);
+  }
+}
+
+// ------------------------------
+// BLOG (posts + editor)
+// ------------------------------
+async function loadPosts(page = 1) {
+  if (page < 1) return;
+  const body = document.getElementById("postsBody");
+  try {
+    const data = await fetchList(API.posts, {
+      page,
+      q: document.getElementById("postSearch").value.trim(),
+      status: document.getElementById("postStatusFilter").value
+    });
+    body.innerHTML = data.items.length
+      ? html`${data.items.map(p => html`<tr>
+          <td>${p.title}<br><small>/blog/${p.slug}</small></td>
+          <td><span class="status ${p.status === 'published' ? 'done' : 'pending'}">${p.status}</span></td>
+          <td>${p.publishAt ? new Date(p.publishAt).toLocaleString() : "-"}</td>
+          <td>${p.tags.join(", ") || "-"}</td>
+          <td>${new Date(p.updatedAt).toLocaleString()}</td>
+          <td>
+            <button class="action-btn"${on("click", "editPost", p.id)}>Edit</button>
+            ${p.status !== "draft" && html`<a class="action-btn" href="/blog/${encodeURIComponent(p.slug)}" target="_blank">View</a>`}
+            <button class="action-btn"${on("click", "deletePost", p.id)}>Delete</button>
+          </td>
+        </tr>`)}`
+      : `<tr><td colspan='6' class='empty-row'>No posts yet</td></tr>`;
+    renderPager("postsPager", data, loadPosts);
+  } catch (err) {
+    console.error("loadPosts error:", err);
+    body.innerHTML = `<tr><td colspan='6' class='empty-row'>Failed to load posts</td></tr>`;
+  }
+}
+
+// Value for a datetime-local input, in the browser's timezone
+function toLocalInput(date) {
+  if (!date) return "";
+  const d = new Date(date);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
+
+async function editPost(id) {
+  let post = {status: "draft", tags: []};
+  if (id) {
+    const res = await adminFetch(`${API.posts}/${id}`);
+    post = await res.json();
+    if (!res.ok) return alert(post.error || "Failed to load post");
+  }
+  document.getElementById("postFormTitle").textContent = id ? `Edit: ${post.title}` : "New Post";
+  document.getElementById("postId").value = id || "";
+  document.getElementById("postTitle").value = post.title || "";
+  document.getElementById("postSlug").value = post.slug || "";
+  document.getElementById("postStatus").value = post.status;
+  document.getElementById("postPublishAt").value = toLocalInput(post.publishAt);
+  togglePublishAt(post.status);
+  document.getElementById("postTags").value = post.tags.join(", ");
+  document.getElementById("postExcerpt").value = post.excerpt || "";
+  document.getElementById("postCover").value = post.coverImage || "";
+  document.getElementById("postBody").value = post.body || "";
+  document.getElementById("postPreview").style.display = "none";
+  document.getElementById("postForm").style.display = "";
+  document.getElementById("postTitle").focus();
+}
+
+// The publish date only applies to scheduled posts
+function togglePublishAt(status) {
+  document.getElementById("postPublishAt").style.display = status === "scheduled" ? "" : "none";
+}
+
+function closePostForm() {
+  document.getElementById("postForm").style.display = "none";
+}
+
+async function savePost(e) {
+  e.preventDefault();
+  const id = document.getElementById("postId").value;
+  const publishAt = document.getElementById("postPublishAt").value;
+  const payload = {
+    title: document.getElementById("postTitle").value,
+    slug: document.getElementById("postSlug").value,
+    status: document.getElementById("postStatus").value,
+    publishAt: publishAt ? new Date(publishAt).toISOString() : null,
+    tags: document.getElementById("postTags").value,
+    excerpt: document.getElementById("postExcerpt").value,
+    coverImage: document.getElementById("postCover").value,
+    body: document.getElementById("postBody").value
+  };
+  try {
+    const res = await adminFetch(id ? `${API.posts}/${id}` : API.posts, {
+      method: id ? "PUT" : "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (!res.ok) return alert(data.error || "Failed to save post");
+    document.getElementById("postId").value = data.data.id;
+    document.getElementById("postSlug").value = data.data.slug;
+    alert(data.message);
+    loadPosts();
+  } catch (err) {
+    console.error("savePost error:", err);
+    alert("Network error while saving post");
+  }
+}
+
+async function previewPost() {
+  const box = document.getElementById("postPreview");
+  try {
+    const res = await adminFetch(`${API.posts}/preview`, {
+      method: "POST",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({body: document.getElementById("postBody").value})
+    });
+    const data = await res.json();
+    // Rendered and sanitized on the server, the same HTML the article page will show
+    box.innerHTML = data.html ? raw(data.html) : html`<p>Nothing to preview</p>`;
+    box.style.display = "";
+  } catch (err) {
+    console.error("previewPost error:", err);
+  }
+}
+
+async function deletePost(id) {
+  if (!confirm("Delete this post? This cannot be undone.")) return;
+  try {
+    const res = await adminFetch(`${API.posts}/${id}`, {method: "DELETE"});
+    const data = await res.json();
+    alert(data.message || data.error);
+    loadPosts();
+  } catch (err) {
+    console.error("deletePost error:", err);
+  }
+}
+
+// Upload an image, then use it as the cover or insert Markdown for it at the cursor
+async function uploadPostImage(input, target) {
+  const file = input.files[0];
+  input.value = "";
+  if (!file) return;
+  try {
+    const res = await adminFetch(API.media, {
+      method: "POST",
+      headers: {"Content-Type": file.type, "X-Filename": encodeURIComponent(file.name)},
+      body: file
+    });
+    const data = await res.json();
+    if (!res.ok) return alert(data.error || "Upload failed");
+    if (target === "cover") {
+      document.getElementById("postCover").value = data.url;
+      return;
+    }
+    const area = document.getElementById("postBody");
+    const snippet = `![${file.name.replace(/\.[^.]+$/, "")}](${data.url})`;
+    area.setRangeText(snippet, area.selectionStart, area.selectionEnd, "end");
+    area.focus();
+  } catch (err) {
+    console.error("uploadPostImage error:", err);
+    alert("Network error while uploading");
+  }
+}
+
+// ------------------------------
+// REMINDERS (background job queue)
+// ------------------------------
+async function loadJobs(page = 1) {
+  if (page < 1) return;
+  const body = document.getElementById("jobsBody");
+  try {
+    const [data, counts] = await Promise.all([
+      fetchList(API.jobs, {page, status: document.getElementById("jobStatusFilter").value, sort: "runAt", order: "asc"}),
+      adminFetch(`${API.jobs}/counts`).then(r => r.json())
+    ]);
+    document.getElementById("jobCounts").textContent = ["pending", "running", "sent", "failed", "cancelled"]
+      .map(s => `${s.charAt(0).toUpperCase() + s.slice(1)}: ${counts[s] || 0}`).join(" · ");
+
+    body.innerHTML = data.items.length
+      ? html`${data.items.map(j => html`<tr>
+          <td>${new Date(j.runAt).toLocaleString()}</td>
+          <td>${j.payload.patient || j.payload.appointmentId || "-"}</td>
+          <td>${j.payload.hoursBefore ? `${j.payload.hoursBefore}h before` : j.type}</td>
+          <td>${j.payload.channel || "-"}</td>
+          <td><span class="status ${j.status==='sent'?'done':'pending'}">${j.status}</span></td>
+          <td>${j.attempts}/${j.maxAttempts}</td>
+          <td>${j.lastError || j.result || "-"}</td>
+          <td>
+            ${["failed", "cancelled"].includes(j.status) && html`<button class="action-btn"${on("click", "jobAction", j.id, "retry")}>Retry</button>`}
+            ${j.status === "pending" && html`<button class="action-btn"${on("click", "jobAction", j.id, "cancel")}>Cancel</button>`}
+          </td>
+        </tr>`)}`
+      : `<tr><td colspan='8' class='empty-row'>No jobs found</td></tr>`;
+    renderPager("jobsPager", data, loadJobs);
+  } catch (err) {
+    console.error("loadJobs error:", err);
+    body.innerHTML = `<tr><td colspan='8' class='empty-row'>Failed to load jobs</td></tr>`;
   }
-
-  headerEl.innerHTML = `<tr>${Object.keys(data[0]).map(k=>`<th>${k}</th>`).join("")}</tr>`;
-  bodyEl.innerHTML = data.map(r=>{
-    const statusClass = r.status==='success'?"status done":r.status==='failure'?"status pending":""; 
-    return `<tr class="${statusClass}">${Object.values(r).map(v=>`<td>${v}</td>`).join("")}</tr>`;
-  }).join("");
 }
 
 // ------------------------------
-// AUTO-REFRESH
-// ------------------------------
+// BLOCKED SUBMISSIONS (spam log)
+// ------------------------------
+const BLOCK_REASONS = {
+  honeypot: "Hidden field filled",
+  "missing-token": "No / expired form token",
+  "too-fast": "Sent too fast",
+  "rate-ip": "Too many from IP",
+  "rate-phone": "Too many for phone",
+  duplicate: "Duplicate"
+};
+
+async function loadBlocked(page = 1) {
+  if (page < 1) return;
+  const body = document.getElementById("blockedBody");
+  try {
+    const [data, counts] = await Promise.all([
+      fetchList(API.blocked, {page, form: document.getElementById("blockedForm").value, reason: document.getElementById("blockedReason").value}),
+      adminFetch(`${API.blocked}/counts`).then(r => r.json())
+    ]);
+    document.getElementById("blockedCounts").textContent = "Last 24 hours: " + Object.keys(BLOCK_REASONS)
+      .map(r => `${BLOCK_REASONS[r]}: ${counts[r] || 0}`).join(" · ");
+
+    body.innerHTML = data.items.length
+      ? html`${data.items.map(b => html`<tr>
+          <td>${new Date(b.timestamp).toLocaleString()}</td>
+          <td>${b.form}</td>
+          <td>${BLOCK_REASONS[b.reason] || b.reason}</td>
+          <td>${b.ip || "-"}</td>
+          <td>${[b.name, b.phone, b.email].filter(Boolean).join(" · ") || "-"}</td>
+          <td>${b.message || "-"}</td>
+          <td title="${b.userAgent || ""}">${(b.fields || []).join(", ") || "-"}</td>
+        </tr>`)}`
+      : `<tr><td colspan='7' class='empty-row'>Nothing blocked</td></tr>`;
+    renderPager("blockedPager", data, loadBlocked);
+  } catch (err) {
+    console.error("loadBlocked error:", err);
+    body.innerHTML = `<tr><td colspan='7' class='empty-row'>Failed to load blocked submissions</td></tr>`;
+  }
+}
+
+async function jobAction(id, action) {
+  try {
+    const res = await adminFetch(`${API.jobs}/${id}/${action}`, {method: "POST"});
+    const data = await res.json();
+    if (!res.ok) alert(data.error || `Failed to ${action} job`);
+    loadJobs();
+  } catch (err) {
+    console.error("jobAction error:", err);
+  }
+}
+
+// ------------------------------
+// NOTIFICATIONS (email templates + delivery log)
+// ------------------------------
+let notificationTemplates = [];
+
+async function loadTemplates() {
+  try {
+    const res = await adminFetch(API.notificationTemplates);
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    notificationTemplates = await res.json();
+    const select = document.getElementById("templateKey");
+    const selected = select.value;
+    select.innerHTML = html`${notificationTemplates.map(t => html`<option value="${t.key}">${t.label}${t.customized && " (edited)"}</option>`)}`;
+    if (selected) select.value = selected;
+    showTemplate();
+  } catch (err) {
+    console.error("loadTemplates error:", err);
+  }
+}
+
+function showTemplate() {
+  const t = notificationTemplates.find(x => x.key === document.getElementById("templateKey").value);
+  if (!t) return;
+  document.getElementById("templateSubject").value = t.subject;
+  document.getElementById("templateBody").value = t.body;
+  document.getElementById("templateEnabled").checked = t.enabled;
+}
+
+async function saveTemplate(e) {
+  e.preventDefault();
+  const key = document.getElementById("templateKey").value;
+  try {
+    const res = await adminFetch(`${API.notificationTemplates}/${key}`, {
+      method: "PUT",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({
+        subject: document.getElementById("templateSubject").value,
+        body: document.getElementById("templateBody").value,
+        enabled: document.getElementById("templateEnabled").checked
+      })
+    });
+    const data = await res.json();
+    alert(data.message || data.error);
+    if (res.ok) loadTemplates();
+  } catch (err) {
+    console.error("saveTemplate error:", err);
+    alert("Network error while saving template");
+  }
+}
+
+async function resetTemplate() {
+  const key = document.getElementById("templateKey").value;
+  if (!confirm("Discard your edits and use the default wording?")) return;
+  try {
+    const res = await adminFetch(`${API.notificationTemplates}/${key}`, {method: "DELETE"});
+    const data = await res.json();
+    alert(data.message || data.error);
+    loadTemplates();
+  } catch (err) {
+    console.error("resetTemplate error:", err);
+  }
+}
+
+async function loadNotificationLog(page = 1) {
+  if (page < 1) return;
+  const body = document.getElementById("notificationLogBody");
+  try {
+    const data = await fetchList(API.notificationLog, {
+      page,
+      q: document.getElementById("notificationSearch").value.trim(),
+      status: document.getElementById("notificationStatus").value
+    });
+    body.innerHTML = data.items.length
+      ? html`${data.items.map(n => html`<tr>
+          <td>${new Date(n.timestamp).toLocaleString()}</td>
+          <td>${n.template}</td>
+          <td>${n.to}</td>
+          <td>${n.subject}</td>
+          <td>${n.status}${n.error && html`<br><small>${n.error}</small>`}</td>
+          <td>${n.attempts}</td>
+          <td>${n.status !== "sent" && html`<button class="action-btn"${on("click", "retryNotification", n.id)}>Retry</button>`}</td>
+        </tr>`)}`
+      : `<tr><td colspan='7' class='empty-row'>No messages yet</td></tr>`;
+    renderPager("notificationPager", data, loadNotificationLog);
+  } catch (err) {
+    console.error("loadNotificationLog error:", err);
+    body.innerHTML = `<tr><td colspan='7' class='empty-row'>Failed to load delivery log</td></tr>`;
+  }
+}
+
+async function retryNotification(id) {
+  try {
+    const res = await adminFetch(`${API.notificationLog}/${id}/retry`, {method: "POST"});
+    const data = await res.json();
+    alert(data.message || data.error);
+    loadNotificationLog();
+  } catch (err) {
+    console.error("retryNotification error:", err);
+  }
+}
+
+// ------------------------------
+// SCHEDULE (working hours, breaks, holidays)
+// ------------------------------
+const WEEKDAYS = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
+
+async function loadSchedule() {
+  try {
+    const res = await adminFetch(API.schedule);
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    const schedule = await res.json();
+
+    document.getElementById("slotMinutes").value = schedule.slotMinutes;
+    document.getElementById("weeklyBody").innerHTML = html`${WEEKDAYS.map((name, day) => {
+      const w = (schedule.weekly || []).find(x => x.day === day) || {closed:true, open:"11:00", close:"20:00"};
+      return html`<tr data-day="${day}">
+        <td>${name}</td>
+        <td><input type="checkbox" class="closed" ${w.closed && "checked"}></td>
+        <td><input type="time" class="open" value="${w.open}"></td>
+        <td><input type="time" class="close" value="${w.close}"></td>
+      </tr>`;
+    })}`;
+
+    document.getElementById("breaksBody").innerHTML = "";
+    (schedule.breaks || []).forEach(addBreakRow);
+    document.getElementById("holidaysBody").innerHTML = "";
+    (schedule.holidays || []).forEach(addHolidayRow);
+  } catch (err) {
+    console.error("loadSchedule error:", err);
+    alert("Failed to load schedule");
+  }
+}
+
+function addBreakRow(b = {}) {
+  const row = document.createElement("tr");
+  row.innerHTML = html`<td><input type="text" class="label" placeholder="Lunch"></td>
+    <td><input type="time" class="start"></td>
+    <td><input type="time" class="end"></td>
+    <td><button class="action-btn"${on("click", "removeRow", "$el")}>Remove</button></td>`;
+  row.querySelector(".label").value = b.label || "";
+  row.querySelector(".start").value = b.start || "";
+  row.querySelector(".end").value = b.end || "";
+  document.getElementById("breaksBody").appendChild(row);
+}
+
+function addHolidayRow(h = {}) {
+  const row = document.createElement("tr");
+  row.innerHTML = html`<td><input type="date" class="date"></td>
+    <td><input type="text" class="note" placeholder="Diwali"></td>
+    <td><button class="action-btn"${on("click", "removeRow", "$el")}>Remove</button></td>`;
+  row.querySelector(".date").value = h.date || "";
+  row.querySelector(".note").value = h.note || "";
+  document.getElementById("holidaysBody").appendChild(row);
+}
+
+async function saveSchedule() {
+  const weekly = Array.from(document.querySelectorAll("#weeklyBody tr")).map(r => ({
+    day: Number(r.dataset.day),
+    closed: r.querySelector(".closed").checked,
+    open: r.querySelector(".open").value,
+    close: r.querySelector(".close").value
+  }));
+  const breaks = Array.from(document.querySelectorAll("#breaksBody tr")).map(r => ({
+    label: r.querySelector(".label").value.trim(),
+    start: r.querySelector(".start").value,
+    end: r.querySelector(".end").value
+  }));
+  const holidays = Array.from(document.querySelectorAll("#holidaysBody tr")).map(r => ({
+    date: r.querySelector(".date").value,
+    note: r.querySelector(".note").value.trim()
+  }));
+
+  try {
+    const res = await adminFetch(API.schedule, {
+      method: "PUT",
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({slotMinutes: Number(document.getElementById("slotMinutes").value), weekly, breaks, holidays})
+    });
+    if (res.status === 401) {
+      window.location.href = "/admin/admin-login.html";
+      return;
+    }
+    const data = await res.json();
+    alert(res.ok ? "Schedule saved" : (data.error || "Failed to save schedule"));
+  } catch (err) {
+    console.error("saveSchedule error:", err);
+    alert("Network error while saving schedule");
+  }
+}
+
+// ------------------------------
+// LIVE UPDATES
+// ------------------------------
+// Changes are pushed over a server-sent events stream and patched into the rows on screen.
+// While the stream is down the panel polls the active section instead.
 const POLL_INTERVAL = 5000;
-setInterval(async()=>{
+const STREAM_RETRY_INTERVAL = 30000;
+let liveStream = null;
+let pollTimer = null;
+let summaryTimer = null;
+
+async function refreshActiveSection() {
   const activeSection=document.querySelector(".section.active")?.id;
   if(activeSection==="dashboard") await renderDashboard();
-  else if(activeSection==="appointments") {
-    appointmentsData = await fetchAppointments();
-    renderAppointmentsTable();
-  } else if(activeSection==="feedback") {
-    const feedback = await fetchFeedback();
-    renderFeedbackTable(feedback);
-  } else if(activeSection==="submissions") await loadSubmissions();
-},POLL_INTERVAL);
+  else if(activeSection==="appointments") await loadAppointments();
+  else if(activeSection==="feedback") await loadFeedbacks();
+  else if(activeSection==="submissions") await loadSubmissions();
+}
+
+function startPolling() {
+  if (!pollTimer) pollTimer = setInterval(refreshActiveSection, POLL_INTERVAL);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+function connectLiveUpdates() {
+  if (!window.EventSource) return startPolling();
+  liveStream = new EventSource(API.events, { withCredentials: true });
+
+  // Sent on every (re)connect; catch up on whatever changed while we were polling
+  liveStream.addEventListener("ready", () => {
+    if (!pollTimer) return;
+    stopPolling();
+    refreshActiveSection();
+  });
+  liveStream.addEventListener("change", (e) => applyLiveChange(JSON.parse(e.data)));
+  liveStream.onerror = () => {
+    startPolling();
+    // EventSource reconnects by itself unless the server refused the stream outright
+    if (liveStream.readyState === EventSource.CLOSED) setTimeout(connectLiveUpdates, STREAM_RETRY_INTERVAL);
+  };
+}
+
+// True when the view is page 1 in the default newest-first order, so a new record belongs at the top
+function showsNewest(page, filters) {
+  const { sort = "timestamp", order = "desc", ...rest } = filters;
+  return page === 1 && sort === "timestamp" && order === "desc" && Object.values(rest).every(v => !v);
+}
+
+// Apply one change to a list of rows; returns what happened to it on screen, or null if it isn't shown
+function patchRows(list, { action, id, data }, showNew) {
+  const i = list.findIndex(r => r.id === id);
+  if (action === "delete") {
+    if (i < 0) return null;
+    list.splice(i, 1);
+    return "removed";
+  }
+  if (i >= 0) {
+    list[i] = { ...list[i], ...data };
+    return "updated";
+  }
+  if (action === "create" && showNew) {
+    list.unshift(data);
+    return "added";
+  }
+  return null;
+}
+
+// Swap a single <tr data-id> for new markup (or drop it) without touching the rest of the table
+function patchTableRow(tbodyId, id, markup) {
+  const tbody = document.getElementById(tbodyId);
+  const row = tbody.querySelector(`tr[data-id="${id}"]`);
+  const checked = row?.querySelector(".row-select")?.checked;
+  if (!markup) return row?.remove();
+  if (row) row.outerHTML = String(markup);
+  else tbody.insertAdjacentHTML("afterbegin", String(markup));
+  if (checked) tbody.querySelector(`tr[data-id="${id}"] .row-select`).checked = true;
+}
+
+function patchTable(list, change, showNew, tbodyId, rowHtml, renderAll) {
+  const result = patchRows(list, change, showNew);
+  if (!result) return;
+  // An empty table shows a placeholder row and no header yet, so build it from scratch
+  if (!list.length || !document.querySelector(`#${tbodyId} tr[data-id]`)) return renderAll();
+  patchTableRow(tbodyId, change.id, result === "removed" ? null : rowHtml(list.find(r => r.id === change.id)));
+}
+
+function applyLiveChange(change) {
+  const { collection, action } = change;
+  if (action === "reload") {
+    if (collection === "appointments") loadAppointments();
+    if (collection === "feedback") loadFeedbacks();
+    if (collection !== "feedback" && document.getElementById("submissions")?.classList.contains("active")) loadSubmissions();
+  } else if (collection === "appointments") {
+    patchTable(appointmentsData, change, showsNewest(listPages.appointments, appointmentFilters()), "appointmentsTable", appointmentRow, renderAppointmentsTable);
+    if (patchRows(submissionsData, change, listPages.submissions === 1)) renderAdminTable("submissions", submissionsData);
+    if (action === "create") announceBooking(change.data);
+  } else if (collection === "feedback") {
+    patchTable(feedbackData, change, showsNewest(listPages.feedback, feedbackFilters()), "feedbackTable", feedbackRow, () => renderFeedbackTable(feedbackData));
+  } else if (collection === "payments") {
+    const statusFilter = document.getElementById("paymentStatusFilter")?.value;
+    patchTable(paymentsData, change, listPages.payments === 1 && !statusFilter, "paymentsBody", paymentRow, () => renderPaymentsTable(paymentsData));
+  }
+
+  // Counts and revenue on the dashboard cards; several changes in a row only cost one request
+  clearTimeout(summaryTimer);
+  summaryTimer = setTimeout(() => loadSummary().catch(err => console.error("loadSummary error:", err)), 1000);
+}
+
+// ------------------------------
+// NEW BOOKING ALERTS
+// ------------------------------
+// Browsers only allow notifications and sound after the user has interacted with the page
+let alertAudio = null;
+
+function enableBookingAlerts() {
+  document.addEventListener("click", () => {
+    if (window.Notification && Notification.permission === "default") Notification.requestPermission();
+    if (window.AudioContext) alertAudio = new AudioContext();
+  }, { once: true });
+}
+
+// Short two-tone chime, so there is no sound file to ship
+function playChime() {
+  if (!alertAudio) return;
+  const start = alertAudio.currentTime;
+  [880, 1320].forEach((freq, i) => {
+    const osc = alertAudio.createOscillator();
+    const gain = alertAudio.createGain();
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0.2, start + i * 0.2);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + i * 0.2 + 0.4);
+    osc.connect(gain).connect(alertAudio.destination);
+    osc.start(start + i * 0.2);
+    osc.stop(start + i * 0.2 + 0.4);
+  });
+}
+
+function announceBooking(a) {
+  if (!a) return;
+  playChime();
+  if (!window.Notification || Notification.permission !== "granted") return;
+  const when = a.date ? `, ${a.date}${a.slot ? ` at ${a.slot}` : ""}` : "";
+  const note = new Notification("New booking", { body: `${a.name || "Patient"} — ${a.bookingType || "Appointment"}${when}`, icon: "/logo.png", tag: a.id });
+  note.onclick = () => {
+    window.focus();
+    showSection("appointments", document.querySelector(`.sidebar a[data-args^='["appointments"']`));
+    note.close();
+  };
+}
 
 // ------------------------------
 // INIT
 // ------------------------------
 document.addEventListener("DOMContentLoaded", () => {
   if (document.getElementById("appointmentsCount")) {
-    renderDashboard();
-
-    // Attach Clear & Undo buttons
-    document.getElementById("clearAppointmentsBtn")?.addEventListener("click", clearAppointments);
-    document.getElementById("clearFeedbacksBtn")?.addEventListener("click", clearFeedbacks);
-    document.getElementById("undoAppointmentsBtn")?.addEventListener("click", undoAppointments);
-    document.getElementById("undoFeedbacksBtn")?.addEventListener("click", undoFeedbacks);
+    Promise.all([loadCurrentAdmin(), loadStatusWorkflow()]).then(renderDashboard);
+    loadBookingTypeFilter();
+    connectLiveUpdates();
+    enableBookingAlerts();
   }
 
   // Attach login form if exists
   document.getElementById("loginForm")?.addEventListener("submit", adminLogin);
+  if (document.getElementById("bootstrapForm")) {
+    document.getElementById("bootstrapForm").addEventListener("submit", bootstrapOwner);
+    checkBootstrap();
+  }
+  document.getElementById("setPasswordForm")?.addEventListener("submit", submitNewPassword);
+  document.getElementById("twoFactorForm")?.addEventListener("submit", submitLoginCode);
 });
@@ -0,0 +1,145 @@
+// appointment.js - booking form, slot picker and Paytm checkout
+const bookingTypeSelect = document.getElementById("bookingType");
+const feeDisplay = document.getElementById("feeDisplay");
+const form = document.getElementById("appointmentForm");
+const dateInput = document.getElementById("dateInput");
+const slotSelect = document.getElementById("slotSelect");
+
+// Signed load time; the server rejects forms sent back implausibly fast
+let formToken = "";
+async function loadFormToken() {
+  try {
+    formToken = (await (await fetch("/api/form-token")).json()).token;
+  } catch (err) {
+    console.error("Failed to load form token:", err);
+  }
+}
+loadFormToken();
+
+// Only offer today onwards
+const today = new Date();
+today.setMinutes(today.getMinutes() - today.getTimezoneOffset());
+dateInput.min = today.toISOString().slice(0, 10);
+
+// Load free slots whenever the date changes
+async function loadSlots() {
+  slotSelect.innerHTML = "";
+  slotSelect.disabled = true;
+  if (!dateInput.value) {
+    slotSelect.add(new Option("Choose a date first", ""));
+    return;
+  }
+  slotSelect.add(new Option("Loading...", ""));
+  try {
+    const res = await fetch(`/api/slots?date=${encodeURIComponent(dateInput.value)}`);
+    const result = await res.json();
+    slotSelect.innerHTML = "";
+    if (!res.ok || !result.slots || !result.slots.length) {
+      slotSelect.add(new Option(result.closed || result.error || "No free slots on this date", ""));
+      return;
+    }
+    slotSelect.add(new Option("Select a time", ""));
+    result.slots.forEach(t => slotSelect.add(new Option(t, t)));
+    slotSelect.disabled = false;
+  } catch (err) {
+    console.error("Failed to load slots:", err);
+    slotSelect.innerHTML = "";
+    slotSelect.add(new Option("Could not load slots", ""));
+  }
+}
+dateInput.addEventListener("change", loadSlots);
+
+const serviceDescription = document.getElementById("serviceDescription");
+
+// Update fee dynamically (display only; the server charges the catalog fee)
+function showFee() {
+  const option = bookingTypeSelect.selectedOptions[0];
+  feeDisplay.textContent = option && option.value ? `Fee: ₹${option.dataset.fee}` : "Fee: -";
+  serviceDescription.textContent = option ? option.dataset.description || "" : "";
+}
+bookingTypeSelect.addEventListener("change", showFee);
+
+// Fill the booking types from the service catalog
+async function loadServices() {
+  try {
+    const res = await fetch("/api/services");
+    const services = await res.json();
+    bookingTypeSelect.innerHTML = "";
+    if (!services.length) {
+      bookingTypeSelect.add(new Option("No services available", ""));
+      return;
+    }
+    services.forEach(svc => {
+      const option = new Option(`${svc.name} — ₹${svc.fee}`, svc.id);
+      option.dataset.fee = svc.fee;
+      option.dataset.description = svc.description || "";
+      bookingTypeSelect.add(option);
+    });
+    showFee();
+  } catch (err) {
+    console.error("Failed to load services:", err);
+    bookingTypeSelect.innerHTML = "";
+    bookingTypeSelect.add(new Option("Could not load services", ""));
+  }
+}
+loadServices();
+
+form.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const submitBtn = e.target.querySelector(".submit-btn");
+  submitBtn.disabled = true;
+  submitBtn.textContent = "Processing...";
+
+  const formData = new FormData(form);
+  const data = Object.fromEntries(formData.entries());
+
+  try {
+    const res = await fetch("/api/paytm/order", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        serviceId: data.serviceId,
+        email: data.email,
+        phone: data.phone,
+        name: data.name,
+        date: data.date,
+        slot: data.slot,
+        message: data.message,
+        website: data.website,
+        formToken
+      })
+    });
+
+    const result = await res.json();
+    if (!result.success) {
+      alert(result.message || "Failed to create Paytm order.");
+      submitBtn.disabled = false;
+      submitBtn.textContent = "Proceed to Paytm Payment";
+      if (res.status === 409) loadSlots();
+      if (res.status === 400) loadFormToken();
+      return;
+    }
+
+    // Create form and submit to Paytm
+    const paytmForm = document.createElement("form");
+    paytmForm.method = "POST";
+    paytmForm.action = result.data.paytmUrl;
+
+    Object.entries(result.data.params).forEach(([k, v]) => {
+      const input = document.createElement("input");
+      input.type = "hidden";
+      input.name = k;
+      input.value = v;
+      paytmForm.appendChild(input);
+    });
+
+    document.body.appendChild(paytmForm);
+    paytmForm.submit();
+
+  } catch (err) {
+    console.error("Paytm order creation failed:", err);
+    alert("An error occurred. Please try again.");
+    submitBtn.disabled = false;
+    submitBtn.textContent = "Proceed to Paytm Payment";
+  }
+});
@@ -2,6 +2,17 @@
 (function(){
   const form = document.getElementById('feedbackForm');
 
+  // Signed load time; the server rejects forms sent back implausibly fast
+  let formToken = '';
+  async function loadFormToken() {
+    try {
+      formToken = (await (await fetch('/api/form-token')).json()).token;
+    } catch (err) {
+      console.error('Failed to load form token:', err);
+    }
+  }
+  loadFormToken();
+
   function createAlert(message) {
     if (document.querySelector('.custom-alert-overlay')) return;
     const o = document.createElement('div');
@@ -24,7 +35,9 @@
       email: b.get('email')?.trim() || '',
       phone: b.get('phone')?.trim() || '',
       feedback: b.get('feedback')?.trim() || '',
-      rating: b.get('rating') || null
+      rating: b.get('rating') || null,
+      website: b.get('website') || '',
+      formToken
     };
 
     // Disable submit
@@ -42,8 +55,10 @@
       if (data && data.status === 'success') {
         createAlert('✅ Your feedback has been submitted successfully!');
         form.reset();
+        loadFormToken();
       } else {
-        createAlert('❌ Something went wrong. Please try again.');
+        createAlert(data && data.error ? `❌ ${data.error}` : '❌ Something went wrong. Please try again.');
+        if (res.status === 400) loadFormToken();
       }
     } catch (err) {
       console.error(err);
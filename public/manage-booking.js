@@ -0,0 +1,120 @@
+// manage-booking.js - patient reschedule / cancel page
+const params = new URLSearchParams(window.location.search);
+let token = params.get("token") || "";
+const statusMessage = document.getElementById("statusMessage");
+const dateInput = document.getElementById("dateInput");
+const slotSelect = document.getElementById("slotSelect");
+
+const today = new Date();
+today.setMinutes(today.getMinutes() - today.getTimezoneOffset());
+dateInput.min = today.toISOString().slice(0, 10);
+
+function describeChange(h) {
+  const parts = Object.entries(h.changes || {}).map(([k, v]) => `${k}: ${v.from ?? "-"} → ${v.to ?? "-"}`);
+  return `${new Date(h.at).toLocaleString()} — ${h.action}${parts.length ? ` (${parts.join(", ")})` : ""}`;
+}
+
+function showBooking(b) {
+  document.getElementById("bookingDetails").style.display = "";
+  document.getElementById("bName").textContent = b.name || "-";
+  document.getElementById("bService").textContent = `${b.service || "Appointment"}${b.fee ? ` (₹${b.fee})` : ""}`;
+  document.getElementById("bWhen").textContent = `${b.date} at ${b.slot}`;
+  document.getElementById("bStatus").textContent = b.status.charAt(0).toUpperCase() + b.status.slice(1);
+
+  const deadline = new Date(b.policy.deadline).toLocaleString();
+  document.getElementById("policyNote").textContent = b.policy.canChange
+    ? `You can reschedule or cancel until ${deadline} (${b.policy.cutoffHours} hours before your visit).`
+    : b.policy.reason;
+  document.getElementById("rescheduleForm").style.display = b.policy.canChange ? "" : "none";
+  document.getElementById("cancelForm").style.display = b.policy.canChange ? "" : "none";
+
+  const list = document.getElementById("historyList");
+  list.innerHTML = "";
+  b.history.forEach(h => {
+    const li = document.createElement("li");
+    li.textContent = describeChange(h);
+    list.appendChild(li);
+  });
+  document.getElementById("historyBlock").style.display = b.history.length ? "" : "none";
+}
+
+async function loadBooking() {
+  try {
+    const res = await fetch(`/api/manage/${encodeURIComponent(token)}`);
+    const result = await res.json();
+    if (!res.ok) {
+      statusMessage.textContent = result.error || "Could not load your booking.";
+      return;
+    }
+    statusMessage.textContent = "";
+    showBooking(result.data);
+  } catch (err) {
+    console.error("Failed to load booking:", err);
+    statusMessage.textContent = "Could not load your booking. Please try again.";
+  }
+}
+
+async function loadSlots() {
+  slotSelect.innerHTML = "";
+  slotSelect.disabled = true;
+  if (!dateInput.value) {
+    slotSelect.add(new Option("Choose a date first", ""));
+    return;
+  }
+  try {
+    const res = await fetch(`/api/slots?date=${encodeURIComponent(dateInput.value)}`);
+    const result = await res.json();
+    if (!res.ok || !result.slots || !result.slots.length) {
+      slotSelect.add(new Option(result.closed || result.error || "No free slots on this date", ""));
+      return;
+    }
+    slotSelect.add(new Option("Select a time", ""));
+    result.slots.forEach(t => slotSelect.add(new Option(t, t)));
+    slotSelect.disabled = false;
+  } catch (err) {
+    console.error("Failed to load slots:", err);
+    slotSelect.add(new Option("Could not load slots", ""));
+  }
+}
+dateInput.addEventListener("change", loadSlots);
+
+async function send(action, body) {
+  const res = await fetch(`/api/manage/${encodeURIComponent(token)}/${action}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const result = await res.json();
+  if (!res.ok) throw new Error(result.error || "Something went wrong");
+  return result;
+}
+
+document.getElementById("rescheduleForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    const result = await send("reschedule", { date: dateInput.value, slot: slotSelect.value });
+    // A new date means a new link; keep the address bar usable for bookmarking
+    token = result.token;
+    history.replaceState(null, "", `?token=${encodeURIComponent(token)}`);
+    statusMessage.textContent = result.message;
+    showBooking(result.data);
+  } catch (err) {
+    alert(err.message);
+    loadSlots();
+  }
+});
+
+document.getElementById("cancelForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (!confirm("Cancel this appointment?")) return;
+  try {
+    const result = await send("cancel", { reason: document.getElementById("cancelReason").value });
+    statusMessage.textContent = result.message;
+    showBooking(result.data);
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+if (token) loadBooking();
+else statusMessage.textContent = "Please use the link from your confirmation email.";
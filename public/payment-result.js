@@ -0,0 +1,15 @@
+// payment-result.js - order reference (and manage link) on the payment result pages
+const params = new URLSearchParams(window.location.search);
+document.getElementById("orderId").textContent = params.get("order") || "-";
+if (params.get("manage")) {
+  document.getElementById("manageLink").href = `/manage-booking.html?token=${encodeURIComponent(params.get("manage"))}`;
+  document.getElementById("manageBlock").style.display = "";
+}
+if (params.get("pending")) {
+  document.getElementById("statusMessage").textContent =
+    "Your payment is being confirmed by the bank. We will update your booking as soon as it completes.";
+}
+if (params.get("conflict")) {
+  document.getElementById("statusMessage").textContent =
+    "Your payment was received, but your time slot was booked by someone else while the payment was being confirmed. The clinic will contact you to arrange another time or a refund.";
+}
@@ -116,6 +116,159 @@ formIds.forEach(id => {
     });
 });
 
+// -------------------- Treatment Cards (from service catalog) --------------------
+const CATEGORY_ICONS = {
+    "Diabetes": "diabetes_logo.png",
+    "Weight Management": "weight_management_logo.png",
+    "Thyroid": "thyroid_managemnt_logo.png",
+    "Panchkarma": "logo.png"
+};
+
+// Replace the static cards with one card per treatment category that has active services.
+// General consultations are booked from the appointment page, so they are not shown here.
+async function loadTreatmentCards() {
+    const container = document.getElementById("treatmentCards");
+    if (!container) return;
+
+    try {
+        const res = await fetch("/api/services");
+        if (!res.ok) return;
+        const services = (await res.json()).filter(s => s.category && s.category !== "General");
+        if (!services.length) return; // keep the static cards
+
+        const byCategory = {};
+        services.forEach(s => (byCategory[s.category] = byCategory[s.category] || []).push(s));
+
+        container.innerHTML = "";
+        Object.entries(byCategory).forEach(([category, items]) => {
+            const card = document.createElement("div");
+            card.className = "card";
+
+            const img = document.createElement("img");
+            img.src = CATEGORY_ICONS[category] || "logo.png";
+            img.alt = category;
+            const title = document.createElement("h4");
+            title.textContent = category;
+            card.append(img, title);
+
+            items.forEach(s => {
+                const p = document.createElement("p");
+                const name = document.createElement("strong");
+                name.textContent = `${s.name} — ₹${s.fee}`;
+                p.append(name, document.createElement("br"), document.createTextNode(s.description || ""));
+                card.appendChild(p);
+            });
+            container.appendChild(card);
+        });
+    } catch (err) {
+        console.error("Failed to load treatments:", err);
+    }
+}
+loadTreatmentCards();
+
+// -------------------- Latest Blog Articles --------------------
+// Fills #latestPosts (blog.html) from the CMS; the section stays hidden until there is something to show
+async function loadLatestPosts() {
+    const container = document.getElementById("latestPosts");
+    if (!container) return;
+
+    try {
+        const res = await fetch("/api/posts?limit=6");
+        if (!res.ok) return;
+        const { items } = await res.json();
+        if (!items.length) return;
+
+        const list = container.querySelector("ul");
+        items.forEach(post => {
+            const li = document.createElement("li");
+            const link = document.createElement("a");
+            link.href = `/blog/${post.slug}`;
+            link.textContent = post.title;
+            li.appendChild(link);
+            if (post.excerpt) li.append(" — ", post.excerpt);
+            list.appendChild(li);
+        });
+        container.style.display = "";
+    } catch (err) {
+        console.error("Failed to load blog posts:", err);
+    }
+}
+loadLatestPosts();
+
+// -------------------- Testimonials --------------------
+const stars = (rating) => {
+    const r = Math.max(0, Math.min(5, Math.round(rating)));
+    return "★".repeat(r) + "☆".repeat(5 - r);
+};
+
+// Approved feedback for the home page, plus aggregate rating structured data for search engines
+async function loadTestimonials() {
+    const section = document.getElementById("testimonials");
+    if (!section) return;
+
+    try {
+        const res = await fetch("/api/testimonials?limit=6");
+        if (!res.ok) return;
+        const { averageRating, ratingCount, items } = await res.json();
+        if (!items.length) return;
+
+        const container = document.getElementById("testimonialCards");
+        items.forEach(t => {
+            const card = document.createElement("div");
+            card.className = "card";
+
+            if (t.rating) {
+                const rating = document.createElement("div");
+                rating.className = "stars";
+                rating.textContent = stars(t.rating);
+                rating.title = `${t.rating} out of 5`;
+                card.appendChild(rating);
+            }
+            const message = document.createElement("p");
+            message.textContent = `“${t.message || ""}”`;
+            const name = document.createElement("h4");
+            name.textContent = `— ${t.name}`;
+            card.append(message, name);
+
+            if (t.reply) {
+                const reply = document.createElement("p");
+                reply.className = "reply";
+                reply.textContent = `Dr. Suman Tiwari: ${t.reply}`;
+                card.appendChild(reply);
+            }
+            container.appendChild(card);
+        });
+
+        if (ratingCount) {
+            document.getElementById("ratingSummary").textContent =
+                `${stars(Math.round(averageRating))} ${averageRating} / 5 from ${ratingCount} review${ratingCount === 1 ? "" : "s"}`;
+
+            const data = {
+                "@context": "https://schema.org",
+                "@type": "MedicalClinic",
+                name: "Shree Siddhi Ayur Wellness",
+                url: window.location.origin,
+                aggregateRating: { "@type": "AggregateRating", ratingValue: averageRating, reviewCount: ratingCount, bestRating: 5, worstRating: 1 },
+                review: items.filter(t => t.rating).map(t => ({
+                    "@type": "Review",
+                    author: { "@type": "Person", name: t.name },
+                    datePublished: String(t.date || "").slice(0, 10),
+                    reviewBody: t.message,
+                    reviewRating: { "@type": "Rating", ratingValue: t.rating, bestRating: 5 }
+                }))
+            };
+            const script = document.createElement("script");
+            script.type = "application/ld+json";
+            script.textContent = JSON.stringify(data);
+            document.head.appendChild(script);
+        }
+        section.style.display = "";
+    } catch (err) {
+        console.error("Failed to load testimonials:", err);
+    }
+}
+loadTestimonials();
+
 // -------------------- Back to Top Button --------------------
 const backToTop = document.createElement("button");
 backToTop.innerText = "↑";
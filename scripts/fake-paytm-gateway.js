@@ -0,0 +1,132 @@
+// scripts/fake-paytm-gateway.js - Local stand-in for Paytm's /order/process checkout and refund API
+// Usage:
+//   PAYTM_MID=TESTMID PAYTM_MERCHANT_KEY=<16-char test key> node scripts/fake-paytm-gateway.js
+//   then start the server with PAYTM_PROCESS_URL=http://localhost:4000/order/process,
+//   PAYTM_API_URL=http://localhost:4000 and the same MID/key.
+// The page lets you choose the outcome; the response is signed with the test merchant key and
+// posted back to the CALLBACK_URL from the order, exactly as Paytm would.
+// Refunds: FAKE_REFUND_OUTCOME=pending (default: accepted, then successful on the first status check),
+// success (settled straight away), failure (declined) or stuck (pending forever).
+require("dotenv").config();
+const express = require("express");
+const PaytmChecksum = require("paytmchecksum");
+
+const app = express();
+const PORT = process.env.FAKE_PAYTM_PORT || 4000;
+const MID = process.env.PAYTM_MID || "TESTMID";
+const KEY = process.env.PAYTM_MERCHANT_KEY || "TESTKEY123456789"; // AES-128 needs exactly 16 chars
+const REFUND_OUTCOME = (process.env.FAKE_REFUND_OUTCOME || "pending").toLowerCase();
+
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+const escapeHtml = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function hiddenForm(action, params, autoSubmit) {
+  const inputs = Object.entries(params)
+    .map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`)
+    .join("");
+  return `<form method="POST" action="${escapeHtml(action)}" ${autoSubmit ? 'id="auto"' : ""}>${inputs}`;
+}
+
+// Checkout page: verify the merchant's checksum, then offer success / failure / pending
+app.post("/order/process", (req, res) => {
+  const params = { ...req.body };
+  const checksum = params.CHECKSUMHASH;
+  const valid = checksum && PaytmChecksum.verifySignature({ ...params }, KEY, checksum);
+  if (!valid || params.MID !== MID) {
+    return res.status(400).send("<h1>Fake Paytm: invalid checksum or MID</h1>");
+  }
+
+  delete params.CHECKSUMHASH;
+  const order = escapeHtml(params.ORDER_ID);
+  const amount = escapeHtml(params.TXN_AMOUNT);
+  const carry = hiddenForm("/order/respond", params, false);
+  res.send(`<!DOCTYPE html><html><body style="font-family:sans-serif;padding:30px">
+    <h1>Fake Paytm Checkout</h1>
+    <p>Order <b>${order}</b> for ₹${amount}</p>
+    ${carry}
+      <label>Amount to report <input name="PAID_AMOUNT" value="${amount}"></label><br><br>
+      <button name="OUTCOME" value="TXN_SUCCESS">Pay</button>
+      <button name="OUTCOME" value="TXN_FAILURE">Fail</button>
+      <button name="OUTCOME" value="PENDING">Leave pending</button>
+    </form>
+  </body></html>`);
+});
+
+// Build the signed gateway response and auto-post it to the merchant callback
+app.post("/order/respond", async (req, res) => {
+  const order = req.body;
+  const status = order.OUTCOME || "TXN_FAILURE";
+  const response = {
+    MID: order.MID,
+    ORDERID: order.ORDER_ID,
+    TXNID: status === "TXN_FAILURE" ? "" : `FAKETXN${Date.now()}`,
+    TXNAMOUNT: order.PAID_AMOUNT || order.TXN_AMOUNT,
+    CURRENCY: "INR",
+    STATUS: status,
+    RESPCODE: status === "TXN_SUCCESS" ? "01" : status === "PENDING" ? "400" : "227",
+    RESPMSG: status === "TXN_SUCCESS" ? "Txn Success" : status === "PENDING" ? "Txn Pending" : "Txn Failed",
+    TXNDATE: new Date().toISOString().replace("T", " ").slice(0, 19),
+    GATEWAYNAME: "FAKE",
+    BANKNAME: "Fake Bank",
+    PAYMENTMODE: "UPI",
+  };
+  response.CHECKSUMHASH = await PaytmChecksum.generateSignature(response, KEY);
+
+  res.send(`<!DOCTYPE html><html><body>
+    ${hiddenForm(order.CALLBACK_URL, response, true)}</form>
+    <script>document.getElementById("auto").submit();</script>
+  </body></html>`);
+});
+
+// -------- Refund API (JSON, { body, head: { signature } }) --------
+const refunds = new Map(); // refId -> refund, for the status endpoint
+
+const resultInfo = (status) => ({
+  resultStatus: status,
+  resultCode: status === "TXN_SUCCESS" ? "10" : status === "PENDING" ? "601" : "617",
+  resultMsg: status === "TXN_SUCCESS" ? "Refund Successful" : status === "PENDING" ? "Refund request was raised for this transaction. But it is pending state" : "Refund Failed",
+});
+
+function signedRequest(req, res) {
+  const { body, head } = req.body || {};
+  let valid = false;
+  try {
+    valid = Boolean(body && head && head.signature) && PaytmChecksum.verifySignature(JSON.stringify(body), KEY, head.signature);
+  } catch (e) {
+    console.error("Refund API signature check failed:", e.message);
+  }
+  if (!valid || body.mid !== MID) {
+    res.status(400).json({ body: { resultInfo: { resultStatus: "TXN_FAILURE", resultCode: "330", resultMsg: "Invalid checksum or MID" } } });
+    return null;
+  }
+  return body;
+}
+
+app.post("/refund/apply", (req, res) => {
+  const body = signedRequest(req, res);
+  if (!body) return;
+  if (refunds.has(body.refId)) {
+    return res.json({ body: { ...refunds.get(body.refId), resultInfo: resultInfo("TXN_FAILURE") } });
+  }
+  const refund = { orderId: body.orderId, txnId: body.txnId, refId: body.refId, refundId: `FAKEREF${Date.now()}`, refundAmount: body.refundAmount };
+  const status = REFUND_OUTCOME === "success" ? "TXN_SUCCESS" : REFUND_OUTCOME === "failure" ? "TXN_FAILURE" : "PENDING";
+  refunds.set(body.refId, { ...refund, status });
+  console.log(`Refund ${body.refId} for ${body.orderId}: ₹${body.refundAmount} -> ${status}`);
+  res.json({ body: { ...refund, resultInfo: resultInfo(status) } });
+});
+
+app.post("/v2/refund/status", (req, res) => {
+  const body = signedRequest(req, res);
+  if (!body) return;
+  const refund = refunds.get(body.refId);
+  if (!refund) return res.json({ body: { resultInfo: { resultStatus: "TXN_FAILURE", resultCode: "631", resultMsg: "Record not found" } } });
+  if (refund.status === "PENDING" && REFUND_OUTCOME !== "stuck") refund.status = "TXN_SUCCESS";
+  const { status, ...rest } = refund;
+  res.json({ body: { ...rest, resultInfo: resultInfo(status) } });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Fake Paytm gateway on http://localhost:${PORT}/order/process (MID ${MID})`);
+});
@@ -0,0 +1,103 @@
+// scripts/import-legacy.js - Import legacy appointment / feedback files (JSON or CSV) through the admin API
+// Usage:
+//   node scripts/import-legacy.js [--dry-run] [--kind appointments|feedback] [--url http://localhost:3000] FILE...
+//   e.g. npm run import-legacy -- --dry-run backup/appointments.json backup/feedback.json
+// The server must be running. The script signs in as IMPORT_USERNAME / IMPORT_PASSWORD (default: the
+// ADMIN_USERNAME / ADMIN_PASSWORD owner account from .env); with two-factor sign-in on, add --code 123456.
+// Rows go through the same field mapping, duplicate checks and activity log as the admin Import page.
+// Exits with status 1 if any row was not imported (or, with --dry-run, could not be).
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+
+function parseArgs(argv) {
+  const opts = { dryRun: false, kind: "", url: process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`, code: "", files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") opts.dryRun = true;
+    else if (arg === "--kind") opts.kind = argv[++i];
+    else if (arg === "--url") opts.url = argv[++i];
+    else if (arg === "--code") opts.code = argv[++i];
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+    else opts.files.push(arg);
+  }
+  if (!opts.files.length) throw new Error("Name at least one file to import");
+  if (opts.kind && !["appointments", "feedback"].includes(opts.kind)) throw new Error("--kind must be appointments or feedback");
+  return opts;
+}
+
+// Just enough of a browser: keeps the session cookie and sends the CSRF token on writes
+function adminClient(baseUrl) {
+  const cookies = new Map();
+  let csrfToken = "";
+  async function call(route, { method = "GET", headers = {}, body } = {}) {
+    const res = await fetch(new URL(route, baseUrl), {
+      method,
+      headers: { ...headers, Cookie: [...cookies].map(([k, v]) => `${k}=${v}`).join("; "), ...(method !== "GET" && { "X-CSRF-Token": csrfToken }) },
+      body,
+    });
+    for (const cookie of res.headers.getSetCookie()) {
+      const [pair] = cookie.split(";");
+      const eq = pair.indexOf("=");
+      cookies.set(pair.slice(0, eq), pair.slice(eq + 1));
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `${method} ${route} failed with ${res.status}`);
+    return data;
+  }
+  const postJson = (route, data) => call(route, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(data) });
+
+  return {
+    async login(username, password, code) {
+      const result = await postJson("/api/admin/login", { username, password });
+      if (result.twoFactor) {
+        if (!code) throw new Error("This account uses two-factor sign-in; pass the current code with --code");
+        await postJson("/api/admin/login/2fa", { code });
+      }
+      csrfToken = (await call("/api/admin/me")).csrfToken;
+    },
+    importFile(file, { kind, dryRun }) {
+      const query = new URLSearchParams({ filename: path.basename(file), dryRun: dryRun ? "1" : "0", ...(kind && { kind }) });
+      return call(`/api/admin/import?${query}`, { method: "POST", headers: { "Content-Type": "application/octet-stream" }, body: fs.readFileSync(file) });
+    },
+  };
+}
+
+function report(file, result) {
+  const { counts } = result;
+  const done = result.dryRun ? `${counts.new} would be imported` : `${counts.imported} imported`;
+  console.log(`${file}: ${result.total} ${result.kind} row(s) (${result.format.toUpperCase()}) - ${done}, ${counts.duplicate} already there, ${counts.error} with problems`);
+  if (result.ignoredColumns.length) console.log(`  ignored columns: ${result.ignoredColumns.join(", ")}`);
+  for (const row of result.rows) {
+    if (row.status === "error") console.log(`  row ${row.row}: ${row.errors.join("; ")}`);
+    if (row.status === "duplicate") console.log(`  row ${row.row}: already there (same as ${row.duplicateOf})`);
+  }
+  if (result.truncated) console.log(`  (only the first ${result.rows.length} rows are listed)`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const username = process.env.IMPORT_USERNAME || process.env.ADMIN_USERNAME;
+  const password = process.env.IMPORT_PASSWORD || process.env.ADMIN_PASSWORD;
+  if (!username || !password) throw new Error("Set IMPORT_USERNAME and IMPORT_PASSWORD (or ADMIN_USERNAME / ADMIN_PASSWORD)");
+
+  const client = adminClient(opts.url);
+  await client.login(username, password, opts.code);
+  let failed = false;
+  for (const file of opts.files) {
+    try {
+      const result = await client.importFile(file, opts);
+      report(file, result);
+      if (result.counts.error) failed = true;
+    } catch (err) {
+      console.error(`${file}: ${err.message}`);
+      failed = true;
+    }
+  }
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
@@ -2,11 +2,19 @@
 require("dotenv").config();
 const express = require("express");
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { promisify } = require("util");
 const session = require("express-session");
 const cors = require("cors");
 const mongoose = require("mongoose");
-const MongoStore = require("connect-mongo");
 const PaytmChecksum = require("paytmchecksum"); // kept if Paytm used
+const ExcelJS = require("exceljs");
+const nodemailer = require("nodemailer");
+const PDFDocument = require("pdfkit");
+const { marked } = require("marked");
+const QRCode = require("qrcode");
+const { createStorage } = require("./storage");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,22 +26,73 @@ if (process.env.NODE_ENV === "production") {
 }
 
 // -------------------- Middleware --------------------
-app.use(cors({ origin: true, credentials: true }));
+// Only our own site (plus any origins listed in CORS_ORIGINS) may call the API with cookies
+const CORS_ORIGINS = new Set(
+  [process.env.SERVER_URL || `http://localhost:${PORT}`, ...(process.env.CORS_ORIGINS || "").split(",")]
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean)
+);
+app.use(cors({
+  origin: (origin, cb) => cb(null, !origin || CORS_ORIGINS.has(origin)),
+  credentials: true,
+}));
+
+// Security headers. Pages load scripts only from this site and the chart CDN, so injected markup can't run code
+function originOf(url) {
+  try { return new URL(url).origin; } catch (e) { return ""; }
+}
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' https://cdn.jsdelivr.net",
+  "style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com",
+  "font-src 'self' https://cdnjs.cloudflare.com",
+  "img-src 'self' data: https:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+app.use((req, res, next) => {
+  res.set({
+    // The payment page posts its form to the Paytm checkout
+    "Content-Security-Policy": `${CONTENT_SECURITY_POLICY}; form-action 'self' ${originOf(paytmProcessUrl())}`.trim(),
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Referrer-Policy": "strict-origin-when-cross-origin",
+    "Permissions-Policy": "camera=(), microphone=(), geolocation=(), payment=()",
+    "Cross-Origin-Opener-Policy": "same-origin",
+  });
+  if (process.env.NODE_ENV === "production") res.set("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
+  next();
+});
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, "public")));
 
-// -------------------- MongoDB Connection --------------------
-if (!process.env.MONGO_URI) {
-  console.error("❌ MONGO_URI is not set in .env. Set MONGO_URI to your MongoDB connection string.");
+// -------------------- Storage --------------------
+// MongoDB when MONGO_URI is set. Without it (or with STORAGE=file) data lives in JSON files under DATA_DIR,
+// so the site can be run and tried out locally with no database; production has to choose explicitly.
+if (process.env.NODE_ENV === "production" && !process.env.MONGO_URI && !process.env.STORAGE) {
+  console.error("❌ MONGO_URI is not set in .env. Set MONGO_URI to your MongoDB connection string (or STORAGE=file for JSON files).");
   process.exit(1);
 }
+const storage = createStorage({
+  kind: process.env.STORAGE,
+  mongoUri: process.env.MONGO_URI,
+  dataDir: process.env.DATA_DIR || path.join(__dirname, "data"),
+});
+if (storage.kind === "file") console.warn(`⚠️  No MongoDB: keeping data as ${storage.description}, sessions in memory`);
 
-mongoose
-  .connect(process.env.MONGO_URI) // No deprecated options
-  .then(() => console.log("✅ MongoDB connected"))
+const started = storage
+  .connect()
+  .then(() => console.log(`✅ Connected to ${storage.description}`))
+  .then(() => seedDefaultServices())
+  .then(() => seedOwnerFromEnv())
+  .then(() => purgeExpiredTrash())
+  .then(() => runScheduledBackups())
+  .then(() => linkUnlinkedRecords())
   .catch((err) => {
-    console.error("❌ MongoDB connection error:", err);
+    console.error(`❌ ${storage.description} error:`, err);
     process.exit(1);
   });
 
@@ -42,12 +101,8 @@ app.use(
   session({
     secret: process.env.SESSION_SECRET || "supersecretkey",
     resave: false,
-    saveUninitialized: true,
-    store: MongoStore.create({
-      mongoUrl: process.env.MONGO_URI,
-      collectionName: "sessions",
-      ttl: 14 * 24 * 60 * 60, // 14 days
-    }),
+    saveUninitialized: false, // only admins who sign in get a session, not every anonymous form post
+    store: storage.sessionStore(), // MongoDB for 14 days, or memory with file storage
     cookie: {
       maxAge: 60 * 60 * 1000, // 1 hour
       secure: process.env.NODE_ENV === "production",
@@ -63,14 +118,74 @@ app.use((req, _res, next) => {
 });
 
 // -------------------- Config --------------------
-const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "admin";
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "password";
+// Optional: seeds the first owner account on startup when no admin users exist yet
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || null;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+const PASSWORD_TOKEN_HOURS = 48; // lifetime of invite / reset links
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30; // deleted records are purged after this
+const BACKUP_INTERVAL_HOURS = process.env.BACKUP_INTERVAL_HOURS !== undefined ? Number(process.env.BACKUP_INTERVAL_HOURS) : 24; // scheduled snapshots; 0 disables
+const BACKUP_RETENTION_DAYS = Number(process.env.BACKUP_RETENTION_DAYS) || 30; // the newest backup per collection is always kept
+const CLINIC_TZ = process.env.CLINIC_TZ || "Asia/Kolkata";
+const PAYMENT_HOLD_MINUTES = Number(process.env.PAYMENT_HOLD_MINUTES) || 30; // how long an unpaid checkout keeps its slot
+const SITE_URL = process.env.SERVER_URL || `http://localhost:${PORT}`;
+const MANAGE_LINK_SECRET = process.env.MANAGE_LINK_SECRET || process.env.SESSION_SECRET || "supersecretkey";
+const CANCELLATION_CUTOFF_HOURS = process.env.CANCELLATION_CUTOFF_HOURS !== undefined ? Number(process.env.CANCELLATION_CUTOFF_HOURS) : 24; // patients can't change a booking closer than this
+const CLINIC_NAME = "Shree Siddhi Ayur Wellness";
+const CLINIC_EMAIL = process.env.CLINIC_EMAIL || "shrisiddhiayurwellness@gmail.com"; // receives new-booking / low-rating alerts
+const MAIL = {
+  transport: (process.env.MAIL_TRANSPORT || "console").toLowerCase(), // smtp | file | console
+  from: process.env.MAIL_FROM || `${CLINIC_NAME} <${CLINIC_EMAIL}>`,
+  fileDir: process.env.MAIL_FILE_DIR || path.join(__dirname, "mail-outbox"),
+};
+// The console and file transports send nothing, so production has to name the transport it wants
+if (process.env.NODE_ENV === "production" && !process.env.MAIL_TRANSPORT) {
+  console.error("❌ MAIL_TRANSPORT is not set in .env. Set MAIL_TRANSPORT=smtp (with SMTP_HOST etc.) to email patients, or console / file to not send mail.");
+  process.exit(1);
+}
+const REMINDER_CHANNEL = (process.env.REMINDER_CHANNEL || "email").toLowerCase(); // email | stub
+const REMINDER_OFFSETS_HOURS = [24, 2]; // reminders go out this long before the visit
+const JOB_POLL_SECONDS = Number(process.env.JOB_POLL_SECONDS) || 30;
+const CRON_SECRET = process.env.CRON_SECRET || ""; // enables GET /api/cron for hosts that can't run timers
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_RETRY_BASE_MINUTES = 5; // 5, 10, 20, 40 minutes between attempts
+const CLINIC_ADDRESS = process.env.CLINIC_ADDRESS || "";
+const CLINIC_PHONE = process.env.CLINIC_PHONE || "";
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "SSAW-";
+const GST_RATE = Number(process.env.GST_RATE) || 0; // percent, included in the fee; 0 leaves GST off the receipt
+const CLINIC_GSTIN = process.env.CLINIC_GSTIN || "";
+const LOW_RATING_THRESHOLD = Number(process.env.LOW_RATING_THRESHOLD) || 2; // alert the clinic at or below this
+const FORM_LIMIT_PER_IP = Number(process.env.FORM_LIMIT_PER_IP) || 10; // public form submissions per IP per hour, per form
+const FORM_LIMIT_PER_PHONE = Number(process.env.FORM_LIMIT_PER_PHONE) || 3; // per phone number per day, per form
+const FORM_MIN_FILL_SECONDS = process.env.FORM_MIN_FILL_SECONDS !== undefined ? Number(process.env.FORM_MIN_FILL_SECONDS) : 3; // faster than this is a bot
+const DUPLICATE_WINDOW_MINUTES = 10; // the same submission again within this is rejected
+const BLOCKED_LOG_DAYS = 30; // blocked attempts are kept this long for review
+const LOGIN_WINDOW_MINUTES = 15; // failed sign-ins are counted over this window
+const LOGIN_FREE_ATTEMPTS = 3; // failures before each further attempt is slowed down (1s, 2s, 4s... up to 8s)
+const LOGIN_MAX_FAILURES_ACCOUNT = Number(process.env.LOGIN_MAX_FAILURES_ACCOUNT) || 10; // then the username is locked for the rest of the window
+const LOGIN_MAX_FAILURES_IP = Number(process.env.LOGIN_MAX_FAILURES_IP) || 30; // then the IP is locked for the rest of the window
+const TOTP_PENDING_MINUTES = 5; // time allowed between the password step and the code step
+const RECOVERY_CODE_COUNT = 10;
+const STUCK_PENDING_HOURS = Number(process.env.STUCK_PENDING_HOURS) || 6; // reconciliation flags payments and refunds still pending after this
 const PAYTM_ENV = (process.env.PAYTM_ENV || "staging").toLowerCase();
+const PAYTM = {
+  mid: process.env.PAYTM_MID || "",
+  key: process.env.PAYTM_MERCHANT_KEY || "",
+  website: process.env.PAYTM_WEBSITE || (PAYTM_ENV === "production" ? "DEFAULT" : "WEBSTAGING"),
+  industryType: process.env.PAYTM_INDUSTRY_TYPE_ID || "Retail",
+  channelId: process.env.PAYTM_CHANNEL_ID || "WEB",
+  callbackUrl: process.env.PAYTM_CALLBACK_URL || `${SITE_URL}/api/paytm/callback`,
+};
 
 function paytmHost() {
   return PAYTM_ENV === "production" ? "securegw.paytm.in" : "securegw-stage.paytm.in";
 }
+// Server-to-server API (refunds). PAYTM_API_URL points it at a local fake gateway too.
+function paytmApiUrl(route) {
+  return `${process.env.PAYTM_API_URL || `https://${paytmHost()}`}${route}`;
+}
 function paytmProcessUrl() {
+  // PAYTM_PROCESS_URL points the checkout at a local fake gateway (see scripts/fake-paytm-gateway.js)
+  if (process.env.PAYTM_PROCESS_URL) return process.env.PAYTM_PROCESS_URL;
   return PAYTM_ENV === "production"
     ? "https://securegw.paytm.in/order/process"
     : "https://securegw-stage.paytm.in/order/process";
@@ -81,45 +196,368 @@ const AppointmentSchema = new mongoose.Schema({
   name: { type: String, default: null },
   email: { type: String, default: null },
   phone: { type: String, default: null },
-  bookingType: { type: String, default: null },
+  bookingType: { type: String, default: null }, // service name at the time of booking
+  service_id: { type: String, default: null },
   fee: { type: Number, default: 0 },
   date: { type: String, default: null },
+  slot: { type: String, default: null }, // "HH:MM" start time in clinic time
+  slotKey: { type: String, default: undefined }, // "YYYY-MM-DD HH:MM" while the slot is held; unset to free it
   message: { type: String, default: "" },
   status: { type: String, default: "pending" },
   payment_id: { type: String, default: null },
   order_id: { type: String, default: null },
+  payment_status: { type: String, default: null }, // null (offline booking) | pending | paid | failed
+  slotConflict: { type: Boolean, default: false }, // paid after its hold expired and the slot went to someone else
+  patient_id: { type: String, default: null }, // Patient this visit belongs to
+  manageNonce: { type: String, default: () => crypto.randomBytes(8).toString("hex") }, // changing it revokes issued manage links
+  history: { type: [{ at: Date, action: String, by: String, changes: mongoose.Schema.Types.Mixed, reason: String, _id: false }], default: [] },
+  deletedAt: { type: Date, default: null }, // soft delete: set while the record is in the trash
+  deletedBy: { type: String, default: null },
   timestamp: { type: Date, default: Date.now },
 }, { strict: false });
 
+// One appointment per slot: the unique index makes concurrent bookings of the same slot fail atomically
+AppointmentSchema.index({ slotKey: 1 }, { unique: true, partialFilterExpression: { slotKey: { $type: "string" } } });
+// Admin list view: default sort, visit-date range, and filters
+AppointmentSchema.index({ deletedAt: 1, timestamp: -1 });
+AppointmentSchema.index({ deletedAt: 1, date: 1 });
+AppointmentSchema.index({ deletedAt: 1, status: 1, timestamp: -1 });
+AppointmentSchema.index({ deletedAt: 1, bookingType: 1, timestamp: -1 });
+AppointmentSchema.index({ name: "text", email: "text", phone: "text", message: "text" }, { default_language: "none", name: "search" });
+AppointmentSchema.index({ patient_id: 1, date: -1 });
+AppointmentSchema.index({ order_id: 1 });
+
 const FeedbackSchema = new mongoose.Schema({
   name: { type: String, default: null },
   email: { type: String, default: null },
   phone: { type: String, default: null },
   message: { type: String, default: "" },
   rating: { type: Number, default: null },
+  patient_id: { type: String, default: null },
+  status: { type: String, default: "pending" }, // moderation: pending | approved | hidden; only approved is public
+  reply: {
+    text: { type: String, default: null },
+    by: { type: String, default: null },
+    at: { type: Date, default: null },
+  },
+  moderatedBy: { type: String, default: null },
+  moderatedAt: { type: Date, default: null },
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: String, default: null },
   timestamp: { type: Date, default: Date.now },
 }, { strict: false });
 
+FeedbackSchema.index({ deletedAt: 1, timestamp: -1 });
+FeedbackSchema.index({ deletedAt: 1, rating: 1, timestamp: -1 });
+FeedbackSchema.index({ name: "text", email: "text", phone: "text", message: "text" }, { default_language: "none", name: "search" });
+FeedbackSchema.index({ patient_id: 1 });
+FeedbackSchema.index({ deletedAt: 1, status: 1, timestamp: -1 });
+
+// One person across visits and feedback, matched on normalized phone numbers and emails.
+// A merged duplicate keeps its document with `mergedInto` set so old links still resolve.
+const PatientSchema = new mongoose.Schema({
+  name: { type: String, default: null },
+  phones: { type: [String], default: [] }, // last 10 digits
+  emails: { type: [String], default: [] }, // lowercased
+  notes: {
+    type: [{
+      at: { type: Date, default: Date.now },
+      by: String,
+      appointmentId: { type: String, default: null },
+      text: String,
+    }],
+    default: [],
+  }, // private clinical notes, one per consultation
+  mergedInto: { type: String, default: null },
+  timestamp: { type: Date, default: Date.now },
+});
+PatientSchema.index({ phones: 1 });
+PatientSchema.index({ emails: 1 });
+PatientSchema.index({ mergedInto: 1, timestamp: -1 });
+
 const PaymentSchema = new mongoose.Schema({
   order_id: { type: String, default: null },
   txn_id: { type: String, default: null },
   amount: { type: String, default: null },
   status: { type: String, default: null },
   gateway_response: { type: mongoose.Schema.Types.Mixed, default: null },
+  refunded: { type: Number, default: 0 }, // sum of successful refunds against this payment
   timestamp: { type: Date, default: Date.now },
 }, { strict: false });
 
+PaymentSchema.index({ timestamp: -1 });
+PaymentSchema.index({ status: 1, timestamp: -1 });
+PaymentSchema.index({ order_id: 1 });
+
+// One refund request against a successful Payment. refund_id is our reference (Paytm's REFID);
+// pending refunds are polled by a "refund_status" job until Paytm settles them.
+const RefundSchema = new mongoose.Schema({
+  refund_id: { type: String, required: true, unique: true },
+  order_id: { type: String, required: true },
+  payment_id: { type: String, required: true },
+  appointment_id: { type: String, default: null },
+  amount: { type: Number, required: true },
+  reason: { type: String, default: "" },
+  status: { type: String, default: "pending" }, // pending | success | failure
+  gateway_refund_id: { type: String, default: null },
+  gateway_message: { type: String, default: null },
+  gateway_response: { type: mongoose.Schema.Types.Mixed, default: null },
+  requestedBy: { type: String, default: null },
+  completedAt: { type: Date, default: null },
+  timestamp: { type: Date, default: Date.now },
+});
+RefundSchema.index({ payment_id: 1 });
+RefundSchema.index({ appointment_id: 1 });
+RefundSchema.index({ status: 1, timestamp: 1 });
+
 const BackupSchema = new mongoose.Schema({
   collectionName: { type: String, required: true },
   createdAt: { type: Date, default: Date.now },
   data: { type: Array, default: [] },
+  count: { type: Number, default: null },
+  trigger: { type: String, default: null }, // clear | manual | scheduled | upload | pre-restore (null on old backups = clear)
   note: { type: String, default: null }
 });
+BackupSchema.index({ collectionName: 1, createdAt: -1 });
+
+const SERVICE_CATEGORIES = ["General", "Diabetes", "Thyroid", "Weight Management", "Panchkarma"];
+
+const ServiceSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: "" },
+  fee: { type: Number, required: true, min: 0 },
+  duration: { type: Number, default: 30 }, // minutes
+  category: { type: String, enum: SERVICE_CATEGORIES, default: "General" },
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 },
+  timestamp: { type: Date, default: Date.now },
+});
+
+const ADMIN_ROLES = ["owner", "doctor", "receptionist"];
+
+const AdminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, default: "" },
+  email: { type: String, default: null },
+  role: { type: String, enum: ADMIN_ROLES, required: true },
+  passwordHash: { type: String, default: null }, // null until the invite / reset link is used
+  active: { type: Boolean, default: true },
+  tokenHash: { type: String, default: null },
+  tokenExpires: { type: Date, default: null },
+  lastLoginAt: { type: Date, default: null },
+  totpSecret: { type: String, default: null }, // base32; set once two-factor is switched on
+  totpPendingSecret: { type: String, default: null }, // during enrolment, until the first code is confirmed
+  totpLastStep: { type: Number, default: 0 }, // a code can't be used twice
+  recoveryCodes: { type: [String], default: [] }, // sha256 hashes of the unused one-time codes
+  timestamp: { type: Date, default: Date.now },
+});
+
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    id: { type: String, default: null },
+    username: { type: String, default: null },
+    role: { type: String, default: null },
+  },
+  action: { type: String, required: true }, // e.g. "appointment.update", "admin.login_failed"
+  collectionName: { type: String, default: null },
+  targetId: { type: String, default: null },
+  changes: { type: mongoose.Schema.Types.Mixed, default: null }, // { field: { from, to } }
+  meta: { type: mongoose.Schema.Types.Mixed, default: null },
+  ip: { type: String, default: null },
+  timestamp: { type: Date, default: Date.now },
+});
+AuditLogSchema.index({ timestamp: -1 });
+AuditLogSchema.index({ action: 1, timestamp: -1 });
+
+const NotificationTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  subject: { type: String, required: true },
+  body: { type: String, required: true },
+  enabled: { type: Boolean, default: true },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Delivery log: one document per message, updated as it is sent or fails
+const NotificationLogSchema = new mongoose.Schema({
+  channel: { type: String, default: "email" },
+  template: { type: String, required: true },
+  to: { type: String, required: true },
+  subject: { type: String, default: "" },
+  body: { type: String, default: "" },
+  status: { type: String, default: "queued" }, // queued | sent | failed | skipped
+  transport: { type: String, default: null },
+  messageId: { type: String, default: null },
+  error: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  related: {
+    collectionName: { type: String, default: null },
+    id: { type: String, default: null },
+  },
+  // Documents to attach, regenerated on every attempt: { kind: "receipt" | "prescription", appointmentId }
+  attachments: { type: [{ kind: String, appointmentId: String, _id: false }], default: [] },
+  jobId: { type: String, default: null }, // the queued job that sends it (reminders); its retries reuse this entry
+  sentAt: { type: Date, default: null },
+  timestamp: { type: Date, default: Date.now },
+});
+NotificationLogSchema.index({ timestamp: -1 });
+NotificationLogSchema.index({ jobId: 1 }, { partialFilterExpression: { jobId: { $type: "string" } } });
+NotificationLogSchema.index({ status: 1, timestamp: -1 });
+
+// Background job queue. Jobs live in Mongo so a restart or redeploy doesn't lose them;
+// a worker claims due jobs one at a time by flipping them to "running".
+const JobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // key into JOB_HANDLERS
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  runAt: { type: Date, required: true },
+  status: { type: String, default: "pending" }, // pending | running | sent | failed | cancelled
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: JOB_MAX_ATTEMPTS },
+  lastError: { type: String, default: null },
+  result: { type: String, default: null },
+  lockedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  timestamp: { type: Date, default: Date.now },
+});
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ "payload.appointmentId": 1, type: 1 });
+
+// Named counters for gap-free sequences (invoice numbers)
+const CounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  seq: { type: Number, default: 0 },
+});
+
+// One receipt per paid appointment. Amounts and patient details are copied in at issue time
+// so a reprint matches the original even if the appointment is edited later.
+const InvoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true },
+  appointmentId: { type: String, required: true, unique: true },
+  paymentId: { type: String, default: null },
+  patient: { name: String, phone: String, email: String },
+  description: { type: String, default: "" },
+  total: { type: Number, required: true },
+  gst: {
+    rate: { type: Number, default: 0 },
+    gstin: { type: String, default: "" },
+    taxable: { type: Number, default: null },
+    amount: { type: Number, default: 0 },
+  },
+  paymentMode: { type: String, default: null },
+  txnId: { type: String, default: null },
+  issuedAt: { type: Date, default: Date.now },
+});
+
+const PrescriptionSchema = new mongoose.Schema({
+  appointmentId: { type: String, required: true, unique: true },
+  patient_id: { type: String, default: null },
+  medicines: {
+    type: [{ name: String, dosage: String, frequency: String, duration: String, instructions: String, _id: false }],
+    default: [],
+  },
+  diet: { type: String, default: "" },
+  lifestyle: { type: String, default: "" },
+  followUp: { type: String, default: "" },
+  createdBy: { type: String, default: null },
+  updatedAt: { type: Date, default: Date.now },
+  timestamp: { type: Date, default: Date.now },
+});
+
+const POST_STATUSES = ["draft", "published", "scheduled"];
+const PostSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  slug: { type: String, required: true, unique: true },
+  excerpt: { type: String, default: "" }, // also the meta description
+  body: { type: String, default: "" }, // markdown
+  coverImage: { type: String, default: null }, // URL, usually /media/<id>
+  tags: { type: [String], default: [] },
+  status: { type: String, enum: POST_STATUSES, default: "draft" },
+  publishAt: { type: Date, default: null }, // when a scheduled post goes live; set on first publish otherwise
+  author: { type: String, default: null },
+  updatedAt: { type: Date, default: Date.now },
+  timestamp: { type: Date, default: Date.now },
+});
+PostSchema.index({ status: 1, publishAt: -1 });
+PostSchema.index({ tags: 1 });
+
+// Uploaded images, kept in Mongo because the deployment's filesystem is read-only
+const MediaSchema = new mongoose.Schema({
+  filename: { type: String, default: null },
+  contentType: { type: String, required: true },
+  size: { type: Number, default: 0 },
+  data: { type: Buffer, required: true },
+  uploadedBy: { type: String, default: null },
+  timestamp: { type: Date, default: Date.now },
+});
+
+// Shared counters for rate limits and duplicate detection, so limits hold across instances
+const RateCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+RateCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Public form submissions that were turned away, for admins to review
+const BlockedSubmissionSchema = new mongoose.Schema({
+  form: { type: String, required: true }, // appointment | feedback
+  reason: { type: String, required: true }, // honeypot | missing-token | too-fast | rate-ip | rate-phone | duplicate
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  name: { type: String, default: null },
+  email: { type: String, default: null },
+  phone: { type: String, default: null },
+  message: { type: String, default: null },
+  fields: { type: [String], default: [] }, // every field name that was posted, to spot stuffed payloads
+  timestamp: { type: Date, default: Date.now },
+});
+BlockedSubmissionSchema.index({ timestamp: 1 }, { expireAfterSeconds: BLOCKED_LOG_DAYS * 24 * 60 * 60 });
+BlockedSubmissionSchema.index({ form: 1, reason: 1, timestamp: -1 });
+
+const DEFAULT_WEEKLY_HOURS = [0, 1, 2, 3, 4, 5, 6].map(day => ({
+  day,
+  open: "11:00",
+  close: "20:00",
+  closed: day === 0, // Monday to Saturday
+}));
+
+const ScheduleSchema = new mongoose.Schema({
+  key: { type: String, default: "clinic", unique: true },
+  slotMinutes: { type: Number, default: 30 },
+  weekly: {
+    type: [new mongoose.Schema({ day: Number, open: String, close: String, closed: Boolean }, { _id: false })],
+    default: () => DEFAULT_WEEKLY_HOURS,
+  },
+  breaks: {
+    type: [new mongoose.Schema({ start: String, end: String, label: String }, { _id: false })],
+    default: () => [],
+  },
+  holidays: {
+    type: [new mongoose.Schema({ date: String, note: String }, { _id: false })],
+    default: () => [],
+  },
+  updatedAt: { type: Date, default: Date.now },
+});
 
-const Appointment = mongoose.model("Appointment", AppointmentSchema);
-const Feedback = mongoose.model("Feedback", FeedbackSchema);
-const Payment = mongoose.model("Payment", PaymentSchema);
-const Backup = mongoose.model("Backup", BackupSchema);
+const Appointment = storage.model("Appointment", AppointmentSchema);
+const Feedback = storage.model("Feedback", FeedbackSchema);
+const Payment = storage.model("Payment", PaymentSchema);
+const Refund = storage.model("Refund", RefundSchema);
+const Backup = storage.model("Backup", BackupSchema);
+const Schedule = storage.model("Schedule", ScheduleSchema);
+const Service = storage.model("Service", ServiceSchema);
+const AdminUser = storage.model("AdminUser", AdminUserSchema);
+const AuditLog = storage.model("AuditLog", AuditLogSchema);
+const NotificationTemplate = storage.model("NotificationTemplate", NotificationTemplateSchema);
+const NotificationLog = storage.model("NotificationLog", NotificationLogSchema);
+const Job = storage.model("Job", JobSchema);
+const Patient = storage.model("Patient", PatientSchema);
+const Counter = storage.model("Counter", CounterSchema);
+const Invoice = storage.model("Invoice", InvoiceSchema);
+const Prescription = storage.model("Prescription", PrescriptionSchema);
+const Post = storage.model("Post", PostSchema);
+const Media = storage.model("Media", MediaSchema);
+const RateCounter = storage.model("RateCounter", RateCounterSchema);
+const BlockedSubmission = storage.model("BlockedSubmission", BlockedSubmissionSchema);
 
 // -------------------- Helpers --------------------
 // Convert Mongoose doc (or array of docs) to plain objects with `id` (string) for frontend compatibility
@@ -131,183 +569,4264 @@ function serializeDoc(doc) {
   o.id = String(o._id);
   delete o._id;
   delete o.__v;
+  delete o.manageNonce;
 
-  // Format timestamp as YYYY/MM/DD HH:MM:SS in local time
-  if (o.timestamp) {
-    const d = new Date(o.timestamp);
-    const pad = (n) => String(n).padStart(2, "0");
-    o.timestamp = `${d.getFullYear()}/${pad(d.getMonth()+1)}/${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
-  }
+  if (o.timestamp) o.timestamp = formatTimestamp(o.timestamp);
 
   return o;
 }
 
+// Format timestamp as YYYY/MM/DD HH:MM:SS in local time
+function formatTimestamp(value) {
+  const d = new Date(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}/${pad(d.getMonth()+1)}/${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
 
 
-function requireAdmin(req, res, next) {
-  if (req.session && req.session.admin) return next();
-  if (req.path.startsWith("/api/"))
-    return res.status(401).json({ error: "Unauthorized" });
-  return res.redirect("/admin/login.html");
+
+const escapeRegExp = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Express 4 ignores the promise an async handler returns; this passes a rejection on to the error handler
+// at the end of the file instead of leaving it unhandled (which ends the process)
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// -------------------- Schedule & Slots --------------------
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+function fromMinutes(mins) {
+  return `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+}
+function isValidDate(date) {
+  if (!DATE_RE.test(date || "")) return false;
+  const d = new Date(`${date}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().startsWith(date);
 }
 
-// -------------------- Routes --------------------
-// Health check
-app.get("/", (_req, res) => res.send("Shree Siddhi Ayur Wellness backend (MongoDB) is live ✅"));
+// Current date and minute-of-day in the clinic's timezone (the server may run in UTC)
+function clinicNow() {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: CLINIC_TZ, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+    }).formatToParts(new Date()).map(p => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// The instant a clinic-local date ("YYYY-MM-DD") and time ("HH:MM") refer to
+function clinicDateTime(date, time) {
+  const [y, m, d] = date.split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d, Math.floor(toMinutes(time) / 60), toMinutes(time) % 60);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: CLINIC_TZ, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+    }).formatToParts(new Date(guess)).map(p => [p.type, p.value])
+  );
+  const shown = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+  return new Date(guess - (shown - guess));
+}
+
+async function getSchedule() {
+  return Schedule.findOneAndUpdate({ key: "clinic" }, { $setOnInsert: { key: "clinic" } }, { upsert: true, new: true, setDefaultsOnInsert: true }).lean();
+}
+
+// All slot start times the clinic offers on `date`, ignoring bookings. Returns { closed: reason } when shut.
+function slotsForDate(schedule, date) {
+  const holiday = (schedule.holidays || []).find(h => h.date === date);
+  if (holiday) return { closed: holiday.note || "Holiday" };
+
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const hours = (schedule.weekly || []).find(w => w.day === day);
+  if (!hours || hours.closed) return { closed: "Clinic closed" };
+
+  const step = schedule.slotMinutes || 30;
+  const breaks = (schedule.breaks || []).map(b => [toMinutes(b.start), toMinutes(b.end)]);
+  const times = [];
+  for (let t = toMinutes(hours.open); t + step <= toMinutes(hours.close); t += step) {
+    if (breaks.some(([bs, be]) => t < be && t + step > bs)) continue;
+    times.push(fromMinutes(t));
+  }
+  return { times };
+}
+
+// Free slots that an abandoned Paytm checkout is still holding
+async function releaseStalePaymentHolds() {
+  const cutoff = new Date(Date.now() - PAYMENT_HOLD_MINUTES * 60 * 1000);
+  const result = await Appointment.updateMany(
+    { payment_status: "pending", slotKey: { $type: "string" }, timestamp: { $lt: cutoff } },
+    { $unset: { slotKey: "" }, $set: { payment_status: "expired" } }
+  );
+  if (result.modifiedCount) publishChange("appointments", "reload");
+}
+
+// Check that date/slot is a bookable start time (in hours, not in the past). Returns an error message or null.
+async function validateSlot(date, slot) {
+  if (!isValidDate(date)) return "Please choose a valid date";
+  if (!TIME_RE.test(slot || "")) return "Please choose a time slot";
+
+  const now = clinicNow();
+  if (date < now.date || (date === now.date && toMinutes(slot) <= now.minutes)) return "That time slot has already passed";
+
+  const { closed, times } = slotsForDate(await getSchedule(), date);
+  if (closed) return `No appointments on ${date}: ${closed}`;
+  if (!times.includes(slot)) return "That time is outside clinic hours";
+  return null;
+}
+
+// -------------------- Services --------------------
+// The two booking types the site offered before the catalog existed
+async function seedDefaultServices() {
+  if (await Service.estimatedDocumentCount()) return;
+  await Service.insertMany([
+    { name: "Appointment", description: "First consultation with Dr. Suman Tiwari", fee: 500, duration: 30, sortOrder: 1 },
+    { name: "Follow Up", description: "Review visit for existing patients", fee: 200, duration: 15, sortOrder: 2 },
+  ]);
+  console.log("Seeded default services");
+}
+
+// Look up the active service a booking refers to. Accepts a service id or, for old clients, its name.
+async function findBookableService(ref) {
+  if (!ref) return null;
+  if (mongoose.isValidObjectId(ref)) {
+    const byId = await Service.findOne({ _id: ref, active: true });
+    if (byId) return byId;
+  }
+  return Service.findOne({ name: new RegExp(`^${escapeRegExp(ref)}$`, "i"), active: true });
+}
+
+function parseServiceInput(body) {
+  const fee = Number(body.fee);
+  const duration = Number(body.duration ?? 30);
+  if (!body.name || !String(body.name).trim()) return { error: "Name is required" };
+  if (!Number.isFinite(fee) || fee < 0) return { error: "Fee must be a positive number" };
+  if (!Number.isInteger(duration) || duration <= 0) return { error: "Duration must be whole minutes" };
+  if (body.category && !SERVICE_CATEGORIES.includes(body.category)) return { error: "Unknown category" };
+  return {
+    data: {
+      name: String(body.name).trim(),
+      description: body.description ?? "",
+      fee,
+      duration,
+      category: body.category || "General",
+      active: body.active !== false && body.active !== "false",
+      sortOrder: Number(body.sortOrder) || 0,
+    },
+  };
+}
+
+// -------------------- Patient manage links --------------------
+// Token: "<appointment id>.<expiry ms>.<hmac>". The HMAC also covers the appointment's manageNonce,
+// so rotating the nonce invalidates every link issued before. Links stay valid until a day after the visit.
+function signManageToken(id, nonce, expires) {
+  return crypto.createHmac("sha256", MANAGE_LINK_SECRET).update(`${id}.${nonce || ""}.${expires}`).digest("base64url");
+}
+
+function manageToken(appointment) {
+  if (!appointment || !isValidDate(appointment.date) || !TIME_RE.test(appointment.slot || "")) return null;
+  const expires = clinicDateTime(appointment.date, appointment.slot).getTime() + 24 * 60 * 60 * 1000;
+  const id = String(appointment._id);
+  return `${id}.${expires}.${signManageToken(id, appointment.manageNonce, expires)}`;
+}
+
+function manageUrl(appointment) {
+  const token = manageToken(appointment);
+  return token ? `${SITE_URL}/manage-booking.html?token=${token}` : "";
+}
+
+// The live appointment a manage token refers to, or null if it is malformed, forged, revoked or expired
+async function findByManageToken(token) {
+  const [id, expires, sig] = String(token || "").split(".");
+  if (!mongoose.isValidObjectId(id) || !/^\d+$/.test(expires || "") || !sig) return null;
+  if (Number(expires) < Date.now()) return null;
+  const appointment = await Appointment.findOne({ _id: id, deletedAt: null });
+  if (!appointment) return null;
+  const expected = Buffer.from(signManageToken(id, appointment.manageNonce, expires));
+  const given = Buffer.from(sig);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? appointment : null;
+}
+
+// What a patient may still do with their booking under the cancellation policy
+function managePolicy(appointment) {
+  const visit = clinicDateTime(appointment.date, appointment.slot).getTime();
+  const deadline = new Date(visit - CANCELLATION_CUTOFF_HOURS * 60 * 60 * 1000);
+  const open = !CLOSED_APPOINTMENT_STATUSES.includes(currentStatus(appointment))
+    && !["pending", "failed", "expired"].includes(appointment.payment_status);
+  const canChange = open && Date.now() < deadline.getTime();
+  let reason = null;
+  if (!open) reason = appointment.status === "cancelled" ? "This booking has been cancelled" : "This booking can no longer be changed online";
+  else if (!canChange) reason = `Changes are only possible up to ${CANCELLATION_CUTOFF_HOURS} hours before your visit. Please call the clinic.`;
+  return { cutoffHours: CANCELLATION_CUTOFF_HOURS, deadline, canChange, reason };
+}
+
+// One entry in an appointment's change history; `changes` maps field -> { from, to }
+function historyEntry(action, by, before, after, reason, fields = ["date", "slot", "status"]) {
+  const pick = (o) => Object.fromEntries(fields.map(f => [f, o[f]]));
+  return { at: new Date(), action, by, changes: diffObjects(pick(before), pick(after)), reason: reason || null };
+}
+
+// -------------------- Appointment status workflow --------------------
+const APPOINTMENT_STATUSES = ["pending", "confirmed", "checked-in", "completed", "cancelled", "no-show", "rescheduled"];
+// Allowed next statuses. "rescheduled" is a booked state like "confirmed", entered by moving the date/slot.
+const STATUS_TRANSITIONS = {
+  pending: ["confirmed", "checked-in", "rescheduled", "cancelled", "no-show"],
+  confirmed: ["checked-in", "rescheduled", "cancelled", "no-show"],
+  rescheduled: ["confirmed", "checked-in", "rescheduled", "cancelled", "no-show"],
+  "checked-in": ["completed"],
+  completed: [],
+  cancelled: [],
+  "no-show": [],
+};
+// From here on the visit is under way or over: no reminders and no changes by the patient
+const CLOSED_APPOINTMENT_STATUSES = ["checked-in", "completed", "cancelled", "no-show"];
+// Everything else on an appointment (fee, payment fields, slotKey...) is owned by the server
+const EDITABLE_APPOINTMENT_FIELDS = ["name", "email", "phone", "message"];
+
+// Records from before the workflow used "done" for a finished visit
+function currentStatus(appointment) {
+  if (appointment.status === "done") return "completed";
+  return STATUS_TRANSITIONS[appointment.status] ? appointment.status : "pending";
+}
+
+// Move an appointment document to `status` and save it. A reschedule needs a free `date`/`slot`;
+// a cancellation gives the slot back. Returns null, or { code, error } when the change is refused.
+async function transitionAppointment(appointment, { status, reason, date, slot }, by) {
+  const from = currentStatus(appointment);
+  if (!APPOINTMENT_STATUSES.includes(status)) return { code: 400, error: `Unknown status "${status}"` };
+  if (!STATUS_TRANSITIONS[from].includes(status)) return { code: 400, error: `A ${from} appointment can't be marked ${status}` };
+
+  const before = appointment.toObject();
+  if (status === "rescheduled") {
+    if (date === appointment.date && slot === appointment.slot) return { code: 400, error: "That is already the booked time" };
+    const slotError = await validateSlot(date, slot);
+    if (slotError) return { code: 400, error: slotError };
+    await releaseStalePaymentHolds();
+    appointment.set({ date, slot, slotKey: `${date} ${slot}` });
+  }
+  if (status === "cancelled") appointment.slotKey = undefined; // free the slot for someone else
+  appointment.status = status;
+  appointment.history.push(historyEntry(status, by, before, appointment, reason));
 
-// Public API: Appointments
-app.post("/api/appointment", async (req, res) => {
   try {
-    const payload = { ...req.body, fee: Number(req.body.fee) || 0, timestamp: req.body.timestamp ? new Date(req.body.timestamp) : undefined };
-    const saved = await Appointment.create(payload);
-    return res.json({ status: "success", type: "appointment", data: serializeDoc(saved) });
+    await appointment.save(); // the unique slotKey index rejects a slot someone else holds
   } catch (e) {
-    console.error("Save appointment error:", e);
-    return res.status(500).json({ error: "Could not save appointment" });
+    if (isDuplicateKey(e)) return { code: 409, error: SLOT_TAKEN_MESSAGE };
+    throw e;
   }
-});
+  return null;
+}
 
-// Public API: Feedback
-app.post("/api/feedback", async (req, res) => {
-  try {
-    const payload = {
-      name: req.body.name ?? null,
-      email: req.body.email ?? null,
-      phone: req.body.phone ?? null,
-      message: req.body.feedback ?? req.body.message ?? "",
-      rating: req.body.rating ? Number(req.body.rating) : null,
-      timestamp: req.body.timestamp ? new Date(req.body.timestamp) : undefined
+// -------------------- Notifications --------------------
+// Built-in templates; an admin edit is stored in NotificationTemplate and takes precedence.
+// Placeholders are {{name}}; see notificationVars() for what is available.
+const DEFAULT_TEMPLATES = {
+  booking_confirmation: {
+    label: "Patient: booking confirmation",
+    subject: "Your appointment on {{date}} at {{slot}} is confirmed",
+    body: "Namaste {{name}},\n\nYour {{service}} with Dr. Suman Tiwari is booked for {{date}} at {{slot}}.\nFee: ₹{{fee}}\n\nTo view, reschedule or cancel your booking: {{manageUrl}}\n\n{{clinicName}}",
+  },
+  payment_receipt: {
+    label: "Patient: payment receipt",
+    subject: "Payment receipt for order {{orderId}}",
+    body: "Namaste {{name}},\n\nWe have received your payment of ₹{{amount}} for {{service}} on {{date}} at {{slot}}.\nOrder: {{orderId}}\nTransaction: {{txnId}}\n\nYour receipt is attached.\n\nThank you,\n{{clinicName}}",
+  },
+  payment_refund: {
+    label: "Patient: refund issued",
+    subject: "Refund of ₹{{amount}} for order {{orderId}}",
+    body: "Namaste {{name}},\n\nWe have refunded ₹{{amount}} for your {{service}} on {{date}}.\nOrder: {{orderId}}\nRefund reference: {{refundId}}\n\nDepending on your bank it can take 5-7 working days to reach your account.\n\n{{clinicName}}",
+  },
+  appointment_reminder: {
+    label: "Patient: appointment reminder",
+    subject: "Reminder: your appointment {{when}} at {{slot}}",
+    body: "Namaste {{name}},\n\nThis is a reminder of your {{service}} with Dr. Suman Tiwari on {{date}} at {{slot}}.\nIf you can no longer make it, please reschedule or cancel so we can offer the time to someone else: {{manageUrl}}\n\n{{clinicName}}",
+  },
+  prescription: {
+    label: "Patient: prescription",
+    subject: "Your prescription from {{date}}",
+    body: "Namaste {{name}},\n\nPlease find attached your prescription from your {{service}} on {{date}}.\n\nWishing you good health,\n{{clinicName}}",
+  },
+  booking_cancelled: {
+    label: "Patient: cancellation notice",
+    subject: "Your appointment on {{date}} has been cancelled",
+    body: "Namaste {{name}},\n\nYour {{service}} on {{date}} at {{slot}} has been cancelled.\n{{reason}}\n\nYou can book a new time at any point on our website.\n\n{{clinicName}}",
+  },
+  clinic_new_appointment: {
+    label: "Clinic: new appointment",
+    subject: "New booking: {{name}} on {{date}} at {{slot}}",
+    body: "New appointment\n\nPatient: {{name}}\nPhone: {{phone}}\nEmail: {{email}}\nService: {{service}} (₹{{fee}})\nWhen: {{date}} at {{slot}}\nPayment: {{paymentStatus}}\nMessage: {{message}}",
+  },
+  clinic_low_rating: {
+    label: "Clinic: low-rated feedback",
+    subject: "Low rating ({{rating}}★) from {{name}}",
+    body: "A patient left a low rating.\n\nName: {{name}}\nPhone: {{phone}}\nEmail: {{email}}\nRating: {{rating}}★\n\n{{message}}",
+  },
+};
+
+// Transport factory; "file" and "console" need no network, for local runs and tests
+function createMailTransport() {
+  if (MAIL.transport === "smtp") {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  if (MAIL.transport === "file") {
+    const streamer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      async sendMail(message) {
+        const info = await streamer.sendMail(message);
+        await fs.promises.mkdir(MAIL.fileDir, { recursive: true });
+        const file = path.join(MAIL.fileDir, `${Date.now()}-${crypto.randomBytes(3).toString("hex")}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        return { messageId: info.messageId, file };
+      },
     };
-    const saved = await Feedback.create(payload);
-    return res.json({ status: "success", type: "feedback", data: serializeDoc(saved) });
+  }
+  const json = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    async sendMail(message) {
+      const info = await json.sendMail(message);
+      // Subjects and bodies carry patient details, so they stay out of the logs (the delivery log has them)
+      console.log(`📧 [mail] not sent (MAIL_TRANSPORT=console): to=${message.to}, ${message.attachments.length} attachment(s)`);
+      return { messageId: info.messageId };
+    },
+  };
+}
+const mailTransport = createMailTransport();
+
+async function getTemplate(key) {
+  const stored = await NotificationTemplate.findOne({ key }).lean();
+  return stored || { key, ...DEFAULT_TEMPLATES[key], enabled: true };
+}
+
+function renderTemplate(text, vars) {
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, k) => String(vars[k] ?? ""));
+}
+
+function notificationVars(appointment = {}, extra = {}) {
+  return {
+    clinicName: CLINIC_NAME,
+    name: appointment.name || "",
+    email: appointment.email || "",
+    phone: appointment.phone || "",
+    service: appointment.bookingType || "appointment",
+    fee: appointment.fee ?? "",
+    date: appointment.date || "",
+    slot: appointment.slot || "",
+    message: appointment.message || "",
+    orderId: appointment.order_id || "",
+    paymentStatus: appointment.payment_status || "pay at clinic",
+    manageUrl: manageUrl(appointment),
+    ...extra,
+  };
+}
+
+async function deliverNotification(log) {
+  log.attempts += 1;
+  try {
+    const attachments = await Promise.all(log.attachments.map(documentAttachment));
+    const info = await mailTransport.sendMail({ from: MAIL.from, to: log.to, subject: log.subject, text: log.body, attachments });
+    log.status = "sent";
+    log.messageId = info.messageId || null;
+    log.error = null;
+    log.sentAt = new Date();
   } catch (e) {
-    console.error("Save feedback error:", e);
-    return res.status(500).json({ error: "Could not save feedback" });
+    log.status = "failed";
+    log.error = e.message;
+    console.error(`Notification ${log.template} to ${log.to} failed:`, e.message);
   }
-});
+  await log.save();
+  return log;
+}
 
-// Admin routes: Fetch
-app.get("/api/appointments", requireAdmin, async (_req, res) => {
-  const arr = await Appointment.find().sort({ timestamp: -1 }).lean();
-  const out = arr.map(a => { a.id = String(a._id); delete a._id; delete a.__v; return a; });
-  res.json(out);
-});
+// Render a template and send it, recording the outcome in the delivery log.
+// Never throws: callers fire and forget so a mail problem can't fail a booking.
+async function notify(templateKey, to, vars, related = {}, attachments = [], { jobId = null } = {}) {
+  try {
+    if (!to) return null;
+    const template = await getTemplate(templateKey);
+    const log = await NotificationLog.create({
+      template: templateKey,
+      to,
+      subject: renderTemplate(template.subject, vars),
+      body: renderTemplate(template.body, vars),
+      transport: MAIL.transport,
+      related,
+      attachments,
+      jobId,
+      status: template.enabled ? "queued" : "skipped",
+    });
+    if (!template.enabled) return log;
+    return await deliverNotification(log);
+  } catch (e) {
+    console.error(`notify(${templateKey}) error:`, e);
+    return null;
+  }
+}
 
-app.get("/api/feedbacks", requireAdmin, async (_req, res) => {
-  const arr = await Feedback.find().sort({ timestamp: -1 }).lean();
-  const out = arr.map(a => { a.id = String(a._id); delete a._id; delete a.__v; return a; });
-  res.json(out);
-});
+// A confirmed booking: patient confirmation plus clinic alert
+function notifyBookingConfirmed(appointment) {
+  const vars = notificationVars(appointment);
+  const related = { collectionName: "appointments", id: String(appointment._id) };
+  notify("booking_confirmation", appointment.email, vars, related);
+  notify("clinic_new_appointment", CLINIC_EMAIL, vars, related);
+}
 
-app.get("/api/payments", requireAdmin, async (_req, res) => {
-  const arr = await Payment.find().sort({ timestamp: -1 }).lean();
-  const out = arr.map(a => { a.id = String(a._id); delete a._id; delete a.__v; return a; });
-  res.json(out);
-});
+// -------------------- Job queue & reminders --------------------
+// Reminder delivery channels. Each gets the appointment and its job and returns a short result note;
+// throwing marks the attempt failed (err.permanent skips the retries).
+const stubOutbox = [];
+const REMINDER_CHANNELS = {
+  async email(appointment, job) {
+    if (!appointment.email) throw Object.assign(new Error("Patient has no email address"), { permanent: true });
+    const when = job.payload.hoursBefore >= 24 ? "tomorrow" : "today";
+    // A retry sends the message the first attempt logged, so each reminder has one delivery log entry
+    const previous = await NotificationLog.findOne({ jobId: String(job._id) });
+    const log = previous
+      ? previous.status === "sent" || previous.status === "skipped" ? previous : await deliverNotification(previous)
+      : await notify("appointment_reminder", appointment.email, notificationVars(appointment, { when }), { collectionName: "appointments", id: String(appointment._id) }, [], { jobId: String(job._id) });
+    if (!log) throw new Error("Could not record the message");
+    if (log.status === "failed") throw new Error(log.error);
+    return log.status === "skipped" ? "Template disabled" : `Emailed ${appointment.email}`;
+  },
+  // Local testing: keeps messages in memory and logs them. REMINDER_STUB_FAIL=true makes every send fail.
+  async stub(appointment, job) {
+    if (process.env.REMINDER_STUB_FAIL === "true") throw new Error("Stub channel failure");
+    stubOutbox.push({ to: appointment.phone || appointment.email, appointmentId: String(appointment._id), hoursBefore: job.payload.hoursBefore, at: new Date() });
+    console.log(`⏰ [stub reminder] ${appointment.name} ${appointment.date} ${appointment.slot} (${job.payload.hoursBefore}h before)`);
+    return "Stub delivery";
+  },
+};
 
-// -------------------- Backup & Undo --------------------
-async function createBackupForCollection(collectionName, dataArray, note = null) {
+// Reminders an appointment should get (none once it is cancelled, done, trashed, over, or unpaid online)
+function reminderTimes(appointment) {
+  if (!appointment || appointment.deletedAt || !isValidDate(appointment.date) || !TIME_RE.test(appointment.slot || "")) return [];
+  if (CLOSED_APPOINTMENT_STATUSES.includes(currentStatus(appointment))) return [];
+  if (["pending", "failed", "expired"].includes(appointment.payment_status)) return [];
+  const visit = clinicDateTime(appointment.date, appointment.slot).getTime();
+  if (visit <= Date.now()) return [];
+  return REMINDER_OFFSETS_HOURS.map(hoursBefore => ({ hoursBefore, remindAt: new Date(visit - hoursBefore * 60 * 60 * 1000) }));
+}
+
+// payload.remindAt keeps the intended time; runAt moves on when a failed attempt is retried
+const sameReminder = (job, r) => job.payload.hoursBefore === r.hoursBefore && new Date(job.payload.remindAt).getTime() === r.remindAt.getTime();
+
+// Bring an appointment's queued reminders in line with its current date/slot/status.
+// Unchanged reminders are left alone, so editing a note doesn't churn the queue.
+async function syncReminders(appointment) {
   try {
-    await Backup.create({
-      collectionName,
-      data: dataArray,
-      note
+    const appointmentId = String(appointment._id);
+    const wanted = reminderTimes(appointment).filter(r => r.remindAt.getTime() > Date.now());
+    const existing = await Job.find({ type: "appointment_reminder", "payload.appointmentId": appointmentId, status: { $in: ["pending", "running", "sent"] } }).lean();
+    const stale = existing.filter(j => j.status === "pending" && !wanted.some(r => sameReminder(j, r)));
+    if (stale.length) {
+      await Job.updateMany(
+        { _id: { $in: stale.map(j => j._id) }, status: "pending" },
+        { $set: { status: "cancelled", result: "Appointment changed", completedAt: new Date() } }
+      );
+    }
+    const kept = existing.filter(j => !stale.includes(j));
+    const missing = wanted.filter(r => !kept.some(j => sameReminder(j, r)));
+    if (missing.length) {
+      await Job.insertMany(missing.map(r => ({
+        type: "appointment_reminder",
+        runAt: r.remindAt,
+        payload: { appointmentId, patient: appointment.name, hoursBefore: r.hoursBefore, remindAt: r.remindAt, channel: REMINDER_CHANNEL },
+      })));
+    }
+  } catch (e) {
+    console.error(`Reminder scheduling failed for appointment ${appointment && appointment._id}:`, e);
+  }
+}
+
+async function cancelReminders(appointmentIds, reason) {
+  await Job.updateMany(
+    { type: "appointment_reminder", "payload.appointmentId": { $in: appointmentIds.map(String) }, status: "pending" },
+    { $set: { status: "cancelled", result: reason, completedAt: new Date() } }
+  );
+}
+
+// Handlers return a result note, or { cancel: reason } when the job no longer applies
+const JOB_HANDLERS = {
+  async appointment_reminder(job) {
+    const appointment = mongoose.isValidObjectId(job.payload.appointmentId)
+      ? await Appointment.findById(job.payload.appointmentId).lean()
+      : null;
+    // The booking may have changed since the job was queued (restored backup, bulk clear, visit already started...)
+    if (!reminderTimes(appointment).some(r => sameReminder(job, r))) {
+      return { cancel: "Appointment no longer needs this reminder" };
+    }
+    const channel = REMINDER_CHANNELS[job.payload.channel] || REMINDER_CHANNELS[REMINDER_CHANNEL];
+    if (!channel) throw Object.assign(new Error(`Unknown reminder channel "${job.payload.channel}"`), { permanent: true });
+    return channel(appointment, job);
+  },
+  // Poll Paytm until a refund settles; throwing while it is still pending schedules the next check
+  async refund_status(job) {
+    const refund = mongoose.isValidObjectId(job.payload.refundId) ? await Refund.findById(job.payload.refundId).lean() : null;
+    if (!refund || refund.status !== "pending") return { cancel: "Refund is no longer pending" };
+    const settled = await checkRefund(refund);
+    if (settled.status === "pending") throw new Error(settled.gateway_message || "Refund still pending at Paytm");
+    return `Refund ${settled.status}`;
+  },
+};
+
+async function runJob(job) {
+  try {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) throw Object.assign(new Error(`No handler for job type "${job.type}"`), { permanent: true });
+    const result = await handler(job);
+    if (result && result.cancel) {
+      await Job.updateOne({ _id: job._id }, { $set: { status: "cancelled", result: result.cancel, lockedAt: null, completedAt: new Date() } });
+    } else {
+      await Job.updateOne({ _id: job._id }, { $set: { status: "sent", result: result || null, lastError: null, lockedAt: null, completedAt: new Date() } });
+    }
+  } catch (e) {
+    const giveUp = e.permanent || job.attempts >= job.maxAttempts;
+    const delay = JOB_RETRY_BASE_MINUTES * 2 ** (job.attempts - 1) * 60 * 1000;
+    await Job.updateOne({ _id: job._id }, {
+      $set: giveUp
+        ? { status: "failed", lastError: e.message, lockedAt: null, completedAt: new Date() }
+        : { status: "pending", lastError: e.message, lockedAt: null, runAt: new Date(Date.now() + delay) },
     });
-    console.log(`Backup created for ${collectionName} (${dataArray.length} items)`);
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed${giveUp ? ", giving up" : ""}:`, e.message);
+  }
+}
+
+// Claim and run every due job. A job stuck in "running" (server died mid-send) is picked up again after 10 minutes.
+let jobsRunning = false;
+async function runDueJobs() {
+  if (jobsRunning || !storage.ready()) return;
+  jobsRunning = true;
+  try {
+    await Job.updateMany(
+      { status: "running", lockedAt: { $lt: new Date(Date.now() - 10 * 60 * 1000) } },
+      { $set: { status: "pending", lockedAt: null } }
+    );
+    for (;;) {
+      const job = await Job.findOneAndUpdate(
+        { status: "pending", runAt: { $lte: new Date() } },
+        { $set: { status: "running", lockedAt: new Date() }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, new: true }
+      ).lean();
+      if (!job) break;
+      await runJob(job);
+    }
   } catch (e) {
-    console.error(`Failed to create backup for ${collectionName}:`, e);
+    console.error("Job worker error:", e);
+  } finally {
+    jobsRunning = false;
   }
 }
+// On a long-running host this timer is the worker. Serverless functions (Vercel) are frozen between
+// requests, so there the timers never fire reliably and /api/cron has to be called on a schedule instead.
+setInterval(runDueJobs, JOB_POLL_SECONDS * 1000).unref();
 
-async function restoreLatestBackupForCollection(collectionName) {
-  const latest = await Backup.findOne({ collectionName }).sort({ createdAt: -1 }).lean();
-  if (!latest) return { ok: false, message: "No backup available" };
-  const docs = latest.data || [];
-  const modelMap = { appointments: Appointment, feedback: Feedback, payments: Payment };
-  const model = modelMap[collectionName];
-  if (!model) return { ok: false, message: "Unknown collection for restore" };
+// -------------------- Patients --------------------
+// Indian numbers arrive as "98765 43210", "+91-9876543210", "09876543210"...; the last 10 digits identify them
+function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : digits || null;
+}
+function normalizeEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  return e.includes("@") ? e : null;
+}
 
-  // restore: clear collection, then insert docs preserving existing _id fields
-  // To preserve original _id, we pass docs as-is. If any inserted docs conflict, that is unlikely because we cleared the collection first.
-  try {
-    // clear collection and re-insert
-    await model.deleteMany({});
-    if (docs.length) {
-      // If the backup items have _id as ObjectId-like strings, they will be used as-is.
-      // Convert any _id strings to ObjectId where appropriate.
-      const prepared = docs.map(d => {
-        const copy = { ...d };
-        // ensure no __v leaking
-        delete copy.__v;
-        return copy;
-      });
-      await model.insertMany(prepared, { ordered: false });
+// The patient a booking or feedback belongs to, created on first contact. Never throws: an unlinked
+// record is picked up again by linkUnlinkedRecords().
+async function findOrCreatePatient({ name, phone, email }) {
+  try {
+    const p = normalizePhone(phone);
+    const e = normalizeEmail(email);
+    if (!p && !e) return null;
+    const or = [];
+    if (p) or.push({ phones: p });
+    if (e) or.push({ emails: e });
+    const existing = await Patient.findOne({ mergedInto: null, $or: or }).sort({ timestamp: 1 });
+    if (existing) {
+      const add = {};
+      if (p && !existing.phones.includes(p)) add.phones = p;
+      if (e && !existing.emails.includes(e)) add.emails = e;
+      if (Object.keys(add).length) await Patient.updateOne({ _id: existing._id }, { $addToSet: add });
+      return existing;
     }
-    return { ok: true, message: "Restored from latest backup", restoredCount: docs.length };
-  } catch (e) { return { ok: false, message: "Restore failed: " + e.message }; }
+    return await Patient.create({ name: name || null, phones: p ? [p] : [], emails: e ? [e] : [] });
+  } catch (err) {
+    console.error("Patient lookup failed:", err);
+    return null;
+  }
 }
 
-// Clear & Undo routes
-app.delete("/api/appointments", requireAdmin, async (_req, res) => {
-  const current = await Appointment.find().lean();
-  await createBackupForCollection("appointments", current, "Cleared by admin");
-  await Appointment.deleteMany({});
-  res.json({ status: "success", message: "All appointments cleared. Undo available." });
-});
+async function linkPatient(model, doc) {
+  const patient = await findOrCreatePatient(doc);
+  if (patient) await model.updateOne({ _id: doc._id }, { $set: { patient_id: String(patient._id) } });
+  return patient;
+}
 
-app.delete("/api/feedbacks", requireAdmin, async (_req, res) => {
-  const current = await Feedback.find().lean();
-  await createBackupForCollection("feedback", current, "Cleared by admin");
-  await Feedback.deleteMany({});
-  res.json({ status: "success", message: "All feedback cleared. Undo available." });
-});
+// Backfill: give every appointment and feedback without a patient one (records from before profiles existed)
+async function linkUnlinkedRecords() {
+  for (const model of [Appointment, Feedback]) {
+    let linked = 0;
+    const cursor = model.find({ patient_id: null }).select("name phone email").sort({ timestamp: 1 }).lean().cursor();
+    for await (const doc of cursor) {
+      if (await linkPatient(model, doc)) linked++;
+    }
+    if (linked) console.log(`Linked ${linked} ${model.collection.name} to patient profiles`);
+  }
+}
 
-app.post("/api/appointments/undo", requireAdmin, async (_req, res) => {
-  const result = await restoreLatestBackupForCollection("appointments");
-  if (!result.ok) return res.status(400).json({ error: result.message });
-  res.json({ status: "success", message: result.message, restored: result.restoredCount });
-});
+// Fold `sources` into `target`: visits, feedback, contact details and notes all move over
+async function mergePatients(target, sources) {
+  const sourceIds = sources.map(s => String(s._id));
+  await Appointment.updateMany({ patient_id: { $in: sourceIds } }, { $set: { patient_id: String(target._id) } });
+  await Feedback.updateMany({ patient_id: { $in: sourceIds } }, { $set: { patient_id: String(target._id) } });
+  publishChange("appointments", "reload");
+  publishChange("feedback", "reload");
+  for (const s of sources) {
+    s.phones.forEach(p => { if (!target.phones.includes(p)) target.phones.push(p); });
+    s.emails.forEach(e => { if (!target.emails.includes(e)) target.emails.push(e); });
+    target.notes.push(...s.notes.map(n => n.toObject()));
+    if (!target.name) target.name = s.name;
+  }
+  target.notes.sort((a, b) => a.at - b.at);
+  await target.save();
+  await Patient.updateMany({ _id: { $in: sourceIds } }, { $set: { mergedInto: String(target._id) } });
+  // Anything previously merged into a source now points at the target
+  await Patient.updateMany({ mergedInto: { $in: sourceIds } }, { $set: { mergedInto: String(target._id) } });
+}
 
-app.post("/api/feedbacks/undo", requireAdmin, async (_req, res) => {
-  const result = await restoreLatestBackupForCollection("feedback");
-  if (!result.ok) return res.status(400).json({ error: result.message });
-  res.json({ status: "success", message: result.message, restored: result.restoredCount });
-});
+// -------------------- Documents (PDF receipts & prescriptions) --------------------
+const LOGO_PATH = path.join(__dirname, "public", "logo.png");
 
-// -------------------- Admin login/logout --------------------
-app.post("/api/admin/login", (req, res) => {
-  const { username, password } = req.body;
-  if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-    req.session.admin = true;
-    return res.json({ success: true });
+async function nextSequence(key) {
+  const counter = await Counter.findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  return counter.seq;
+}
+
+// A receipt can be issued once the visit is paid for, online or at the clinic
+const isReceiptable = (a) => a.payment_status === "paid" || (!a.payment_status && currentStatus(a) === "completed");
+
+// The appointment's invoice, issuing the next number the first time it's asked for
+async function issueInvoice(appointment) {
+  const existing = await Invoice.findOne({ appointmentId: String(appointment._id) }).lean();
+  if (existing) return existing;
+
+  const payment = appointment.payment_id && mongoose.isValidObjectId(appointment.payment_id)
+    ? await Payment.findById(appointment.payment_id).lean()
+    : null;
+  const total = payment && Number(payment.amount) ? Number(payment.amount) : Number(appointment.fee) || 0;
+  const taxable = GST_RATE ? Math.round((total / (1 + GST_RATE / 100)) * 100) / 100 : null;
+  const seq = await nextSequence("invoice");
+  try {
+    const invoice = await Invoice.create({
+      number: `${INVOICE_PREFIX}${String(seq).padStart(6, "0")}`,
+      appointmentId: String(appointment._id),
+      paymentId: payment ? String(payment._id) : null,
+      patient: { name: appointment.name, phone: appointment.phone, email: appointment.email },
+      description: `${appointment.bookingType || "Consultation"} on ${appointment.date || "-"}${appointment.slot ? ` at ${appointment.slot}` : ""}`,
+      total,
+      gst: { rate: GST_RATE, gstin: CLINIC_GSTIN, taxable, amount: taxable === null ? 0 : Math.round((total - taxable) * 100) / 100 },
+      paymentMode: payment ? (payment.gateway_response && payment.gateway_response.PAYMENTMODE) || "Online" : "At clinic",
+      txnId: payment ? payment.txn_id : null,
+    });
+    return invoice.toObject();
+  } catch (e) {
+    // Two requests raced to issue the same receipt; the other one won (its number is used, ours is skipped)
+    if (isDuplicateKey(e)) return Invoice.findOne({ appointmentId: String(appointment._id) }).lean();
+    throw e;
   }
-  return res.json({ success: false });
-});
+}
 
-app.get("/api/admin/logout", (req, res) => {
-  req.session.destroy((err) => {
-    if (err) return res.status(500).json({ error: "Logout failed" });
-    return res.redirect("/admin/admin-login.html");
+// Render with pdfkit into a Buffer, so the same bytes can be downloaded or mailed
+function renderPdf(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", c => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    try {
+      drawLetterhead(doc);
+      draw(doc);
+      doc.end();
+    } catch (e) {
+      reject(e);
+    }
   });
-});
+}
 
-// -------------------- Admin pages --------------------
-app.get("/admin/dashboard", requireAdmin, (_req, res) => res.sendFile(path.join(__dirname, "public", "admin", "admindash.html")));
-app.get("/admin/appointments", requireAdmin, (_req, res) => res.sendFile(path.join(__dirname, "public", "admin", "admindash.html")));
-app.get("/admin/feedback", requireAdmin, (_req, res) => res.sendFile(path.join(__dirname, "public", "admin", "afeedback.html")));
-app.get("/admin/admin-login.html", (_req, res) => res.sendFile(path.join(__dirname, "public", "admin", "admin-login.html")));
+function drawLetterhead(doc) {
+  if (fs.existsSync(LOGO_PATH)) doc.image(LOGO_PATH, 50, 40, { width: 60 });
+  doc.fontSize(18).font("Helvetica-Bold").text(CLINIC_NAME, 120, 45);
+  doc.fontSize(10).font("Helvetica").text("Dr. Suman Tiwari, B.A.M.S. / D.D.H.N, Physician & Dietician", 120, 68);
+  const contact = [CLINIC_ADDRESS, CLINIC_PHONE, CLINIC_EMAIL].filter(Boolean).join(" | ");
+  doc.text(contact, 120, 82);
+  doc.moveTo(50, 110).lineTo(545, 110).stroke();
+  doc.x = 50;
+  doc.y = 125;
+}
 
-// -------------------- Patch appointment --------------------
-app.patch("/api/appointments/:id", requireAdmin, async (req, res) => {
-  let updated = await Appointment.findByIdAndUpdate(req.params.id, { ...req.body }, { new: true });
-  if (!updated) updated = await Appointment.findOneAndUpdate({ id: req.params.id }, { ...req.body }, { new: true });
-  if (!updated) return res.status(404).json({ error: "Appointment not found" });
-  res.json({ status: "success", data: serializeDoc(updated) });
-});
+const rupees = (n) => `Rs. ${Number(n || 0).toFixed(2)}`; // the standard PDF fonts have no ₹ glyph
+
+function receiptPdf(invoice) {
+  return renderPdf(doc => {
+    doc.fontSize(16).font("Helvetica-Bold").text(invoice.gst.rate ? "TAX INVOICE / RECEIPT" : "RECEIPT", { align: "center" }).moveDown();
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`Invoice no: ${invoice.number}`);
+    doc.text(`Date: ${formatTimestamp(invoice.issuedAt)}`);
+    if (invoice.gst.rate && invoice.gst.gstin) doc.text(`GSTIN: ${invoice.gst.gstin}`);
+    doc.moveDown();
+    doc.font("Helvetica-Bold").text("Billed to");
+    doc.font("Helvetica").text(invoice.patient.name || "-");
+    if (invoice.patient.phone) doc.text(invoice.patient.phone);
+    if (invoice.patient.email) doc.text(invoice.patient.email);
+    doc.moveDown();
+
+    const row = (label, value, bold) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").text(label, 50, y, { width: 350 });
+      doc.text(value, 400, y, { width: 145, align: "right" });
+      doc.moveDown(0.5);
+    };
+    row("Description", "Amount", true);
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke().moveDown(0.5);
+    if (invoice.gst.rate) {
+      row(invoice.description, rupees(invoice.gst.taxable));
+      row(`CGST @ ${invoice.gst.rate / 2}%`, rupees(invoice.gst.amount / 2));
+      row(`SGST @ ${invoice.gst.rate / 2}%`, rupees(invoice.gst.amount / 2));
+    } else {
+      row(invoice.description, rupees(invoice.total));
+    }
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke().moveDown(0.5);
+    row("Total paid", rupees(invoice.total), true);
+    doc.moveDown();
+    doc.font("Helvetica").text(`Payment mode: ${invoice.paymentMode || "-"}${invoice.txnId ? ` (transaction ${invoice.txnId})` : ""}`, 50);
+    doc.moveDown(2).fontSize(9).fillColor("#555").text("This is a computer-generated receipt and does not need a signature.", { align: "center" });
+  });
+}
+
+function prescriptionPdf(prescription, appointment) {
+  return renderPdf(doc => {
+    doc.fontSize(16).font("Helvetica-Bold").text("PRESCRIPTION", { align: "center" }).moveDown();
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`Patient: ${appointment.name || "-"}`);
+    doc.text(`Visit: ${appointment.date || "-"}${appointment.slot ? ` ${appointment.slot}` : ""} (${appointment.bookingType || "Consultation"})`);
+    doc.moveDown();
+
+    doc.font("Helvetica-Bold").fontSize(12).text("Rx").moveDown(0.3);
+    doc.fontSize(10);
+    if (!prescription.medicines.length) doc.font("Helvetica").text("No medicines prescribed.");
+    prescription.medicines.forEach((m, i) => {
+      doc.font("Helvetica-Bold").text(`${i + 1}. ${m.name}`);
+      const detail = [m.dosage, m.frequency, m.duration].filter(Boolean).join(" | ");
+      doc.font("Helvetica");
+      if (detail) doc.text(`   ${detail}`);
+      if (m.instructions) doc.text(`   ${m.instructions}`);
+      doc.moveDown(0.3);
+    });
 
-// -------------------- Paytm placeholders --------------------
-app.post("/api/paytm/order", async (req, res) => res.status(501).json({ success: false, message: "Paytm order placeholder" }));
-app.post("/api/paytm/callback", async (req, res) => res.status(501).send("Paytm callback placeholder"));
+    for (const [title, text] of [["Diet", prescription.diet], ["Lifestyle", prescription.lifestyle], ["Follow-up", prescription.followUp]]) {
+      if (!text) continue;
+      doc.moveDown(0.5).font("Helvetica-Bold").fontSize(12).text(title);
+      doc.font("Helvetica").fontSize(10).text(text);
+    }
+    doc.moveDown(3).text("Dr. Suman Tiwari", { align: "right" });
+  });
+}
+
+// Attachment for a NotificationLog entry; see NotificationLogSchema.attachments
+async function documentAttachment({ kind, appointmentId }) {
+  const appointment = await Appointment.findById(appointmentId).lean();
+  if (!appointment) throw new Error(`Appointment ${appointmentId} not found for ${kind}`);
+  if (kind === "receipt") {
+    const invoice = await issueInvoice(appointment);
+    return { filename: `receipt-${invoice.number}.pdf`, content: await receiptPdf(invoice), contentType: "application/pdf" };
+  }
+  if (kind === "prescription") {
+    const prescription = await Prescription.findOne({ appointmentId }).lean();
+    if (!prescription) throw new Error("No prescription saved for this visit");
+    return { filename: `prescription-${appointment.date || appointmentId}.pdf`, content: await prescriptionPdf(prescription, appointment), contentType: "application/pdf" };
+  }
+  throw new Error(`Unknown attachment "${kind}"`);
+}
+
+const isDuplicateKey = (e) => e && e.code === 11000;
+const SLOT_TAKEN_MESSAGE = "Sorry, that time slot has just been booked. Please pick another.";
+
+// -------------------- Audit trail --------------------
+const AUDIT_REDACTED_FIELDS = ["passwordHash", "tokenHash"];
+
+// Field-level before/after diff of two plain objects
+function diffObjects(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    if (k === "_id" || k === "__v") continue;
+    const from = before ? before[k] : undefined;
+    const to = after ? after[k] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes[k] = AUDIT_REDACTED_FIELDS.includes(k)
+      ? { from: "[redacted]", to: "[redacted]" }
+      : { from: from ?? null, to: to ?? null };
+  }
+  return changes;
+}
+
+const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc) || null;
+
+// Record one admin action. `actor` defaults to req.admin; never throws so it can't break the request.
+async function recordAudit(req, { action, collectionName = null, targetId = null, before = null, after = null, meta = null, actor = null }) {
+  try {
+    const who = actor || req.admin;
+    const hasDiff = before || after;
+    await AuditLog.create({
+      actor: who ? { id: who._id ? String(who._id) : null, username: who.username || null, role: who.role || null } : {},
+      action,
+      collectionName,
+      targetId: targetId ? String(targetId) : null,
+      changes: hasDiff ? diffObjects(toPlain(before), toPlain(after)) : null,
+      meta,
+      ip: req.ip || null,
+    });
+  } catch (e) {
+    console.error(`Failed to record audit "${action}":`, e);
+  }
+}
+
+// -------------------- Live admin updates --------------------
+// Open admin tabs hold a server-sent events stream; changes to these collections are pushed to every
+// signed-in admin allowed to view them. Clients are per process, so on serverless hosts or several
+// instances a tab may miss events; the panel falls back to polling whenever its stream drops.
+const LIVE_COLLECTIONS = { appointments: "appointments.view", feedback: "feedback.view", payments: "payments.view" };
+const LIVE_HEARTBEAT_SECONDS = 25;
+const liveClients = new Set();
+
+// Same shape as the rows of the admin list endpoints, so the panel can drop it straight into a table
+function liveRow(doc) {
+  const o = toPlain(doc);
+  const row = { ...o, id: String(o._id) };
+  for (const k of ["_id", "__v", "deletedAt", "deletedBy", "manageNonce", "history"]) delete row[k];
+  return row;
+}
+
+// action: create | update | delete, or reload when many records changed at once (clear, undo, restore).
+// Never throws, so it can't break the request that made the change.
+function publishChange(collectionName, action, doc = null) {
+  try {
+    const permission = LIVE_COLLECTIONS[collectionName];
+    if (!permission || !liveClients.size) return;
+    const event = { collection: collectionName, action };
+    if (doc) {
+      event.id = String(doc._id || doc);
+      if (action !== "delete" && doc._id) event.data = liveRow(doc);
+    }
+    const message = `event: change\ndata: ${JSON.stringify(event)}\n\n`;
+    for (const client of liveClients) {
+      if (hasPermission(client.admin, permission)) client.res.write(message);
+    }
+  } catch (e) {
+    console.error(`Failed to publish ${collectionName} ${action}:`, e);
+  }
+}
+
+// -------------------- Admin accounts & permissions --------------------
+const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  doctor: ["appointments.view", "appointments.edit", "feedback.view", "feedback.moderate", "schedule.manage", "patients.view", "patients.manage", "patients.notes", "prescriptions.manage", "blog.manage"], // audit.view is owner-only
+  receptionist: ["appointments.view", "appointments.edit", "feedback.view", "feedback.moderate", "schedule.manage", "records.delete", "reminders.manage", "patients.view"],
+};
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+function hasPermission(user, permission) {
+  const perms = permissionsFor(user && user.role);
+  return perms.includes("*") || perms.includes(permission);
+}
+
+// scrypt runs on the libuv thread pool, so a burst of sign-in attempts doesn't stall other requests
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = (await scrypt(password, salt, 64)).toString("hex");
+  return `${salt}:${hash}`;
+}
+async function verifyPassword(password, stored) {
+  if (!stored || typeof password !== "string") return false;
+  const [salt, hash] = stored.split(":");
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, "hex");
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+// Compared against at sign-in when the username is unknown; its password is random and never kept
+const dummyPasswordHash = hashPassword(crypto.randomBytes(32).toString("hex"));
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a one-time invite / reset link for `user`; only the hash is stored
+async function issuePasswordToken(user) {
+  const token = crypto.randomBytes(32).toString("hex");
+  user.tokenHash = hashToken(token);
+  user.tokenExpires = new Date(Date.now() + PASSWORD_TOKEN_HOURS * 60 * 60 * 1000);
+  await user.save();
+  return `/admin/set-password.html?token=${token}`;
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < 8) return "Password must be at least 8 characters";
+  return null;
+}
+
+function publicAdminUser(user) {
+  return {
+    id: String(user._id),
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    active: user.active,
+    hasPassword: Boolean(user.passwordHash),
+    invitePending: Boolean(user.tokenHash && user.tokenExpires > new Date()),
+    lastLoginAt: user.lastLoginAt,
+    twoFactor: Boolean(user.totpSecret),
+    timestamp: user.timestamp,
+  };
+}
+
+// Keep existing deployments working: turn ADMIN_USERNAME / ADMIN_PASSWORD into the first owner
+async function seedOwnerFromEnv() {
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+  if (await AdminUser.estimatedDocumentCount()) return;
+  await AdminUser.create({ username: ADMIN_USERNAME, name: "Owner", role: "owner", passwordHash: await hashPassword(ADMIN_PASSWORD) });
+  console.log(`Seeded owner account "${ADMIN_USERNAME}" from env`);
+}
+
+// Per-session CSRF token; the admin panel reads it from /api/admin/me and echoes it in X-CSRF-Token
+function csrfTokenFor(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+  return req.session.csrfToken;
+}
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+function validCsrf(req) {
+  if (SAFE_METHODS.includes(req.method)) return true;
+  const expected = Buffer.from(req.session.csrfToken || "");
+  const given = Buffer.from(String(req.get("X-CSRF-Token") || ""));
+  return expected.length > 0 && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Loads the signed-in, still-active admin into req.admin; state-changing requests must carry the CSRF token
+async function requireAdmin(req, res, next) {
+  const user = req.session && req.session.adminId
+    ? await AdminUser.findById(req.session.adminId).catch(() => null)
+    : null;
+  if (user && user.active) {
+    if (!validCsrf(req)) return res.status(403).json({ error: "Your session token is out of date. Please try again.", code: "csrf" });
+    req.admin = user;
+    return next();
+  }
+  if (req.originalUrl.startsWith("/api/"))
+    return res.status(401).json({ error: "Unauthorized" });
+  return res.redirect("/admin/admin-login.html");
+}
+
+// requireAdmin plus a role check, e.g. requirePermission("data.clear")
+function requirePermission(permission) {
+  return [requireAdmin, (req, res, next) => {
+    if (hasPermission(req.admin, permission)) return next();
+    return res.status(403).json({ error: "You do not have permission to do that" });
+  }];
+}
+
+// -------------------- Spam & abuse protection --------------------
+// The public forms fetch a signed "issued at" token when they load; posting too soon after it means a bot
+const FORM_TOKEN_MAX_AGE_HOURS = 12;
+
+function signFormToken(issued) {
+  return crypto.createHmac("sha256", MANAGE_LINK_SECRET).update(`form.${issued}`).digest("base64url");
+}
+
+// Seconds since the token was issued, or null if it is missing, forged or stale
+function formTokenAge(token) {
+  const [issued, sig] = String(token || "").split(".");
+  if (!issued || !sig) return null;
+  const expected = signFormToken(issued);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  const age = (Date.now() - Number(issued)) / 1000;
+  return age >= 0 && age <= FORM_TOKEN_MAX_AGE_HOURS * 3600 ? age : null;
+}
+
+// Fixed windows: the counter for `key` in the current window and seconds until it resets
+function counterWindow(key, windowSeconds) {
+  const windowMs = windowSeconds * 1000;
+  const start = Math.floor(Date.now() / windowMs) * windowMs;
+  return { key: `${key}:${start}`, expiresAt: new Date(start + windowMs), retryAfter: Math.ceil((start + windowMs - Date.now()) / 1000) };
+}
+
+// Count a hit; returns the count including it
+async function hitCounter(key, windowSeconds) {
+  const w = counterWindow(key, windowSeconds);
+  const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: w.expiresAt } };
+  let counter;
+  try {
+    counter = await RateCounter.findOneAndUpdate({ key: w.key }, update, { upsert: true, new: true }).lean();
+  } catch (e) {
+    if (!isDuplicateKey(e)) throw e;
+    // Two first hits raced on the upsert; the loser just increments
+    counter = await RateCounter.findOneAndUpdate({ key: w.key }, update, { new: true }).lean();
+  }
+  return { count: counter.count, retryAfter: w.retryAfter };
+}
+
+async function peekCounter(key, windowSeconds) {
+  const w = counterWindow(key, windowSeconds);
+  const counter = await RateCounter.findOne({ key: w.key }).lean();
+  return { count: counter ? counter.count : 0, retryAfter: w.retryAfter };
+}
+
+// A repeat is only a duplicate while the first one stands: a booking whose payment failed gave its
+// slot back, so sending the same booking again is a retry
+const SUBMISSION_STANDS = {
+  appointment: (body) => Appointment.exists({ slotKey: `${body.date} ${body.slot}`, deletedAt: null }),
+  feedback: async () => true,
+};
+
+const clip = (v, max) => (v === undefined || v === null || v === "" ? null : String(v).slice(0, max));
+
+// Same person, same content: phone/email/name plus what they asked for
+function submissionFingerprint(form, body) {
+  const parts = [form, normalizePhone(body.phone), normalizeEmail(body.email), String(body.name || "").trim().toLowerCase(),
+    String(body.message ?? body.feedback ?? "").trim(), body.date, body.slot, body.rating];
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+async function logBlocked(req, form, reason) {
+  try {
+    const body = req.body || {};
+    await BlockedSubmission.create({
+      form,
+      reason,
+      ip: req.ip || null,
+      userAgent: clip(req.get("user-agent"), 300),
+      name: clip(body.name, 100),
+      email: clip(body.email, 200),
+      phone: clip(body.phone, 30),
+      message: clip(body.message ?? body.feedback, 500),
+      fields: Object.keys(body).slice(0, 50).map(k => k.slice(0, 50)),
+    });
+  } catch (e) {
+    console.error("Failed to log blocked submission:", e);
+  }
+}
+
+// Middleware for the public form endpoints. `fail(res, code, message)` answers in the route's own
+// response shape, and `decoy(req, res)` answers a caught bot exactly as a saved submission would be
+// answered. Routes call rememberSubmission once the submission is saved.
+function guardForm(form, fail, decoy) {
+  return async (req, res, next) => {
+    const body = req.body || {};
+    try {
+      // Hidden field people never see; bots fill everything in. Pretend it worked so they don't adapt.
+      if (body.website) {
+        await logBlocked(req, form, "honeypot");
+        return await decoy(req, res);
+      }
+
+      const age = formTokenAge(body.formToken);
+      if (age === null) {
+        await logBlocked(req, form, "missing-token");
+        return fail(res, 400, "This form has expired. Please reload the page and try again.");
+      }
+      if (age < FORM_MIN_FILL_SECONDS) {
+        await logBlocked(req, form, "too-fast");
+        return fail(res, 400, "That was quick! Please check your details and submit again.");
+      }
+
+      // Every attempt counts against the IP; only the first blocked one per window is logged,
+      // so a flood doesn't flood the log too
+      const perIp = await hitCounter(`ip:${form}:${req.ip || "unknown"}`, 60 * 60);
+      if (perIp.count > FORM_LIMIT_PER_IP) {
+        if (perIp.count === FORM_LIMIT_PER_IP + 1) await logBlocked(req, form, "rate-ip");
+        res.set("Retry-After", String(perIp.retryAfter));
+        return fail(res, 429, "Too many submissions from your network. Please try again later.");
+      }
+      // Only saved submissions count against the phone (see rememberSubmission), so a patient who
+      // picks a slot someone else just took isn't locked out
+      const phone = normalizePhone(body.phone);
+      if (phone) {
+        const perPhone = await peekCounter(`phone:${form}:${phone}`, 24 * 60 * 60);
+        if (perPhone.count >= FORM_LIMIT_PER_PHONE) {
+          await logBlocked(req, form, "rate-phone");
+          res.set("Retry-After", String(perPhone.retryAfter));
+          return fail(res, 429, "Too many submissions for this phone number today. Please call the clinic instead.");
+        }
+      }
+
+      const fingerprint = submissionFingerprint(form, body);
+      const seen = await RateCounter.exists({ key: `dup:${fingerprint}`, expiresAt: { $gt: new Date() } });
+      if (seen && await SUBMISSION_STANDS[form](body)) {
+        await logBlocked(req, form, "duplicate");
+        return fail(res, 409, "We already received this. There is no need to send it again.");
+      }
+      req.submission = { form, fingerprint, phone };
+      next();
+    } catch (e) {
+      console.error(`Form guard error (${form}):`, e);
+      fail(res, 500, "Could not process your submission");
+    }
+  };
+}
+
+// Count a saved submission against its phone number, and remember it so an identical one within
+// DUPLICATE_WINDOW_MINUTES is rejected
+async function rememberSubmission(req) {
+  if (!req.submission) return;
+  const { form, fingerprint, phone } = req.submission;
+  try {
+    await RateCounter.updateOne(
+      { key: `dup:${fingerprint}` },
+      { $set: { count: 1, expiresAt: new Date(Date.now() + DUPLICATE_WINDOW_MINUTES * 60 * 1000) } },
+      { upsert: true }
+    );
+    if (phone) await hitCounter(`phone:${form}:${phone}`, 24 * 60 * 60);
+  } catch (e) {
+    console.error("Failed to remember submission:", e);
+  }
+}
+
+const formError = (res, code, error) => res.status(code).json({ error });
+const paytmFormError = (res, code, message) => res.status(code).json({ success: false, message });
+
+// -------------------- Admin sign-in protection & two-factor --------------------
+// Failed sign-ins are counted per username and per IP (fixed windows in RateCounter). After a few failures
+// each attempt is answered more slowly; past the limit the username / IP is locked until the window ends.
+const LOGIN_WINDOW_SECONDS = LOGIN_WINDOW_MINUTES * 60;
+const loginKeys = (req, username) => ({ account: `login-user:${username}`, ip: `login-ip:${req.ip || "unknown"}` });
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function loginThrottle(req, username) {
+  const keys = loginKeys(req, username);
+  const [account, ip] = await Promise.all([peekCounter(keys.account, LOGIN_WINDOW_SECONDS), peekCounter(keys.ip, LOGIN_WINDOW_SECONDS)]);
+  if (account.count >= LOGIN_MAX_FAILURES_ACCOUNT || ip.count >= LOGIN_MAX_FAILURES_IP) return { locked: true, retryAfter: account.retryAfter };
+  if (account.count >= LOGIN_FREE_ATTEMPTS) await wait(Math.min(1000 * 2 ** (account.count - LOGIN_FREE_ATTEMPTS), 8000));
+  return { locked: false };
+}
+
+function loginLocked(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ success: false, error: `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` });
+}
+
+async function loginFailed(req, res, username, user, reason) {
+  const keys = loginKeys(req, username);
+  const [account] = await Promise.all([hitCounter(keys.account, LOGIN_WINDOW_SECONDS), hitCounter(keys.ip, LOGIN_WINDOW_SECONDS)]);
+  const audit = { collectionName: "adminusers", targetId: user ? user._id : null, actor: user || { username } };
+  await recordAudit(req, { ...audit, action: "admin.login_failed", meta: { reason } });
+  if (account.count === LOGIN_MAX_FAILURES_ACCOUNT) await recordAudit(req, { ...audit, action: "admin.login_locked", meta: { minutes: LOGIN_WINDOW_MINUTES } });
+  return res.status(401).json({ success: false, error: reason === "bad code" ? "Invalid code" : "Invalid username or password" });
+}
+
+// New session ID at every sign-in step, so a session ID planted before login is worthless afterwards
+function regenerateSession(req, values) {
+  return new Promise((resolve, reject) => req.session.regenerate((err) => {
+    if (err) return reject(err);
+    Object.assign(req.session, values);
+    req.session.save((e) => (e ? reject(e) : resolve()));
+  }));
+}
+
+async function completeLogin(req, res, user, secondFactor = null) {
+  await RateCounter.deleteOne({ key: counterWindow(loginKeys(req, user.username).account, LOGIN_WINDOW_SECONDS).key });
+  await regenerateSession(req, { adminId: String(user._id) });
+  user.lastLoginAt = new Date();
+  await user.save();
+  await recordAudit(req, { action: "admin.login", collectionName: "adminusers", targetId: user._id, actor: user, meta: secondFactor ? { secondFactor } : null });
+  res.json({ success: true, recoveryCodesLeft: secondFactor === "recovery code" ? user.recoveryCodes.length : undefined });
+}
+
+// TOTP (RFC 6238): 6 digits, 30 second steps, HMAC-SHA1, as used by every authenticator app
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+function base32Encode(buf) {
+  let out = "", bits = 0, value = 0;
+  for (const byte of buf) {
+    value = ((value << 8) | byte) & 0xfff;
+    bits += 8;
+    for (; bits >= 5; bits -= 5) out += BASE32[(value >>> (bits - 5)) & 31];
+  }
+  return bits ? out + BASE32[(value << (5 - bits)) & 31] : out;
+}
+function base32Decode(str) {
+  const bytes = [];
+  let bits = 0, value = 0;
+  for (const c of String(str).toUpperCase().replace(/[^A-Z2-7]/g, "")) {
+    value = ((value << 5) | BASE32.indexOf(c)) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+const totpStep = (time = Date.now()) => Math.floor(time / 30000);
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, "0");
+}
+// The step the code belongs to (allowing one step of clock drift either way), or null
+function matchTotp(secret, code) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+  const now = totpStep();
+  return [now, now - 1, now + 1].find((step) => totpCode(secret, step) === clean) ?? null;
+}
+
+function totpUrl(user, secret) {
+  const label = encodeURIComponent(`${CLINIC_NAME}:${user.username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(CLINIC_NAME)}&algorithm=SHA1&digits=6&period=30`;
+}
+
+const normalizeRecoveryCode = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+// Shown to the admin once; only hashes are stored
+function issueRecoveryCodes(user) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(5).toString("hex").replace(/^(.{5})/, "$1-"));
+  user.recoveryCodes = codes.map((c) => hashToken(normalizeRecoveryCode(c)));
+  return codes;
+}
+
+// Accepts a current authenticator code or an unused recovery code; both are single-use (the updates are
+// conditional so two requests racing with the same code can't both succeed). Returns what was used, or null.
+async function useSecondFactor(user, code) {
+  const step = matchTotp(user.totpSecret, code);
+  if (step !== null) {
+    const used = await AdminUser.updateOne({ _id: user._id, totpLastStep: { $lt: step } }, { $set: { totpLastStep: step } });
+    return used.modifiedCount ? "authenticator" : null;
+  }
+  const hash = hashToken(normalizeRecoveryCode(code));
+  if (!user.recoveryCodes.includes(hash)) return null;
+  const used = await AdminUser.updateOne({ _id: user._id, recoveryCodes: hash }, { $pull: { recoveryCodes: hash } });
+  if (!used.modifiedCount) return null;
+  user.recoveryCodes = user.recoveryCodes.filter((h) => h !== hash);
+  return "recovery code";
+}
+
+// -------------------- Routes --------------------
+// Health check
+app.get("/", (_req, res) => res.send("Shree Siddhi Ayur Wellness backend (MongoDB) is live ✅"));
+
+// Public API: token the forms send back, for the minimum fill time check
+app.get("/api/form-token", (_req, res) => {
+  const issued = Date.now();
+  res.set("Cache-Control", "no-store");
+  res.json({ token: `${issued}.${signFormToken(issued)}` });
+});
+
+// Public API: Appointments
+const bookingReply = (appointment) => ({ status: "success", type: "appointment", data: bookingConfirmation(appointment), manageUrl: manageUrl(appointment) });
+
+// Honeypot decoy: the reply for a booking that is never saved
+async function bookingDecoy(req, res) {
+  const service = await findBookableService(req.body.serviceId || req.body.bookingType);
+  res.json(bookingReply(new Appointment({
+    name: clip(req.body.name, 100),
+    bookingType: service ? service.name : null,
+    fee: service ? service.fee : 0,
+    date: req.body.date,
+    slot: req.body.slot,
+  })));
+}
+
+app.post("/api/appointment", guardForm("appointment", formError, bookingDecoy), asyncHandler(async (req, res) => {
+  try {
+    const service = await findBookableService(req.body.serviceId || req.body.bookingType);
+    if (!service) return res.status(400).json({ error: "Please choose a service" });
+    const slotError = await validateSlot(req.body.date, req.body.slot);
+    if (slotError) return res.status(400).json({ error: slotError });
+    await releaseStalePaymentHolds();
+
+    // Only the form's own fields; the schema is strict: false and would store anything else posted
+    const payload = {
+      name: clip(req.body.name, 100),
+      email: clip(req.body.email, 200),
+      phone: clip(req.body.phone, 30),
+      message: clip(req.body.message, 2000) ?? "",
+      date: req.body.date,
+      slot: req.body.slot,
+      bookingType: service.name,
+      service_id: String(service._id),
+      fee: service.fee, // never trust a client-supplied amount
+      slotKey: `${req.body.date} ${req.body.slot}`,
+    };
+    const saved = await Appointment.create(payload);
+    // Linked once the booking stands, so one refused here (slot taken) leaves no patient profile behind
+    const patient = await linkPatient(Appointment, saved);
+    if (patient) saved.patient_id = String(patient._id);
+    await rememberSubmission(req);
+    publishChange("appointments", "create", saved);
+    notifyBookingConfirmed(saved);
+    syncReminders(saved);
+    return res.json(bookingReply(saved));
+  } catch (e) {
+    if (isDuplicateKey(e)) return res.status(409).json({ error: SLOT_TAKEN_MESSAGE });
+    console.error("Save appointment error:", e);
+    return res.status(500).json({ error: "Could not save appointment" });
+  }
+}));
+
+// Public API: active services for the booking form and treatment cards
+app.get("/api/services", asyncHandler(async (_req, res) => {
+  const arr = await Service.find({ active: true }).sort({ sortOrder: 1, name: 1 }).lean();
+  res.json(arr.map(s => ({ id: String(s._id), name: s.name, description: s.description, fee: s.fee, duration: s.duration, category: s.category })));
+}));
+
+// Public API: free slots for a date
+app.get("/api/slots", asyncHandler(async (req, res) => {
+  const { date } = req.query;
+  if (!isValidDate(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+
+  try {
+    const now = clinicNow();
+    if (date < now.date) return res.json({ date, closed: "Date has passed", slots: [] });
+
+    const { closed, times } = slotsForDate(await getSchedule(), date);
+    if (closed) return res.json({ date, closed, slots: [] });
+
+    await releaseStalePaymentHolds();
+    const taken = await Appointment.find({ date, slotKey: { $type: "string" } }).select("slot").lean();
+    const takenSet = new Set(taken.map(a => a.slot));
+    const slots = times.filter(t => !takenSet.has(t) && (date > now.date || toMinutes(t) > now.minutes));
+    return res.json({ date, slots });
+  } catch (e) {
+    console.error("Slots error:", e);
+    return res.status(500).json({ error: "Could not load slots" });
+  }
+}));
+
+// -------------------- Patient self-service (manage link) --------------------
+function managedView(appointment) {
+  return {
+    name: appointment.name,
+    service: appointment.bookingType,
+    fee: appointment.fee,
+    date: appointment.date,
+    slot: appointment.slot,
+    status: appointment.status,
+    paymentStatus: appointment.payment_status,
+    history: (appointment.history || []).map(h => ({ at: h.at, action: h.action, changes: h.changes })),
+    policy: managePolicy(appointment),
+  };
+}
+
+// The booking form's answer: what was booked, without the server's own fields (slotKey, history, patient and payment links)
+function bookingConfirmation(appointment) {
+  return {
+    id: String(appointment._id),
+    name: appointment.name,
+    service: appointment.bookingType,
+    fee: appointment.fee,
+    date: appointment.date,
+    slot: appointment.slot,
+    status: appointment.status,
+  };
+}
+
+const INVALID_LINK_MESSAGE = "This link is invalid or has expired. Please contact the clinic.";
+
+app.get("/api/manage/:token", asyncHandler(async (req, res) => {
+  try {
+    const appointment = await findByManageToken(req.params.token);
+    if (!appointment) return res.status(404).json({ error: INVALID_LINK_MESSAGE });
+    res.json({ status: "success", data: managedView(appointment) });
+  } catch (e) {
+    console.error("Manage view error:", e);
+    res.status(500).json({ error: "Could not load your booking" });
+  }
+}));
+
+app.post("/api/manage/:token/reschedule", asyncHandler(async (req, res) => {
+  try {
+    const appointment = await findByManageToken(req.params.token);
+    if (!appointment) return res.status(404).json({ error: INVALID_LINK_MESSAGE });
+    const policy = managePolicy(appointment);
+    if (!policy.canChange) return res.status(403).json({ error: policy.reason });
+
+    const { date, slot } = req.body;
+    // The new time has the same cutoff: a booking can't be moved into the window where it could no longer be changed
+    if (typeof date === "string" && typeof slot === "string" && isValidDate(date) && TIME_RE.test(slot) && clinicDateTime(date, slot).getTime() < Date.now() + CANCELLATION_CUTOFF_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Online bookings can only be moved to a time at least ${CANCELLATION_CUTOFF_HOURS} hours away. Please pick a later slot or call the clinic.` });
+    }
+    const before = appointment.toObject();
+    const refused = await transitionAppointment(appointment, { status: "rescheduled", date, slot }, "patient");
+    if (refused) return res.status(refused.code).json({ error: refused.error });
+
+    await recordAudit(req, { action: "appointment.reschedule", collectionName: "appointments", targetId: appointment._id, before, after: appointment, actor: { username: "patient" } });
+    publishChange("appointments", "update", appointment);
+    await syncReminders(appointment);
+    notifyBookingConfirmed(appointment);
+    // The old link expires with the old date, so hand out a fresh one
+    res.json({ status: "success", message: `Your appointment is now on ${date} at ${slot}`, token: manageToken(appointment), data: managedView(appointment) });
+  } catch (e) {
+    console.error("Reschedule error:", e);
+    res.status(500).json({ error: "Could not reschedule your booking" });
+  }
+}));
+
+app.post("/api/manage/:token/cancel", asyncHandler(async (req, res) => {
+  try {
+    const appointment = await findByManageToken(req.params.token);
+    if (!appointment) return res.status(404).json({ error: INVALID_LINK_MESSAGE });
+    const policy = managePolicy(appointment);
+    if (!policy.canChange) return res.status(403).json({ error: policy.reason });
+
+    const reason = String(req.body.reason || "").slice(0, 500);
+    const before = appointment.toObject();
+    const refused = await transitionAppointment(appointment, { status: "cancelled", reason }, "patient");
+    if (refused) return res.status(refused.code).json({ error: refused.error });
+
+    await recordAudit(req, { action: "appointment.cancel", collectionName: "appointments", targetId: appointment._id, before, after: appointment, actor: { username: "patient" } });
+    publishChange("appointments", "update", appointment);
+    await syncReminders(appointment);
+    const vars = notificationVars(appointment, { reason: reason ? `Reason: ${reason}` : "" });
+    notify("booking_cancelled", appointment.email, vars, { collectionName: "appointments", id: String(appointment._id) });
+    res.json({
+      status: "success",
+      message: appointment.payment_status === "paid"
+        ? "Your appointment is cancelled. The clinic will contact you about your refund."
+        : "Your appointment is cancelled.",
+      data: managedView(appointment),
+    });
+  } catch (e) {
+    console.error("Cancel error:", e);
+    res.status(500).json({ error: "Could not cancel your booking" });
+  }
+}));
+
+// -------------------- Testimonials --------------------
+const FEEDBACK_STATUSES = ["pending", "approved", "hidden"];
+const firstName = (name) => String(name || "").trim().split(/\s+/)[0] || "Patient";
+
+// Approved feedback for the public site: first names only, never contact details
+app.get("/api/testimonials", asyncHandler(async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 6, 1), 50);
+    const match = { deletedAt: null, status: "approved" };
+    const [items, [stats]] = await Promise.all([
+      Feedback.find(match).sort({ rating: -1, timestamp: -1 }).limit(limit).select("name rating message reply timestamp").lean(),
+      Feedback.aggregate([
+        { $match: { ...match, rating: { $gte: 1, $lte: 5 } } },
+        { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+      ]),
+    ]);
+    res.json({
+      averageRating: stats ? Math.round(stats.average * 10) / 10 : null,
+      ratingCount: stats ? stats.count : 0,
+      items: items.map(f => ({
+        name: firstName(f.name),
+        rating: f.rating,
+        message: f.message,
+        reply: f.reply && f.reply.text ? f.reply.text : null,
+        date: f.timestamp,
+      })),
+    });
+  } catch (e) {
+    console.error("Testimonials error:", e);
+    res.status(500).json({ error: "Could not load testimonials" });
+  }
+}));
+
+// -------------------- Blog --------------------
+const escapeHtml = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+const SAFE_URL_RE = /^(https?:|mailto:|tel:|\/(?![/\\])|#)/i; // a single leading slash: //host and /\host are other sites
+
+// Markdown comes from staff, but raw HTML and script: links are still neutralised
+marked.use({
+  renderer: {
+    html(token) {
+      return escapeHtml(token.text);
+    },
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      if (!SAFE_URL_RE.test(href || "")) return text;
+      const external = /^https?:/i.test(href) && !href.startsWith(SITE_URL);
+      return `<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ""}${external ? ' rel="noopener" target="_blank"' : ""}>${text}</a>`;
+    },
+    image({ href, title, text }) {
+      if (!SAFE_URL_RE.test(href || "")) return escapeHtml(text);
+      return `<img src="${escapeHtml(href)}" alt="${escapeHtml(text)}"${title ? ` title="${escapeHtml(title)}"` : ""} loading="lazy">`;
+    },
+  },
+});
+
+function slugify(text) {
+  return String(text || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 80);
+}
+
+// Published posts, plus scheduled ones whose time has come
+function livePostFilter(extra = {}) {
+  return { ...extra, status: { $in: ["published", "scheduled"] }, publishAt: { $lte: new Date() } };
+}
+
+const absoluteUrl = (url) => (url && url.startsWith("/") ? `${SITE_URL}${url}` : url);
+
+function postSummary(p) {
+  return {
+    title: p.title,
+    slug: p.slug,
+    excerpt: p.excerpt,
+    coverImage: absoluteUrl(p.coverImage),
+    tags: p.tags,
+    publishedAt: p.publishAt,
+    updatedAt: p.updatedAt,
+    url: `${SITE_URL}/blog/${p.slug}`,
+  };
+}
+
+// Shared page chrome for the server-rendered blog, matching blog.html
+function blogLayout({ title, description, canonical, image, type = "website", jsonLd, content }) {
+  const fullTitle = `${title} | ${CLINIC_NAME}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <link rel="icon" type="image/png" href="/logo_title.jpg">
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(fullTitle)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(canonical)}">
+  <meta property="og:site_name" content="${escapeHtml(CLINIC_NAME)}">
+  <meta property="og:type" content="${type}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(canonical)}">
+  ${image ? `<meta property="og:image" content="${escapeHtml(image)}">` : ""}
+  <meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}">
+  <link rel="alternate" type="application/rss+xml" title="${escapeHtml(CLINIC_NAME)} Blog" href="/blog/rss.xml">
+  <link rel="alternate" type="application/atom+xml" title="${escapeHtml(CLINIC_NAME)} Blog" href="/blog/atom.xml">
+  ${jsonLd ? `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, "\\u003c")}</script>` : ""}
+  <link rel="stylesheet" href="/blog.css">
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/css/all.min.css">
+  <style>
+    .post-cover { width: 100%; max-height: 420px; object-fit: cover; border-radius: 10px; }
+    .post-meta, .post-tags { color: #777; font-size: 14px; }
+    .post-tags a { color: inherit; margin-right: 8px; }
+    .post-body img { max-width: 100%; }
+    .post-card h2 a { color: inherit; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <header class="top-header">
+    <div class="header-left">
+      <img src="/logo.png" alt="Logo" class="logo">
+      <div class="brand-title">
+        <h1>SHREE SIDDHI AYUR</h1>
+        <span>WELLNESS</span>
+      </div>
+    </div>
+    <div class="header-right">
+      <p class="dr-name">Dr. Suman Tiwari</p>
+      <p class="dr-qual">(B.A.M.S. / D.D.H.N)<br>Physician & Dietician</p>
+    </div>
+  </header>
+  <nav class="navbar">
+    <a href="/index.html">Home</a>
+    <a href="/blog" class="active">Blog</a>
+    <a href="/appointment.html">Appointment</a>
+    <a href="/feedback.html">Feedback</a>
+    <a href="/aboutus.html">About us</a>
+  </nav>
+  <div class="container">
+${content}
+  </div>
+  <div class="bottom-bar">
+    <p>${escapeHtml(CLINIC_EMAIL)} | © ${new Date().getFullYear()} ${escapeHtml(CLINIC_NAME)}. All rights reserved.</p>
+  </div>
+</body>
+</html>`;
+}
+
+const formatPostDate = (d) => new Date(d).toLocaleDateString("en-IN", { timeZone: CLINIC_TZ, day: "numeric", month: "long", year: "numeric" });
+const tagLinks = (tags) => tags.map(t => `<a href="/blog?tag=${encodeURIComponent(t)}">#${escapeHtml(t)}</a>`).join("");
+
+app.get("/api/posts", asyncHandler(async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const filter = livePostFilter(req.query.tag ? { tags: String(req.query.tag) } : {});
+    const [posts, total] = await Promise.all([
+      Post.find(filter).select("-body").sort({ publishAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Post.countDocuments(filter),
+    ]);
+    res.json({ items: posts.map(postSummary), total, page, limit, pages: Math.max(1, Math.ceil(total / limit)) });
+  } catch (e) {
+    console.error("Posts list error:", e);
+    res.status(500).json({ error: "Could not load posts" });
+  }
+}));
+
+app.get("/api/posts/:slug", asyncHandler(async (req, res) => {
+  try {
+    const post = await Post.findOne(livePostFilter({ slug: req.params.slug })).lean();
+    if (!post) return res.status(404).json({ error: "Post not found" });
+    res.json({ ...postSummary(post), body: post.body, html: marked.parse(post.body) });
+  } catch (e) {
+    console.error("Post error:", e);
+    res.status(500).json({ error: "Could not load post" });
+  }
+}));
+
+app.get("/media/:id", asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).end();
+  const media = await Media.findById(req.params.id).lean();
+  if (!media) return res.status(404).end();
+  res.setHeader("Content-Type", media.contentType);
+  res.setHeader("Cache-Control", "public, max-age=31536000, immutable"); // ids never get new content
+  res.send(media.data.buffer ? Buffer.from(media.data.buffer) : media.data);
+}));
+
+app.get("/blog", asyncHandler(async (req, res) => {
+  try {
+    const tag = req.query.tag ? String(req.query.tag) : null;
+    const posts = await Post.find(livePostFilter(tag ? { tags: tag } : {})).select("-body").sort({ publishAt: -1 }).limit(100).lean();
+    const cards = posts.map(p => `
+    <div class="section post-card">
+      ${p.coverImage ? `<a href="/blog/${p.slug}"><img class="post-cover" src="${escapeHtml(p.coverImage)}" alt="${escapeHtml(p.title)}" loading="lazy"></a>` : ""}
+      <h2><a href="/blog/${p.slug}">${escapeHtml(p.title)}</a></h2>
+      <p class="post-meta">${formatPostDate(p.publishAt)}</p>
+      <p>${escapeHtml(p.excerpt)}</p>
+      <p class="post-tags">${tagLinks(p.tags)}</p>
+    </div>`).join("");
+    res.send(blogLayout({
+      title: tag ? `Articles tagged “${tag}”` : "Blog",
+      description: "Articles on Ayurveda, Panchkarma, diet and lifestyle from Dr. Suman Tiwari.",
+      canonical: `${SITE_URL}/blog${tag ? `?tag=${encodeURIComponent(tag)}` : ""}`,
+      content: `    <h1>${tag ? `Articles tagged “${escapeHtml(tag)}”` : "Health & Wellness Blog"}</h1>
+    <p><a href="/blog.html">About Panchkarma at ${escapeHtml(CLINIC_NAME)}</a> · <a href="/blog/rss.xml">RSS</a></p>
+${cards || "    <p>No articles yet. Please check back soon.</p>"}`,
+    }));
+  } catch (e) {
+    console.error("Blog index error:", e);
+    res.status(500).send("Could not load the blog");
+  }
+}));
+
+// Feeds: the 20 newest live posts
+async function feedPosts() {
+  return Post.find(livePostFilter()).sort({ publishAt: -1 }).limit(20).lean();
+}
+
+app.get("/blog/rss.xml", asyncHandler(async (_req, res) => {
+  try {
+    const posts = await feedPosts();
+    const items = posts.map(p => `
+    <item>
+      <title>${escapeHtml(p.title)}</title>
+      <link>${SITE_URL}/blog/${p.slug}</link>
+      <guid isPermaLink="true">${SITE_URL}/blog/${p.slug}</guid>
+      <pubDate>${new Date(p.publishAt).toUTCString()}</pubDate>
+      <description>${escapeHtml(p.excerpt)}</description>
+      ${p.tags.map(t => `<category>${escapeHtml(t)}</category>`).join("")}
+    </item>`).join("");
+    res.type("application/rss+xml").send(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(CLINIC_NAME)} Blog</title>
+    <link>${SITE_URL}/blog</link>
+    <atom:link href="${SITE_URL}/blog/rss.xml" rel="self" type="application/rss+xml"/>
+    <description>Articles on Ayurveda, Panchkarma, diet and lifestyle</description>
+    <language>en-in</language>${items}
+  </channel>
+</rss>`);
+  } catch (e) {
+    console.error("RSS error:", e);
+    res.status(500).send("Feed unavailable");
+  }
+}));
+
+app.get("/blog/atom.xml", asyncHandler(async (_req, res) => {
+  try {
+    const posts = await feedPosts();
+    const updated = posts.length ? new Date(Math.max(...posts.map(p => new Date(p.updatedAt)))) : new Date();
+    const entries = posts.map(p => `
+  <entry>
+    <title>${escapeHtml(p.title)}</title>
+    <link href="${SITE_URL}/blog/${p.slug}"/>
+    <id>${SITE_URL}/blog/${p.slug}</id>
+    <published>${new Date(p.publishAt).toISOString()}</published>
+    <updated>${new Date(p.updatedAt).toISOString()}</updated>
+    <summary>${escapeHtml(p.excerpt)}</summary>
+    <content type="html">${escapeHtml(marked.parse(p.body))}</content>
+    ${p.tags.map(t => `<category term="${escapeHtml(t)}"/>`).join("")}
+  </entry>`).join("");
+    res.type("application/atom+xml").send(`<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(CLINIC_NAME)} Blog</title>
+  <link href="${SITE_URL}/blog"/>
+  <link href="${SITE_URL}/blog/atom.xml" rel="self"/>
+  <id>${SITE_URL}/blog</id>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>Dr. Suman Tiwari</name></author>${entries}
+</feed>`);
+  } catch (e) {
+    console.error("Atom error:", e);
+    res.status(500).send("Feed unavailable");
+  }
+}));
+
+app.get("/blog/:slug", asyncHandler(async (req, res) => {
+  try {
+    const post = await Post.findOne(livePostFilter({ slug: req.params.slug })).lean();
+    if (!post) {
+      return res.status(404).send(blogLayout({
+        title: "Article not found",
+        description: "This article does not exist or is no longer available.",
+        canonical: `${SITE_URL}/blog`,
+        content: `    <h1>Article not found</h1>\n    <p><a href="/blog">Back to the blog</a></p>`,
+      }));
+    }
+    const canonical = `${SITE_URL}/blog/${post.slug}`;
+    const image = absoluteUrl(post.coverImage);
+    res.send(blogLayout({
+      title: post.title,
+      description: post.excerpt || post.title,
+      canonical,
+      image,
+      type: "article",
+      jsonLd: {
+        "@context": "https://schema.org",
+        "@type": "BlogPosting",
+        headline: post.title,
+        description: post.excerpt,
+        image: image || undefined,
+        datePublished: new Date(post.publishAt).toISOString(),
+        dateModified: new Date(post.updatedAt).toISOString(),
+        author: { "@type": "Person", name: "Dr. Suman Tiwari" },
+        publisher: { "@type": "Organization", name: CLINIC_NAME, logo: { "@type": "ImageObject", url: `${SITE_URL}/logo.png` } },
+        mainEntityOfPage: canonical,
+        keywords: post.tags.join(", "),
+      },
+      content: `    <article>
+      ${post.coverImage ? `<img class="post-cover" src="${escapeHtml(post.coverImage)}" alt="${escapeHtml(post.title)}">` : ""}
+      <h1>${escapeHtml(post.title)}</h1>
+      <p class="post-meta">${formatPostDate(post.publishAt)}</p>
+      <div class="section post-body">${marked.parse(post.body)}</div>
+      <p class="post-tags">${tagLinks(post.tags)}</p>
+      <p><a href="/blog">← All articles</a> · <a href="/appointment.html">Book an appointment</a></p>
+    </article>`,
+    }));
+  } catch (e) {
+    console.error("Blog post error:", e);
+    res.status(500).send("Could not load the article");
+  }
+}));
+
+// Static pages plus every live post
+const SITEMAP_PAGES = ["/index.html", "/blog", "/blog.html", "/appointment.html", "/feedback.html", "/aboutus.html"];
+app.get("/sitemap.xml", asyncHandler(async (_req, res) => {
+  try {
+    const posts = await Post.find(livePostFilter()).select("slug updatedAt").sort({ publishAt: -1 }).lean();
+    const urls = [
+      ...SITEMAP_PAGES.map(p => `  <url><loc>${SITE_URL}${p}</loc></url>`),
+      ...posts.map(p => `  <url><loc>${SITE_URL}/blog/${p.slug}</loc><lastmod>${new Date(p.updatedAt).toISOString()}</lastmod></url>`),
+    ];
+    res.type("application/xml").send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>`);
+  } catch (e) {
+    console.error("Sitemap error:", e);
+    res.status(500).send("Sitemap unavailable");
+  }
+}));
+
+// Public API: Feedback
+function feedbackPayload(body) {
+  const rating = Math.round(Number(body.rating));
+  return {
+    name: clip(body.name, 100),
+    email: clip(body.email, 200),
+    phone: clip(body.phone, 30),
+    message: clip(body.feedback ?? body.message, 2000) ?? "",
+    rating: rating >= 1 && rating <= 5 ? rating : null,
+  };
+}
+// Only what was sent: the patient link and moderation fields are the server's (and would give a decoy away)
+const feedbackReply = (feedback) => ({
+  status: "success",
+  type: "feedback",
+  data: { id: String(feedback._id), name: feedback.name, message: feedback.message, rating: feedback.rating },
+});
+// Honeypot decoy: the reply for feedback that is never saved
+const feedbackDecoy = async (req, res) => res.json(feedbackReply(new Feedback(feedbackPayload(req.body))));
+
+app.post("/api/feedback", guardForm("feedback", formError, feedbackDecoy), asyncHandler(async (req, res) => {
+  try {
+    const saved = await Feedback.create(feedbackPayload(req.body));
+    const patient = await linkPatient(Feedback, saved);
+    if (patient) saved.patient_id = String(patient._id);
+    await rememberSubmission(req);
+    publishChange("feedback", "create", saved);
+    if (saved.rating !== null && saved.rating <= LOW_RATING_THRESHOLD) {
+      notify("clinic_low_rating", CLINIC_EMAIL, { ...notificationVars(saved), rating: saved.rating }, { collectionName: "feedback", id: String(saved._id) });
+    }
+    return res.json(feedbackReply(saved));
+  } catch (e) {
+    console.error("Save feedback error:", e);
+    return res.status(500).json({ error: "Could not save feedback" });
+  }
+}));
+
+// -------------------- Admin list queries --------------------
+// Shared by the list endpoints: ?page=&limit=&sort=&order=&q=&from=&to= plus per-collection filters
+const MAX_PAGE_SIZE = 200;
+
+function parseListParams(query, sortable, defaultSort) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const field = sortable.includes(query.sort) ? query.sort : defaultSort;
+  const order = query.order === "asc" ? 1 : -1;
+  return { limit, page, sort: { [field]: order, _id: order } };
+}
+
+// Whole-word search goes through the text index; something that looks like (part of) a phone
+// number is matched on the phone field instead, ignoring the spaces people type in numbers.
+function applySearch(filter, q) {
+  const term = String(q || "").trim();
+  if (!term) return;
+  const digits = term.replace(/[\s+()-]/g, "");
+  if (/^\d{3,}$/.test(digits)) filter.phone = new RegExp(digits.split("").join("\\s*"));
+  else filter.$text = { $search: term };
+}
+
+// Inclusive day range on a Date field, in clinic days (not the server's time zone)
+function applyTimestampRange(filter, field, from, to) {
+  if (!isValidDate(from) && !isValidDate(to)) return;
+  filter[field] = {};
+  if (isValidDate(from)) filter[field].$gte = clinicDateTime(from, "00:00");
+  if (isValidDate(to)) filter[field].$lt = clinicDateTime(shiftDate(to, 1), "00:00");
+}
+
+function applyNumberRange(filter, field, min, max) {
+  const lo = min !== undefined && min !== "" ? Number(min) : NaN;
+  const hi = max !== undefined && max !== "" ? Number(max) : NaN;
+  if (isNaN(lo) && isNaN(hi)) return;
+  filter[field] = {};
+  if (!isNaN(lo)) filter[field].$gte = lo;
+  if (!isNaN(hi)) filter[field].$lte = hi;
+}
+
+async function sendList(res, model, filter, { limit, page, sort }, hiddenFields = []) {
+  try {
+    const [arr, total] = await Promise.all([
+      model.find(filter).select(["-deletedAt", "-deletedBy", "-manageNonce", "-history", ...hiddenFields.map(f => `-${f}`)].join(" ")).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+      model.countDocuments(filter),
+    ]);
+    const items = arr.map(a => { a.id = String(a._id); delete a._id; delete a.__v; return a; });
+    res.json({ items, total, page, limit, pages: Math.max(1, Math.ceil(total / limit)) });
+  } catch (e) {
+    console.error("List query error:", e);
+    res.status(400).json({ error: "Invalid list query" });
+  }
+}
+
+// A list filter value from the query string, which must be one of `allowed`. Anything else is a 400,
+// so ?status[$ne]=x can't put an operator into the query.
+function queryChoice(value, allowed, label) {
+  if (value === undefined || value === "") return null;
+  const text = String(value);
+  if (!allowed.includes(text)) throw Object.assign(new Error(`Unknown ${label}`), { status: 400, expose: true });
+  return text;
+}
+
+const PAYMENT_STATUSES = ["pending", "success", "failure"];
+
+// Filters for each list, shared by the paginated endpoints and the exports
+async function appointmentListFilter(query) {
+  const { q, from, to } = query;
+  const status = queryChoice(query.status, APPOINTMENT_STATUSES, "status");
+  const bookingType = query.bookingType ? queryChoice(query.bookingType, await Service.distinct("name"), "service") : null;
+  const filter = { deletedAt: null };
+  applySearch(filter, q);
+  if (status) filter.status = status === "completed" ? { $in: ["completed", "done"] } : status;
+  if (bookingType) filter.bookingType = bookingType;
+  // Range over the visit date ("YYYY-MM-DD" strings sort chronologically)
+  if (isValidDate(from) || isValidDate(to)) {
+    filter.date = {};
+    if (isValidDate(from)) filter.date.$gte = from;
+    if (isValidDate(to)) filter.date.$lte = to;
+  }
+  return filter;
+}
+
+function feedbackListFilter(query) {
+  const { q, from, to, minRating, maxRating } = query;
+  const status = queryChoice(query.status, FEEDBACK_STATUSES, "status");
+  const filter = { deletedAt: null };
+  applySearch(filter, q);
+  // Feedback from before moderation has no status and counts as pending
+  if (status) filter.status = status === "pending" ? { $in: ["pending", null] } : status;
+  applyTimestampRange(filter, "timestamp", from, to);
+  applyNumberRange(filter, "rating", minRating, maxRating);
+  return filter;
+}
+
+function paymentListFilter(query) {
+  const { q, from, to } = query;
+  const status = queryChoice(query.status, PAYMENT_STATUSES, "status");
+  const filter = {};
+  if (q) filter.$or = [{ order_id: new RegExp(`^${escapeRegExp(String(q))}`, "i") }, { txn_id: new RegExp(`^${escapeRegExp(String(q))}`, "i") }];
+  if (status) filter.status = status;
+  applyTimestampRange(filter, "timestamp", from, to);
+  return filter;
+}
+
+const LIST_SORTS = {
+  appointments: ["timestamp", "date", "name", "status", "fee", "bookingType"],
+  feedbacks: ["timestamp", "rating", "name"],
+  payments: ["timestamp", "status"],
+};
+
+// Admin routes: Fetch
+app.get("/api/appointments", requirePermission("appointments.view"), asyncHandler(async (req, res) => {
+  await sendList(res, Appointment, await appointmentListFilter(req.query), parseListParams(req.query, LIST_SORTS.appointments, "timestamp"));
+}));
+
+app.get("/api/feedbacks", requirePermission("feedback.view"), asyncHandler(async (req, res) => {
+  await sendList(res, Feedback, feedbackListFilter(req.query), parseListParams(req.query, LIST_SORTS.feedbacks, "timestamp"));
+}));
+
+app.get("/api/payments", requirePermission("payments.view"), asyncHandler(async (req, res) => {
+  await sendList(res, Payment, paymentListFilter(req.query), parseListParams(req.query, LIST_SORTS.payments, "timestamp"));
+}));
+
+// Dashboard cards
+app.get("/api/admin/summary", requireAdmin, asyncHandler(async (req, res) => {
+  const out = {};
+  if (hasPermission(req.admin, "appointments.view")) {
+    out.appointments = await Appointment.countDocuments({ deletedAt: null });
+    out.patients = await Patient.countDocuments({ mergedInto: null });
+  }
+  if (hasPermission(req.admin, "feedback.view")) out.feedback = await Feedback.countDocuments({ deletedAt: null });
+  if (hasPermission(req.admin, "payments.view")) {
+    const [row] = await Payment.aggregate([...revenueStages({}), { $group: { _id: null, total: { $sum: PAYMENT_NET } } }]);
+    out.revenue = row ? Math.round(row.total * 100) / 100 : 0;
+  }
+  res.json(out);
+}));
+
+// -------------------- Analytics --------------------
+const STATS_INTERVALS = ["day", "week", "month"];
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 3 * 366;
+// Abandoned Paytm checkouts never became real bookings
+const ABANDONED_PAYMENT_STATUSES = ["failed", "expired"];
+const PAYMENT_AMOUNT = { $convert: { input: "$amount", to: "double", onError: 0, onNull: 0 } };
+const PAYMENT_NET = { $subtract: [PAYMENT_AMOUNT, { $ifNull: ["$refunded", 0] }] }; // revenue is net of refunds
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// ?from=&to= are clinic-local dates (inclusive); defaults to the last 30 days
+function statsRange(query) {
+  const to = isValidDate(query.to) ? query.to : clinicNow().date;
+  const from = isValidDate(query.from) ? query.from : shiftDate(to, 1 - STATS_DEFAULT_DAYS);
+  if (from > to) return { error: "from must be on or before to" };
+  if (shiftDate(from, STATS_MAX_DAYS) < to) return { error: "Please choose a range of at most three years" };
+  const interval = STATS_INTERVALS.includes(query.interval) ? query.interval : "day";
+  return { from, to, interval, start: clinicDateTime(from, "00:00"), end: clinicDateTime(shiftDate(to, 1), "00:00") };
+}
+
+// Group key: the first clinic-local day of the day / week (Monday) / month a date falls in
+function periodOf(date, interval) {
+  return {
+    $dateToString: {
+      format: "%Y-%m-%d",
+      timezone: CLINIC_TZ,
+      date: { $dateTrunc: { date, unit: interval, timezone: CLINIC_TZ, startOfWeek: "monday" } },
+    },
+  };
+}
+const visitDate = { $dateFromString: { dateString: "$date", timezone: CLINIC_TZ, onError: null, onNull: null } };
+
+// Successful payments in this Paytm environment, minus those whose booking is in the trash (test bookings)
+function revenueStages(match) {
+  return [
+    { $match: { ...match, status: "success", order_id: { $type: "string" }, env: { $in: [PAYTM_ENV, null] } } },
+    { $lookup: { from: Appointment.collection.name, localField: "order_id", foreignField: "order_id", as: "appointment", pipeline: [{ $project: { deletedAt: 1 } }] } },
+    { $match: { appointment: { $not: { $elemMatch: { deletedAt: { $ne: null } } } } } },
+  ];
+}
+
+async function revenueStats({ start, end, interval }) {
+  const series = await Payment.aggregate([
+    ...revenueStages({ timestamp: { $gte: start, $lt: end } }),
+    { $group: { _id: periodOf("$timestamp", interval), amount: { $sum: PAYMENT_NET }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+  const rows = series.map(r => ({ period: r._id, amount: Math.round(r.amount * 100) / 100, count: r.count }));
+  return {
+    total: Math.round(rows.reduce((sum, r) => sum + r.amount, 0) * 100) / 100,
+    payments: rows.reduce((sum, r) => sum + r.count, 0),
+    series: rows,
+  };
+}
+
+// Bookings by visit date, like the appointment list's date filter
+async function bookingStats({ from, to, interval }) {
+  const [result] = await Appointment.aggregate([
+    { $match: { deletedAt: null, date: { $gte: from, $lte: to }, payment_status: { $nin: ABANDONED_PAYMENT_STATUSES } } },
+    {
+      $facet: {
+        series: [{ $group: { _id: periodOf(visitDate, interval), count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+        byService: [{ $group: { _id: { $ifNull: ["$bookingType", "Other"] }, count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+        byStatus: [{ $group: { _id: { $ifNull: ["$status", "pending"] }, count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+
+  const byStatus = {};
+  for (const r of result.byStatus) {
+    const status = currentStatus({ status: r._id });
+    byStatus[status] = (byStatus[status] || 0) + r.count;
+  }
+  // Share of visits that should have happened where the patient never came
+  const noShows = byStatus["no-show"] || 0;
+  const attended = (byStatus.completed || 0) + (byStatus["checked-in"] || 0);
+  return {
+    total: result.series.reduce((sum, r) => sum + r.count, 0),
+    series: result.series.filter(r => r._id).map(r => ({ period: r._id, count: r.count })),
+    byService: result.byService.map(r => ({ service: r._id, count: r.count })),
+    byStatus: APPOINTMENT_STATUSES.map(status => ({ status, count: byStatus[status] || 0 })),
+    noShows,
+    noShowRate: noShows + attended ? Math.round((noShows / (noShows + attended)) * 1000) / 10 : null,
+  };
+}
+
+// Patients seen in the range: new if their first (non-cancelled) visit falls inside it, otherwise returning
+async function patientStats({ from, to }) {
+  const [row] = await Appointment.aggregate([
+    { $match: { deletedAt: null, patient_id: { $ne: null }, date: { $lte: to }, status: { $ne: "cancelled" }, payment_status: { $nin: ABANDONED_PAYMENT_STATUSES } } },
+    { $group: { _id: "$patient_id", first: { $min: "$date" }, last: { $max: "$date" } } },
+    { $match: { last: { $gte: from } } },
+    { $group: { _id: null, total: { $sum: 1 }, new: { $sum: { $cond: [{ $gte: ["$first", from] }, 1, 0] } } } },
+  ]);
+  return { new: row ? row.new : 0, returning: row ? row.total - row.new : 0 };
+}
+
+async function ratingStats({ start, end, interval }) {
+  const series = await Feedback.aggregate([
+    { $match: { deletedAt: null, rating: { $gte: 1, $lte: 5 }, timestamp: { $gte: start, $lt: end } } },
+    { $group: { _id: periodOf("$timestamp", interval), total: { $sum: "$rating" }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+  const total = series.reduce((sum, r) => sum + r.total, 0);
+  const count = series.reduce((sum, r) => sum + r.count, 0);
+  return {
+    average: count ? Math.round((total / count) * 10) / 10 : null,
+    count,
+    series: series.map(r => ({ period: r._id, average: Math.round((r.total / r.count) * 10) / 10, count: r.count })),
+  };
+}
+
+// Each metric is only included for admins allowed to see the underlying records
+app.get("/api/stats", requireAdmin, asyncHandler(async (req, res) => {
+  const range = statsRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    const can = (permission) => hasPermission(req.admin, permission);
+    const [revenue, bookings, patients, ratings] = await Promise.all([
+      can("payments.view") ? revenueStats(range) : undefined,
+      can("appointments.view") ? bookingStats(range) : undefined,
+      can("appointments.view") ? patientStats(range) : undefined,
+      can("feedback.view") ? ratingStats(range) : undefined,
+    ]);
+    res.json({ from: range.from, to: range.to, interval: range.interval, revenue, bookings, patients, ratings });
+  } catch (e) {
+    console.error("Stats error:", e);
+    res.status(500).json({ error: "Could not load statistics" });
+  }
+}));
+
+// -------------------- Exports (CSV / Excel) --------------------
+// Column layout per export: [header, value getter]
+const EXPORTS = {
+  appointments: {
+    model: Appointment,
+    permission: "appointments.view",
+    filter: appointmentListFilter,
+    columns: [
+      ["ID", d => String(d._id)],
+      ["Name", d => d.name],
+      ["Email", d => d.email],
+      ["Phone", d => d.phone],
+      ["Service", d => d.bookingType],
+      ["Fee (₹)", d => d.fee],
+      ["Visit Date", d => d.date],
+      ["Time", d => d.slot],
+      ["Status", d => d.status],
+      ["Payment", d => d.payment_status],
+      ["Order ID", d => d.order_id],
+      ["Message", d => d.message],
+      ["Booked At", d => d.timestamp && formatTimestamp(d.timestamp)],
+    ],
+  },
+  feedbacks: {
+    model: Feedback,
+    permission: "feedback.view",
+    filter: feedbackListFilter,
+    columns: [
+      ["ID", d => String(d._id)],
+      ["Name", d => d.name],
+      ["Email", d => d.email],
+      ["Phone", d => d.phone],
+      ["Rating", d => d.rating],
+      ["Feedback", d => d.message],
+      ["Submitted At", d => d.timestamp && formatTimestamp(d.timestamp)],
+    ],
+  },
+  payments: {
+    model: Payment,
+    permission: "payments.view",
+    filter: paymentListFilter,
+    columns: [
+      ["ID", d => String(d._id)],
+      ["Order ID", d => d.order_id],
+      ["Transaction ID", d => d.txn_id],
+      ["Amount (₹)", d => (d.amount !== null && d.amount !== undefined ? Number(d.amount) : null)],
+      ["Status", d => d.status],
+      ["Mode", d => d.gateway_response && d.gateway_response.PAYMENTMODE],
+      ["Bank", d => d.gateway_response && d.gateway_response.BANKNAME],
+      ["Gateway Message", d => d.gateway_response && d.gateway_response.RESPMSG],
+      ["Paid At", d => d.timestamp && formatTimestamp(d.timestamp)],
+    ],
+  },
+};
+
+// Quote a CSV cell; cells starting with = + - @ are prefixed so Excel won't run patient input as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let str = String(value);
+  if (/^[=+\-@]/.test(str) && isNaN(Number(str))) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Write to the response, waiting for it to drain so a big export never buffers in memory.
+// Rejects if the connection closes first (the admin cancelled the download), which ends the export.
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { res.off("close", onClose); resolve(); };
+    const onClose = () => { res.off("drain", onDrain); reject(new Error("Connection closed during export")); };
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+  });
+}
+
+for (const [name, spec] of Object.entries(EXPORTS)) {
+  app.get(`/api/${name}/export`, requirePermission(spec.permission), asyncHandler(async (req, res) => {
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+    const { sort } = parseListParams(req.query, LIST_SORTS[name], "timestamp");
+    const filename = `${name}-${clinicNow().date}.${format}`;
+    const filter = await spec.filter(req.query);
+
+    try {
+      const cursor = spec.model.find(filter).sort(sort).lean().cursor();
+      await recordAudit(req, { action: `${name}.export`, collectionName: name, meta: { format, query: req.query } });
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        // BOM so Excel reads the file as UTF-8 (₹, Devanagari names)
+        await writeChunk(res, "\uFEFF" + spec.columns.map(([h]) => csvCell(h)).join(",") + "\r\n");
+        for await (const doc of cursor) {
+          await writeChunk(res, spec.columns.map(([, get]) => csvCell(get(doc))).join(",") + "\r\n");
+        }
+        return res.end();
+      }
+
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet(name);
+      sheet.columns = spec.columns.map(([header]) => ({ header, width: Math.max(12, header.length + 4) }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+      for await (const doc of cursor) {
+        sheet.addRow(spec.columns.map(([, get]) => get(doc) ?? null)).commit();
+      }
+      sheet.commit();
+      await workbook.commit();
+    } catch (e) {
+      console.error(`Export ${name} error:`, e);
+      if (!res.headersSent) return res.status(500).json({ error: "Export failed" });
+      // Part of the file is already out: cut the connection so the download fails instead of hanging
+      res.destroy(e);
+    }
+  }));
+}
+
+// -------------------- Soft delete & Trash --------------------
+// Route name -> model and the collection name used in backups / the audit log
+const TRASHABLE = {
+  appointments: { model: Appointment, collectionName: "appointments" },
+  feedbacks: { model: Feedback, collectionName: "feedback" },
+};
+
+function parseIds(body) {
+  const ids = Array.isArray(body && body.ids) ? body.ids : [];
+  return ids.filter(id => mongoose.isValidObjectId(id)).slice(0, 500);
+}
+
+async function softDelete(req, name, ids) {
+  const { model, collectionName } = TRASHABLE[name];
+  const docs = await model.find({ _id: { $in: ids }, deletedAt: null }).lean();
+  if (!docs.length) return 0;
+  await model.updateMany(
+    { _id: { $in: docs.map(d => d._id) } },
+    { $set: { deletedAt: new Date(), deletedBy: req.admin.username }, $unset: { slotKey: "" } } // a trashed booking frees its slot
+  );
+  for (const d of docs) {
+    await recordAudit(req, { action: `${collectionName}.delete`, collectionName, targetId: d._id });
+    publishChange(collectionName, "delete", d._id);
+  }
+  if (name === "appointments") await cancelReminders(docs.map(d => d._id), "Appointment deleted");
+  return docs.length;
+}
+
+// Restore from the trash. Appointments try to take their slot back; if someone else booked it meanwhile
+// the record is still restored, just without a slot hold, and reported as a conflict.
+async function restoreFromTrash(req, name, ids) {
+  const { model, collectionName } = TRASHABLE[name];
+  const docs = await model.find({ _id: { $in: ids }, deletedAt: { $ne: null } }).lean();
+  const conflicts = [];
+  const now = clinicNow();
+  let restored = 0;
+
+  for (const d of docs) {
+    const update = { deletedAt: null, deletedBy: null };
+    const wantsSlot = name === "appointments" && d.slot && d.date && d.date >= now.date && d.payment_status !== "failed";
+    let conflict = false;
+    try {
+      await model.updateOne({ _id: d._id }, { $set: wantsSlot ? { ...update, slotKey: `${d.date} ${d.slot}` } : update });
+    } catch (e) {
+      if (!isDuplicateKey(e)) {
+        console.error(`Restore of ${collectionName} ${d._id} failed:`, e);
+        continue;
+      }
+      await model.updateOne({ _id: d._id }, { $set: update });
+      conflict = true;
+      conflicts.push(String(d._id));
+    }
+    restored++;
+    if (name === "appointments") await syncReminders({ ...d, deletedAt: null });
+    await recordAudit(req, { action: `${collectionName}.restore`, collectionName, targetId: d._id, meta: conflict ? { slotConflict: true } : null });
+  }
+  if (restored) publishChange(collectionName, "reload");
+  return { restored, conflicts };
+}
+
+async function purgeFromTrash(req, name, ids) {
+  const { model, collectionName } = TRASHABLE[name];
+  const result = await model.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+  await recordAudit(req, { action: `${collectionName}.purge`, collectionName, meta: { ids: ids.map(String), count: result.deletedCount } });
+  return result.deletedCount;
+}
+
+// Permanently remove anything that has sat in the trash longer than TRASH_RETENTION_DAYS
+async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  for (const { model, collectionName } of Object.values(TRASHABLE)) {
+    try {
+      const result = await model.deleteMany({ deletedAt: { $ne: null, $lt: cutoff } });
+      if (result.deletedCount) {
+        console.log(`Purged ${result.deletedCount} expired ${collectionName} from trash`);
+        await recordAudit({}, { action: `${collectionName}.auto_purge`, collectionName, actor: { username: "system" }, meta: { count: result.deletedCount, retentionDays: TRASH_RETENTION_DAYS } });
+      }
+    } catch (e) {
+      console.error(`Trash purge failed for ${collectionName}:`, e);
+    }
+  }
+}
+setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+for (const name of Object.keys(TRASHABLE)) {
+  // Single record
+  app.delete(`/api/${name}/:id`, requirePermission("records.delete"), asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Record not found" });
+    const count = await softDelete(req, name, [req.params.id]);
+    if (!count) return res.status(404).json({ error: "Record not found" });
+    res.json({ status: "success", message: "Moved to trash", deleted: count });
+  }));
+
+  // Multi-select
+  app.post(`/api/${name}/delete`, requirePermission("records.delete"), asyncHandler(async (req, res) => {
+    const ids = parseIds(req.body);
+    if (!ids.length) return res.status(400).json({ error: "No records selected" });
+    const count = await softDelete(req, name, ids);
+    res.json({ status: "success", message: `${count} moved to trash`, deleted: count });
+  }));
+
+  app.get(`/api/trash/${name}`, requirePermission("records.delete"), asyncHandler(async (_req, res) => {
+    const arr = await TRASHABLE[name].model.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 }).lean();
+    const out = arr.map(a => { a.id = String(a._id); delete a._id; delete a.__v; return a; });
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, items: out });
+  }));
+
+  app.post(`/api/trash/${name}/restore`, requirePermission("records.delete"), asyncHandler(async (req, res) => {
+    const ids = parseIds(req.body);
+    if (!ids.length) return res.status(400).json({ error: "No records selected" });
+    const { restored, conflicts } = await restoreFromTrash(req, name, ids);
+    const message = conflicts.length
+      ? `${restored} restored; ${conflicts.length} appointment(s) lost their time slot to another booking`
+      : `${restored} restored`;
+    res.json({ status: "success", message, restored, conflicts });
+  }));
+
+  app.post(`/api/trash/${name}/purge`, requirePermission("data.clear"), asyncHandler(async (req, res) => {
+    const ids = parseIds(req.body);
+    if (!ids.length) return res.status(400).json({ error: "No records selected" });
+    const count = await purgeFromTrash(req, name, ids);
+    res.json({ status: "success", message: `${count} permanently deleted`, purged: count });
+  }));
+}
+
+// -------------------- Backup & Undo --------------------
+const BACKUP_MODELS = { appointments: Appointment, feedback: Feedback, payments: Payment };
+
+async function createBackupForCollection(collectionName, dataArray, note = null, trigger = "manual") {
+  try {
+    const backup = await Backup.create({
+      collectionName,
+      data: dataArray,
+      count: dataArray.length,
+      trigger,
+      note
+    });
+    console.log(`Backup created for ${collectionName} (${dataArray.length} items)`);
+    return backup;
+  } catch (e) {
+    console.error(`Failed to create backup for ${collectionName}:`, e);
+    return null;
+  }
+}
+
+// Plain JSON form of a record (ObjectIds and Dates become strings), so a stored backup and a
+// freshly-read document, or an uploaded backup file, compare like for like
+const toJsonShape = (doc) => JSON.parse(JSON.stringify(doc));
+
+// JSON with sorted keys, so two copies of a record compare equal regardless of field order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => k !== "__v").map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Compare a backup's records with what is in the collection now, matched by _id
+async function diffBackup(backup) {
+  const model = BACKUP_MODELS[backup.collectionName];
+  const current = await model.find().lean();
+  const currentById = new Map(current.map(d => [String(d._id), d]));
+  const backupIds = new Set();
+
+  const onlyInBackup = [], changed = [];
+  let same = 0;
+  for (const doc of backup.data || []) {
+    const id = String(doc._id);
+    backupIds.add(id);
+    const now = currentById.get(id);
+    if (!now) onlyInBackup.push(doc);
+    else if (stableStringify(toJsonShape(doc)) === stableStringify(toJsonShape(now))) same++;
+    else changed.push({ id, changes: diffObjects(toJsonShape(now), toJsonShape(doc)) }); // from = now, to = backup
+  }
+  const onlyInCurrent = current.filter(d => !backupIds.has(String(d._id)));
+  return { onlyInBackup, onlyInCurrent, changed, same };
+}
+
+// Restore a backup.
+//  merge:   add back records that are missing now; records that still exist keep their current version
+//  replace: make the collection exactly match the backup, after snapshotting the current data so nothing is lost
+async function restoreBackup(backup, mode = "merge") {
+  const model = BACKUP_MODELS[backup.collectionName];
+  if (!model) return { ok: false, message: "Unknown collection for restore" };
+  const docs = (backup.data || []).map(d => {
+    const copy = { ...d };
+    delete copy.__v; // ensure no __v leaking
+    return copy;
+  });
+
+  try {
+    let toInsert = docs;
+    if (mode === "replace") {
+      const current = await model.find().lean();
+      await createBackupForCollection(backup.collectionName, current, `Before restoring backup ${backup._id}`, "pre-restore");
+      await model.deleteMany({});
+    } else {
+      const existing = new Set((await model.find().select("_id").lean()).map(d => String(d._id)));
+      toInsert = docs.filter(d => !existing.has(String(d._id)));
+    }
+
+    // A restored booking must not steal a slot that has been booked since the backup
+    let slotConflicts = 0;
+    if (backup.collectionName === "appointments") {
+      const held = new Set((await Appointment.find({ slotKey: { $type: "string" } }).select("slotKey").lean()).map(a => a.slotKey));
+      toInsert = toInsert.map(d => {
+        if (!d.slotKey) return d;
+        if (held.has(d.slotKey)) {
+          slotConflicts++;
+          const { slotKey, ...rest } = d;
+          return rest;
+        }
+        held.add(d.slotKey);
+        return d;
+      });
+    }
+
+    if (toInsert.length) await model.insertMany(toInsert, { ordered: false });
+    const skipped = docs.length - toInsert.length;
+    const message = mode === "replace"
+      ? `Replaced with backup (${toInsert.length} records)`
+      : `Restored ${toInsert.length} missing records${skipped ? `, kept ${skipped} existing` : ""}`;
+    return { ok: true, message: slotConflicts ? `${message}; ${slotConflicts} lost their time slot to newer bookings` : message, restoredCount: toInsert.length, skipped, slotConflicts };
+  } catch (e) { return { ok: false, message: "Restore failed: " + e.message }; }
+}
+
+// Undo a "Clear All": merge the most recent clear backup back in, keeping anything created since
+async function restoreLatestBackupForCollection(collectionName) {
+  const latest = await Backup.findOne({ collectionName, trigger: { $in: ["clear", null] } }).sort({ createdAt: -1 }).lean();
+  if (!latest) return { ok: false, message: "No backup available" };
+  return restoreBackup(latest, "merge");
+}
+
+async function snapshotCollection(collectionName, note, trigger) {
+  const data = await BACKUP_MODELS[collectionName].find().lean();
+  return createBackupForCollection(collectionName, data, note, trigger);
+}
+
+// Delete backups older than BACKUP_RETENTION_DAYS, always keeping the newest one per collection
+async function pruneOldBackups() {
+  const cutoff = new Date(Date.now() - BACKUP_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  for (const collectionName of Object.keys(BACKUP_MODELS)) {
+    const newest = await Backup.findOne({ collectionName }).sort({ createdAt: -1 }).select("_id").lean();
+    if (!newest) continue;
+    const result = await Backup.deleteMany({ collectionName, createdAt: { $lt: cutoff }, _id: { $ne: newest._id } });
+    if (result.deletedCount) console.log(`Pruned ${result.deletedCount} old ${collectionName} backups`);
+  }
+}
+
+// Checked hourly; takes a snapshot of every collection once BACKUP_INTERVAL_HOURS have passed since the last one.
+// Going by the last snapshot (not process uptime) means restarts and redeploys don't cause extra backups.
+async function runScheduledBackups() {
+  if (!BACKUP_INTERVAL_HOURS) return;
+  try {
+    const last = await Backup.findOne({ trigger: "scheduled" }).sort({ createdAt: -1 }).select("createdAt").lean();
+    if (last && Date.now() - last.createdAt.getTime() < BACKUP_INTERVAL_HOURS * 60 * 60 * 1000) return;
+    for (const collectionName of Object.keys(BACKUP_MODELS)) {
+      await snapshotCollection(collectionName, "Scheduled backup", "scheduled");
+    }
+    await pruneOldBackups();
+  } catch (e) {
+    console.error("Scheduled backup failed:", e);
+  }
+}
+setInterval(runScheduledBackups, 60 * 60 * 1000).unref();
+
+// Clear & Undo routes
+app.delete("/api/appointments", requirePermission("data.clear"), asyncHandler(async (req, res) => {
+  const current = await Appointment.find().lean();
+  await createBackupForCollection("appointments", current, "Cleared by admin", "clear");
+  await Appointment.deleteMany({});
+  await recordAudit(req, { action: "appointments.clear", collectionName: "appointments", meta: { count: current.length } });
+  publishChange("appointments", "reload");
+  res.json({ status: "success", message: "All appointments cleared. Undo available." });
+}));
+
+app.delete("/api/feedbacks", requirePermission("data.clear"), asyncHandler(async (req, res) => {
+  const current = await Feedback.find().lean();
+  await createBackupForCollection("feedback", current, "Cleared by admin", "clear");
+  await Feedback.deleteMany({});
+  await recordAudit(req, { action: "feedback.clear", collectionName: "feedback", meta: { count: current.length } });
+  publishChange("feedback", "reload");
+  res.json({ status: "success", message: "All feedback cleared. Undo available." });
+}));
+
+app.post("/api/appointments/undo", requirePermission("data.clear"), asyncHandler(async (req, res) => {
+  const result = await restoreLatestBackupForCollection("appointments");
+  await recordAudit(req, { action: "appointments.undo", collectionName: "appointments", meta: { ok: result.ok, message: result.message, restored: result.restoredCount ?? 0 } });
+  if (result.ok) publishChange("appointments", "reload");
+  if (!result.ok) return res.status(400).json({ error: result.message });
+  res.json({ status: "success", message: result.message, restored: result.restoredCount });
+}));
+
+app.post("/api/feedbacks/undo", requirePermission("data.clear"), asyncHandler(async (req, res) => {
+  const result = await restoreLatestBackupForCollection("feedback");
+  await recordAudit(req, { action: "feedback.undo", collectionName: "feedback", meta: { ok: result.ok, message: result.message, restored: result.restoredCount ?? 0 } });
+  if (result.ok) publishChange("feedback", "reload");
+  if (!result.ok) return res.status(400).json({ error: result.message });
+  res.json({ status: "success", message: result.message, restored: result.restoredCount });
+}));
+
+// -------------------- Admin: backups --------------------
+async function findBackup(id) {
+  return mongoose.isValidObjectId(id) ? Backup.findById(id).lean() : null;
+}
+
+app.get("/api/admin/backups", requirePermission("backups.manage"), asyncHandler(async (req, res) => {
+  const match = req.query.collection ? { collectionName: req.query.collection } : {};
+  const backups = await Backup.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    { $limit: 500 },
+    { $project: { collectionName: 1, createdAt: 1, note: 1, trigger: { $ifNull: ["$trigger", "clear"] }, count: { $size: { $ifNull: ["$data", []] } } } },
+  ]);
+  res.json({
+    collections: Object.keys(BACKUP_MODELS),
+    intervalHours: BACKUP_INTERVAL_HOURS,
+    retentionDays: BACKUP_RETENTION_DAYS,
+    backups: backups.map(b => ({ ...b, id: String(b._id), _id: undefined })),
+  });
+}));
+
+// Take a snapshot now
+app.post("/api/admin/backups", requirePermission("backups.manage"), asyncHandler(async (req, res) => {
+  const { collection, note } = req.body;
+  if (!BACKUP_MODELS[collection]) return res.status(400).json({ error: "Unknown collection" });
+  const backup = await snapshotCollection(collection, note || "Manual backup", "manual");
+  if (!backup) return res.status(500).json({ error: "Backup failed" });
+  await recordAudit(req, { action: "backup.create", collectionName: collection, targetId: backup._id, meta: { count: backup.count } });
+  res.json({ status: "success", message: `Backed up ${backup.count} ${collection}`, id: String(backup._id) });
+}));
+
+app.get("/api/admin/backups/:id/diff", requirePermission("backups.manage"), asyncHandler(async (req, res) => {
+  const backup = await findBackup(req.params.id);
+  if (!backup) return res.status(404).json({ error: "Backup not found" });
+  if (!BACKUP_MODELS[backup.collectionName]) return res.status(400).json({ error: "Unknown collection" });
+
+  const { onlyInBackup, onlyInCurrent, changed, same } = await diffBackup(backup);
+  const brief = (d) => ({ id: String(d._id), name: d.name ?? null, phone: d.phone ?? null, date: d.date ?? null, order_id: d.order_id ?? null });
+  res.json({
+    collectionName: backup.collectionName,
+    createdAt: backup.createdAt,
+    summary: { onlyInBackup: onlyInBackup.length, onlyInCurrent: onlyInCurrent.length, changed: changed.length, same },
+    samples: {
+      onlyInBackup: onlyInBackup.slice(0, 20).map(brief),
+      onlyInCurrent: onlyInCurrent.slice(0, 20).map(brief),
+      changed: changed.slice(0, 20),
+    },
+  });
+}));
+
+app.post("/api/admin/backups/:id/restore", requirePermission("backups.manage"), asyncHandler(async (req, res) => {
+  const mode = req.body.mode === "replace" ? "replace" : "merge";
+  const backup = await findBackup(req.params.id);
+  if (!backup) return res.status(404).json({ error: "Backup not found" });
+
+  const result = await restoreBackup(backup, mode);
+  await recordAudit(req, { action: "backup.restore", collectionName: backup.collectionName, targetId: backup._id, meta: { mode, ok: result.ok, message: result.message } });
+  if (!result.ok) return res.status(400).json({ error: result.message });
+  res.json({ status: "success", message: result.message, restored: result.restoredCount });
+}));
+
+app.get("/api/admin/backups/:id/download", requirePermission("backups.manage"), asyncHandler(async (req, res) => {
+  const backup = await findBackup(req.params.id);
+  if (!backup) return res.status(404).json({ error: "Backup not found" });
+  const stamp = new Date(backup.createdAt).toISOString().replace(/[:.]/g, "-");
+  await recordAudit(req, { action: "backup.download", collectionName: backup.collectionName, targetId: backup._id });
+  res.setHeader("Content-Disposition", `attachment; filename="${backup.collectionName}-${stamp}.json"`);
+  res.json({ collectionName: backup.collectionName, createdAt: backup.createdAt, note: backup.note, data: backup.data });
+}));
+
+// Upload a previously downloaded backup file (sent as raw bytes so it isn't capped by the 1mb JSON limit).
+// It is stored as a new backup; restoring it is a separate, explicit step.
+app.post("/api/admin/backups/upload", requirePermission("backups.manage"), express.raw({ type: "application/octet-stream", limit: "25mb" }), asyncHandler(async (req, res) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "");
+  } catch (e) {
+    return res.status(400).json({ error: "File is not valid JSON" });
+  }
+  const collectionName = parsed.collectionName || req.query.collection;
+  const data = Array.isArray(parsed) ? parsed : parsed.data;
+  if (!BACKUP_MODELS[collectionName]) return res.status(400).json({ error: "Unknown or missing collectionName" });
+  if (!Array.isArray(data)) return res.status(400).json({ error: "Backup file has no data array" });
+  if (data.some(d => !d || typeof d !== "object" || !mongoose.isValidObjectId(d._id))) {
+    return res.status(400).json({ error: "Every record needs a valid _id" });
+  }
+
+  const backup = await createBackupForCollection(collectionName, data, `Uploaded: ${parsed.note || req.query.filename || "backup file"}`, "upload");
+  if (!backup) return res.status(500).json({ error: "Could not store backup" });
+  await recordAudit(req, { action: "backup.upload", collectionName, targetId: backup._id, meta: { count: data.length } });
+  res.json({ status: "success", message: `Uploaded ${data.length} ${collectionName} records`, id: String(backup._id) });
+}));
+
+// -------------------- Admin: legacy import --------------------
+// Loads appointments and feedback from the flat-file days (backup/*.json) or from CSV/JSON exports.
+// Columns are mapped onto the current schema and values cleaned up; rows that can't be read or that
+// are already in the database are reported one by one instead of failing the whole file.
+// ?dryRun=1 returns the same report without saving anything.
+const IMPORT_KINDS = {
+  appointments: { model: Appointment, collectionName: "appointments" },
+  feedback: { model: Feedback, collectionName: "feedback" },
+};
+const IMPORT_REPORT_ROWS = 500; // rows listed in the response; the counts always cover the whole file
+
+// Column name, lowercased with only letters and digits kept -> field. Covers the legacy JSON files and our own exports.
+const IMPORT_CONTACT_FIELDS = {
+  id: "legacyId", name: "name", patientname: "name", fullname: "name",
+  email: "email", emailaddress: "email", phone: "phone", mobile: "phone", phonenumber: "phone", contact: "phone",
+  status: "status", timestamp: "timestamp", createdat: "timestamp",
+};
+const IMPORT_FIELDS = {
+  appointments: {
+    ...IMPORT_CONTACT_FIELDS,
+    date: "date", visitdate: "date", appointmentdate: "date", slot: "slot", time: "slot",
+    service: "bookingType", bookingtype: "bookingType", fee: "fee", amount: "fee",
+    message: "message", notes: "message", bookedat: "timestamp",
+  },
+  feedback: {
+    ...IMPORT_CONTACT_FIELDS,
+    feedback: "message", message: "message", comment: "message", review: "message",
+    rating: "rating", stars: "rating", submittedat: "timestamp",
+  },
+};
+
+const importKey = (column) => String(column).toLowerCase().replace(/[^a-z0-9]/g, "");
+const isBlank = (v) => v === null || v === undefined || String(v).trim() === "";
+
+// RFC 4180: quoted cells may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+// Rows as { row, raw }: `row` is the record's number in a JSON array, or its line in a spreadsheet (header = 1)
+function parseImportFile(buffer, filename) {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return { error: "File is not valid JSON" };
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.data) ? parsed.data : null;
+    if (!records) return { error: "The JSON file must hold an array of records (or be a downloaded backup)" };
+    return { format: "json", collectionName: parsed.collectionName, rows: records.map((raw, i) => ({ row: i + 1, raw })) };
+  }
+  const [header, ...lines] = parseCsv(text);
+  if (!header || !header.some(h => h.trim())) return { error: "The CSV file needs a header row" };
+  const rows = [];
+  lines.forEach((cells, i) => {
+    if (!cells.some(c => c.trim())) return;
+    // Our exports put ' before cells that start like a formula; take it off again
+    const raw = Object.fromEntries(header.map((h, j) => [h.trim(), (cells[j] ?? "").replace(/^'(?=[=+\-@])/, "")]));
+    rows.push({ row: i + 2, raw });
+  });
+  return { format: "csv", rows };
+}
+
+// The collection a file is for: as chosen, else from a backup file, the file name, or its columns
+function importKindFor(requested, filename, parsed) {
+  if (IMPORT_KINDS[requested]) return requested;
+  if (IMPORT_KINDS[parsed.collectionName]) return parsed.collectionName;
+  if (/feedback|review/i.test(filename)) return "feedback";
+  if (/appointment|booking/i.test(filename)) return "appointments";
+  const columns = new Set(parsed.rows.flatMap(r => (r.raw && typeof r.raw === "object" ? Object.keys(r.raw).map(importKey) : [])));
+  if (columns.has("rating") || columns.has("feedback")) return "feedback";
+  if (columns.has("date") || columns.has("slot") || columns.has("visitdate")) return "appointments";
+  return null;
+}
+
+// "2025-12-21", an ISO timestamp, "21/12/2025" or "21-12-2025" -> "2025-12-21"
+function importDate(value) {
+  const s = String(value).trim();
+  const dmy = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(s);
+  const date = dmy ? `${dmy[3]}-${dmy[2].padStart(2, "0")}-${dmy[1].padStart(2, "0")}` : s.slice(0, 10);
+  return isValidDate(date) && (dmy || s.length === 10 || s[10] === "T") ? date : null;
+}
+
+// "10:30", "9:30", "4 pm", "10:30 AM" -> "HH:MM"
+function importTime(value) {
+  const m = /^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?m\.?$/i.exec(String(value).trim()) || /^(\d{1,2})[:.](\d{2})()$/.exec(String(value).trim());
+  if (!m) return null;
+  let hour = Number(m[1]);
+  if (m[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (m[3].toLowerCase() === "p" ? 12 : 0);
+  }
+  const time = `${String(hour).padStart(2, "0")}:${m[2] || "00"}`;
+  return TIME_RE.test(time) ? time : null;
+}
+
+// ISO strings, epoch milliseconds, or formatTimestamp()'s "YYYY/MM/DD HH:MM:SS" (server time) from our exports
+function importTimestamp(value) {
+  const s = String(value).trim();
+  const ours = /^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(s);
+  let d = null;
+  if (ours) d = new Date(ours[1], ours[2] - 1, ours[3], ours[4], ours[5], ours[6]);
+  else if (/^\d{12,}$/.test(s)) d = new Date(Number(s));
+  else if (/^\d{4}-\d{2}-\d{2}/.test(s)) d = new Date(s);
+  return d && !isNaN(d) ? d : null;
+}
+
+// One file row -> { record, errors, ignored }. `services` resolves service names on appointments.
+function mapImportRow(kind, raw, services) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { record: null, errors: ["Not a record"], ignored: [] };
+  const fields = IMPORT_FIELDS[kind];
+  const v = {};
+  const ignored = [];
+  for (const [column, value] of Object.entries(raw)) {
+    const field = fields[importKey(column)];
+    if (!field) ignored.push(column);
+    else if (!isBlank(value) && v[field] === undefined) v[field] = typeof value === "string" ? value.trim() : value;
+  }
+
+  const errors = [];
+  const record = { name: clip(v.name, 100), email: null, phone: null, message: clip(v.message, 2000) ?? "" };
+  if (!record.name) errors.push("Name is missing");
+  if (v.email !== undefined) {
+    record.email = normalizeEmail(clip(v.email, 200));
+    if (!record.email) errors.push(`Email "${v.email}" is not valid`);
+  }
+  if (v.phone !== undefined) {
+    record.phone = normalizePhone(v.phone);
+    if (!record.phone || record.phone.length !== 10) errors.push(`Phone "${v.phone}" does not have 10 digits`);
+  }
+  if (v.email === undefined && v.phone === undefined) errors.push("Needs a phone number or email");
+  if (v.timestamp !== undefined) {
+    record.timestamp = importTimestamp(v.timestamp);
+    if (!record.timestamp) errors.push(`Timestamp "${v.timestamp}" is not a date and time`);
+  }
+  // A 24-character id from one of our exports becomes the _id again; anything else is kept as the legacy id
+  if (v.legacyId !== undefined) {
+    if (/^[a-f\d]{24}$/i.test(String(v.legacyId))) record._id = String(v.legacyId);
+    else record.id = String(v.legacyId);
+  }
+  const statuses = kind === "appointments" ? APPOINTMENT_STATUSES : FEEDBACK_STATUSES;
+  if (v.status !== undefined) {
+    record.status = String(v.status).toLowerCase();
+    if (!statuses.includes(record.status)) errors.push(`Status "${v.status}" must be one of ${statuses.join(", ")}`);
+  }
+
+  if (kind === "appointments") {
+    record.date = v.date !== undefined ? importDate(v.date) : null;
+    if (!record.date) errors.push(v.date === undefined ? "Date is missing" : `Date "${v.date}" is not a valid date`);
+    if (v.slot !== undefined) {
+      record.slot = importTime(v.slot);
+      if (!record.slot) errors.push(`Time "${v.slot}" is not a valid time`);
+    }
+    if (v.bookingType !== undefined) {
+      const name = String(v.bookingType).toLowerCase();
+      const service = services.find(s => s.name.toLowerCase() === name);
+      record.bookingType = service ? service.name : clip(v.bookingType, 100);
+      if (service) {
+        record.service_id = String(service._id);
+        record.fee = service.fee;
+      }
+    }
+    if (v.fee !== undefined) {
+      record.fee = Number(String(v.fee).replace(/[₹,\s]/g, ""));
+      if (!Number.isFinite(record.fee) || record.fee < 0) errors.push(`Fee "${v.fee}" is not an amount`);
+    }
+    // Upcoming bookings hold their slot like any other; past and closed ones don't need to
+    const status = record.status || "pending";
+    if (record.date && record.slot && record.date >= clinicNow().date && !CLOSED_APPOINTMENT_STATUSES.includes(status)) {
+      record.slotKey = `${record.date} ${record.slot}`;
+    }
+  } else {
+    if (v.rating !== undefined) {
+      const rating = Number(String(v.rating).trim());
+      record.rating = Number.isFinite(rating) ? Math.round(rating) : NaN;
+      if (!(record.rating >= 1 && record.rating <= 5)) errors.push(`Rating "${v.rating}" must be 1 to 5`);
+    }
+    if (!record.message && v.rating === undefined) errors.push("Has neither feedback text nor a rating");
+  }
+  return { record, errors, ignored };
+}
+
+// Finds a record already in the database (or earlier in the file) that a row repeats: the same _id or
+// legacy id, or the same person (phone, else email) with the same visit date / the same feedback text.
+// A legacy booking without a time matches any booking that person has on that day.
+function importMatcher(kind) {
+  const ids = new Map();
+  const keys = new Map();
+  const keyOf = (r) => {
+    const contact = normalizePhone(r.phone) || normalizeEmail(r.email);
+    if (!contact) return null;
+    return kind === "appointments" ? `${contact}|${r.date}` : `${contact}|${String(r.message || "").trim().toLowerCase().replace(/\s+/g, " ")}`;
+  };
+  return {
+    add(r, ref) {
+      for (const id of [r._id, r.id]) if (id) ids.set(String(id), ref);
+      const key = keyOf(r);
+      if (!key) return;
+      if (!keys.has(key)) keys.set(key, []);
+      keys.get(key).push({ slot: r.slot || null, ref });
+    },
+    find(r) {
+      for (const id of [r._id, r.id]) if (id && ids.has(String(id))) return ids.get(String(id));
+      const hit = (keys.get(keyOf(r)) || []).find(h => kind !== "appointments" || !h.slot || !r.slot || h.slot === r.slot);
+      return hit ? hit.ref : null;
+    },
+  };
+}
+
+app.post("/api/admin/import", requirePermission("data.import"), express.raw({ type: "application/octet-stream", limit: "25mb" }), asyncHandler(async (req, res) => {
+  const filename = String(req.query.filename || "upload");
+  const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+  if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: "The file is empty" });
+  const parsed = parseImportFile(req.body, filename);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const kind = importKindFor(req.query.kind, filename, parsed);
+  if (!kind) return res.status(400).json({ error: "Can't tell whether this file holds appointments or feedback; please choose" });
+  const { model, collectionName } = IMPORT_KINDS[kind];
+
+  try {
+    const services = kind === "appointments" ? await Service.find().select("name fee").lean() : [];
+    const matcher = importMatcher(kind);
+    const existing = await model.find().select("_id id name phone email date slot slotKey message").lean();
+    existing.forEach(doc => matcher.add(doc, String(doc._id)));
+    const heldSlots = new Set(existing.filter(d => typeof d.slotKey === "string").map(d => d.slotKey));
+
+    const rows = [];
+    const ignoredColumns = new Set();
+    for (const { row, raw } of parsed.rows) {
+      const { record, errors, ignored } = mapImportRow(kind, raw, services);
+      ignored.forEach(c => ignoredColumns.add(c));
+      if (!errors.length && record.slotKey && heldSlots.has(record.slotKey)) errors.push(`The ${record.date} ${record.slot} slot is already booked`);
+      if (errors.length) {
+        rows.push({ row, status: "error", errors, record });
+        continue;
+      }
+      const duplicateOf = matcher.find(record);
+      if (duplicateOf) {
+        rows.push({ row, status: "duplicate", duplicateOf, record });
+        continue;
+      }
+      matcher.add(record, `row ${row}`);
+      if (record.slotKey) heldSlots.add(record.slotKey);
+      rows.push({ row, status: "new", record });
+    }
+
+    if (!dryRun) {
+      for (const entry of rows.filter(r => r.status === "new")) {
+        const data = { ...entry.record };
+        if (kind === "appointments") data.history = [historyEntry("imported", req.admin.username, {}, data, `Imported from ${filename}`)];
+        try {
+          const saved = await model.create(data);
+          await linkPatient(model, saved);
+          Object.assign(entry, { status: "imported", id: String(saved._id) });
+        } catch (e) {
+          // Someone booked the slot, or the record was added, since the check above
+          const error = isDuplicateKey(e) ? (e.keyPattern && e.keyPattern.slotKey ? "The slot was booked meanwhile" : "A record with this ID already exists") : e.message;
+          Object.assign(entry, { status: "error", errors: [error] });
+        }
+      }
+    }
+
+    const counts = { new: 0, imported: 0, duplicate: 0, error: 0 };
+    rows.forEach(r => { counts[r.status]++; });
+    if (!dryRun) {
+      await recordAudit(req, { action: `${collectionName}.import`, collectionName, meta: { filename, format: parsed.format, ...counts } });
+      if (counts.imported) publishChange(collectionName, "reload");
+    }
+    res.json({
+      kind,
+      format: parsed.format,
+      dryRun,
+      total: rows.length,
+      counts,
+      ignoredColumns: [...ignoredColumns],
+      rows: rows.slice(0, IMPORT_REPORT_ROWS),
+      truncated: rows.length > IMPORT_REPORT_ROWS,
+    });
+  } catch (e) {
+    console.error("Import error:", e);
+    res.status(500).json({ error: "Import failed: " + e.message });
+  }
+}));
+
+// -------------------- Admin: services --------------------
+app.get("/api/admin/services", requirePermission("services.manage"), asyncHandler(async (_req, res) => {
+  const arr = await Service.find().sort({ sortOrder: 1, name: 1 });
+  res.json({ categories: SERVICE_CATEGORIES, services: serializeDoc(arr) });
+}));
+
+app.post("/api/admin/services", requirePermission("services.manage"), asyncHandler(async (req, res) => {
+  const { data, error } = parseServiceInput(req.body);
+  if (error) return res.status(400).json({ error });
+  const saved = await Service.create(data);
+  await recordAudit(req, { action: "service.create", collectionName: "services", targetId: saved._id, after: saved });
+  res.json({ status: "success", data: serializeDoc(saved) });
+}));
+
+app.put("/api/admin/services/:id", requirePermission("services.manage"), asyncHandler(async (req, res) => {
+  const { data, error } = parseServiceInput(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Service not found" });
+  const before = await Service.findById(req.params.id).lean();
+  if (!before) return res.status(404).json({ error: "Service not found" });
+  const updated = await Service.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+  await recordAudit(req, { action: "service.update", collectionName: "services", targetId: updated._id, before, after: updated });
+  res.json({ status: "success", data: serializeDoc(updated) });
+}));
+
+// Services are referenced by past appointments, so delete only deactivates
+app.delete("/api/admin/services/:id", requirePermission("services.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Service not found" });
+  const updated = await Service.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+  if (!updated) return res.status(404).json({ error: "Service not found" });
+  await recordAudit(req, { action: "service.deactivate", collectionName: "services", targetId: updated._id, meta: { name: updated.name } });
+  res.json({ status: "success", message: "Service deactivated" });
+}));
+
+// -------------------- Admin: activity log --------------------
+app.get("/api/admin/audit", requirePermission("audit.view"), asyncHandler(async (req, res) => {
+  const { actor, action, collection, from, to } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  const page = Math.max(Number(req.query.page) || 1, 1);
+
+  const filter = {};
+  if (actor) filter["actor.username"] = new RegExp(escapeRegExp(actor), "i");
+  if (action) filter.action = action;
+  if (collection) filter.collectionName = collection;
+  applyTimestampRange(filter, "timestamp", from, to);
+
+  const [entries, total, actions] = await Promise.all([
+    AuditLog.find(filter).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit),
+    AuditLog.countDocuments(filter),
+    AuditLog.distinct("action"),
+  ]);
+  res.json({ total, page, limit, actions: actions.sort(), entries: serializeDoc(entries) });
+}));
+
+// -------------------- Admin: blocked submissions --------------------
+app.get("/api/admin/blocked", requirePermission("audit.view"), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.form) filter.form = String(req.query.form);
+  if (req.query.reason) filter.reason = String(req.query.reason);
+  if (req.query.ip) filter.ip = String(req.query.ip);
+  await sendList(res, BlockedSubmission, filter, parseListParams(req.query, ["timestamp"], "timestamp"));
+}));
+
+app.get("/api/admin/blocked/counts", requirePermission("audit.view"), asyncHandler(async (_req, res) => {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const rows = await BlockedSubmission.aggregate([{ $match: { timestamp: { $gte: since } } }, { $group: { _id: "$reason", count: { $sum: 1 } } }]);
+  res.json(Object.fromEntries(rows.map(r => [r._id, r.count])));
+}));
+
+// -------------------- Admin: notifications --------------------
+app.get("/api/admin/notifications/templates", requirePermission("notifications.manage"), asyncHandler(async (_req, res) => {
+  const stored = await NotificationTemplate.find().lean();
+  const byKey = Object.fromEntries(stored.map(t => [t.key, t]));
+  res.json(Object.entries(DEFAULT_TEMPLATES).map(([key, def]) => ({
+    key,
+    label: def.label,
+    subject: byKey[key] ? byKey[key].subject : def.subject,
+    body: byKey[key] ? byKey[key].body : def.body,
+    enabled: byKey[key] ? byKey[key].enabled : true,
+    customized: Boolean(byKey[key]),
+  })));
+}));
+
+app.put("/api/admin/notifications/templates/:key", requirePermission("notifications.manage"), asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  if (!DEFAULT_TEMPLATES[key]) return res.status(404).json({ error: "Unknown template" });
+  const { subject, body, enabled } = req.body;
+  if (!subject || !body) return res.status(400).json({ error: "Subject and body are required" });
+
+  const before = await getTemplate(key);
+  const after = await NotificationTemplate.findOneAndUpdate(
+    { key },
+    { subject, body, enabled: enabled !== false, updatedAt: new Date() },
+    { upsert: true, new: true }
+  ).lean();
+  await recordAudit(req, { action: "notification_template.update", collectionName: "notificationtemplates", targetId: key, before: { subject: before.subject, body: before.body, enabled: before.enabled }, after: { subject: after.subject, body: after.body, enabled: after.enabled } });
+  res.json({ status: "success", message: "Template saved" });
+}));
+
+// Back to the built-in wording
+app.delete("/api/admin/notifications/templates/:key", requirePermission("notifications.manage"), asyncHandler(async (req, res) => {
+  await NotificationTemplate.deleteOne({ key: req.params.key });
+  await recordAudit(req, { action: "notification_template.reset", collectionName: "notificationtemplates", targetId: req.params.key });
+  res.json({ status: "success", message: "Template reset to default" });
+}));
+
+app.get("/api/admin/notifications/log", requirePermission("notifications.manage"), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.template) filter.template = req.query.template;
+  if (req.query.q) filter.to = new RegExp(escapeRegExp(req.query.q), "i");
+  await sendList(res, NotificationLog, filter, parseListParams(req.query, ["timestamp", "status"], "timestamp"));
+}));
+
+app.post("/api/admin/notifications/log/:id/retry", requirePermission("notifications.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Message not found" });
+  const log = await NotificationLog.findById(req.params.id);
+  if (!log) return res.status(404).json({ error: "Message not found" });
+  if (log.status === "sent") return res.status(400).json({ error: "Message was already sent" });
+  await deliverNotification(log);
+  await recordAudit(req, { action: "notification.retry", collectionName: "notificationlogs", targetId: log._id, meta: { status: log.status } });
+  res.json({ status: "success", message: log.status === "sent" ? "Sent" : `Failed again: ${log.error}`, data: serializeDoc(log) });
+}));
+
+// -------------------- Admin: background jobs --------------------
+app.get("/api/admin/jobs", requirePermission("reminders.manage"), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.appointmentId) filter["payload.appointmentId"] = String(req.query.appointmentId);
+  await sendList(res, Job, filter, parseListParams(req.query, ["runAt", "timestamp", "completedAt"], "runAt"));
+}));
+
+app.get("/api/admin/jobs/counts", requirePermission("reminders.manage"), asyncHandler(async (_req, res) => {
+  const rows = await Job.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]);
+  res.json(Object.fromEntries(rows.map(r => [r._id, r.count])));
+}));
+
+// Put a failed or cancelled job back in the queue to run now, with a fresh set of attempts
+app.post("/api/admin/jobs/:id/retry", requirePermission("reminders.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Job not found" });
+  const job = await Job.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: ["failed", "cancelled"] } },
+    { $set: { status: "pending", runAt: new Date(), attempts: 0, lastError: null, result: null, completedAt: null } },
+    { new: true }
+  );
+  if (!job) return res.status(400).json({ error: "Only failed or cancelled jobs can be retried" });
+  await recordAudit(req, { action: "job.retry", collectionName: "jobs", targetId: job._id });
+  runDueJobs();
+  res.json({ status: "success", message: "Job queued" });
+}));
+
+app.post("/api/admin/jobs/:id/cancel", requirePermission("reminders.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Job not found" });
+  const job = await Job.findOneAndUpdate(
+    { _id: req.params.id, status: "pending" },
+    { $set: { status: "cancelled", result: `Cancelled by ${req.admin.username}`, completedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return res.status(400).json({ error: "Only pending jobs can be cancelled" });
+  await recordAudit(req, { action: "job.cancel", collectionName: "jobs", targetId: job._id });
+  res.json({ status: "success", message: "Job cancelled" });
+}));
+
+// -------------------- Scheduled tasks (cron) --------------------
+// The same work the in-process timers do (due jobs and reminders, trash purge, scheduled backups), for
+// serverless hosts. vercel.json calls it every five minutes and Vercel sends "Authorization: Bearer $CRON_SECRET"
+// (plans limited to daily cron jobs need an outside scheduler calling it with that header instead).
+// Each task is safe to run more often than needed. Live admin updates (server-sent events) still need a
+// long-running host; on serverless the admin panel falls back to polling.
+app.get("/api/cron", asyncHandler(async (req, res) => {
+  if (!CRON_SECRET) return res.status(404).json({ error: "Not found" });
+  const expected = Buffer.from(`Bearer ${CRON_SECRET}`);
+  const given = Buffer.from(String(req.get("Authorization") || ""));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return res.status(401).json({ error: "Unauthorized" });
+
+  await started; // a cold start may still be connecting
+  await runDueJobs();
+  await purgeExpiredTrash();
+  await runScheduledBackups();
+  res.json({ status: "success" });
+}));
+
+// -------------------- Admin: patients --------------------
+app.get("/api/admin/patients", requirePermission("patients.view"), asyncHandler(async (req, res) => {
+  const filter = { mergedInto: null };
+  const q = String(req.query.q || "").trim();
+  if (q) {
+    const digits = q.replace(/\D/g, "");
+    const rx = new RegExp(escapeRegExp(q), "i");
+    filter.$or = [{ name: rx }, { emails: rx }, ...(digits.length >= 3 ? [{ phones: new RegExp(digits) }] : [])];
+  }
+  await sendList(res, Patient, filter, parseListParams(req.query, ["timestamp", "name"], "timestamp"), ["notes", "mergedInto"]);
+}));
+
+// Patients that look like the same person: same name, or a phone/email shared by two live profiles
+app.get("/api/admin/patients/duplicates", requirePermission("patients.view"), asyncHandler(async (_req, res) => {
+  const groups = await Patient.aggregate([
+    { $match: { mergedInto: null, name: { $nin: [null, ""] } } },
+    { $group: { _id: { $toLower: { $trim: { input: "$name" } } }, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $limit: 100 },
+  ]);
+  const patients = await Patient.find({ _id: { $in: groups.flatMap(g => g.ids) } }).select("name phones emails timestamp").lean();
+  const byId = Object.fromEntries(patients.map(p => [String(p._id), { ...p, id: String(p._id), _id: undefined }]));
+  res.json(groups.map(g => ({ name: g._id, patients: g.ids.map(id => byId[String(id)]) })));
+}));
+
+app.get("/api/admin/patients/:id", requirePermission("patients.view"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Patient not found" });
+  let patient = await Patient.findById(req.params.id).lean();
+  // Old links to a merged duplicate land on the surviving profile
+  if (patient && patient.mergedInto) patient = await Patient.findById(patient.mergedInto).lean();
+  if (!patient) return res.status(404).json({ error: "Patient not found" });
+
+  const id = String(patient._id);
+  const [appointments, feedback] = await Promise.all([
+    Appointment.find({ patient_id: id, deletedAt: null }).select("-manageNonce").sort({ date: -1, slot: -1 }).lean(),
+    Feedback.find({ patient_id: id, deletedAt: null }).sort({ timestamp: -1 }).lean(),
+  ]);
+  const orderIds = hasPermission(req.admin, "payments.view") ? appointments.map(a => a.order_id).filter(Boolean) : [];
+  const payments = orderIds.length ? await Payment.find({ order_id: { $in: orderIds } }).sort({ timestamp: -1 }).lean() : [];
+  const canSeeNotes = hasPermission(req.admin, "patients.notes");
+
+  res.json({
+    patient: { ...serializeDoc(patient), notes: canSeeNotes ? patient.notes : undefined },
+    appointments: appointments.map(serializeDoc),
+    feedback: feedback.map(serializeDoc),
+    payments: payments.map(serializeDoc),
+    canSeeNotes,
+  });
+}));
+
+app.patch("/api/admin/patients/:id", requirePermission("patients.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Patient not found" });
+  const patient = await Patient.findOne({ _id: req.params.id, mergedInto: null });
+  if (!patient) return res.status(404).json({ error: "Patient not found" });
+
+  const before = patient.toObject();
+  if (req.body.name !== undefined) patient.name = String(req.body.name).trim() || null;
+  if (Array.isArray(req.body.phones)) patient.phones = [...new Set(req.body.phones.map(normalizePhone).filter(Boolean))];
+  if (Array.isArray(req.body.emails)) patient.emails = [...new Set(req.body.emails.map(normalizeEmail).filter(Boolean))];
+  await patient.save();
+  await recordAudit(req, { action: "patient.update", collectionName: "patients", targetId: patient._id, before: { name: before.name, phones: before.phones, emails: before.emails }, after: { name: patient.name, phones: patient.phones, emails: patient.emails } });
+  res.json({ status: "success", message: "Patient updated" });
+}));
+
+app.post("/api/admin/patients/:id/notes", requirePermission("patients.notes"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Patient not found" });
+  const text = String(req.body.text || "").trim();
+  if (!text) return res.status(400).json({ error: "Note is empty" });
+  const appointmentId = mongoose.isValidObjectId(req.body.appointmentId) ? String(req.body.appointmentId) : null;
+
+  const note = { at: new Date(), by: req.admin.username, appointmentId, text };
+  const patient = await Patient.findOneAndUpdate({ _id: req.params.id, mergedInto: null }, { $push: { notes: note } }, { new: true });
+  if (!patient) return res.status(404).json({ error: "Patient not found" });
+  // The note text itself stays out of the audit log
+  await recordAudit(req, { action: "patient.note", collectionName: "patients", targetId: patient._id, meta: { appointmentId } });
+  res.json({ status: "success", message: "Note saved" });
+}));
+
+// Body: { targetId, sourceIds: [...] } - everything on the sources moves to the target
+app.post("/api/admin/patients/merge", requirePermission("patients.manage"), asyncHandler(async (req, res) => {
+  try {
+    const { targetId } = req.body;
+    const sourceIds = parseIds({ ids: req.body.sourceIds }).filter(id => id !== targetId);
+    if (!mongoose.isValidObjectId(targetId) || !sourceIds.length) return res.status(400).json({ error: "Choose a patient to keep and at least one duplicate" });
+
+    const target = await Patient.findOne({ _id: targetId, mergedInto: null });
+    const sources = await Patient.find({ _id: { $in: sourceIds }, mergedInto: null });
+    if (!target || sources.length !== sourceIds.length) return res.status(404).json({ error: "Patient not found or already merged" });
+
+    await mergePatients(target, sources);
+    await recordAudit(req, { action: "patient.merge", collectionName: "patients", targetId: target._id, meta: { merged: sourceIds } });
+    res.json({ status: "success", message: `Merged ${sources.length} profile(s) into ${target.name || "patient"}` });
+  } catch (e) {
+    console.error("Patient merge error:", e);
+    res.status(500).json({ error: "Could not merge patients" });
+  }
+}));
+
+// -------------------- Admin: receipts & prescriptions --------------------
+async function findAppointmentForDocument(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: "Appointment not found" });
+    return null;
+  }
+  const appointment = await Appointment.findOne({ _id: req.params.id, deletedAt: null }).lean();
+  if (!appointment) res.status(404).json({ error: "Appointment not found" });
+  return appointment;
+}
+
+function sendPdf(res, filename, buffer, download) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `${download ? "attachment" : "inline"}; filename="${filename}"`);
+  res.send(buffer);
+}
+
+app.get("/api/admin/appointments/:id/receipt.pdf", requirePermission("payments.view"), asyncHandler(async (req, res) => {
+  try {
+    const appointment = await findAppointmentForDocument(req, res);
+    if (!appointment) return;
+    if (!isReceiptable(appointment)) return res.status(400).json({ error: "This visit hasn't been paid for yet" });
+    const invoice = await issueInvoice(appointment);
+    sendPdf(res, `receipt-${invoice.number}.pdf`, await receiptPdf(invoice), req.query.download);
+  } catch (e) {
+    console.error("Receipt error:", e);
+    res.status(500).json({ error: "Could not create receipt" });
+  }
+}));
+
+app.get("/api/admin/appointments/:id/prescription", requirePermission("prescriptions.manage"), asyncHandler(async (req, res) => {
+  const appointment = await findAppointmentForDocument(req, res);
+  if (!appointment) return;
+  const prescription = await Prescription.findOne({ appointmentId: String(appointment._id) }).lean();
+  res.json({
+    appointment: { id: String(appointment._id), name: appointment.name, date: appointment.date, slot: appointment.slot, service: appointment.bookingType, email: appointment.email },
+    prescription: prescription ? serializeDoc(prescription) : null,
+  });
+}));
+
+app.put("/api/admin/appointments/:id/prescription", requirePermission("prescriptions.manage"), asyncHandler(async (req, res) => {
+  const appointment = await findAppointmentForDocument(req, res);
+  if (!appointment) return;
+  const clean = (v) => String(v ?? "").trim().slice(0, 2000);
+  const medicines = (Array.isArray(req.body.medicines) ? req.body.medicines : [])
+    .map(m => ({ name: clean(m.name), dosage: clean(m.dosage), frequency: clean(m.frequency), duration: clean(m.duration), instructions: clean(m.instructions) }))
+    .filter(m => m.name);
+
+  const before = await Prescription.findOne({ appointmentId: String(appointment._id) }).lean();
+  const after = await Prescription.findOneAndUpdate(
+    { appointmentId: String(appointment._id) },
+    {
+      $set: { medicines, diet: clean(req.body.diet), lifestyle: clean(req.body.lifestyle), followUp: clean(req.body.followUp), patient_id: appointment.patient_id || null, updatedAt: new Date() },
+      $setOnInsert: { createdBy: req.admin.username },
+    },
+    { upsert: true, new: true }
+  ).lean();
+  await recordAudit(req, { action: before ? "prescription.update" : "prescription.create", collectionName: "prescriptions", targetId: after._id, meta: { appointmentId: String(appointment._id), medicines: medicines.length } });
+  res.json({ status: "success", message: "Prescription saved" });
+}));
+
+app.get("/api/admin/appointments/:id/prescription.pdf", requirePermission("prescriptions.manage"), asyncHandler(async (req, res) => {
+  try {
+    const appointment = await findAppointmentForDocument(req, res);
+    if (!appointment) return;
+    const prescription = await Prescription.findOne({ appointmentId: String(appointment._id) }).lean();
+    if (!prescription) return res.status(404).json({ error: "No prescription saved for this visit" });
+    sendPdf(res, `prescription-${appointment.date || appointment._id}.pdf`, await prescriptionPdf(prescription, appointment), req.query.download);
+  } catch (e) {
+    console.error("Prescription PDF error:", e);
+    res.status(500).json({ error: "Could not create prescription" });
+  }
+}));
+
+// Mail a document to the patient. Body: { document: "receipt" | "prescription" }
+app.post("/api/admin/appointments/:id/send-document", requireAdmin, asyncHandler(async (req, res) => {
+  const kind = req.body.document;
+  const permission = { receipt: "payments.view", prescription: "prescriptions.manage" }[kind];
+  if (!permission) return res.status(400).json({ error: "Unknown document" });
+  if (!hasPermission(req.admin, permission)) return res.status(403).json({ error: "You do not have permission to do that" });
+
+  const appointment = await findAppointmentForDocument(req, res);
+  if (!appointment) return;
+  if (!appointment.email) return res.status(400).json({ error: "This patient has no email address" });
+  if (kind === "receipt" && !isReceiptable(appointment)) return res.status(400).json({ error: "This visit hasn't been paid for yet" });
+  if (kind === "prescription" && !(await Prescription.exists({ appointmentId: String(appointment._id) }))) {
+    return res.status(400).json({ error: "Save the prescription first" });
+  }
+
+  const related = { collectionName: "appointments", id: String(appointment._id) };
+  const attachments = [{ kind, appointmentId: String(appointment._id) }];
+  const log = kind === "receipt"
+    ? await notify("payment_receipt", appointment.email, notificationVars(appointment, { amount: appointment.fee, txnId: "" }), related, attachments)
+    : await notify("prescription", appointment.email, notificationVars(appointment), related, attachments);
+  await recordAudit(req, { action: `${kind}.send`, collectionName: "appointments", targetId: appointment._id, meta: { status: log && log.status } });
+  if (!log || log.status === "failed") return res.status(502).json({ error: `Could not send: ${log ? log.error : "mail error"}` });
+  res.json({ status: "success", message: log.status === "skipped" ? "Email template is disabled; nothing sent" : `Sent to ${appointment.email}` });
+}));
+
+// -------------------- Admin: blog --------------------
+function parsePostInput(body, existing) {
+  const title = String(body.title || "").trim();
+  if (!title) return { error: "Title is required" };
+  const slug = slugify(body.slug || title);
+  if (!slug) return { error: "Slug must contain letters or numbers" };
+  const status = body.status || "draft";
+  if (!POST_STATUSES.includes(status)) return { error: "Unknown status" };
+
+  let publishAt = existing ? existing.publishAt : null;
+  if (status === "scheduled") {
+    publishAt = body.publishAt ? new Date(body.publishAt) : null;
+    if (!publishAt || isNaN(publishAt)) return { error: "Choose when the post should be published" };
+  } else if (status === "published" && !publishAt) {
+    publishAt = new Date();
+  }
+
+  const rawTags = Array.isArray(body.tags) ? body.tags : String(body.tags || "").split(",");
+  const coverImage = body.coverImage ? String(body.coverImage).trim() : null;
+  if (coverImage && !SAFE_URL_RE.test(coverImage)) return { error: "Cover image must be an http(s) or site URL" };
+  return {
+    data: {
+      title,
+      slug,
+      excerpt: String(body.excerpt || "").trim().slice(0, 300),
+      body: String(body.body || ""),
+      coverImage,
+      tags: [...new Set(rawTags.map(t => String(t).trim().toLowerCase()).filter(Boolean))],
+      status,
+      publishAt,
+    },
+  };
+}
+
+app.get("/api/admin/posts", requirePermission("blog.manage"), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.q) filter.title = new RegExp(escapeRegExp(req.query.q), "i");
+  await sendList(res, Post, filter, parseListParams(req.query, ["timestamp", "publishAt", "updatedAt", "title"], "updatedAt"), ["body"]);
+}));
+
+app.get("/api/admin/posts/:id", requirePermission("blog.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Post not found" });
+  const post = await Post.findById(req.params.id).lean();
+  if (!post) return res.status(404).json({ error: "Post not found" });
+  res.json(serializeDoc(post));
+}));
+
+app.post("/api/admin/posts/preview", requirePermission("blog.manage"), (req, res) => {
+  res.json({ html: marked.parse(String(req.body.body || "")) });
+});
+
+app.post("/api/admin/posts", requirePermission("blog.manage"), asyncHandler(async (req, res) => {
+  const { error, data } = parsePostInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const post = await Post.create({ ...data, author: req.admin.username });
+    await recordAudit(req, { action: "post.create", collectionName: "posts", targetId: post._id, after: { title: post.title, slug: post.slug, status: post.status } });
+    res.json({ status: "success", message: "Post created", data: serializeDoc(post) });
+  } catch (e) {
+    if (isDuplicateKey(e)) return res.status(409).json({ error: "Another post already uses that slug" });
+    console.error("Create post error:", e);
+    res.status(500).json({ error: "Could not create post" });
+  }
+}));
+
+app.put("/api/admin/posts/:id", requirePermission("blog.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Post not found" });
+  const before = await Post.findById(req.params.id).lean();
+  if (!before) return res.status(404).json({ error: "Post not found" });
+  const { error, data } = parsePostInput(req.body, before);
+  if (error) return res.status(400).json({ error });
+  try {
+    const after = await Post.findByIdAndUpdate(before._id, { ...data, updatedAt: new Date() }, { new: true }).lean();
+    const pick = (p) => ({ title: p.title, slug: p.slug, status: p.status, publishAt: p.publishAt, tags: p.tags, coverImage: p.coverImage });
+    await recordAudit(req, { action: "post.update", collectionName: "posts", targetId: before._id, before: pick(before), after: pick(after), meta: before.body !== after.body ? { bodyChanged: true } : null });
+    res.json({ status: "success", message: "Post saved", data: serializeDoc(after) });
+  } catch (e) {
+    if (isDuplicateKey(e)) return res.status(409).json({ error: "Another post already uses that slug" });
+    console.error("Update post error:", e);
+    res.status(500).json({ error: "Could not save post" });
+  }
+}));
+
+app.delete("/api/admin/posts/:id", requirePermission("blog.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Post not found" });
+  const post = await Post.findByIdAndDelete(req.params.id).lean();
+  if (!post) return res.status(404).json({ error: "Post not found" });
+  await recordAudit(req, { action: "post.delete", collectionName: "posts", targetId: post._id, before: { title: post.title, slug: post.slug, status: post.status } });
+  res.json({ status: "success", message: "Post deleted" });
+}));
+
+const safeDecode = (v) => {
+  try {
+    return decodeURIComponent(v);
+  } catch {
+    return v;
+  }
+};
+
+// Image upload: raw bytes with the image's Content-Type; X-Filename carries the original name
+const UPLOAD_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+app.post("/api/admin/media", requirePermission("blog.manage"), express.raw({ type: UPLOAD_IMAGE_TYPES, limit: "5mb" }), asyncHandler(async (req, res) => {
+  const contentType = (req.headers["content-type"] || "").split(";")[0];
+  if (!UPLOAD_IMAGE_TYPES.includes(contentType) || !Buffer.isBuffer(req.body) || !req.body.length) {
+    return res.status(400).json({ error: "Upload a PNG, JPEG, WebP or GIF image (max 5 MB)" });
+  }
+  const media = await Media.create({
+    filename: safeDecode(String(req.headers["x-filename"] || "")).slice(0, 200) || null,
+    contentType,
+    size: req.body.length,
+    data: req.body,
+    uploadedBy: req.admin.username,
+  });
+  await recordAudit(req, { action: "media.upload", collectionName: "media", targetId: media._id, meta: { filename: media.filename, size: media.size } });
+  res.json({ status: "success", url: `/media/${media._id}` });
+}));
+
+// -------------------- Admin: schedule --------------------
+app.get("/api/admin/schedule", requireAdmin, asyncHandler(async (_req, res) => {
+  const schedule = await getSchedule();
+  delete schedule._id;
+  delete schedule.__v;
+  res.json(schedule);
+}));
+
+app.put("/api/admin/schedule", requirePermission("schedule.manage"), asyncHandler(async (req, res) => {
+  const { slotMinutes, weekly = [], breaks = [], holidays = [] } = req.body;
+  const step = Number(slotMinutes);
+  if (!Number.isInteger(step) || step < 5 || step > 240) return res.status(400).json({ error: "Slot length must be 5-240 minutes" });
+  for (const [field, list] of Object.entries({ weekly, breaks, holidays })) {
+    if (!Array.isArray(list) || !list.every(item => item && typeof item === "object" && !Array.isArray(item))) {
+      return res.status(400).json({ error: `${field} must be a list of entries` });
+    }
+  }
+  const text = (v) => (typeof v === "string" ? v : "");
+
+  const cleanWeekly = [];
+  for (const w of weekly) {
+    const day = Number(w.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) return res.status(400).json({ error: "Invalid weekday" });
+    const closed = Boolean(w.closed);
+    const open = text(w.open), close = text(w.close);
+    if (!closed && (!TIME_RE.test(open) || !TIME_RE.test(close) || toMinutes(open) >= toMinutes(close))) {
+      return res.status(400).json({ error: `Invalid hours for day ${day}` });
+    }
+    cleanWeekly.push({ day, open: open || "00:00", close: close || "00:00", closed });
+  }
+
+  const cleanBreaks = [];
+  for (const b of breaks) {
+    const start = text(b.start), end = text(b.end);
+    if (!TIME_RE.test(start) || !TIME_RE.test(end) || toMinutes(start) >= toMinutes(end)) {
+      return res.status(400).json({ error: "Invalid break times" });
+    }
+    cleanBreaks.push({ start, end, label: text(b.label) });
+  }
+
+  const cleanHolidays = [];
+  for (const h of holidays) {
+    if (!isValidDate(text(h.date))) return res.status(400).json({ error: "Invalid holiday date" });
+    cleanHolidays.push({ date: h.date, note: text(h.note) });
+  }
+
+  const before = await getSchedule();
+  const after = { slotMinutes: step, weekly: cleanWeekly, breaks: cleanBreaks, holidays: cleanHolidays };
+  await Schedule.updateOne({ key: "clinic" }, { ...after, updatedAt: new Date() }, { upsert: true });
+  await recordAudit(req, {
+    action: "schedule.update",
+    collectionName: "schedules",
+    before: { slotMinutes: before.slotMinutes, weekly: before.weekly, breaks: before.breaks, holidays: before.holidays },
+    after,
+  });
+  res.json({ status: "success", message: "Schedule saved" });
+}));
+
+// -------------------- Admin login/logout --------------------
+app.post("/api/admin/login", asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+  const name = String(username || "").toLowerCase().trim();
+  const throttle = await loginThrottle(req, name);
+  if (throttle.locked) return loginLocked(res, throttle.retryAfter);
+
+  const user = await AdminUser.findOne({ username: name });
+  // Hash the password even when there is nothing to compare it with, so the response time doesn't tell
+  // an attacker which usernames exist
+  const passwordOk = await verifyPassword(password, (user && user.passwordHash) || await dummyPasswordHash) && Boolean(user && user.passwordHash);
+  if (!user || !user.active || !passwordOk) {
+    return loginFailed(req, res, name, user, !user ? "unknown user" : !user.active ? "disabled" : "bad password");
+  }
+  // Two-factor accounts are only half signed in until the code step
+  if (user.totpSecret) {
+    await regenerateSession(req, { pendingAdmin: { id: String(user._id), at: Date.now() } });
+    return res.json({ success: false, twoFactor: true });
+  }
+  await completeLogin(req, res, user);
+}));
+
+// Second step: a code from the authenticator app, or one of the recovery codes
+app.post("/api/admin/login/2fa", asyncHandler(async (req, res) => {
+  const pending = req.session.pendingAdmin;
+  const fresh = pending && Date.now() - pending.at < TOTP_PENDING_MINUTES * 60 * 1000;
+  const user = fresh ? await AdminUser.findById(pending.id) : null;
+  if (!user || !user.active || !user.totpSecret) {
+    return res.status(401).json({ success: false, restart: true, error: "Your sign-in has expired. Please enter your password again." });
+  }
+  const throttle = await loginThrottle(req, user.username);
+  if (throttle.locked) return loginLocked(res, throttle.retryAfter);
+
+  const secondFactor = await useSecondFactor(user, req.body.code);
+  if (!secondFactor) return loginFailed(req, res, user.username, user, "bad code");
+  await completeLogin(req, res, user, secondFactor);
+}));
+
+// Who is signed in, and what they may do (drives which admin panel sections are shown)
+app.get("/api/admin/me", requireAdmin, (req, res) => {
+  res.json({
+    ...publicAdminUser(req.admin),
+    permissions: permissionsFor(req.admin.role),
+    recoveryCodesLeft: req.admin.recoveryCodes.length,
+    csrfToken: csrfTokenFor(req),
+  });
+});
+
+// -------------------- Admin: own two-factor settings --------------------
+// Enrolment: a new secret is held as pending until the admin proves their app produces matching codes
+app.post("/api/admin/2fa/setup", requireAdmin, asyncHandler(async (req, res) => {
+  if (req.admin.totpSecret) return res.status(400).json({ error: "Two-factor authentication is already on" });
+  const secret = base32Encode(crypto.randomBytes(20));
+  req.admin.totpPendingSecret = secret;
+  await req.admin.save();
+  const url = totpUrl(req.admin, secret);
+  res.json({ secret, url, qr: await QRCode.toDataURL(url) });
+}));
+
+app.post("/api/admin/2fa/enable", requireAdmin, asyncHandler(async (req, res) => {
+  const user = req.admin;
+  if (!user.totpPendingSecret) return res.status(400).json({ error: "Start the setup again" });
+  const step = matchTotp(user.totpPendingSecret, req.body.code);
+  if (step === null) return res.status(400).json({ error: "That code doesn't match. Check the time on your phone and try again." });
+
+  user.totpSecret = user.totpPendingSecret;
+  user.totpPendingSecret = null;
+  user.totpLastStep = step;
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save();
+  await recordAudit(req, { action: "admin.2fa_enable", collectionName: "adminusers", targetId: user._id });
+  res.json({ status: "success", recoveryCodes });
+}));
+
+// Turning it off or replacing the recovery codes asks for the password again
+async function confirmPassword(req, res) {
+  if (await verifyPassword(req.body.password, req.admin.passwordHash)) return true;
+  res.status(400).json({ error: "Password is incorrect" });
+  return false;
+}
+
+app.post("/api/admin/2fa/disable", requireAdmin, asyncHandler(async (req, res) => {
+  if (!(await confirmPassword(req, res))) return;
+  req.admin.totpSecret = null;
+  req.admin.totpPendingSecret = null;
+  req.admin.recoveryCodes = [];
+  await req.admin.save();
+  await recordAudit(req, { action: "admin.2fa_disable", collectionName: "adminusers", targetId: req.admin._id });
+  res.json({ status: "success" });
+}));
+
+app.post("/api/admin/2fa/recovery-codes", requireAdmin, asyncHandler(async (req, res) => {
+  if (!req.admin.totpSecret) return res.status(400).json({ error: "Two-factor authentication is off" });
+  if (!(await confirmPassword(req, res))) return;
+  const recoveryCodes = issueRecoveryCodes(req.admin);
+  await req.admin.save();
+  await recordAudit(req, { action: "admin.2fa_recovery_codes", collectionName: "adminusers", targetId: req.admin._id });
+  res.json({ status: "success", recoveryCodes });
+}));
+
+// First run: the login page offers to create the owner account while no admin users exist
+app.get("/api/admin/bootstrap", asyncHandler(async (_req, res) => {
+  res.json({ needsBootstrap: (await AdminUser.countDocuments()) === 0 });
+}));
+
+app.post("/api/admin/bootstrap", asyncHandler(async (req, res) => {
+  const done = () => res.status(403).json({ error: "Setup has already been completed" });
+  if (await AdminUser.countDocuments()) return done();
+  const { username, name, password } = req.body;
+  if (!username) return res.status(400).json({ error: "Username is required" });
+  const pwError = validatePassword(password);
+  if (pwError) return res.status(400).json({ error: pwError });
+
+  // Two setups sent at once must not both create an owner: the unique key lets one request hold the
+  // setup at a time (it expires on its own if the server dies mid-way), and the count is checked again under it
+  const lock = { key: "bootstrap", expiresAt: new Date(Date.now() + 60 * 1000) };
+  try {
+    await RateCounter.create(lock);
+  } catch (e) {
+    if (isDuplicateKey(e)) return done();
+    throw e;
+  }
+  let user;
+  try {
+    if (await AdminUser.countDocuments()) return done();
+    user = await AdminUser.create({ username, name: name || "", role: "owner", passwordHash: await hashPassword(password) });
+  } finally {
+    await RateCounter.deleteOne({ key: lock.key });
+  }
+  await regenerateSession(req, { adminId: String(user._id) });
+  await recordAudit(req, { action: "admin.bootstrap", collectionName: "adminusers", targetId: user._id, actor: user });
+  res.json({ success: true });
+}));
+
+// Invite / reset links land here
+app.post("/api/admin/password", asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  if (!token) return res.status(400).json({ error: "Missing token" });
+  const pwError = validatePassword(password);
+  if (pwError) return res.status(400).json({ error: pwError });
+
+  const user = await AdminUser.findOne({ tokenHash: hashToken(String(token)), tokenExpires: { $gt: new Date() } });
+  if (!user || !user.active) return res.status(400).json({ error: "This link is invalid or has expired" });
+
+  user.passwordHash = await hashPassword(password);
+  user.tokenHash = null;
+  user.tokenExpires = null;
+  await user.save();
+  await recordAudit(req, { action: "admin.password_set", collectionName: "adminusers", targetId: user._id, actor: user });
+  res.json({ success: true, username: user.username });
+}));
+
+// -------------------- Admin: users (owner only) --------------------
+app.get("/api/admin/users", requirePermission("users.manage"), asyncHandler(async (_req, res) => {
+  const users = await AdminUser.find().sort({ timestamp: 1 });
+  res.json({ roles: ADMIN_ROLES, users: users.map(publicAdminUser) });
+}));
+
+app.post("/api/admin/users", requirePermission("users.manage"), asyncHandler(async (req, res) => {
+  const { username, name, email, role } = req.body;
+  if (!username || !String(username).trim()) return res.status(400).json({ error: "Username is required" });
+  if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ error: "Unknown role" });
+
+  try {
+    const user = await AdminUser.create({ username, name: name || "", email: email || null, role });
+    const link = await issuePasswordToken(user);
+    await recordAudit(req, { action: "user.invite", collectionName: "adminusers", targetId: user._id, after: publicAdminUser(user) });
+    res.json({ status: "success", data: publicAdminUser(user), link });
+  } catch (e) {
+    if (isDuplicateKey(e)) return res.status(409).json({ error: "That username is taken" });
+    console.error("Create admin user error:", e);
+    return res.status(500).json({ error: "Could not create user" });
+  }
+}));
+
+app.patch("/api/admin/users/:id", requirePermission("users.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "User not found" });
+  const user = await AdminUser.findById(req.params.id);
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const { name, email, role, active } = req.body;
+  if (role !== undefined && !ADMIN_ROLES.includes(role)) return res.status(400).json({ error: "Unknown role" });
+
+  // Never leave the clinic without an active owner
+  const losesOwner = user.role === "owner" && user.active && ((role !== undefined && role !== "owner") || active === false);
+  if (losesOwner && (await AdminUser.countDocuments({ role: "owner", active: true })) <= 1) {
+    return res.status(400).json({ error: "There must be at least one active owner" });
+  }
+
+  const before = publicAdminUser(user);
+  if (name !== undefined) user.name = name;
+  if (email !== undefined) user.email = email || null;
+  if (role !== undefined) user.role = role;
+  if (active !== undefined) user.active = Boolean(active);
+  await user.save();
+  await recordAudit(req, { action: "user.update", collectionName: "adminusers", targetId: user._id, before, after: publicAdminUser(user) });
+  res.json({ status: "success", data: publicAdminUser(user) });
+}));
+
+// Reset: the old password stops working immediately and a new set-password link is issued
+app.post("/api/admin/users/:id/reset", requirePermission("users.manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "User not found" });
+  const user = await AdminUser.findById(req.params.id);
+  if (!user) return res.status(404).json({ error: "User not found" });
+  // A reset is also how an admin who lost their authenticator gets back in: two-factor starts over
+  const twoFactorCleared = Boolean(user.totpSecret);
+  user.passwordHash = null;
+  user.totpSecret = null;
+  user.totpPendingSecret = null;
+  user.recoveryCodes = [];
+  const link = await issuePasswordToken(user);
+  await recordAudit(req, { action: "user.reset_password", collectionName: "adminusers", targetId: user._id, meta: { username: user.username, twoFactorCleared } });
+  res.json({ status: "success", link });
+}));
+
+// POST (with the CSRF token) so another site can't sign an admin out with a link or image
+app.post("/api/admin/logout", requireAdmin, asyncHandler(async (req, res) => {
+  await recordAudit(req, { action: "admin.logout", collectionName: "adminusers", targetId: req.admin._id, actor: req.admin });
+  req.session.destroy((err) => {
+    if (err) return res.status(500).json({ error: "Logout failed" });
+    return res.json({ success: true });
+  });
+}));
+
+// -------------------- Admin: live updates --------------------
+app.get("/api/admin/events", requireAdmin, (req, res) => {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "X-Accel-Buffering": "no" });
+  res.flushHeaders();
+  res.write(`retry: 5000\nevent: ready\ndata: {}\n\n`);
+
+  const client = { admin: req.admin, res };
+  liveClients.add(client);
+
+  // Heartbeat; also ends the stream once the session is gone (logout, expiry) or the account is disabled
+  const heartbeat = setInterval(async () => {
+    try {
+      const session = await new Promise((resolve) => req.sessionStore.get(req.sessionID, (err, s) => resolve(err ? null : s)));
+      const user = session && session.adminId === String(client.admin._id)
+        ? await AdminUser.findById(session.adminId).lean()
+        : null;
+      if (!user || !user.active) return res.end();
+      client.admin = user; // pick up role changes
+      res.write(": ping\n\n");
+    } catch (e) {
+      console.error("Live update heartbeat error:", e);
+    }
+  }, LIVE_HEARTBEAT_SECONDS * 1000);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    liveClients.delete(client);
+  });
+});
+
+// -------------------- Admin pages --------------------
+app.get("/admin/dashboard", requireAdmin, (_req, res) => res.sendFile(path.join(__dirname, "public", "admin", "admindash.html")));
+app.get("/admin/appointments", requireAdmin, (_req, res) => res.sendFile(path.join(__dirname, "public", "admin", "admindash.html")));
+app.get("/admin/feedback", requireAdmin, (_req, res) => res.sendFile(path.join(__dirname, "public", "admin", "afeedback.html")));
+app.get("/admin/admin-login.html", (_req, res) => res.sendFile(path.join(__dirname, "public", "admin", "admin-login.html")));
+
+// -------------------- Feedback moderation --------------------
+app.post("/api/feedbacks/:id/moderate", requirePermission("feedback.moderate"), asyncHandler(async (req, res) => {
+  const { status } = req.body;
+  if (!FEEDBACK_STATUSES.includes(status)) return res.status(400).json({ error: "Status must be pending, approved or hidden" });
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Feedback not found" });
+  const before = await Feedback.findOne({ _id: req.params.id, deletedAt: null }).lean();
+  if (!before) return res.status(404).json({ error: "Feedback not found" });
+
+  const after = await Feedback.findByIdAndUpdate(before._id, { status, moderatedBy: req.admin.username, moderatedAt: new Date() }, { new: true });
+  await recordAudit(req, { action: `feedback.${status === "approved" ? "approve" : status === "hidden" ? "hide" : "unmoderate"}`, collectionName: "feedback", targetId: before._id, before: { status: before.status || "pending" }, after: { status } });
+  publishChange("feedback", "update", after);
+  res.json({ status: "success", data: serializeDoc(after) });
+}));
+
+// Public reply shown under the testimonial; an empty reply removes it
+app.put("/api/feedbacks/:id/reply", requirePermission("feedback.moderate"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Feedback not found" });
+  const text = String(req.body.reply || "").trim().slice(0, 2000);
+  const before = await Feedback.findOne({ _id: req.params.id, deletedAt: null }).lean();
+  if (!before) return res.status(404).json({ error: "Feedback not found" });
+
+  const reply = text ? { text, by: req.admin.username, at: new Date() } : { text: null, by: null, at: null };
+  const after = await Feedback.findByIdAndUpdate(before._id, { reply }, { new: true });
+  await recordAudit(req, { action: "feedback.reply", collectionName: "feedback", targetId: before._id, before: { reply: before.reply ? before.reply.text : null }, after: { reply: reply.text } });
+  publishChange("feedback", "update", after);
+  res.json({ status: "success", data: serializeDoc(after) });
+}));
+
+// -------------------- Patch appointment --------------------
+// Body: any of EDITABLE_APPOINTMENT_FIELDS, plus `status` (and `reason`) for a workflow step.
+// Sending `date` + `slot` reschedules. Anything else is rejected rather than silently written.
+app.patch("/api/appointments/:id", requirePermission("appointments.edit"), asyncHandler(async (req, res) => {
+  try {
+    // Legacy records may carry their own `id` field instead of a Mongo _id
+    const filter = { deletedAt: null, ...(mongoose.isValidObjectId(req.params.id) ? { _id: req.params.id } : { id: req.params.id }) };
+    const appointment = await Appointment.findOne(filter);
+    if (!appointment) return res.status(404).json({ error: "Appointment not found" });
+
+    const { status, reason, date, slot, ...fields } = req.body;
+    const unknown = Object.keys(fields).filter(k => !EDITABLE_APPOINTMENT_FIELDS.includes(k));
+    if (unknown.length) return res.status(400).json({ error: `These fields can't be edited: ${unknown.join(", ")}` });
+    const moving = date !== undefined || slot !== undefined;
+    if (moving && status && status !== "rescheduled") return res.status(400).json({ error: "Changing the date or time is a reschedule" });
+    const target = moving ? "rescheduled" : status;
+
+    const before = appointment.toObject();
+    if (Object.keys(fields).length) {
+      for (const k of Object.keys(fields)) appointment.set(k, fields[k] === null ? null : String(fields[k]).trim());
+      const edit = historyEntry("updated", req.admin.username, before, appointment, reason, EDITABLE_APPOINTMENT_FIELDS);
+      if (Object.keys(edit.changes).length) appointment.history.push(edit);
+    }
+    if (target && (target !== currentStatus(appointment) || moving)) {
+      const refused = await transitionAppointment(appointment, { status: target, reason, date, slot }, req.admin.username);
+      if (refused) return res.status(refused.code).json({ error: refused.error });
+    } else {
+      await appointment.save();
+    }
+
+    await recordAudit(req, { action: target ? `appointment.${target}` : "appointment.update", collectionName: "appointments", targetId: appointment._id, before, after: appointment, meta: reason ? { reason } : null });
+    publishChange("appointments", "update", appointment);
+    if (appointment.status === "cancelled" && before.status !== "cancelled") {
+      notify("booking_cancelled", appointment.email, notificationVars(appointment, { reason: reason ? `Reason: ${reason}` : "" }), { collectionName: "appointments", id: String(appointment._id) });
+    }
+    if (moving) notifyBookingConfirmed(appointment);
+    await syncReminders(appointment);
+    res.json({ status: "success", data: serializeDoc(appointment) });
+  } catch (e) {
+    console.error("Appointment update error:", e);
+    res.status(500).json({ error: "Could not update appointment" });
+  }
+}));
+
+app.get("/api/appointments/statuses", requirePermission("appointments.view"), (_req, res) => {
+  res.json({ statuses: APPOINTMENT_STATUSES, transitions: STATUS_TRANSITIONS });
+});
+
+app.get("/api/appointments/:id/history", requirePermission("appointments.view"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Appointment not found" });
+  const appointment = await Appointment.findById(req.params.id).select("history").lean();
+  if (!appointment) return res.status(404).json({ error: "Appointment not found" });
+  res.json(appointment.history || []);
+}));
+
+// -------------------- Paytm --------------------
+function generateOrderId() {
+  return `ORD_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+}
+
+// Map Paytm's STATUS values onto the success/failure/pending values the admin tables understand
+function paytmStatus(status) {
+  if (status === "TXN_SUCCESS") return "success";
+  if (status === "TXN_FAILURE") return "failure";
+  return "pending";
+}
+
+// Paytm's JSON API: the body is signed with the merchant key and sent as { body, head: { signature } }
+async function paytmApi(route, body) {
+  const signature = await PaytmChecksum.generateSignature(JSON.stringify(body), PAYTM.key);
+  const res = await fetch(paytmApiUrl(route), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ body, head: { signature } }),
+    signal: AbortSignal.timeout(15000),
+  });
+  if (!res.ok) throw new Error(`Paytm ${route} answered HTTP ${res.status}`);
+  const data = await res.json();
+  return data.body || {};
+}
+
+function refundResult(body) {
+  const info = body.resultInfo || {};
+  return { status: paytmStatus(info.resultStatus), gatewayRefundId: body.refundId || null, message: info.resultMsg || "", raw: body };
+}
+
+// Refund gateway adapter. Both calls resolve to { status: pending|success|failure, gatewayRefundId, message, raw }
+// and throw when Paytm can't be reached, so callers can keep the refund pending and ask again later.
+const refundGateway = {
+  async refund({ orderId, txnId, refundId, amount }) {
+    return refundResult(await paytmApi("/refund/apply", { mid: PAYTM.mid, txnType: "REFUND", orderId, txnId, refId: refundId, refundAmount: amount.toFixed(2) }));
+  },
+  async status({ orderId, refundId }) {
+    return refundResult(await paytmApi("/v2/refund/status", { mid: PAYTM.mid, orderId, refId: refundId }));
+  },
+};
+
+// The fields the browser posts to Paytm's checkout for a pending appointment (CHECKSUMHASH still to add)
+function paytmCheckoutParams(appointment) {
+  return {
+    MID: PAYTM.mid,
+    WEBSITE: PAYTM.website,
+    INDUSTRY_TYPE_ID: PAYTM.industryType,
+    CHANNEL_ID: PAYTM.channelId,
+    ORDER_ID: appointment.order_id,
+    CUST_ID: `CUST_${String(appointment._id)}`,
+    TXN_AMOUNT: appointment.fee.toFixed(2),
+    CALLBACK_URL: PAYTM.callbackUrl,
+    EMAIL: String(appointment.email || ""),
+    MOBILE_NO: String(appointment.phone || "").replace(/\D/g, "").slice(-10),
+  };
+}
+
+// Honeypot decoy: a checkout for an order that doesn't exist. The checksum is random, so Paytm refuses
+// it and nobody can pay for a booking that was never saved.
+async function paytmOrderDecoy(req, res) {
+  const service = await findBookableService(req.body.serviceId || req.body.bookingType);
+  const appointment = new Appointment({
+    email: clip(req.body.email, 200),
+    phone: clip(req.body.phone, 30),
+    fee: service ? service.fee : 0,
+    order_id: generateOrderId(),
+  });
+  const params = { ...paytmCheckoutParams(appointment), CHECKSUMHASH: crypto.randomBytes(80).toString("base64") };
+  res.json({ success: true, data: { paytmUrl: paytmProcessUrl(), params, orderId: appointment.order_id } });
+}
+
+// Create a pending appointment and return the signed params the browser posts to Paytm
+app.post("/api/paytm/order", guardForm("appointment", paytmFormError, paytmOrderDecoy), asyncHandler(async (req, res) => {
+  if (!PAYTM.mid || !PAYTM.key) {
+    return res.status(503).json({ success: false, message: "Online payment is not configured" });
+  }
+
+  if (!req.body.name || !req.body.phone) {
+    return res.status(400).json({ success: false, message: "Name and phone are required" });
+  }
+
+  try {
+    // The amount always comes from the catalog; any client-sent `amount` is ignored
+    const service = await findBookableService(req.body.serviceId || req.body.bookingType);
+    if (!service) return res.status(400).json({ success: false, message: "Please choose a service" });
+    const amount = service.fee;
+    if (!(amount > 0)) return res.status(400).json({ success: false, message: "This service does not need online payment" });
+
+    const slotError = await validateSlot(req.body.date, req.body.slot);
+    if (slotError) return res.status(400).json({ success: false, message: slotError });
+    await releaseStalePaymentHolds();
+
+    const orderId = generateOrderId();
+    const appointment = await Appointment.create({
+      name: clip(req.body.name, 100),
+      email: clip(req.body.email, 200),
+      phone: clip(req.body.phone, 30),
+      bookingType: service.name,
+      service_id: String(service._id),
+      fee: amount,
+      date: req.body.date,
+      slot: req.body.slot,
+      slotKey: `${req.body.date} ${req.body.slot}`,
+      message: clip(req.body.message, 2000) ?? "",
+      order_id: orderId,
+      payment_status: "pending",
+    });
+    const patient = await linkPatient(Appointment, appointment);
+    if (patient) appointment.patient_id = String(patient._id);
+    await rememberSubmission(req);
+    publishChange("appointments", "create", appointment);
+
+    const params = paytmCheckoutParams(appointment);
+    params.CHECKSUMHASH = await PaytmChecksum.generateSignature(params, PAYTM.key);
+
+    return res.json({ success: true, data: { paytmUrl: paytmProcessUrl(), params, orderId } });
+  } catch (e) {
+    if (isDuplicateKey(e)) return res.status(409).json({ success: false, message: SLOT_TAKEN_MESSAGE });
+    console.error("Paytm order error:", e);
+    return res.status(500).json({ success: false, message: "Could not create payment order" });
+  }
+}));
+
+// Paytm posts the transaction result here (form-encoded); verify it, record it, then redirect the patient
+app.post("/api/paytm/callback", asyncHandler(async (req, res) => {
+  const body = { ...req.body };
+  const checksum = body.CHECKSUMHASH;
+  const orderId = body.ORDERID;
+  const fail = (reason) => res.redirect(`/payment-failure.html?order=${encodeURIComponent(orderId || "")}&reason=${encodeURIComponent(reason)}`);
+
+  let valid = false;
+  try {
+    valid = Boolean(checksum) && PaytmChecksum.verifySignature({ ...body }, PAYTM.key, checksum);
+  } catch (e) {
+    console.error("Paytm checksum verification error:", e);
+  }
+  if (!valid || body.MID !== PAYTM.mid) {
+    console.error("Paytm callback rejected: checksum mismatch for order", orderId);
+    return fail("verification");
+  }
+
+  try {
+    const appointment = await Appointment.findOne({ order_id: orderId });
+    let status = paytmStatus(body.STATUS);
+    if (status === "success" && appointment && Number(body.TXNAMOUNT) !== Number(appointment.fee)) {
+      console.error(`Paytm amount mismatch for ${orderId}: paid ${body.TXNAMOUNT}, expected ${appointment.fee}`);
+      status = "failure";
+    }
+
+    delete body.CHECKSUMHASH;
+    // Upsert on order_id so a repeated callback for the same order doesn't create a second Payment
+    const { value: payment, lastErrorObject } = await Payment.findOneAndUpdate(
+      { order_id: orderId },
+      {
+        order_id: orderId,
+        txn_id: body.TXNID || null,
+        amount: body.TXNAMOUNT || null,
+        status,
+        env: PAYTM_ENV, // staging payments are kept out of the revenue figures in production
+        gateway_response: body,
+        timestamp: new Date(),
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    publishChange("payments", lastErrorObject && lastErrorObject.updatedExisting ? "update" : "create", payment);
+
+    if (!appointment) {
+      console.error("Paytm callback for unknown order", orderId);
+      return fail("unknown-order");
+    }
+
+    const wasPaid = appointment.payment_status === "paid";
+    appointment.payment_id = String(payment._id);
+    appointment.payment_status = status === "success" ? "paid" : status === "failure" ? "failed" : "pending";
+    if (status === "failure") appointment.slotKey = undefined; // give the slot back
+    // Paid after releaseStalePaymentHolds() let the slot go: take it back through the unique index
+    const reclaim = status === "success" && !wasPaid && !appointment.slotKey && !appointment.deletedAt
+      && !CLOSED_APPOINTMENT_STATUSES.includes(currentStatus(appointment));
+    if (reclaim) appointment.slotKey = `${appointment.date} ${appointment.slot}`;
+    let slotLost = false;
+    try {
+      await appointment.save();
+    } catch (e) {
+      if (!reclaim || !isDuplicateKey(e)) throw e;
+      // Someone else has booked the slot since. Keep the payment and flag the booking for the clinic
+      // (it shows up in reconciliation) to move it to another time or refund it.
+      slotLost = true;
+      const before = appointment.toObject();
+      appointment.slotKey = undefined;
+      appointment.slotConflict = true;
+      appointment.history.push(historyEntry("slot conflict", "system", before, appointment, "Paid after the payment hold expired; the slot had been booked again", ["slotConflict"]));
+      await appointment.save();
+      console.error(`Paytm payment for ${orderId} arrived after its slot ${appointment.date} ${appointment.slot} was rebooked`);
+    }
+
+    if (slotLost) {
+      publishChange("appointments", "update", appointment);
+      return res.redirect(`/payment-success.html?order=${encodeURIComponent(orderId)}&conflict=1`);
+    }
+
+    // Only on the first successful callback, so a repeated callback doesn't mail the patient twice
+    if (status === "success" && !wasPaid) {
+      if (currentStatus(appointment) === "pending") {
+        await transitionAppointment(appointment, { status: "confirmed", reason: "Paid online" }, "system");
+      }
+      notifyBookingConfirmed(appointment);
+      syncReminders(appointment);
+      notify("payment_receipt", appointment.email, notificationVars(appointment, { amount: body.TXNAMOUNT, txnId: body.TXNID || "" }), { collectionName: "appointments", id: String(appointment._id) }, [{ kind: "receipt", appointmentId: String(appointment._id) }]);
+    }
+    publishChange("appointments", "update", appointment);
+
+    if (status === "failure") return fail(body.RESPMSG || "payment");
+    const manage = status === "success" ? `&manage=${manageToken(appointment)}` : "";
+    return res.redirect(`/payment-success.html?order=${encodeURIComponent(orderId)}${status === "pending" ? "&pending=1" : ""}${manage}`);
+  } catch (e) {
+    console.error("Paytm callback error:", e);
+    return fail("server");
+  }
+}));
+
+// -------------------- Admin: refunds & reconciliation --------------------
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+function generateRefundId() {
+  return `REF_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+}
+
+// What was paid for a booking and how much of it can still be refunded; pending refunds count as spent
+async function refundPosition(appointment) {
+  const payment = appointment.order_id ? await Payment.findOne({ order_id: appointment.order_id, status: "success" }).lean() : null;
+  const refunds = payment ? await Refund.find({ payment_id: String(payment._id) }).sort({ timestamp: -1 }).lean() : [];
+  const paid = payment ? Number(payment.amount) || 0 : 0;
+  const total = (status) => roundMoney(refunds.filter(r => r.status === status).reduce((sum, r) => sum + r.amount, 0));
+  const refunded = total("success");
+  const pending = total("pending");
+  return { payment, refunds, paid, refunded, pending, refundable: roundMoney(Math.max(0, paid - refunded - pending)) };
+}
+
+// Record Paytm's answer for a pending refund. Only the pending -> settled update moves money,
+// so the worker and a manual check racing each other can't count the same refund twice.
+async function settleRefund(refund, result) {
+  const set = { gateway_message: result.message, gateway_response: result.raw };
+  if (result.gatewayRefundId) set.gateway_refund_id = result.gatewayRefundId;
+  if (result.status !== "pending") Object.assign(set, { status: result.status, completedAt: new Date() });
+  const updated = await Refund.findOneAndUpdate({ _id: refund._id, status: "pending" }, { $set: set }, { new: true }).lean();
+  if (!updated) return Refund.findById(refund._id).lean();
+  if (updated.status !== "success") return updated;
+
+  const payment = await Payment.findByIdAndUpdate(updated.payment_id, { $inc: { refunded: updated.amount } }, { new: true });
+  if (payment) publishChange("payments", "update", payment);
+  const appointment = updated.appointment_id ? await Appointment.findById(updated.appointment_id) : null;
+  if (appointment) {
+    if (payment && payment.refunded >= Number(payment.amount) && appointment.payment_status === "paid") {
+      const before = appointment.toObject();
+      appointment.payment_status = "refunded";
+      appointment.history.push(historyEntry("refunded", "system", before, appointment, null, ["payment_status"]));
+      await appointment.save();
+      publishChange("appointments", "update", appointment);
+    }
+    notify("payment_refund", appointment.email, notificationVars(appointment, { amount: updated.amount.toFixed(2), refundId: updated.refund_id }), { collectionName: "appointments", id: String(appointment._id) });
+  }
+  return updated;
+}
+
+// Ask Paytm where a pending refund stands; a failed call leaves it pending
+async function checkRefund(refund) {
+  return settleRefund(refund, await refundGateway.status({ orderId: refund.order_id, refundId: refund.refund_id }));
+}
+
+function serializeRefund(refund) {
+  const o = serializeDoc(refund);
+  delete o.gateway_response;
+  return o;
+}
+
+app.get("/api/admin/appointments/:id/refunds", requirePermission("payments.view"), asyncHandler(async (req, res) => {
+  const appointment = await findAppointmentForDocument(req, res);
+  if (!appointment) return;
+  const { payment, refunds, paid, refunded, pending, refundable } = await refundPosition(appointment);
+  res.json({ paymentId: payment ? String(payment._id) : null, paid, refunded, pending, refundable, refunds: refunds.map(serializeRefund) });
+}));
+
+// Body: { amount?, reason }. No amount refunds whatever is left of the payment.
+app.post("/api/admin/appointments/:id/refund", requirePermission("payments.refund"), asyncHandler(async (req, res) => {
+  if (!PAYTM.mid || !PAYTM.key) return res.status(503).json({ error: "Online payment is not configured" });
+  const reason = String(req.body.reason ?? "").trim().slice(0, 500);
+  if (!reason) return res.status(400).json({ error: "Please give a reason for the refund" });
+
+  try {
+    const appointment = await findAppointmentForDocument(req, res);
+    if (!appointment) return;
+    const { payment, refundable } = await refundPosition(appointment);
+    if (!payment) return res.status(400).json({ error: "This booking has no successful online payment to refund" });
+    const amount = req.body.amount === undefined || req.body.amount === "" ? refundable : roundMoney(Number(req.body.amount));
+    if (!(amount > 0)) return res.status(400).json({ error: refundable > 0 ? "Refund amount must be more than zero" : "This payment has already been refunded in full" });
+    if (amount > refundable) return res.status(400).json({ error: `At most ₹${refundable.toFixed(2)} can still be refunded` });
+
+    const refund = await Refund.create({
+      refund_id: generateRefundId(),
+      order_id: payment.order_id,
+      payment_id: String(payment._id),
+      appointment_id: String(appointment._id),
+      amount,
+      reason,
+      requestedBy: req.admin.username,
+    });
+    await Appointment.updateOne({ _id: appointment._id }, {
+      $push: { history: { at: new Date(), action: "refund requested", by: req.admin.username, changes: {}, reason: `₹${amount.toFixed(2)}: ${reason}` } },
+    });
+
+    let settled = refund.toObject();
+    try {
+      settled = await settleRefund(refund, await refundGateway.refund({ orderId: payment.order_id, txnId: payment.txn_id, refundId: refund.refund_id, amount }));
+    } catch (e) {
+      // Paytm may or may not have the request; the status check below finds out either way
+      console.error(`Refund ${refund.refund_id} request error:`, e.message);
+      await Refund.updateOne({ _id: refund._id }, { $set: { gateway_message: e.message } });
+    }
+    if (settled.status === "pending") {
+      await Job.create({
+        type: "refund_status",
+        payload: { refundId: String(refund._id), appointmentId: String(appointment._id), patient: appointment.name },
+        runAt: new Date(Date.now() + JOB_RETRY_BASE_MINUTES * 60 * 1000),
+      });
+    }
+
+    await recordAudit(req, { action: "payment.refund", collectionName: "payments", targetId: payment._id, after: settled, meta: { appointmentId: String(appointment._id), amount, reason } });
+    const message = settled.status === "success" ? `Refunded ₹${amount.toFixed(2)}`
+      : settled.status === "failure" ? `Paytm declined the refund: ${settled.gateway_message || "no reason given"}`
+      : `Refund of ₹${amount.toFixed(2)} requested; Paytm is still processing it`;
+    res.json({ status: settled.status, message, refund: serializeRefund(settled) });
+  } catch (e) {
+    console.error("Refund error:", e);
+    res.status(500).json({ error: "Could not request the refund" });
+  }
+}));
+
+app.post("/api/admin/refunds/:id/check", requirePermission("payments.refund"), asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Refund not found" });
+  const refund = await Refund.findById(req.params.id).lean();
+  if (!refund) return res.status(404).json({ error: "Refund not found" });
+  if (refund.status !== "pending") return res.json({ status: refund.status, refund: serializeRefund(refund) });
+  try {
+    const settled = await checkRefund(refund);
+    if (settled.status !== "pending") {
+      await recordAudit(req, { action: `refund.${settled.status}`, collectionName: "refunds", targetId: refund._id, before: refund, after: settled });
+    }
+    res.json({ status: settled.status, refund: serializeRefund(settled) });
+  } catch (e) {
+    console.error("Refund status error:", e.message);
+    res.status(502).json({ error: "Could not reach Paytm, please try again later" });
+  }
+}));
+
+const RECONCILIATION_LIMIT = 200; // per kind of issue
+const RECONCILIATION_KINDS = {
+  paid_without_payment: "Marked paid, but no successful payment",
+  payment_without_appointment: "Payment with no booking",
+  amount_mismatch: "Amount differs from the booking fee",
+  stuck_payment: "Payment still pending",
+  stuck_refund: "Refund still pending",
+  slot_conflict: "Paid after its slot was booked by someone else",
+};
+
+// Cross-check bookings, Payments and Refunds for this Paytm environment and list everything that doesn't add up
+app.get("/api/admin/reconciliation", requirePermission("payments.view"), asyncHandler(async (_req, res) => {
+  try {
+    const stuckBefore = new Date(Date.now() - STUCK_PENDING_HOURS * 60 * 60 * 1000);
+    const env = { env: { $in: [PAYTM_ENV, null] } };
+    const lookupAppointment = { $lookup: { from: Appointment.collection.name, localField: "order_id", foreignField: "order_id", as: "appointment" } };
+    const pick = (a) => a && { id: String(a._id), name: a.name, date: a.date, slot: a.slot, fee: a.fee, payment_status: a.payment_status, deleted: Boolean(a.deletedAt) };
+    const paymentInfo = (p) => p && { id: String(p._id), order_id: p.order_id, txn_id: p.txn_id, amount: p.amount, status: p.status, refunded: p.refunded || 0, timestamp: p.timestamp };
+
+    const [paidWithoutPayment, paymentsWithoutAppointment, paidPayments, stuckPayments, stuckRefunds, slotConflicts] = await Promise.all([
+      Appointment.aggregate([
+        { $match: { deletedAt: null, payment_status: { $in: ["paid", "refunded"] } } },
+        { $lookup: { from: Payment.collection.name, localField: "order_id", foreignField: "order_id", as: "payments", pipeline: [{ $match: { status: "success" } }, { $project: { _id: 1 } }] } },
+        { $match: { payments: { $size: 0 } } },
+        { $sort: { timestamp: -1 } },
+        { $limit: RECONCILIATION_LIMIT },
+      ]),
+      Payment.aggregate([
+        { $match: { ...env, status: "success" } },
+        lookupAppointment,
+        { $match: { appointment: { $size: 0 } } },
+        { $sort: { timestamp: -1 } },
+        { $limit: RECONCILIATION_LIMIT },
+      ]),
+      // Paytm took the money (the callback turns an amount mismatch into a failure, so look at the raw STATUS too)
+      Payment.aggregate([
+        { $match: { ...env, $or: [{ status: "success" }, { "gateway_response.STATUS": "TXN_SUCCESS" }] } },
+        lookupAppointment,
+        { $unwind: "$appointment" },
+        { $match: { $expr: { $ne: [PAYMENT_AMOUNT, { $convert: { input: "$appointment.fee", to: "double", onError: 0, onNull: 0 } }] } } },
+        { $sort: { timestamp: -1 } },
+        { $limit: RECONCILIATION_LIMIT },
+      ]),
+      Payment.aggregate([
+        { $match: { ...env, status: "pending", timestamp: { $lt: stuckBefore } } },
+        lookupAppointment,
+        { $sort: { timestamp: 1 } },
+        { $limit: RECONCILIATION_LIMIT },
+      ]),
+      Refund.find({ status: "pending", timestamp: { $lt: stuckBefore } }).sort({ timestamp: 1 }).limit(RECONCILIATION_LIMIT).lean(),
+      // Settled once the booking gets a slot again (rescheduled), is cancelled or is refunded
+      Appointment.find({ deletedAt: null, slotConflict: true, slotKey: null, payment_status: "paid", status: { $nin: ["cancelled"] } })
+        .sort({ timestamp: -1 }).limit(RECONCILIATION_LIMIT).lean(),
+    ]);
+
+    const refundAppointments = await Appointment.find({ _id: { $in: stuckRefunds.map(r => r.appointment_id).filter(mongoose.isValidObjectId) } }).lean();
+    const appointmentById = new Map(refundAppointments.map(a => [String(a._id), a]));
+
+    const issues = [
+      ...paidWithoutPayment.map(a => ({ kind: "paid_without_payment", order_id: a.order_id || null, appointment: pick(a), payment: null, since: a.timestamp })),
+      ...paymentsWithoutAppointment.map(p => ({ kind: "payment_without_appointment", order_id: p.order_id, appointment: null, payment: paymentInfo(p), since: p.timestamp })),
+      ...paidPayments.map(p => ({ kind: "amount_mismatch", order_id: p.order_id, appointment: pick(p.appointment), payment: paymentInfo(p), since: p.timestamp })),
+      ...stuckPayments.map(p => ({ kind: "stuck_payment", order_id: p.order_id, appointment: pick(p.appointment[0]), payment: paymentInfo(p), since: p.timestamp })),
+      ...stuckRefunds.map(r => ({ kind: "stuck_refund", order_id: r.order_id, appointment: pick(appointmentById.get(r.appointment_id)), payment: null, refund: serializeRefund(r), since: r.timestamp })),
+      ...slotConflicts.map(a => ({ kind: "slot_conflict", order_id: a.order_id, appointment: pick(a), payment: null, since: a.timestamp })),
+    ].map(i => ({ ...i, label: RECONCILIATION_KINDS[i.kind], since: formatTimestamp(i.since) }));
+
+    const counts = Object.fromEntries(Object.keys(RECONCILIATION_KINDS).map(k => [k, issues.filter(i => i.kind === k).length]));
+    res.json({ kinds: RECONCILIATION_KINDS, counts, stuckAfterHours: STUCK_PENDING_HOURS, limit: RECONCILIATION_LIMIT, issues });
+  } catch (e) {
+    console.error("Reconciliation error:", e);
+    res.status(500).json({ error: "Could not build the reconciliation report" });
+  }
+}));
+
+// -------------------- Errors --------------------
+// Anything a route didn't answer itself: bad request bodies (invalid JSON, too large), values the
+// schemas reject, and unexpected storage errors. Registered last so it sees errors from every route.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err); // mid-response (a download, an event stream): let Express close it
+  const invalid = err.name === "ValidationError" || err.name === "CastError";
+  const status = invalid ? 400 : err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) console.error(`${req.method} ${req.originalUrl} error:`, err);
+  const error = status === 500 ? "Something went wrong. Please try again." : invalid ? err.message : err.expose ? err.message : "Invalid request";
+  if (req.originalUrl.startsWith("/api/")) return res.status(status).json({ error });
+  res.status(status).send(error);
+});
 
 // -------------------- Start server --------------------
 app.listen(PORT, () => {
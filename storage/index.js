@@ -0,0 +1,45 @@
+// storage/index.js - Where the app keeps its data: MongoDB, or JSON files in a local folder.
+// server.js defines every model through storage.model(); with MongoDB that is a plain Mongoose model, with
+// files it is a Mongoose model whose queries read and write DATA_DIR/<collection>.json. The file models
+// answer the subset of Mongoose that server.js uses (listed in json-file.js and query.js), so the routes
+// don't know which one is in use; a call outside that subset fails on files and needs adding there.
+const mongoose = require("mongoose");
+const MongoStore = require("connect-mongo");
+const { JsonFileStore } = require("./json-file");
+
+const SESSION_TTL_SECONDS = 14 * 24 * 60 * 60; // 14 days
+
+// kind: "mongo" | "file"; defaults to mongo when a connection string is given
+function createStorage({ kind, mongoUri, dataDir }) {
+  const type = (kind || (mongoUri ? "mongo" : "file")).toLowerCase();
+
+  if (type === "mongo") {
+    if (!mongoUri) throw new Error("STORAGE=mongo needs MONGO_URI");
+    return {
+      kind: "mongo",
+      description: "MongoDB",
+      model: (name, schema) => mongoose.model(name, schema),
+      connect: () => mongoose.connect(mongoUri),
+      ready: () => mongoose.connection.readyState === 1,
+      sessionStore: () => MongoStore.create({ mongoUrl: mongoUri, collectionName: "sessions", ttl: SESSION_TTL_SECONDS }),
+    };
+  }
+
+  if (type !== "file") throw new Error(`Unknown STORAGE "${type}"; use "mongo" or "file"`);
+  const store = new JsonFileStore(dataDir);
+  let connected = false;
+  return {
+    kind: "file",
+    description: `JSON files in ${dataDir}`,
+    model: (name, schema) => store.model(name, schema),
+    connect: async () => {
+      await store.connect();
+      connected = true;
+    },
+    ready: () => connected,
+    // No store: express-session keeps sessions in memory, so admins sign in again after a restart
+    sessionStore: () => undefined,
+  };
+}
+
+module.exports = { createStorage };
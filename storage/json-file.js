@@ -0,0 +1,490 @@
+// storage/json-file.js - JSON-file backend: each collection is DATA_DIR/<collection>.json, read and written
+// behind Mongoose models, so server.js queries it with the same model calls as MongoDB.
+// Files hold an array of documents in extended JSON ({"$date": ...}, {"$oid": ...}) and may be edited by hand
+// while the server is stopped or running; a change on disk is picked up on the next read.
+// Writes take a lock file, so a script (e.g. an import) can write next to a running server.
+//
+// The models are not a full Mongoose: they answer the calls server.js makes, and the query engine behind
+// them (./query.js) lists the operators. Supported:
+//   reads    find (with a cursor), findOne, findById, countDocuments, estimatedDocumentCount, exists,
+//            distinct, aggregate; chained sort, skip, limit, select, lean, exec
+//   writes   create, insertMany ({ ordered }), updateOne, updateMany, findOneAndUpdate, findByIdAndUpdate
+//            ({ new, upsert, sort, runValidators, includeResultMetadata }), deleteOne, deleteMany,
+//            findOneAndDelete, findByIdAndDelete, and document save()
+//   indexes  unique (also partial or sparse), TTL and text; the rest are ignored
+// Not supported: populate, sessions and transactions, bulkWrite, watch, and Mongoose middleware (hooks
+// do not run). Other statics still reach the never-opened connection and fail at once.
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const mongoose = require("mongoose");
+const q = require("./query");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_STALE_MS = 30 * 1000; // a lock this old was left by a process that died mid-write
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const stampOf = (stat) => `${stat.mtimeMs}:${stat.size}`;
+
+function duplicateKeyError(collection, index, doc) {
+  const keyValue = Object.fromEntries(Object.keys(index.fields).map(f => [f, q.fieldValue(doc, f) ?? null]));
+  const err = new Error(`E11000 duplicate key error collection: ${collection} index: ${index.name} dup key: ${EJSON.stringify(keyValue)}`);
+  err.name = "MongoServerError";
+  err.code = 11000;
+  err.keyPattern = index.fields;
+  err.keyValue = keyValue;
+  return err;
+}
+
+// -------------------- Collection file --------------------
+class FileCollection {
+  constructor(dir, name) {
+    this.name = name;
+    this.file = path.join(dir, `${name}.json`);
+    this.cache = null; // { stamp, docs } as last read or written
+    this.queue = Promise.resolve(); // writes from this process, one at a time
+    this.normalize = (raw) => raw;
+    this.unique = [{ fields: { _id: 1 }, name: "_id_" }];
+    this.ttl = [];
+    this.textFields = [];
+  }
+
+  // Called by the model that owns the collection: how to cast stored documents, and its indexes
+  configure({ normalize, indexes }) {
+    this.normalize = normalize;
+    for (const [fields, options = {}] of indexes) {
+      const name = options.name || Object.entries(fields).map(([f, dir]) => `${f}_${dir}`).join("_");
+      if (options.unique) this.unique.push({ fields, name, partial: options.partialFilterExpression, sparse: options.sparse });
+      if (options.expireAfterSeconds !== undefined) this.ttl.push({ field: Object.keys(fields)[0], ms: options.expireAfterSeconds * 1000 });
+      this.textFields.push(...Object.keys(fields).filter(f => fields[f] === "text"));
+    }
+  }
+
+  // Documents past a TTL index's expiry are treated as gone, and dropped on the next write
+  live(doc) {
+    const now = Date.now();
+    return this.ttl.every(({ field, ms }) => {
+      const at = q.fieldValue(doc, field);
+      return !(at instanceof Date) || at.getTime() + ms > now;
+    });
+  }
+
+  async load() {
+    let stat;
+    try {
+      stat = await fsp.stat(this.file);
+    } catch (err) {
+      if (err.code === "ENOENT") return { docs: [], dirty: false };
+      throw err;
+    }
+    const stamp = stampOf(stat);
+    if (this.cache && this.cache.stamp === stamp) return { docs: this.cache.docs, dirty: false };
+
+    const text = await fsp.readFile(this.file, "utf8");
+    let raw;
+    try {
+      raw = text.trim() ? EJSON.parse(text, { relaxed: true }) : [];
+    } catch (err) {
+      throw new Error(`${this.file} is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(raw)) throw new Error(`${this.file} must hold a JSON array of documents`);
+    // Hand-added documents without an _id get one here, and it is written back so it stays the same
+    const dirty = raw.some(doc => !doc || doc._id === undefined);
+    const docs = raw.filter(doc => doc && typeof doc === "object").map(doc => this.normalize(doc));
+    this.cache = { stamp, docs };
+    return { docs, dirty };
+  }
+
+  async docs() {
+    const { docs, dirty } = await this.load();
+    if (dirty) return this.mutate(current => ({ value: current }));
+    return docs.filter(doc => this.live(doc));
+  }
+
+  // Run `change(docs)` against the latest file under the lock. It must not modify `docs`; it returns
+  // { docs: nextDocs, value } to write nextDocs, or { value } to leave the file alone. Resolves to value.
+  mutate(change) {
+    const run = this.queue.then(() => this.withLock(async () => {
+      const { docs, dirty } = await this.load();
+      const current = docs.filter(doc => this.live(doc));
+      const result = change(current);
+      const next = result.docs || (dirty || current.length !== docs.length ? current : null);
+      if (next) await this.persist(next);
+      return result.value;
+    }));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async withLock(fn) {
+    const lock = `${this.file}.lock`;
+    const started = Date.now();
+    let handle;
+    while (!handle) {
+      try {
+        handle = await fsp.open(lock, "wx");
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        const stat = await fsp.stat(lock).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fsp.rm(lock, { force: true });
+        } else if (Date.now() - started > LOCK_TIMEOUT_MS) {
+          throw new Error(`Timed out waiting for ${lock}; delete it if no other process is writing`);
+        } else {
+          await sleep(LOCK_RETRY_MS);
+        }
+      }
+    }
+    try {
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return await fn();
+    } finally {
+      await fsp.rm(lock, { force: true });
+    }
+  }
+
+  // Write to a temp file, flush it to disk, then rename it over the old file: a crash leaves one or the other, never half
+  async persist(docs) {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    const handle = await fsp.open(tmp, "w");
+    try {
+      await handle.writeFile(`${EJSON.stringify(docs, null, 2, { relaxed: true })}\n`);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fsp.rename(tmp, this.file);
+    this.cache = { stamp: stampOf(await fsp.stat(this.file)), docs };
+  }
+
+  // A checker for unique indexes: call it with each new or changed document (those in `skip` are not
+  // counted as already present); it throws a duplicate key error (code 11000) on a collision
+  uniqueKeys(docs, skip = new Set()) {
+    const seen = this.unique.map(() => new Map());
+    const keysOf = (doc) => this.unique.map(index => {
+      if (index.partial && !q.matches(doc, index.partial)) return null;
+      const values = Object.keys(index.fields).map(f => q.fieldValue(doc, f));
+      if (index.sparse && values.every(v => v === undefined)) return null;
+      return q.toKey(values.map(v => v ?? null));
+    });
+    for (const doc of docs) {
+      if (!skip.has(doc)) keysOf(doc).forEach((key, i) => key !== null && seen[i].set(key, doc));
+    }
+    return (doc) => {
+      const keys = keysOf(doc);
+      keys.forEach((key, i) => {
+        if (key !== null && seen[i].has(key)) throw duplicateKeyError(this.name, this.unique[i], doc);
+      });
+      keys.forEach((key, i) => key !== null && seen[i].set(key, doc));
+    };
+  }
+}
+
+// -------------------- Queries --------------------
+function parseSort(spec) {
+  if (!spec) return {};
+  if (typeof spec === "string") {
+    return Object.fromEntries(spec.split(/\s+/).filter(Boolean).map(f => (f.startsWith("-") ? [f.slice(1), -1] : [f, 1])));
+  }
+  return Object.fromEntries(Object.entries(spec).map(([f, dir]) => [f, dir === -1 || /^desc/i.test(dir) ? -1 : 1]));
+}
+
+function parseProjection(spec) {
+  if (!spec) return {};
+  if (typeof spec === "string") {
+    return Object.fromEntries(spec.split(/\s+/).filter(Boolean).map(f => (f.startsWith("-") ? [f.slice(1), 0] : [f, 1])));
+  }
+  return { ...spec };
+}
+
+// The thenable returned by the model statics, with the chain methods server.js uses. `iterate`, given
+// for find(), makes the documents one at a time for cursor().
+class FileQuery {
+  constructor(run, args = {}, iterate = null) {
+    this.run = run;
+    this.args = args;
+    this.iterate = iterate;
+    const { sort, skip, limit, lean, ...rest } = args.options || {};
+    this.options = { ...rest, projection: parseProjection(args.projection), sort: parseSort(sort), skip, limit, lean: Boolean(lean) };
+  }
+
+  sort(spec) { this.options.sort = { ...this.options.sort, ...parseSort(spec) }; return this; }
+  skip(n) { this.options.skip = n; return this; }
+  limit(n) { this.options.limit = n; return this; }
+  select(spec) { this.options.projection = { ...this.options.projection, ...parseProjection(spec) }; return this; }
+  lean(value = true) { this.options.lean = Boolean(value); return this; }
+
+  exec() { return this.run(this); }
+  then(resolve, reject) { return this.exec().then(resolve, reject); }
+  catch(reject) { return this.exec().catch(reject); }
+
+  cursor() {
+    if (!this.iterate) throw new Error("The JSON-file storage only has cursors for find()");
+    const iterator = this.iterate(this);
+    iterator.close = async () => { await iterator.return(); };
+    return iterator;
+  }
+}
+
+// -------------------- Models --------------------
+// A Mongoose model whose statics and save() go to `collection` instead of MongoDB. Documents, validation,
+// casting and defaults are still Mongoose's own.
+function fileModel(store, name, schema) {
+  const fileSchema = schema.clone();
+  // The model's connection is never opened: anything not covered below fails at once instead of waiting for it
+  fileSchema.set("bufferCommands", false);
+  fileSchema.set("autoIndex", false);
+  fileSchema.set("autoCreate", false);
+  const Model = store.connection.model(name, fileSchema);
+  const collection = store.collection(Model.collection.name);
+  collection.configure({ normalize: (raw) => new Model(raw).toBSON(), indexes: fileSchema.indexes() });
+  const ctx = { textFields: collection.textFields };
+
+  const castFilter = (filter) => new mongoose.Query(filter || {}, {}, Model, Model.collection).cast(Model);
+  const output = (doc, options) => {
+    const plain = q.project(q.clone(doc), options.projection);
+    return options.lean ? plain : Model.hydrate(plain, options.projection);
+  };
+  const markSaved = (doc) => {
+    doc.$isNew = false;
+    for (const p of doc.modifiedPaths()) doc.unmarkModified(p);
+  };
+
+  // Cast and (when asked) validate a document after an update, as Mongoose would before sending it
+  function recast(plain, update, runValidators) {
+    const doc = new Model(plain);
+    const paths = Object.entries(update).flatMap(([op, fields]) => (op.startsWith("$") ? Object.keys(fields || {}) : [op]));
+    const err = doc.validateSync(runValidators ? paths : undefined);
+    if (err && (runValidators || Object.values(err.errors).some(e => e.name === "CastError"))) throw err;
+    return doc.toBSON();
+  }
+
+  async function select(query) {
+    const filter = castFilter(query.args.filter);
+    const { sort, skip, limit } = query.options;
+    let docs = q.sortDocs((await collection.docs()).filter(doc => q.matches(doc, filter, ctx)), sort);
+    if (skip) docs = docs.slice(skip);
+    if (limit) docs = docs.slice(0, limit);
+    return docs;
+  }
+
+  // find() as a cursor: matching and copying happen as the caller reads, so an export holds one output
+  // document at a time. Unsorted, the scan stops where the caller does; a sort has to see every match first.
+  async function* scan(query) {
+    const filter = castFilter(query.args.filter);
+    const { sort, skip = 0, limit } = query.options;
+    const docs = await collection.docs();
+    let matching = (function* () {
+      for (const doc of docs) if (q.matches(doc, filter, ctx)) yield doc;
+    })();
+    if (Object.keys(sort).length) matching = q.sortDocs([...matching], sort);
+    let index = 0;
+    for (const doc of matching) {
+      if (limit && index >= skip + limit) return;
+      if (index++ >= skip) yield output(doc, query.options);
+    }
+  }
+
+  async function insert(documents, { ordered = true } = {}) {
+    const errors = [];
+    const valid = [];
+    for (const [index, doc] of documents.entries()) {
+      try {
+        await doc.validate();
+        valid.push(doc);
+      } catch (err) {
+        if (ordered) throw err;
+        errors.push({ index, err });
+      }
+    }
+    const inserted = await collection.mutate(current => {
+      const check = collection.uniqueKeys(current);
+      const next = current.slice();
+      const done = [];
+      for (const doc of valid) {
+        const stored = doc.toBSON();
+        try {
+          check(stored);
+        } catch (err) {
+          errors.push({ index: documents.indexOf(doc), err });
+          if (ordered) break;
+          continue;
+        }
+        next.push(stored);
+        done.push(doc);
+      }
+      return done.length ? { docs: next, value: done } : { value: done };
+    });
+    inserted.forEach(markSaved);
+    if (errors.length) {
+      const err = errors.sort((a, b) => a.index - b.index)[0].err;
+      err.writeErrors = errors;
+      err.insertedDocs = inserted;
+      throw err;
+    }
+    return inserted;
+  }
+
+  async function update(query, { multi }) {
+    const filter = castFilter(query.args.filter);
+    const changes = query.args.update || {};
+    const { upsert = false, sort, runValidators = false } = query.options;
+    return collection.mutate(current => {
+      let targets = current.filter(doc => q.matches(doc, filter, ctx));
+      if (!multi) targets = q.sortDocs(targets, sort).slice(0, 1);
+      const replaced = new Map();
+      for (const doc of targets) {
+        const next = recast(q.applyUpdate(doc, changes), changes, runValidators);
+        if (!q.sameValue(next, doc)) replaced.set(doc, next);
+      }
+      const upserted = !targets.length && upsert
+        ? recast(q.applyUpdate(q.upsertBase(filter), changes, { isInsert: true }), changes, runValidators)
+        : null;
+      const value = { matched: targets.length, modified: replaced.size, before: targets[0] || null, after: replaced.get(targets[0]) || targets[0] || upserted, upserted };
+      if (!replaced.size && !upserted) return { value };
+
+      const next = current.map(doc => replaced.get(doc) || doc);
+      if (upserted) next.push(upserted);
+      const changed = [...replaced.values(), upserted].filter(Boolean);
+      const check = collection.uniqueKeys(next, new Set(changed));
+      changed.forEach(check);
+      return { docs: next, value };
+    });
+  }
+
+  async function remove(query, { multi }) {
+    const filter = castFilter(query.args.filter);
+    return collection.mutate(current => {
+      let targets = current.filter(doc => q.matches(doc, filter, ctx));
+      if (!multi) targets = q.sortDocs(targets, query.options.sort).slice(0, 1);
+      if (!targets.length) return { value: [] };
+      const gone = new Set(targets);
+      return { docs: current.filter(doc => !gone.has(doc)), value: targets };
+    });
+  }
+
+  const updateResult = (r) => ({
+    acknowledged: true,
+    matchedCount: r.matched,
+    modifiedCount: r.modified,
+    upsertedCount: r.upserted ? 1 : 0,
+    upsertedId: r.upserted ? r.upserted._id : null,
+  });
+
+  async function findAndUpdate(query) {
+    const r = await update(query, { multi: false });
+    const doc = query.options.new === true ? r.after : r.before;
+    const value = doc ? output(doc, query.options) : null;
+    if (!query.options.includeResultMetadata) return value;
+    return { value, ok: 1, lastErrorObject: { n: r.matched || (r.upserted ? 1 : 0), updatedExisting: Boolean(r.matched), ...(r.upserted && { upserted: r.upserted._id }) } };
+  }
+
+  const queryOf = (run, params = ["projection", "options"]) => (filter, ...rest) =>
+    new FileQuery(run, { filter, ...Object.fromEntries(params.map((p, i) => [p, rest[i]])) });
+  const updateOf = (run) => (filter, changes, options) => new FileQuery(run, { filter, update: changes, options });
+  const byId = (id) => ({ _id: id === undefined ? null : id });
+
+  Object.assign(Model, {
+    find: (filter, projection, options) => new FileQuery(async (query) => (await select(query)).map(doc => output(doc, query.options)), { filter, projection, options }, scan),
+    findOne: queryOf(async (query) => {
+      query.options.limit = 1;
+      const [doc] = await select(query);
+      return doc ? output(doc, query.options) : null;
+    }),
+    findById(id, projection, options) { return Model.findOne(byId(id), projection, options); },
+    countDocuments: queryOf(async (query) => (await select(query)).length, ["options"]),
+    estimatedDocumentCount: () => new FileQuery(async () => (await collection.docs()).length),
+    exists: (filter) => new FileQuery(async (query) => {
+      query.options.limit = 1;
+      const [doc] = await select(query);
+      return doc ? { _id: doc._id } : null;
+    }, { filter }),
+    distinct: (field, filter) => new FileQuery(async (query) => {
+      const values = (await select(query)).flatMap(doc => [].concat(q.fieldValue(doc, field) ?? []));
+      return values.filter((v, i) => values.findIndex(x => q.equalValues(x, v)) === i).map(q.clone);
+    }, { filter }),
+
+    async create(input, options) {
+      const list = Array.isArray(input) ? input : [input];
+      const inserted = await insert(list.map(doc => (doc instanceof Model ? doc : new Model(doc))), options);
+      return Array.isArray(input) ? inserted : inserted[0];
+    },
+    insertMany(input, options) {
+      return insert([].concat(input).map(doc => (doc instanceof Model ? doc : new Model(doc))), options);
+    },
+
+    updateOne: updateOf(async (query) => updateResult(await update(query, { multi: false }))),
+    updateMany: updateOf(async (query) => updateResult(await update(query, { multi: true }))),
+    findOneAndUpdate: updateOf(findAndUpdate),
+    findByIdAndUpdate(id, changes, options) { return Model.findOneAndUpdate(byId(id), changes, options); },
+
+    deleteOne: queryOf(async (query) => ({ acknowledged: true, deletedCount: (await remove(query, { multi: false })).length }), ["options"]),
+    deleteMany: queryOf(async (query) => ({ acknowledged: true, deletedCount: (await remove(query, { multi: true })).length }), ["options"]),
+    findOneAndDelete: queryOf(async (query) => {
+      const [doc] = await remove(query, { multi: false });
+      return doc ? output(doc, query.options) : null;
+    }),
+    findByIdAndDelete(id, options) { return Model.findOneAndDelete(byId(id), null, options); },
+
+    // Like Mongoose, pipelines are not cast: { _id: "<hex string>" } does not match an ObjectId
+    aggregate: (pipeline = []) => new FileQuery(async () => {
+      const names = q.lookupCollections(pipeline);
+      const others = new Map(await Promise.all(names.map(async n => [n, await store.collection(n).docs()])));
+      const docs = await collection.docs();
+      return q.clone(q.aggregate(docs, pipeline, { ...ctx, collection: (n) => others.get(n) || [] }));
+    }),
+  });
+
+  // New documents are inserted; existing ones get their changed paths $set (or $unset), like Mongoose's save
+  Model.prototype.save = async function save() {
+    if (this.$isNew) {
+      await insert([this]);
+      return this;
+    }
+    await this.validate();
+    const stored = this.toBSON();
+    const $set = {};
+    const $unset = {};
+    for (const p of this.directModifiedPaths()) {
+      const value = q.fieldValue(stored, p);
+      if (value === undefined) $unset[p] = 1;
+      else $set[p] = value;
+    }
+    if (Object.keys($set).length || Object.keys($unset).length) {
+      const r = await update(new FileQuery(null, { filter: { _id: this._id }, update: { $set, $unset } }), { multi: false });
+      if (!r.matched) throw new mongoose.Error.DocumentNotFoundError({ _id: this._id }, Model.modelName, 0, null);
+    }
+    markSaved(this);
+    return this;
+  };
+
+  return Model;
+}
+
+// -------------------- Store --------------------
+class JsonFileStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.collections = new Map();
+    this.connection = mongoose.createConnection(); // holds the file-backed models; never connected
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new FileCollection(this.dir, name));
+    return this.collections.get(name);
+  }
+
+  model(name, schema) {
+    return fileModel(this, name, schema);
+  }
+
+  async connect() {
+    await fsp.mkdir(this.dir, { recursive: true });
+  }
+}
+
+module.exports = { JsonFileStore };
@@ -0,0 +1,587 @@
+// storage/query.js - MongoDB query, update and aggregation semantics over plain objects, for the
+// JSON-file backend. It covers only the operators server.js uses; anything else throws, so a gap shows up
+// as an error instead of a filter that quietly matches everything. Supported:
+//   filters      field equality (values, null, RegExp), $ne $gt $gte $lt $lte $in $nin $type $size
+//                $elemMatch $not, and at the top level $or $text $expr
+//   updates      plain fields (a $set), $set $setOnInsert $unset $inc $push $addToSet $pull
+//   aggregation  $match $sort $limit $project $group $unwind $lookup $facet
+//   accumulators $sum $avg $min $max $push
+//   expressions  $ifNull $cond $eq $ne $gt $gte $lt $lte $subtract $size $toLower $trim
+//                $convert (to "double") $dateToString $dateTrunc $dateFromString
+// A query that needs more should add it here, with a test in test/storage-query.test.js.
+
+// -------------------- Values --------------------
+const isObjectId = (v) => Boolean(v) && v._bsontype === "ObjectId";
+// BSON values (ObjectId, Binary) are leaves, not documents
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date)
+  && !(v instanceof RegExp) && !v._bsontype && !Buffer.isBuffer(v);
+const isOperatorObject = (v) => isPlainObject(v) && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith("$"));
+const unsupported = (what) => new Error(`The JSON-file storage does not support ${what}`);
+
+// Deep copy that keeps Dates, ObjectIds and Buffers intact
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (v instanceof Date) return new Date(v.getTime());
+  if (Buffer.isBuffer(v)) return Buffer.from(v);
+  if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+}
+
+// BSON comparison order: null < numbers < strings < objects < arrays < ObjectId < booleans < dates
+function typeRank(v) {
+  if (v === null || v === undefined) return 1;
+  if (typeof v === "number") return 2;
+  if (typeof v === "string") return 3;
+  if (Array.isArray(v)) return 5;
+  if (isObjectId(v)) return 7;
+  if (typeof v === "boolean") return 8;
+  if (v instanceof Date) return 9;
+  if (v instanceof RegExp) return 11;
+  return 4;
+}
+
+function compareValues(a, b) {
+  const rank = typeRank(a);
+  if (rank !== typeRank(b)) return rank - typeRank(b);
+  if (rank === 1) return 0;
+  if (rank === 7) return compareValues(a.toHexString(), b.toHexString());
+  if (rank === 9) return compareValues(a.getTime(), b.getTime());
+  if (rank === 5) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareValues(a[i], b[i]);
+      if (c) return c;
+    }
+    return a.length - b.length;
+  }
+  if (rank === 4) {
+    if (!isPlainObject(a) || !isPlainObject(b)) return compareValues(toKey(a), toKey(b));
+    const ka = Object.keys(a), kb = Object.keys(b);
+    for (let i = 0; i < Math.min(ka.length, kb.length); i++) {
+      const c = compareValues(ka[i], kb[i]) || compareValues(a[ka[i]], b[kb[i]]);
+      if (c) return c;
+    }
+    return ka.length - kb.length;
+  }
+  if (rank === 11) return compareValues(String(a), String(b));
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+const equalValues = (a, b) => compareValues(a, b) === 0;
+
+// Deep equality that ignores the order of object keys, for telling whether an update changed anything
+function sameValue(a, b) {
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a).filter(k => a[k] !== undefined);
+    return keys.length === Object.keys(b).filter(k => b[k] !== undefined).length && keys.every(k => sameValue(a[k], b[k]));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((x, i) => sameValue(x, b[i]));
+  return typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+}
+
+// Stable string form of a value, for grouping and unique-index keys
+function toKey(v) {
+  if (v === null || v === undefined) return "null";
+  if (v instanceof Date) return `D${v.getTime()}`;
+  if (isObjectId(v)) return `O${v.toHexString()}`;
+  if (Array.isArray(v)) return `[${v.map(toKey).join(",")}]`;
+  if (isPlainObject(v)) return `{${Object.entries(v).map(([k, x]) => `${JSON.stringify(k)}:${toKey(x)}`).join(",")}}`;
+  return JSON.stringify(v);
+}
+
+// -------------------- Paths --------------------
+// The value at a dotted path; through an array it collects the field from every element ("$notes.by")
+function fieldValue(doc, path) {
+  let v = doc;
+  for (const part of path.split(".")) {
+    if (Array.isArray(v)) {
+      v = /^\d+$/.test(part) ? v[Number(part)] : v.filter(isPlainObject).map(el => el[part]).filter(x => x !== undefined);
+    } else if (isPlainObject(v)) {
+      v = v[part];
+    } else {
+      return undefined;
+    }
+  }
+  return v;
+}
+
+// Every value a filter on `path` looks at; empty when the field is missing
+function valuesAt(doc, path) {
+  let current = [doc];
+  for (const part of path.split(".")) {
+    const next = [];
+    for (const v of current) {
+      if (Array.isArray(v)) {
+        if (/^\d+$/.test(part) && Number(part) < v.length) next.push(v[Number(part)]);
+        for (const el of v) if (isPlainObject(el) && el[part] !== undefined) next.push(el[part]);
+      } else if (isPlainObject(v) && v[part] !== undefined) {
+        next.push(v[part]);
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split(".");
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(target[part]) && !Array.isArray(target[part])) target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const parts = path.split(".");
+  const parent = parts.length > 1 ? fieldValue(doc, parts.slice(0, -1).join(".")) : doc;
+  if (parent && typeof parent === "object") delete parent[parts[parts.length - 1]];
+}
+
+// -------------------- Filters --------------------
+// ctx.textFields: the collection's text index fields, for $text
+function matches(doc, filter, ctx = {}) {
+  for (const [key, cond] of Object.entries(filter || {})) {
+    if (key === "$or") {
+      if (!cond.some(f => matches(doc, f, ctx))) return false;
+    } else if (key === "$text") {
+      if (!matchText(doc, cond, ctx.textFields || [])) return false;
+    } else if (key === "$expr") {
+      if (!truthy(evaluate(cond, doc))) return false;
+    } else if (key.startsWith("$")) {
+      throw unsupported(`the ${key} query operator`);
+    } else if (!matchField(valuesAt(doc, key), cond)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Arrays match on the whole array or on any element, as in MongoDB
+const candidates = (values) => values.flatMap(v => (Array.isArray(v) ? [v, ...v] : [v]));
+
+function matchField(values, cond) {
+  if (isOperatorObject(cond)) return Object.entries(cond).every(([op, arg]) => matchOperator(values, op, arg));
+  return matchEquals(values, cond);
+}
+
+function matchEquals(values, expected) {
+  if (expected instanceof RegExp) return candidates(values).some(v => typeof v === "string" && testRegExp(expected, v));
+  if (expected === null || expected === undefined) return !values.length || candidates(values).some(v => v === null || v === undefined);
+  return candidates(values).some(v => equalValues(v, expected));
+}
+
+function testRegExp(re, s) {
+  re.lastIndex = 0;
+  return re.test(s);
+}
+
+const COMPARISONS = { $gt: (c) => c > 0, $gte: (c) => c >= 0, $lt: (c) => c < 0, $lte: (c) => c <= 0 };
+const TYPE_NAMES = {
+  string: (v) => typeof v === "string",
+  double: (v) => typeof v === "number",
+  int: (v) => Number.isInteger(v),
+  long: (v) => Number.isInteger(v),
+  number: (v) => typeof v === "number",
+  bool: (v) => typeof v === "boolean",
+  date: (v) => v instanceof Date,
+  null: (v) => v === null,
+  objectId: isObjectId,
+  array: Array.isArray,
+  object: isPlainObject,
+};
+
+function matchOperator(values, op, arg) {
+  switch (op) {
+    case "$ne": return !matchEquals(values, arg);
+    case "$gt": case "$gte": case "$lt": case "$lte":
+      // Only values of the same type are compared, so { $gte: 1 } never matches a string
+      return candidates(values).some(v => typeRank(v) === typeRank(arg) && COMPARISONS[op](compareValues(v, arg)));
+    case "$in": return arg.some(x => matchEquals(values, x));
+    case "$nin": return !arg.some(x => matchEquals(values, x));
+    case "$type": {
+      const types = [].concat(arg).map(t => TYPE_NAMES[t] || (() => { throw unsupported(`$type "${t}"`); })());
+      return candidates(values).some(v => types.some(is => is(v)));
+    }
+    case "$size": return values.some(v => Array.isArray(v) && v.length === arg);
+    case "$elemMatch":
+      return values.some(v => Array.isArray(v) && v.some(el => (isPlainObject(el) && !isOperatorObject(arg) ? matches(el, arg) : matchField([el], arg))));
+    case "$not": return !matchField(values, arg);
+    default: throw unsupported(`the ${op} query operator`);
+  }
+}
+
+// $text over the text index fields: any of the words, case-insensitively. A quoted phrase must appear
+// (and then the loose words don't matter); a -word excludes.
+function matchText(doc, { $search }, fields) {
+  if (!fields.length) throw unsupported("$text without a text index");
+  const text = fields.flatMap(f => candidates(valuesAt(doc, f))).filter(v => typeof v === "string").join(" ").toLowerCase();
+  const words = new Set(text.split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+  const search = String($search || "").toLowerCase();
+  const phrases = [...search.matchAll(/"([^"]+)"/g)].map(m => m[1]);
+  const terms = search.replace(/"[^"]*"/g, " ").split(/\s+/).filter(Boolean);
+  const excluded = terms.filter(t => t.startsWith("-")).map(t => t.slice(1));
+  const wanted = terms.filter(t => !t.startsWith("-")).flatMap(t => t.split(/[^\p{L}\p{N}]+/u)).filter(Boolean);
+  if (excluded.some(t => words.has(t))) return false;
+  if (phrases.length) return phrases.every(p => text.includes(p));
+  return wanted.some(t => words.has(t));
+}
+
+// -------------------- Updates --------------------
+// Apply a MongoDB update to a copy of `doc`. Fields outside an operator are a $set, as Mongoose treats them.
+function applyUpdate(doc, update, { isInsert = false } = {}) {
+  const out = clone(doc);
+  for (const [op, fields] of Object.entries(update || {})) {
+    if (!op.startsWith("$")) {
+      setPath(out, op, clone(fields));
+      continue;
+    }
+    for (const [path, value] of Object.entries(fields || {})) {
+      const current = fieldValue(out, path);
+      switch (op) {
+        case "$set": setPath(out, path, clone(value)); break;
+        case "$setOnInsert": if (isInsert) setPath(out, path, clone(value)); break;
+        case "$unset": unsetPath(out, path); break;
+        case "$inc": setPath(out, path, (typeof current === "number" ? current : 0) + value); break;
+        case "$push":
+        case "$addToSet": {
+          const list = Array.isArray(current) ? current : [];
+          if (op === "$push" || !list.some(x => equalValues(x, value))) list.push(clone(value));
+          setPath(out, path, list);
+          break;
+        }
+        case "$pull": {
+          if (!Array.isArray(current)) break;
+          const pulls = (el) => (isOperatorObject(value) ? matchField([el], value)
+            : isPlainObject(value) && isPlainObject(el) ? matches(el, value) : equalValues(el, value));
+          setPath(out, path, current.filter(el => !pulls(el)));
+          break;
+        }
+        default: throw unsupported(`the ${op} update operator`);
+      }
+    }
+  }
+  return out;
+}
+
+// The document an upsert starts from: the filter's plain equality conditions
+function upsertBase(filter) {
+  const base = {};
+  for (const [key, cond] of Object.entries(filter || {})) {
+    if (!key.startsWith("$") && !isOperatorObject(cond) && !(cond instanceof RegExp)) setPath(base, key, clone(cond));
+  }
+  return base;
+}
+
+// -------------------- Sorting & projection --------------------
+function sortDocs(docs, sort) {
+  const fields = Object.entries(sort || {});
+  if (!fields.length) return docs;
+  return docs.slice().sort((a, b) => {
+    for (const [field, dir] of fields) {
+      const c = compareValues(fieldValue(a, field), fieldValue(b, field));
+      if (c) return dir < 0 ? -c : c;
+    }
+    return 0;
+  });
+}
+
+// { field: 1 } keeps only those fields (and _id); { field: 0 } drops them
+function project(doc, projection) {
+  const fields = Object.entries(projection || {});
+  if (!fields.length) return doc;
+  const inclusive = fields.some(([k, v]) => k !== "_id" && v);
+  if (!inclusive) {
+    const out = clone(doc);
+    for (const [k] of fields) unsetPath(out, k);
+    return out;
+  }
+  const out = {};
+  if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) out._id = doc._id;
+  for (const [k, v] of fields) {
+    if (k === "_id" || !v) continue;
+    const value = fieldValue(doc, k);
+    if (value !== undefined) setPath(out, k, clone(value));
+  }
+  return out;
+}
+
+// -------------------- Aggregation --------------------
+// ctx.collection(name): the documents of another collection, for $lookup
+function aggregate(docs, pipeline, ctx = {}) {
+  let rows = docs;
+  for (const stage of pipeline) {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+      case "$match": rows = rows.filter(d => matches(d, spec, ctx)); break;
+      case "$sort": rows = sortDocs(rows, spec); break;
+      case "$limit": rows = rows.slice(0, spec); break;
+      case "$project": rows = rows.map(d => projectStage(d, spec)); break;
+      case "$group": rows = group(rows, spec); break;
+      case "$unwind": rows = unwind(rows, spec); break;
+      case "$lookup": rows = rows.map(d => ({ ...d, [spec.as]: lookup(d, spec, ctx) })); break;
+      case "$facet": rows = [Object.fromEntries(Object.entries(spec).map(([k, p]) => [k, aggregate(rows, p, ctx)]))]; break;
+      default: throw unsupported(`the ${name} aggregation stage`);
+    }
+  }
+  return rows;
+}
+
+// Collections a pipeline reads through $lookup, so they can be loaded before it runs
+function lookupCollections(pipeline) {
+  const names = new Set();
+  for (const stage of pipeline || []) {
+    if (stage.$lookup) {
+      names.add(stage.$lookup.from);
+      lookupCollections(stage.$lookup.pipeline).forEach(n => names.add(n));
+    }
+    if (stage.$facet) Object.values(stage.$facet).forEach(p => lookupCollections(p).forEach(n => names.add(n)));
+  }
+  return [...names];
+}
+
+function projectStage(doc, spec) {
+  const plain = Object.entries(spec).every(([, v]) => v === 0 || v === 1 || typeof v === "boolean");
+  if (plain) return project(doc, spec);
+  const out = {};
+  if (spec._id !== 0 && spec._id !== false && doc._id !== undefined) out._id = doc._id;
+  for (const [k, v] of Object.entries(spec)) {
+    if (k === "_id" && (v === 0 || v === false)) continue;
+    const value = v === 1 || v === true ? fieldValue(doc, k) : evaluate(v, doc);
+    if (value !== undefined) setPath(out, k, value);
+  }
+  return out;
+}
+
+function group(rows, spec) {
+  const groups = new Map();
+  for (const row of rows) {
+    const id = evaluate(spec._id, row);
+    const key = toKey(id);
+    if (!groups.has(key)) groups.set(key, { id: id === undefined ? null : id, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+  return [...groups.values()].map(({ id, rows: members }) => {
+    const out = { _id: id };
+    for (const [field, acc] of Object.entries(spec)) {
+      if (field !== "_id") out[field] = accumulate(acc, members);
+    }
+    return out;
+  });
+}
+
+function accumulate(acc, rows) {
+  const [op, expr] = Object.entries(acc)[0];
+  const values = rows.map(r => evaluate(expr, r));
+  const present = values.filter(v => v !== null && v !== undefined);
+  const numbers = values.filter(v => typeof v === "number");
+  switch (op) {
+    case "$sum": return numbers.reduce((s, v) => s + v, 0);
+    case "$avg": return numbers.length ? numbers.reduce((s, v) => s + v, 0) / numbers.length : null;
+    case "$min": return present.length ? present.reduce((m, v) => (compareValues(v, m) < 0 ? v : m)) : null;
+    case "$max": return present.length ? present.reduce((m, v) => (compareValues(v, m) > 0 ? v : m)) : null;
+    case "$push": return values.filter(v => v !== undefined);
+    default: throw unsupported(`the ${op} accumulator`);
+  }
+}
+
+function unwind(rows, spec) {
+  const { path, preserveNullAndEmptyArrays = false } = typeof spec === "string" ? { path: spec } : spec;
+  const field = path.slice(1);
+  return rows.flatMap(row => {
+    const value = fieldValue(row, field);
+    if (Array.isArray(value) && value.length) return value.map(v => setCopy(row, field, v));
+    if (Array.isArray(value) || value === null || value === undefined) return preserveNullAndEmptyArrays ? [row] : [];
+    return [row];
+  });
+}
+
+function setCopy(row, field, value) {
+  const out = { ...row };
+  const parts = field.split(".");
+  let target = out;
+  for (const part of parts.slice(0, -1)) target = target[part] = { ...target[part] };
+  target[parts[parts.length - 1]] = value;
+  return out;
+}
+
+// Equality join on localField/foreignField, then the optional sub-pipeline over the joined documents
+function lookup(doc, { from, localField, foreignField, pipeline }, ctx) {
+  if (!ctx.collection) throw unsupported("$lookup here");
+  let joined = ctx.collection(from);
+  if (localField) {
+    const local = candidates(valuesAt(doc, localField));
+    const wanted = local.length ? local : [null];
+    joined = joined.filter(f => {
+      const foreign = valuesAt(f, foreignField);
+      return wanted.some(l => (l === null || l === undefined ? matchEquals(foreign, null) : matchEquals(foreign, l)));
+    });
+  }
+  return pipeline ? aggregate(joined, pipeline, ctx) : joined;
+}
+
+// -------------------- Expressions --------------------
+// Only the expressions server.js builds; numbers, strings and dates, as the reports need them
+const truthy = (v) => v !== null && v !== undefined && v !== false && v !== 0;
+
+function evaluate(expr, doc) {
+  if (typeof expr === "string") return expr.startsWith("$") ? fieldValue(doc, expr.slice(1)) : expr;
+  if (Array.isArray(expr)) return expr.map(e => evaluate(e, doc));
+  if (!isPlainObject(expr)) return expr;
+  const keys = Object.keys(expr);
+  if (keys.length === 1 && keys[0].startsWith("$")) return operator(keys[0], expr[keys[0]], doc);
+  return Object.fromEntries(keys.map(k => [k, evaluate(expr[k], doc)]));
+}
+
+const nullish = (v) => v === null || v === undefined;
+
+function operator(op, arg, doc) {
+  const args = () => [].concat(arg).map(a => evaluate(a, doc));
+  switch (op) {
+    case "$ifNull": {
+      const values = args();
+      return values.slice(0, -1).find(v => !nullish(v)) ?? values[values.length - 1];
+    }
+    case "$cond": {
+      const [cond, then, otherwise] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+      return truthy(evaluate(cond, doc)) ? evaluate(then, doc) : evaluate(otherwise, doc);
+    }
+    case "$eq": case "$ne": case "$gt": case "$gte": case "$lt": case "$lte": {
+      const [a, b] = args().map(v => (v === undefined ? null : v));
+      const c = compareValues(a, b);
+      return op === "$eq" ? c === 0 : op === "$ne" ? c !== 0 : COMPARISONS[op](c);
+    }
+    case "$subtract": {
+      const [a, b] = args();
+      return nullish(a) || nullish(b) ? null : a - b;
+    }
+    case "$size": {
+      const [value] = args();
+      if (!Array.isArray(value)) throw new Error("The argument to $size must be an array");
+      return value.length;
+    }
+    case "$toLower": {
+      const [value] = args();
+      return nullish(value) ? "" : String(value).toLowerCase();
+    }
+    case "$trim": {
+      const value = evaluate(arg.input, doc);
+      return nullish(value) ? null : String(value).trim();
+    }
+    case "$convert": return convert(evaluate(arg.input, doc), arg.to, arg, doc);
+    case "$dateToString": {
+      const date = evaluate(arg.date, doc);
+      if (nullish(date)) return "onNull" in arg ? evaluate(arg.onNull, doc) : null;
+      return formatDate(date, arg.format || "%Y-%m-%dT%H:%M:%S.%LZ", evaluate(arg.timezone, doc) || "UTC");
+    }
+    case "$dateTrunc": {
+      const date = evaluate(arg.date, doc);
+      if (nullish(date)) return null;
+      return truncateDate(date, evaluate(arg.unit, doc), evaluate(arg.timezone, doc) || "UTC", evaluate(arg.startOfWeek, doc) || "sunday");
+    }
+    case "$dateFromString": {
+      const text = evaluate(arg.dateString, doc);
+      if (nullish(text)) return "onNull" in arg ? evaluate(arg.onNull, doc) : null;
+      const date = parseDate(String(text), evaluate(arg.timezone, doc) || "UTC");
+      if (date) return date;
+      if ("onError" in arg) return evaluate(arg.onError, doc);
+      throw new Error(`$dateFromString could not parse "${text}"`);
+    }
+    default: throw unsupported(`the ${op} expression`);
+  }
+}
+
+const NUMBER_RE = /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/;
+
+// Numbers only: amounts are stored as numbers or numeric strings
+function convert(value, to, { onError, onNull }, doc) {
+  if (to !== "double") throw unsupported(`$convert to "${to}"`);
+  if (nullish(value)) return onNull !== undefined ? evaluate(onNull, doc) : null;
+  let out;
+  if (typeof value === "number") out = value;
+  else if (typeof value === "boolean") out = value ? 1 : 0;
+  else if (typeof value === "string" && NUMBER_RE.test(value)) out = Number(value);
+  if (out !== undefined) return out;
+  if (onError !== undefined) return evaluate(onError, doc);
+  throw new Error(`$convert could not turn ${JSON.stringify(value)} into ${to}`);
+}
+
+// -------------------- Dates in a time zone --------------------
+const zoneFormats = new Map();
+
+function zonedParts(date, timeZone) {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }));
+  }
+  const parts = Object.fromEntries(zoneFormats.get(timeZone).formatToParts(date).filter(p => p.type !== "literal").map(p => [p.type, Number(p.value)]));
+  return { ...parts, millisecond: date.getUTCMilliseconds() };
+}
+
+// The instant at which clocks in `timeZone` show the given wall time
+function zonedTime(timeZone, year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(t), timeZone);
+    t += wall - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, p.millisecond);
+  }
+  return new Date(t);
+}
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+function truncateDate(date, unit, timeZone, startOfWeek) {
+  const p = zonedParts(date, timeZone);
+  switch (unit) {
+    case "year": return zonedTime(timeZone, p.year, 1, 1);
+    case "month": return zonedTime(timeZone, p.year, p.month, 1);
+    case "week": {
+      const first = WEEKDAYS.findIndex(d => d.startsWith(String(startOfWeek).toLowerCase().slice(0, 3)));
+      const back = (new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay() - first + 7) % 7;
+      const start = new Date(Date.UTC(p.year, p.month - 1, p.day - back));
+      return zonedTime(timeZone, start.getUTCFullYear(), start.getUTCMonth() + 1, start.getUTCDate());
+    }
+    case "day": return zonedTime(timeZone, p.year, p.month, p.day);
+    case "hour": return zonedTime(timeZone, p.year, p.month, p.day, p.hour);
+    case "minute": return zonedTime(timeZone, p.year, p.month, p.day, p.hour, p.minute);
+    default: throw unsupported(`$dateTrunc by "${unit}"`);
+  }
+}
+
+function formatDate(date, format, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  const values = { Y: pad(p.year, 4), m: pad(p.month), d: pad(p.day), H: pad(p.hour), M: pad(p.minute), S: pad(p.second), L: pad(p.millisecond, 3), "%": "%" };
+  return format.replace(/%(.)/g, (m, c) => values[c] ?? m);
+}
+
+// "YYYY-MM-DD", optionally with a time; without an explicit offset it is read in `timeZone`
+function parseDate(text, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(text.trim());
+  if (!m) return null;
+  const [, y, mo, d, h = 0, mi = 0, s = 0, ms = "0", offset] = m;
+  if (Number(mo) < 1 || Number(mo) > 12 || Number(d) < 1 || Number(d) > 31) return null;
+  if (offset) {
+    const date = new Date(text.trim().replace(" ", "T"));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return zonedTime(timeZone, Number(y), Number(mo), Number(d), Number(h), Number(mi), Number(s), Number(ms.padEnd(3, "0")));
+}
+
+module.exports = {
+  clone,
+  compareValues,
+  equalValues,
+  sameValue,
+  toKey,
+  fieldValue,
+  setPath,
+  matches,
+  applyUpdate,
+  upsertBase,
+  sortDocs,
+  project,
+  aggregate,
+  lookupCollections,
+};
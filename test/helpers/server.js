@@ -0,0 +1,130 @@
+// test/helpers/server.js - Start server.js on a free port with JSON-file storage in a temp folder
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { JsonFileStore } = require("../../storage/json-file");
+const mongoose = require("mongoose");
+
+const ROOT = path.join(__dirname, "..", "..");
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Poll `check` until it returns something truthy (fire-and-forget work like mail finishes after the reply)
+async function waitFor(check, { timeout = 5000, interval = 50 } = {}) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error("Timed out waiting for the server");
+    await sleep(interval);
+  }
+}
+
+// Every setting the tests depend on is passed explicitly: dotenv never overrides a variable that is set,
+// so a developer's .env (owner account, Paytm keys, MongoDB) can't leak in
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "server-test-"));
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  let output = "";
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: "test",
+      PORT: String(port),
+      SERVER_URL: url,
+      STORAGE: "file",
+      MONGO_URI: "",
+      DATA_DIR: dataDir,
+      ADMIN_USERNAME: "",
+      ADMIN_PASSWORD: "",
+      SESSION_SECRET: "test-session-secret",
+      PAYTM_MID: "",
+      PAYTM_MERCHANT_KEY: "",
+      PAYTM_ENV: "staging",
+      MAIL_TRANSPORT: "file",
+      MAIL_FILE_DIR: path.join(dataDir, "mail"),
+      FORM_MIN_FILL_SECONDS: "0",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (chunk) => { output += chunk; });
+  child.stderr.on("data", (chunk) => { output += chunk; });
+  const exited = new Promise(resolve => child.once("exit", resolve));
+
+  const server = {
+    url,
+    dataDir,
+    output: () => output,
+
+    async request(route, { method = "GET", json, form, headers = {} } = {}) {
+      const res = await fetch(url + route, {
+        method,
+        redirect: "manual",
+        headers: {
+          ...(json && { "Content-Type": "application/json" }),
+          ...(form && { "Content-Type": "application/x-www-form-urlencoded" }),
+          ...headers,
+        },
+        body: json ? JSON.stringify(json) : form ? new URLSearchParams(form).toString() : undefined,
+      });
+      const text = await res.text();
+      let body = text;
+      try { body = JSON.parse(text); } catch { /* not JSON */ }
+      return { status: res.status, headers: res.headers, body };
+    },
+
+    // A model over the server's collection, to read or change stored documents (through the same lock the server takes)
+    model(name) {
+      return new JsonFileStore(dataDir).model(name, new mongoose.Schema({}, { strict: false }));
+    },
+
+    // A booking for `days` ahead on a day the clinic is open, in its first free slot
+    async bookingInput(fields = {}, days = 3) {
+      const services = (await server.request("/api/services")).body;
+      for (let ahead = days; ahead < days + 14; ahead++) {
+        const date = new Date(Date.now() + ahead * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const { body } = await server.request(`/api/slots?date=${date}`);
+        if (body.slots && body.slots.length) {
+          const { token } = (await server.request("/api/form-token")).body;
+          return { name: "Asha Test", email: "asha@example.com", phone: "98765 43210", date, slot: body.slots[0], serviceId: services[0].id, formToken: token, ...fields };
+        }
+      }
+      throw new Error("No free slot in the next two weeks");
+    },
+
+    async stop() {
+      if (child.exitCode === null) child.kill();
+      await exited;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+
+  // The server listens before startup has seeded the default services; wait for those too
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`server.js exited with ${child.exitCode}:\n${output}`);
+      const res = await fetch(`${url}/api/services`).catch(() => null);
+      return res && res.ok && (await res.json()).length > 0;
+    }, { timeout: 15000, interval: 100 });
+  } catch (err) {
+    await server.stop();
+    throw err;
+  }
+  return server;
+}
+
+module.exports = { startServer, waitFor, freePort };
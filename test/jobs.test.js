@@ -0,0 +1,132 @@
+// test/jobs.test.js - The job queue run through GET /api/cron: retries with backoff, giving up, cancelling
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor, freePort } = require("./helpers/server");
+
+const CRON_SECRET = "test-cron-secret";
+const MINUTE = 60 * 1000;
+
+let server;
+let Job;
+let NotificationLog;
+
+test.before(async () => {
+  server = await startServer({
+    CRON_SECRET,
+    REMINDER_CHANNEL: "stub",
+    REMINDER_STUB_FAIL: "true", // every reminder send fails
+    JOB_POLL_SECONDS: "3600", // only /api/cron runs jobs here
+    MAIL_TRANSPORT: "smtp", // and so does every email: nothing listens on the SMTP port
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(await freePort()),
+  });
+  Job = server.model("Job");
+  NotificationLog = server.model("NotificationLog");
+});
+test.after(() => server && server.stop());
+
+function runCron() {
+  return server.request("/api/cron", { headers: { Authorization: `Bearer ${CRON_SECRET}` } });
+}
+
+// Make a job due now and run the queue; resolves to the job afterwards, with the time the run started
+async function runNow(jobId, set = {}) {
+  await Job.updateOne({ _id: jobId }, { $set: { runAt: new Date(Date.now() - 1000), ...set } });
+  const at = Date.now();
+  const { status } = await runCron();
+  assert.equal(status, 200);
+  return { job: await Job.findById(jobId).lean(), at };
+}
+
+const assertAbout = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 30 * 1000, `${message}: ${new Date(actual).toISOString()}`);
+
+test("/api/cron needs the secret", async () => {
+  assert.equal((await server.request("/api/cron")).status, 401);
+  assert.equal((await server.request("/api/cron", { headers: { Authorization: "Bearer wrong-secret-0000" } })).status, 401);
+  assert.equal((await runCron()).status, 200);
+});
+
+test("a failing reminder is retried 5, then 10 minutes later, and given up after the last attempt", async () => {
+  const input = await server.bookingInput();
+  const { body } = await server.request("/api/appointment", { method: "POST", json: input });
+  const reminders = await waitFor(async () => {
+    const jobs = await Job.find({ type: "appointment_reminder", "payload.appointmentId": body.data.id }).sort({ "payload.hoursBefore": -1 }).lean();
+    return jobs.length === 2 && jobs;
+  });
+  const [dayBefore, sameDay] = reminders;
+  assert.equal(dayBefore.payload.hoursBefore, 24);
+  assert.equal(dayBefore.status, "pending");
+  assert.equal(dayBefore.attempts, 0);
+  assert.equal(dayBefore.maxAttempts, 5);
+
+  let { job, at } = await runNow(dayBefore._id);
+  assert.equal(job.status, "pending");
+  assert.equal(job.attempts, 1);
+  assert.equal(job.lastError, "Stub channel failure");
+  assert.equal(job.lockedAt, null);
+  assertAbout(job.runAt.getTime(), at + 5 * MINUTE, "retried after 5 minutes");
+
+  ({ job, at } = await runNow(dayBefore._id));
+  assert.equal(job.status, "pending");
+  assert.equal(job.attempts, 2);
+  assertAbout(job.runAt.getTime(), at + 10 * MINUTE, "then after 10");
+
+  ({ job, at } = await runNow(dayBefore._id, { attempts: 3 }));
+  assert.equal(job.attempts, 4);
+  assertAbout(job.runAt.getTime(), at + 40 * MINUTE, "the wait doubles each time");
+
+  ({ job } = await runNow(dayBefore._id));
+  assert.equal(job.status, "failed");
+  assert.equal(job.attempts, 5);
+  assert.equal(job.lastError, "Stub channel failure");
+  assert.ok(job.completedAt);
+
+  // The job that wasn't due yet was left alone
+  const untouched = await Job.findById(sameDay._id).lean();
+  assert.equal(untouched.status, "pending");
+  assert.equal(untouched.attempts, 0);
+});
+
+test("an emailed reminder keeps one delivery log entry across its retries", async () => {
+  const input = await server.bookingInput({ email: "retry@example.com" });
+  const { body } = await server.request("/api/appointment", { method: "POST", json: input });
+  const reminder = await waitFor(() => Job.findOne({ type: "appointment_reminder", "payload.appointmentId": body.data.id, "payload.hoursBefore": 24 }).lean());
+
+  let { job } = await runNow(reminder._id, { "payload.channel": "email" });
+  assert.equal(job.status, "pending");
+  assert.equal(job.attempts, 1);
+  ({ job } = await runNow(reminder._id));
+  assert.equal(job.attempts, 2);
+
+  const logs = await NotificationLog.find({ template: "appointment_reminder", to: "retry@example.com" }).lean();
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0].jobId, String(reminder._id));
+  assert.equal(logs[0].status, "failed");
+  assert.equal(logs[0].attempts, 2);
+  assert.equal(job.lastError, logs[0].error);
+});
+
+test("a job no handler knows fails at once instead of being retried", async () => {
+  const created = await Job.create({ type: "no_such_job", payload: {}, runAt: new Date(), status: "pending", attempts: 0, maxAttempts: 5 });
+  const { job } = await runNow(created._id);
+  assert.equal(job.status, "failed");
+  assert.equal(job.attempts, 1);
+  assert.match(job.lastError, /no_such_job/);
+});
+
+test("a reminder for a booking that no longer needs it is cancelled, not sent", async () => {
+  const created = await Job.create({
+    type: "appointment_reminder",
+    payload: { appointmentId: "64b000000000000000000000", hoursBefore: 24, remindAt: new Date(), channel: "stub" },
+    runAt: new Date(),
+    status: "pending",
+    attempts: 0,
+    maxAttempts: 5,
+  });
+  const { job } = await runNow(created._id);
+  assert.equal(job.status, "cancelled");
+  assert.equal(job.attempts, 1);
+  assert.equal(job.lastError, null);
+  assert.equal(job.result, "Appointment no longer needs this reminder");
+  assert.ok(job.completedAt);
+});
@@ -0,0 +1,97 @@
+// test/notifications.test.js - Booking mail and the delivery log (NotificationLog) for each transport
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer, waitFor, freePort } = require("./helpers/server");
+
+const CLINIC_EMAIL = "clinic@example.com";
+
+async function book(server, fields) {
+  const input = await server.bookingInput(fields);
+  const { status, body } = await server.request("/api/appointment", { method: "POST", json: input });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+}
+
+// Both messages a booking sends, once their delivery has been recorded
+async function bookingLogs(server, appointmentId) {
+  const NotificationLog = server.model("NotificationLog");
+  return waitFor(async () => {
+    const logs = await NotificationLog.find({ "related.id": appointmentId }).sort({ template: 1 }).lean();
+    return logs.length === 2 && logs.every(l => l.status !== "queued") && logs;
+  });
+}
+
+test("a booking logs the patient confirmation and the clinic alert as sent, and writes them out", async (t) => {
+  const server = await startServer({ MAIL_TRANSPORT: "file", CLINIC_EMAIL });
+  t.after(() => server.stop());
+
+  const booking = await book(server, { name: "Asha Test", email: "asha@example.com" });
+  const [confirmation, alert] = await bookingLogs(server, booking.id);
+
+  assert.equal(confirmation.template, "booking_confirmation");
+  assert.equal(confirmation.to, "asha@example.com");
+  assert.equal(confirmation.status, "sent");
+  assert.equal(confirmation.transport, "file");
+  assert.equal(confirmation.attempts, 1);
+  assert.equal(confirmation.error, null);
+  assert.ok(confirmation.sentAt);
+  assert.deepEqual(confirmation.related, { collectionName: "appointments", id: booking.id });
+  assert.match(confirmation.body, /Asha Test/);
+  assert.match(confirmation.body, new RegExp(booking.date));
+  assert.doesNotMatch(confirmation.subject + confirmation.body, /\{\{/, "every placeholder is filled in");
+
+  assert.equal(alert.template, "clinic_new_appointment");
+  assert.equal(alert.to, CLINIC_EMAIL);
+  assert.equal(alert.status, "sent");
+
+  const mail = fs.readdirSync(path.join(server.dataDir, "mail"));
+  assert.equal(mail.filter(f => f.endsWith(".eml")).length, 2);
+});
+
+test("a booking without an email only alerts the clinic", async (t) => {
+  const server = await startServer({ MAIL_TRANSPORT: "file", CLINIC_EMAIL });
+  t.after(() => server.stop());
+
+  const booking = await book(server, { email: "" });
+  const NotificationLog = server.model("NotificationLog");
+  const logs = await waitFor(async () => {
+    const found = await NotificationLog.find({ "related.id": booking.id }).lean();
+    return found.length && found.every(l => l.status === "sent") && found;
+  });
+  assert.deepEqual(logs.map(l => l.template), ["clinic_new_appointment"]);
+});
+
+test("a message the mail server can't take is logged as failed, and the booking still stands", async (t) => {
+  // A port nothing listens on, so the SMTP connection is refused at once
+  const port = await freePort();
+  const server = await startServer({ MAIL_TRANSPORT: "smtp", SMTP_HOST: "127.0.0.1", SMTP_PORT: String(port), CLINIC_EMAIL });
+  t.after(() => server.stop());
+
+  const booking = await book(server, {});
+  const logs = await bookingLogs(server, booking.id);
+  for (const log of logs) {
+    assert.equal(log.status, "failed");
+    assert.equal(log.transport, "smtp");
+    assert.equal(log.attempts, 1);
+    assert.ok(log.error);
+    assert.equal(log.sentAt, null);
+  }
+  assert.equal(await server.model("Appointment").countDocuments({ _id: booking.id }), 1);
+});
+
+test("the console transport keeps message contents out of the server log", async (t) => {
+  const server = await startServer({ MAIL_TRANSPORT: "console", CLINIC_EMAIL });
+  t.after(() => server.stop());
+
+  const booking = await book(server, { name: "Private Patientname", message: "private symptoms" });
+  const logs = await bookingLogs(server, booking.id);
+  assert.ok(logs.every(l => l.status === "sent" && l.transport === "console"));
+  assert.match(logs[0].body, /Private Patientname/, "the delivery log keeps the message");
+
+  const output = server.output();
+  assert.match(output, /not sent \(MAIL_TRANSPORT=console\)/);
+  assert.doesNotMatch(output, /Private Patientname|private symptoms/);
+  assert.ok(!output.includes(logs[0].subject), "nor the subject");
+});
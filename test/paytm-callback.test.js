@@ -0,0 +1,119 @@
+// test/paytm-callback.test.js - POST /api/paytm/callback: checksum verification and the paid / failed outcomes
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const PaytmChecksum = require("paytmchecksum");
+const { startServer, waitFor } = require("./helpers/server");
+
+const MID = "TESTMID0000001";
+const KEY = "abcdefghijklmnop";
+
+let server;
+let Appointment;
+let Payment;
+let NotificationLog;
+let phones = 0;
+
+test.before(async () => {
+  server = await startServer({ PAYTM_MID: MID, PAYTM_MERCHANT_KEY: KEY });
+  Appointment = server.model("Appointment");
+  Payment = server.model("Payment");
+  NotificationLog = server.model("NotificationLog");
+});
+test.after(() => server && server.stop());
+
+// A pending online booking, as the checkout form creates it
+async function placeOrder() {
+  phones += 1;
+  const input = await server.bookingInput({ phone: `98765 4321${phones}` });
+  const { status, body } = await server.request("/api/paytm/order", { method: "POST", json: input });
+  assert.equal(status, 200, JSON.stringify(body));
+  return { ...input, orderId: body.data.orderId, amount: body.data.params.TXN_AMOUNT };
+}
+
+// What Paytm posts back, signed with the merchant key unless `checksum` is given
+async function callback(fields, checksum) {
+  const params = { MID, TXNID: `TXN${Date.now()}`, CURRENCY: "INR", RESPCODE: "01", ...fields };
+  params.CHECKSUMHASH = checksum || await PaytmChecksum.generateSignature(params, KEY);
+  const res = await server.request("/api/paytm/callback", { method: "POST", form: params });
+  assert.equal(res.status, 302);
+  return new URL(res.headers.get("location"), server.url);
+}
+
+test("a callback whose checksum doesn't match is refused and changes nothing", async () => {
+  const order = await placeOrder();
+  const signed = { MID, ORDERID: order.orderId, TXNAMOUNT: "1.00", STATUS: "TXN_SUCCESS" };
+  const checksum = await PaytmChecksum.generateSignature(signed, KEY);
+
+  // Same checksum, but the amount was changed on the way
+  const location = await callback({ ...signed, TXNAMOUNT: order.amount }, checksum);
+  assert.equal(location.pathname, "/payment-failure.html");
+  assert.equal(location.searchParams.get("reason"), "verification");
+  assert.equal(location.searchParams.get("order"), order.orderId);
+
+  const missing = await server.request("/api/paytm/callback", { method: "POST", form: { ...signed, TXNAMOUNT: order.amount } });
+  assert.equal(new URL(missing.headers.get("location"), server.url).searchParams.get("reason"), "verification");
+
+  const appointment = await Appointment.findOne({ order_id: order.orderId }).lean();
+  assert.equal(appointment.payment_status, "pending");
+  assert.equal(await Payment.countDocuments({ order_id: order.orderId }), 0);
+});
+
+test("a correctly signed callback for another merchant is refused", async () => {
+  const order = await placeOrder();
+  const fields = { MID: "SOMEONEELSE0001", ORDERID: order.orderId, TXNAMOUNT: order.amount, STATUS: "TXN_SUCCESS" };
+  const location = await callback(fields);
+  assert.equal(location.searchParams.get("reason"), "verification");
+  assert.equal((await Appointment.findOne({ order_id: order.orderId }).lean()).payment_status, "pending");
+});
+
+test("TXN_SUCCESS marks the booking paid and confirmed, once", async () => {
+  const order = await placeOrder();
+  const fields = { ORDERID: order.orderId, TXNAMOUNT: order.amount, STATUS: "TXN_SUCCESS", RESPMSG: "Txn Success" };
+  const location = await callback(fields);
+  assert.equal(location.pathname, "/payment-success.html");
+  assert.equal(location.searchParams.get("order"), order.orderId);
+  assert.ok(location.searchParams.get("manage"), "the patient gets a link to manage the booking");
+
+  const appointment = await Appointment.findOne({ order_id: order.orderId }).lean();
+  assert.equal(appointment.payment_status, "paid");
+  assert.equal(appointment.status, "confirmed");
+  assert.equal(appointment.slotKey, `${order.date} ${order.slot}`);
+  const payment = await Payment.findOne({ order_id: order.orderId }).lean();
+  assert.equal(payment.status, "success");
+  assert.equal(appointment.payment_id, String(payment._id));
+  assert.equal(payment.gateway_response.CHECKSUMHASH, undefined, "the checksum is not stored");
+
+  const receipts = () => NotificationLog.countDocuments({ template: "payment_receipt", "related.id": String(appointment._id) });
+  await waitFor(async () => (await receipts()) === 1);
+
+  // Paytm may post the same result again; it must not record a second payment or mail the patient twice
+  await callback(fields);
+  assert.equal(await Payment.countDocuments({ order_id: order.orderId }), 1);
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(await receipts(), 1);
+});
+
+test("TXN_FAILURE marks the payment failed and frees the slot", async () => {
+  const order = await placeOrder();
+  const taken = (await server.request(`/api/slots?date=${order.date}`)).body.slots;
+  assert.ok(!taken.includes(order.slot), "the slot is held while the patient pays");
+
+  const location = await callback({ ORDERID: order.orderId, TXNAMOUNT: order.amount, STATUS: "TXN_FAILURE", RESPMSG: "Insufficient balance" });
+  assert.equal(location.pathname, "/payment-failure.html");
+  assert.equal(location.searchParams.get("reason"), "Insufficient balance");
+
+  const appointment = await Appointment.findOne({ order_id: order.orderId }).lean();
+  assert.equal(appointment.payment_status, "failed");
+  assert.equal(appointment.slotKey, undefined);
+  assert.equal((await Payment.findOne({ order_id: order.orderId }).lean()).status, "failure");
+  assert.ok((await server.request(`/api/slots?date=${order.date}`)).body.slots.includes(order.slot));
+});
+
+test("a success for the wrong amount is treated as a failure", async () => {
+  const order = await placeOrder();
+  const location = await callback({ ORDERID: order.orderId, TXNAMOUNT: "1.00", STATUS: "TXN_SUCCESS" });
+  assert.equal(location.pathname, "/payment-failure.html");
+  const appointment = await Appointment.findOne({ order_id: order.orderId }).lean();
+  assert.equal(appointment.payment_status, "failed");
+  assert.equal(appointment.status ?? "pending", "pending");
+});
@@ -0,0 +1,171 @@
+// test/storage-json-file.test.js - Mongoose models over DATA_DIR/<collection>.json: files, unique indexes, the lock
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const mongoose = require("mongoose");
+const { JsonFileStore } = require("../storage/json-file");
+
+const bookingSchema = new mongoose.Schema({
+  name: String,
+  slotKey: { type: String, default: null },
+  visits: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+// As in server.js: only bookings that hold a slot take part in the unique index
+bookingSchema.index({ slotKey: 1 }, { unique: true, partialFilterExpression: { slotKey: { $type: "string" } } });
+
+async function openStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "json-file-test-"));
+  const store = new JsonFileStore(dir);
+  await store.connect();
+  return { dir, store, Booking: store.model("Booking", bookingSchema), file: path.join(dir, "bookings.json") };
+}
+
+test("documents are written to <collection>.json in extended JSON and read back", async (t) => {
+  const { dir, Booking, file } = await openStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const created = await Booking.create({ name: "Asha", createdAt: new Date("2025-03-03T10:00:00Z") });
+  const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.equal(stored.length, 1);
+  assert.deepEqual(stored[0].createdAt, { $date: "2025-03-03T10:00:00Z" });
+  assert.equal(stored[0]._id.$oid, String(created._id));
+
+  const found = await Booking.findById(created._id).lean();
+  assert.ok(found.createdAt instanceof Date);
+  assert.equal(found.name, "Asha");
+});
+
+test("changes made to the file by hand are picked up, and missing _ids are filled in", async (t) => {
+  const { dir, Booking, file } = await openStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await Booking.create({ name: "Asha" });
+  const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  stored.push({ name: "Ravi", visits: 2 });
+  fs.writeFileSync(file, JSON.stringify(stored));
+
+  const ravi = await Booking.findOne({ name: "Ravi" }).lean();
+  assert.equal(ravi.visits, 2);
+  assert.ok(ravi._id, "an _id is assigned");
+  const again = await Booking.findOne({ name: "Ravi" }).lean();
+  assert.equal(String(again._id), String(ravi._id), "and written back, so it stays the same");
+});
+
+test("a find() cursor matches and hands out documents as they are read", async (t) => {
+  const { dir, Booking } = await openStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  await Booking.create(["Asha", "Ravi", "Meera", "Kiran"].map((name, visits) => ({ name, visits })));
+
+  const q = require("../storage/query");
+  const matches = q.matches;
+  let checked = 0;
+  q.matches = (...args) => { checked++; return matches(...args); };
+  t.after(() => { q.matches = matches; });
+
+  const cursor = Booking.find({ visits: { $gte: 1 } }).lean().cursor();
+  assert.equal((await cursor.next()).value.name, "Ravi");
+  assert.equal(checked, 2, "only the documents up to the first match were looked at");
+  await cursor.close();
+  assert.equal((await cursor.next()).done, true);
+
+  const names = [];
+  for await (const doc of Booking.find({}).select("name").sort({ visits: -1 }).skip(1).limit(2).cursor()) names.push(doc.name);
+  assert.deepEqual(names, ["Meera", "Ravi"]);
+});
+
+test("a unique index refuses a duplicate with a code 11000 error and leaves the file alone", async (t) => {
+  const { dir, Booking, file } = await openStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await Booking.create({ name: "Asha", slotKey: "2025-03-03|10:00" });
+  const before = fs.readFileSync(file, "utf8");
+  await assert.rejects(Booking.create({ name: "Ravi", slotKey: "2025-03-03|10:00" }), (err) => {
+    assert.equal(err.code, 11000);
+    assert.deepEqual(err.keyValue, { slotKey: "2025-03-03|10:00" });
+    return true;
+  });
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+
+  const ravi = await Booking.create({ name: "Ravi", slotKey: "2025-03-03|10:30" });
+  await assert.rejects(Booking.updateOne({ _id: ravi._id }, { $set: { slotKey: "2025-03-03|10:00" } }), { code: 11000 });
+  assert.equal((await Booking.findById(ravi._id).lean()).slotKey, "2025-03-03|10:30");
+});
+
+test("documents outside a partial unique index do not collide", async (t) => {
+  const { dir, Booking } = await openStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await Booking.create([{ name: "Asha" }, { name: "Ravi" }, { name: "Meera" }]);
+  assert.equal(await Booking.countDocuments({ slotKey: null }), 3);
+
+  const asha = await Booking.findOne({ name: "Asha" });
+  asha.slotKey = "2025-03-03|10:00";
+  await asha.save();
+  asha.slotKey = null;
+  await asha.save();
+  await Booking.create({ name: "Kiran", slotKey: "2025-03-03|10:00" });
+  assert.equal(await Booking.countDocuments({ slotKey: { $type: "string" } }), 1);
+});
+
+test("writers with their own copy of the store take turns through the lock", async (t) => {
+  const { dir, Booking } = await openStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { _id } = await Booking.create({ name: "Asha" });
+
+  // A second store on the same folder has its own cache and write queue, as another process would
+  const other = new JsonFileStore(dir).model("Booking", bookingSchema);
+  const bump = (Model) => Model.updateOne({ _id }, { $inc: { visits: 1 } });
+  await Promise.all(Array.from({ length: 20 }, (_, i) => bump(i % 2 ? other : Booking)));
+
+  assert.equal((await Booking.findById(_id).lean()).visits, 20);
+  assert.equal((await other.findById(_id).lean()).visits, 20);
+});
+
+test("a write from another process is not lost", async (t) => {
+  const { dir, Booking } = await openStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { _id } = await Booking.create({ name: "Asha" });
+
+  const script = `
+    const mongoose = require("mongoose");
+    const { JsonFileStore } = require(${JSON.stringify(require.resolve("../storage/json-file"))});
+    const Booking = new JsonFileStore(${JSON.stringify(dir)}).model("Booking", new mongoose.Schema({ visits: Number }));
+    (async () => {
+      for (let i = 0; i < 15; i++) await Booking.updateOne({ _id: ${JSON.stringify(String(_id))} }, { $inc: { visits: 1 } });
+    })().catch((err) => { console.error(err); process.exitCode = 1; });
+  `;
+  const child = new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", script], { cwd: path.join(__dirname, ".."), timeout: 60 * 1000 }, (err) => (err ? reject(err) : resolve()));
+  });
+  for (let i = 0; i < 15; i++) await Booking.updateOne({ _id }, { $inc: { visits: 1 } });
+  await child;
+
+  assert.equal((await Booking.findById(_id).lean()).visits, 30);
+});
+
+test("a write waits for a held lock, and a stale lock is cleared", async (t) => {
+  const { dir, Booking, file } = await openStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const lock = `${file}.lock`;
+
+  fs.writeFileSync(lock, "12345");
+  let done = false;
+  const write = Booking.create({ name: "Asha" }).then(() => { done = true; });
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(done, false, "the write waits while the lock is held");
+  fs.rmSync(lock);
+  await write;
+  assert.equal(await Booking.countDocuments(), 1);
+  assert.equal(fs.existsSync(lock), false, "and releases the lock afterwards");
+
+  // A lock left behind by a process that died mid-write
+  fs.writeFileSync(lock, "12345");
+  const old = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lock, old, old);
+  await Booking.create({ name: "Ravi" });
+  assert.equal(await Booking.countDocuments(), 2);
+});
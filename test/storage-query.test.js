@@ -0,0 +1,165 @@
+// test/storage-query.test.js - The in-memory query engine behind the JSON-file backend
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const q = require("../storage/query");
+
+const docs = [
+  { _id: 1, name: "Asha", age: 34, tags: ["knee", "back"], status: "pending", visit: { date: new Date("2025-03-03T10:00:00Z") } },
+  { _id: 2, name: "Ravi", age: 51, tags: ["shoulder"], status: "confirmed", visit: { date: new Date("2025-03-05T19:00:00Z") } },
+  { _id: 3, name: "meera", age: null, tags: [], status: "cancelled", visit: { date: new Date("2025-03-11T09:00:00Z") } },
+];
+const ids = (filter, ctx) => docs.filter(d => q.matches(d, filter, ctx)).map(d => d._id);
+
+test("matches compares fields, nested paths and array members", () => {
+  assert.deepEqual(ids({ status: "pending" }), [1]);
+  assert.deepEqual(ids({ tags: "shoulder" }), [2]);
+  assert.deepEqual(ids({ "visit.date": { $gte: new Date("2025-03-05T00:00:00Z") } }), [2, 3]);
+  assert.deepEqual(ids({ age: { $gt: 40 } }), [2]);
+  assert.deepEqual(ids({ age: { $gte: "1" } }), [], "numbers are not compared with strings");
+  assert.deepEqual(ids({ status: { $in: ["pending", "cancelled"] } }), [1, 3]);
+  assert.deepEqual(ids({ status: { $nin: ["pending", "cancelled"] } }), [2]);
+  assert.deepEqual(ids({ tags: { $size: 0 } }), [3]);
+  assert.deepEqual(ids({ age: { $not: { $gt: 40 } } }), [1, 3]);
+});
+
+test("matches treats null as missing or null", () => {
+  const rows = [{ _id: 1, a: null }, { _id: 2 }, { _id: 3, a: 0 }];
+  const pick = (filter) => rows.filter(d => q.matches(d, filter)).map(d => d._id);
+  assert.deepEqual(pick({ a: null }), [1, 2]);
+  assert.deepEqual(pick({ a: { $ne: null } }), [3]);
+});
+
+test("matches combines conditions with $or and matches RegExp values", () => {
+  assert.deepEqual(ids({ $or: [{ status: "confirmed" }, { age: { $lt: 40 } }] }), [1, 2]);
+  assert.deepEqual(ids({ name: /^(asha|ravi)$/i }), [1, 2]);
+  assert.deepEqual(ids({ $or: [{ name: /^m/i }, { tags: "back" }] }), [1, 3]);
+});
+
+test("$text searches the text index fields for words, phrases and exclusions", () => {
+  const notes = [
+    { _id: 1, title: "Knee pain", body: "Pain after running" },
+    { _id: 2, title: "Back pain", body: "Sitting all day" },
+  ];
+  const ctx = { textFields: ["title", "body"] };
+  const search = ($search) => notes.filter(d => q.matches(d, { $text: { $search } }, ctx)).map(d => d._id);
+  assert.deepEqual(search("PAIN"), [1, 2]);
+  assert.deepEqual(search("running sitting"), [1, 2]);
+  assert.deepEqual(search("pain -knee"), [2]);
+  assert.deepEqual(search("\"all day\""), [2]);
+  assert.throws(() => q.matches(notes[0], { $text: { $search: "pain" } }), /text index/);
+});
+
+test("matches rejects operators it does not support", () => {
+  assert.throws(() => q.matches(docs[0], { age: { $mod: [2, 0] } }), /\$mod/);
+  assert.throws(() => q.matches(docs[0], { name: { $exists: true } }), /\$exists/);
+  assert.throws(() => q.matches(docs[0], { $and: [{ status: "pending" }] }), /\$and/);
+});
+
+test("applyUpdate applies the update operators to a copy", () => {
+  const doc = { _id: 1, count: 1, tags: ["a"], history: [{ by: "x" }, { by: "y" }], note: "old" };
+  const out = q.applyUpdate(doc, {
+    $set: { "visit.slot": "10:00" },
+    $unset: { note: 1 },
+    $inc: { count: 2, missing: 1 },
+    $push: { tags: "a" },
+    $pull: { history: { by: "x" } },
+  });
+  assert.deepEqual(out, { _id: 1, count: 3, missing: 1, tags: ["a", "a"], history: [{ by: "y" }], visit: { slot: "10:00" } });
+  assert.deepEqual(doc.tags, ["a"], "the original is left alone");
+
+  assert.deepEqual(q.applyUpdate({ tags: ["a"] }, { $addToSet: { tags: "a" } }).tags, ["a"]);
+  assert.deepEqual(q.applyUpdate({ tags: ["a"] }, { $addToSet: { tags: "b" } }).tags, ["a", "b"]);
+  assert.deepEqual(q.applyUpdate({ n: [1, 5, 9] }, { $pull: { n: { $gte: 5 } } }).n, [1]);
+  assert.equal(q.applyUpdate({}, { status: "plain fields are a $set" }).status, "plain fields are a $set");
+  assert.throws(() => q.applyUpdate({}, { $rename: { a: "b" } }), /\$rename/);
+  assert.throws(() => q.applyUpdate({ low: 3 }, { $min: { low: 1 } }), /\$min/);
+});
+
+test("an upsert starts from the filter's equality conditions and adds $setOnInsert", () => {
+  const filter = { key: "login:1.2.3.4", kind: "login", count: { $lt: 5 } };
+  const base = q.upsertBase(filter);
+  assert.deepEqual(base, { key: "login:1.2.3.4", kind: "login" });
+  const update = { $inc: { count: 1 }, $setOnInsert: { createdAt: "now" } };
+  assert.deepEqual(q.applyUpdate(base, update, { isInsert: true }), { ...base, count: 1, createdAt: "now" });
+  assert.deepEqual(q.applyUpdate({ ...base, count: 1 }, update), { ...base, count: 2 });
+});
+
+test("aggregate groups, sorts and projects", () => {
+  const rows = q.aggregate(docs, [
+    { $match: { status: { $ne: "cancelled" } } },
+    { $unwind: "$tags" },
+    { $group: { _id: "$status", tags: { $push: "$tags" }, n: { $sum: 1 }, oldest: { $max: "$age" } } },
+    { $sort: { n: -1 } },
+    { $project: { _id: 0, status: "$_id", n: 1, oldest: 1, label: { $toLower: { $trim: { input: "$_id" } } }, tagCount: { $size: "$tags" } } },
+  ]);
+  assert.deepEqual(rows, [
+    { status: "pending", n: 2, oldest: 34, label: "pending", tagCount: 2 },
+    { status: "confirmed", n: 1, oldest: 51, label: "confirmed", tagCount: 1 },
+  ]);
+  assert.throws(() => q.aggregate(docs, [{ $count: "total" }]), /\$count/);
+});
+
+test("$lookup joins another collection by field and runs its sub-pipeline", () => {
+  const payments = [
+    { _id: "p1", appointment: 1, amount: 500 },
+    { _id: "p2", appointment: 1, amount: 250 },
+    { _id: "p3", appointment: 2, amount: 800 },
+  ];
+  const ctx = { collection: (name) => (name === "payments" ? payments : []) };
+  const pipeline = [
+    { $lookup: { from: "payments", localField: "_id", foreignField: "appointment", as: "paid", pipeline: [{ $sort: { amount: 1 } }] } },
+    { $project: { amounts: "$paid.amount" } },
+  ];
+  assert.deepEqual(q.aggregate(docs, pipeline, ctx), [{ _id: 1, amounts: [250, 500] }, { _id: 2, amounts: [800] }, { _id: 3, amounts: [] }]);
+  assert.deepEqual(q.lookupCollections([{ $facet: { a: pipeline } }]), ["payments"]);
+  assert.throws(() => q.aggregate(docs, pipeline), /\$lookup/);
+});
+
+test("$facet runs each sub-pipeline over the same input", () => {
+  const [result] = q.aggregate(docs, [
+    { $facet: {
+      total: [{ $group: { _id: null, n: { $sum: 1 } } }],
+      page: [{ $sort: { _id: -1 } }, { $limit: 1 }, { $project: { name: 1 } }],
+    } },
+  ]);
+  assert.deepEqual(result, { total: [{ _id: null, n: 3 }], page: [{ _id: 3, name: "meera" }] });
+});
+
+test("$dateTrunc buckets dates by unit in a time zone", () => {
+  const bucket = (unit, timezone, startOfWeek) => q.aggregate(docs, [
+    { $group: { _id: { $dateTrunc: { date: "$visit.date", unit, timezone, startOfWeek } }, n: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]).map(r => [r._id.toISOString(), r.n]);
+
+  assert.deepEqual(bucket("month"), [["2025-03-01T00:00:00.000Z", 3]]);
+  assert.deepEqual(bucket("week", "UTC", "monday"), [["2025-03-03T00:00:00.000Z", 2], ["2025-03-10T00:00:00.000Z", 1]]);
+  // 19:00 UTC on the 5th is already the 6th in Kolkata, and days start at 18:30 UTC the evening before
+  assert.deepEqual(bucket("day", "Asia/Kolkata"), [
+    ["2025-03-02T18:30:00.000Z", 1],
+    ["2025-03-05T18:30:00.000Z", 1],
+    ["2025-03-10T18:30:00.000Z", 1],
+  ]);
+  assert.throws(() => bucket("quarter"), /quarter/);
+});
+
+test("$convert reads amounts stored as numbers or numeric strings", () => {
+  const rows = [{ amount: 500 }, { amount: " 250.50 " }, { amount: "n/a" }, {}];
+  const [row] = q.aggregate(rows, [{ $group: {
+    _id: null,
+    total: { $sum: { $convert: { input: "$amount", to: "double", onError: 0, onNull: 0 } } },
+  } }]);
+  assert.equal(row.total, 750.5);
+  assert.throws(() => q.aggregate(rows, [{ $project: { s: { $convert: { input: "$amount", to: "string" } } } }]), /string/);
+});
+
+test("date expressions format and parse in a time zone", () => {
+  const [row] = q.aggregate([docs[1]], [{ $project: {
+    _id: 0,
+    day: { $dateToString: { date: "$visit.date", format: "%Y-%m-%d %H:%M", timezone: "Asia/Kolkata" } },
+    parsed: { $dateFromString: { dateString: "2025-03-06 09:15", timezone: "Asia/Kolkata" } },
+    bad: { $dateFromString: { dateString: "06/03/2025", onError: null } },
+  } }]);
+  assert.equal(row.day, "2025-03-06 00:30");
+  assert.equal(row.parsed.toISOString(), "2025-03-06T03:45:00.000Z");
+  assert.equal(row.bad, null);
+});